@@ -8,6 +8,10 @@ import {
 	enableSilentMode,
 	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import {
+	DEPENDENCY_TYPES,
+	isValidDependencyType
+} from '../../../../src/constants/dependency-types.js';
 
 /**
  * Direct function wrapper for addDependency with error handling.
@@ -16,12 +20,14 @@ import {
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
  * @param {string|number} args.id - Task ID to add dependency to
  * @param {string|number} args.dependsOn - Task ID that will become a dependency
+ * @param {string} [args.type='blocks'] - Dependency type: 'blocks', 'soft' or 'relates'
+ * @param {string} [args.tag] - Tag of the task list to use
  * @param {Object} log - Logger object
  * @returns {Promise<Object>} - Result object with success status and data/error information
  */
 export async function addDependencyDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, id, dependsOn } = args;
+	const { tasksJsonPath, id, dependsOn, type = 'blocks', tag } = args;
 	try {
 		log.info(`Adding dependency with args: ${JSON.stringify(args)}`);
 
@@ -58,6 +64,16 @@ export async function addDependencyDirect(args, log) {
 			};
 		}
 
+		if (!isValidDependencyType(type)) {
+			return {
+				success: false,
+				error: {
+					code: 'INPUT_VALIDATION_ERROR',
+					message: `Invalid dependency type "${type}". Use one of: ${DEPENDENCY_TYPES.join(', ')}`
+				}
+			};
+		}
+
 		// Use provided path
 		const tasksPath = tasksJsonPath;
 
@@ -77,7 +93,7 @@ export async function addDependencyDirect(args, log) {
 		enableSilentMode();
 
 		// Call the core function using the provided path
-		await addDependency(tasksPath, taskId, dependencyId);
+		await addDependency(tasksPath, taskId, dependencyId, { tag, type });
 
 		// Restore normal logging
 		disableSilentMode();
@@ -85,9 +101,10 @@ export async function addDependencyDirect(args, log) {
 		return {
 			success: true,
 			data: {
-				message: `Successfully added dependency: Task ${taskId} now depends on ${dependencyId}`,
+				message: `Successfully added dependency: Task ${taskId} now depends on ${dependencyId}${type === 'blocks' ? '' : ` (${type})`}`,
 				taskId: taskId,
-				dependencyId: dependencyId
+				dependencyId: dependencyId,
+				type
 			}
 		};
 	} catch (error) {
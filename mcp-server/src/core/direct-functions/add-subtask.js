@@ -34,7 +34,8 @@ export async function addSubtaskDirect(args, log) {
 		details,
 		status,
 		dependencies: dependenciesStr,
-		skipGenerate
+		skipGenerate,
+		tag
 	} = args;
 	try {
 		log.info(`Adding subtask with args: ${JSON.stringify(args)}`);
@@ -104,7 +105,8 @@ export async function addSubtaskDirect(args, log) {
 				parentId,
 				existingTaskId,
 				null,
-				generateFiles
+				generateFiles,
+				{ tag }
 			);
 
 			// Restore normal logging
@@ -135,7 +137,8 @@ export async function addSubtaskDirect(args, log) {
 				parentId,
 				null,
 				newSubtaskData,
-				generateFiles
+				generateFiles,
+				{ tag }
 			);
 
 			// Restore normal logging
@@ -21,6 +21,9 @@ import { createLogWrapper } from '../../tools/utils.js';
  * @param {string} [args.testStrategy] - Test strategy (for manual task creation)
  * @param {string} [args.dependencies] - Comma-separated list of task IDs this task depends on
  * @param {string} [args.priority='medium'] - Task priority (high, medium, low)
+ * @param {Object} [args.fields] - Custom field values by field name
+ * @param {string} [args.dueDate] - Due date (ISO date)
+ * @param {string} [args.startDate] - Start date (ISO date)
  * @param {string} [args.tasksJsonPath] - Path to the tasks.json file (resolved by tool)
  * @param {boolean} [args.research=false] - Whether to use research capabilities for task creation
  * @param {string} [args.projectRoot] - Project root path
@@ -36,7 +39,11 @@ export async function addTaskDirect(args, log, context = {}) {
 		dependencies,
 		priority,
 		research,
-		projectRoot
+		projectRoot,
+		tag,
+		fields,
+		dueDate,
+		startDate
 	} = args;
 	const { session } = context; // Destructure session from context
 
@@ -119,6 +126,10 @@ export async function addTaskDirect(args, log, context = {}) {
 					session,
 					mcpLog,
 					projectRoot,
+					tag,
+					customFields: fields,
+					dueDate,
+					startDate,
 					commandName: 'add-task',
 					outputType: 'mcp'
 				},
@@ -145,6 +156,10 @@ export async function addTaskDirect(args, log, context = {}) {
 					session,
 					mcpLog,
 					projectRoot,
+					tag,
+					customFields: fields,
+					dueDate,
+					startDate,
 					commandName: 'add-task',
 					outputType: 'mcp'
 				},
@@ -0,0 +1,65 @@
+/**
+ * Direct function wrapper for assignTask / unassignTask
+ */
+
+import {
+	assignTask,
+	unassignTask
+} from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Assign tasks or subtasks to someone, or remove their assignee
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID(s), comma-separated
+ * @param {string} [args.assignee] - Who to assign the tasks to; omit to unassign them
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function assignTaskDirect(args, log) {
+	const { tasksJsonPath, id, assignee, tag } = args;
+
+	if (!tasksJsonPath || !id) {
+		log.error('assignTaskDirect called without tasksJsonPath or id');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and id are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const result = await withFileLock(tasksJsonPath, () =>
+			assignee
+				? assignTask(tasksJsonPath, id, assignee, { tag })
+				: unassignTask(tasksJsonPath, id, { tag })
+		);
+		disableSilentMode();
+
+		const message = assignee
+			? `Assigned ${result.taskIds.join(', ')} to ${result.assignee}`
+			: `Unassigned ${result.taskIds.join(', ')}`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error assigning task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'ASSIGN_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
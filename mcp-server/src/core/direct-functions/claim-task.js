@@ -0,0 +1,66 @@
+/**
+ * Direct function wrapper for claimTask
+ */
+
+import { claimTask } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Claim a task or subtask for a limited time
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID
+ * @param {string} args.assignee - Who claims the task
+ * @param {number} [args.leaseMinutes] - Lease length (defaults to global.claimLeaseMinutes)
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {string} [args.projectRoot] - Project root path
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function claimTaskDirect(args, log) {
+	const { tasksJsonPath, id, assignee, leaseMinutes, tag, projectRoot } = args;
+
+	if (!tasksJsonPath || !id || !assignee) {
+		log.error('claimTaskDirect called without tasksJsonPath, id or assignee');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath, id and assignee are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const result = await withFileLock(tasksJsonPath, () =>
+			claimTask(tasksJsonPath, id, assignee, {
+				tag,
+				leaseMinutes,
+				projectRoot
+			})
+		);
+		disableSilentMode();
+
+		const message = result.claimExpiresAt
+			? `${result.assignee} claimed ${result.taskId} until ${result.claimExpiresAt}`
+			: `${result.taskId} is already assigned to ${result.assignee}`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error claiming task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'CLAIM_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -5,8 +5,10 @@
 import { clearSubtasks } from '../../../../scripts/modules/task-manager.js';
 import {
 	enableSilentMode,
-	disableSilentMode
+	disableSilentMode,
+	readJSON
 } from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
 import fs from 'fs';
 
 /**
@@ -20,7 +22,7 @@ import fs from 'fs';
  */
 export async function clearSubtasksDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, id, all } = args;
+	const { tasksJsonPath, id, all, tag } = args;
 	try {
 		log.info(`Clearing subtasks with args: ${JSON.stringify(args)}`);
 
@@ -67,7 +69,7 @@ export async function clearSubtasksDirect(args, log) {
 		// If all is specified, get all task IDs
 		if (all) {
 			log.info('Clearing subtasks from all tasks');
-			const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+			const data = readJSON(tasksPath, tag);
 			if (!data || !data.tasks || data.tasks.length === 0) {
 				return {
 					success: false,
@@ -89,13 +91,15 @@ export async function clearSubtasksDirect(args, log) {
 		enableSilentMode();
 
 		// Call the core function
-		clearSubtasks(tasksPath, taskIds);
+		await withFileLock(tasksPath, () =>
+			clearSubtasks(tasksPath, taskIds, { tag })
+		);
 
 		// Restore normal logging
 		disableSilentMode();
 
 		// Read the updated data to provide a summary
-		const updatedData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+		const updatedData = readJSON(tasksPath, tag);
 		const taskIdArray = taskIds.split(',').map((id) => parseInt(id.trim(), 10));
 
 		// Build a summary of what was done
@@ -0,0 +1,60 @@
+/**
+ * Direct function wrapper for getExecutionPlan
+ */
+
+import { getExecutionPlan } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Order the open tasks into parallel waves with the critical path and slack
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.weight] - auto, estimate, complexity or count
+ * @param {string} [args.reportPath] - Path to the complexity report
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function executionPlanDirect(args, log) {
+	const { tasksJsonPath, weight, reportPath, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('executionPlanDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const plan = getExecutionPlan(tasksJsonPath, {
+			tag,
+			weight,
+			complexityReportPath: reportPath
+		});
+		disableSilentMode();
+
+		log.info(
+			`Execution plan: ${plan.waves.length} wave(s), critical path ${plan.criticalPath.join(' -> ')}`
+		);
+		return { success: true, data: plan };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error building execution plan: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'EXECUTION_PLAN_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
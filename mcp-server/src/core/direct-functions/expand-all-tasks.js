@@ -25,7 +25,8 @@ import { createLogWrapper } from '../../tools/utils.js';
 export async function expandAllTasksDirect(args, log, context = {}) {
 	const { session } = context; // Extract session
 	// Destructure expected args, including projectRoot
-	const { tasksJsonPath, num, research, prompt, force, projectRoot } = args;
+	const { tasksJsonPath, num, research, prompt, force, projectRoot, tag } =
+		args;
 
 	// Create logger wrapper using the utility
 	const mcpLog = createLogWrapper(log);
@@ -60,7 +61,7 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 			useResearch,
 			additionalContext,
 			forceFlag,
-			{ session, mcpLog, projectRoot }
+			{ session, mcpLog, projectRoot, tag }
 		);
 
 		// Core function now returns a summary object including the *aggregated* telemetryData
@@ -11,6 +11,7 @@ import {
 	disableSilentMode,
 	isSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { findTaskByPath } from '../../../../scripts/modules/storage/task-storage.js';
 import path from 'path';
 import fs from 'fs';
 import { createLogWrapper } from '../../tools/utils.js';
@@ -20,21 +21,33 @@ import { createLogWrapper } from '../../tools/utils.js';
  *
  * @param {Object} args - Command arguments
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
- * @param {string} args.id - The ID of the task to expand.
+ * @param {string} args.id - The ID of the task to expand, or the dotted ID of a subtask (e.g. "5.2").
  * @param {number|string} [args.num] - Number of subtasks to generate.
  * @param {boolean} [args.research] - Enable research role for subtask generation.
  * @param {string} [args.prompt] - Additional context to guide subtask generation.
  * @param {boolean} [args.force] - Force expansion even if subtasks exist.
+ * @param {boolean} [args.stream] - Stream the AI response and report each subtask as it is generated.
  * @param {string} [args.projectRoot] - Project root directory.
  * @param {Object} log - Logger object
  * @param {Object} context - Context object containing session
  * @param {Object} [context.session] - MCP Session object
+ * @param {Function} [context.reportProgress] - MCP progress callback, used when streaming
  * @returns {Promise<Object>} - Task expansion result { success: boolean, data?: any, error?: { code: string, message: string }, fromCache: boolean }
  */
 export async function expandTaskDirect(args, log, context = {}) {
-	const { session } = context; // Extract session
+	const { session, reportProgress } = context; // Extract session
 	// Destructure expected args, including projectRoot
-	const { tasksJsonPath, id, num, research, prompt, force, projectRoot } = args;
+	const {
+		tasksJsonPath,
+		id,
+		num,
+		research,
+		prompt,
+		force,
+		stream,
+		projectRoot,
+		tag
+	} = args;
 
 	// Log session root data for debugging
 	log.info(
@@ -65,7 +78,7 @@ export async function expandTaskDirect(args, log, context = {}) {
 	log.info(`[expandTaskDirect] Using tasksPath: ${tasksPath}`);
 
 	// Validate task ID
-	const taskId = id ? parseInt(id, 10) : null;
+	const taskId = id ? String(id).trim() : null;
 	if (!taskId) {
 		log.error('Task ID is required');
 		return {
@@ -91,7 +104,7 @@ export async function expandTaskDirect(args, log, context = {}) {
 
 		// Read tasks data
 		log.info(`[expandTaskDirect] Attempting to read JSON from: ${tasksPath}`);
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, tag);
 		log.info(
 			`[expandTaskDirect] Result of readJSON: ${data ? 'Data read successfully' : 'readJSON returned null or undefined'}`
 		);
@@ -112,7 +125,7 @@ export async function expandTaskDirect(args, log, context = {}) {
 
 		// Find the specific task
 		log.info(`[expandTaskDirect] Searching for task ID ${taskId} in data`);
-		const task = data.tasks.find((t) => t.id === taskId);
+		const task = findTaskByPath(data.tasks, taskId);
 		log.info(`[expandTaskDirect] Task found: ${task ? 'Yes' : 'No'}`);
 
 		if (!task) {
@@ -203,6 +216,9 @@ export async function expandTaskDirect(args, log, context = {}) {
 					mcpLog,
 					session,
 					projectRoot,
+					tag: data.tag,
+					stream,
+					reportProgress,
 					commandName: 'expand-task',
 					outputType: 'mcp'
 				},
@@ -213,8 +229,8 @@ export async function expandTaskDirect(args, log, context = {}) {
 			if (!wasSilent && isSilentMode()) disableSilentMode();
 
 			// Read the updated data
-			const updatedData = readJSON(tasksPath);
-			const updatedTask = updatedData.tasks.find((t) => t.id === taskId);
+			const updatedData = readJSON(tasksPath, data.tag);
+			const updatedTask = findTaskByPath(updatedData.tasks, taskId);
 
 			// Calculate how many subtasks were added
 			const subtasksAdded = updatedTask.subtasks
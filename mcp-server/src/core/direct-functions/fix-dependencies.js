@@ -13,12 +13,13 @@ import fs from 'fs';
  * Fix invalid dependencies in tasks.json automatically
  * @param {Object} args - Function arguments
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.strategy] - How to choose the dependency that breaks a cycle
  * @param {Object} log - Logger object
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
 export async function fixDependenciesDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath } = args;
+	const { tasksJsonPath, tag, strategy } = args;
 	try {
 		log.info(`Fixing invalid dependencies in tasks: ${tasksJsonPath}`);
 
@@ -52,7 +53,7 @@ export async function fixDependenciesDirect(args, log) {
 		enableSilentMode();
 
 		// Call the original command function using the provided path
-		await fixDependenciesCommand(tasksPath);
+		await fixDependenciesCommand(tasksPath, { tag, strategy });
 
 		// Restore normal logging
 		disableSilentMode();
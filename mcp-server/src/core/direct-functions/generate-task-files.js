@@ -8,6 +8,7 @@ import {
 	enableSilentMode,
 	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
 
 /**
  * Direct function wrapper for generateTaskFiles with error handling.
@@ -18,7 +19,7 @@ import {
  */
 export async function generateTaskFilesDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, outputDir } = args;
+	const { tasksJsonPath, outputDir, tag } = args;
 	try {
 		log.info(`Generating task files with args: ${JSON.stringify(args)}`);
 
@@ -54,7 +55,9 @@ export async function generateTaskFilesDirect(args, log) {
 			enableSilentMode();
 
 			// The function is synchronous despite being awaited elsewhere
-			generateTaskFiles(tasksPath, resolvedOutputDir);
+			await withFileLock(tasksPath, () =>
+				generateTaskFiles(tasksPath, resolvedOutputDir, { tag })
+			);
 
 			// Restore normal logging after task generation
 			disableSilentMode();
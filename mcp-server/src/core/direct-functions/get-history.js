@@ -0,0 +1,47 @@
+/**
+ * Direct function wrapper for getHistory
+ */
+
+import { getHistory } from '../../../../scripts/modules/history.js';
+
+/**
+ * List the recorded changes of a tasks file, newest first
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.limit] - Maximum number of changes to return
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getHistoryDirect(args, log) {
+	const { tasksJsonPath, limit } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getHistoryDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Reading change history of ${tasksJsonPath}`);
+		const history = getHistory(tasksJsonPath, { limit });
+
+		return {
+			success: true,
+			data: history
+		};
+	} catch (error) {
+		log.error(`Error reading change history: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'HISTORY_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
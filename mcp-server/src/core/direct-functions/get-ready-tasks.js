@@ -0,0 +1,98 @@
+/**
+ * Direct function wrapper for getReadyTasks
+ */
+
+import { getReadyTasks } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Get tasks and subtasks that agents can work on in parallel
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.count=1] - How many items to return
+ * @param {string} [args.assignee] - Who the items are for; items owned by others are skipped
+ * @param {boolean} [args.claim] - Claim the items for the assignee
+ * @param {number} [args.leaseMinutes] - Lease of the claims (defaults to global.claimLeaseMinutes)
+ * @param {number} [args.milestone] - Only hand out the tasks of this milestone
+ * @param {string} [args.reportPath] - Path to the complexity report
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {string} [args.projectRoot] - Project root path
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getReadyTasksDirect(args, log) {
+	const {
+		tasksJsonPath,
+		count,
+		assignee,
+		claim,
+		leaseMinutes,
+		milestone,
+		reportPath,
+		tag,
+		projectRoot
+	} = args;
+
+	if (!tasksJsonPath) {
+		log.error('getReadyTasksDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+	if (claim && !assignee) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'assignee is required to claim tasks'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const getTasks = () =>
+			getReadyTasks(tasksJsonPath, {
+				count,
+				assignee,
+				claim,
+				leaseMinutes,
+				milestone,
+				complexityReportPath: reportPath,
+				tag,
+				projectRoot
+			});
+		// Claiming writes the tasks file
+		const result = claim
+			? await withFileLock(tasksJsonPath, getTasks)
+			: getTasks();
+		disableSilentMode();
+
+		const ids = result.tasks.map((item) => item.id).join(', ');
+		const message =
+			result.tasks.length === 0
+				? 'No eligible tasks found. All tasks are either completed, held by someone else or have unsatisfied dependencies'
+				: `${result.claimedBy ? `${result.claimedBy} claimed` : 'Ready to work on in parallel:'} ${ids}`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error getting ready tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'READY_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
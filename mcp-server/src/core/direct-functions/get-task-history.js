@@ -0,0 +1,51 @@
+/**
+ * Direct function wrapper for getAuditLog
+ */
+
+import { getAuditLog } from '../../../../scripts/modules/audit-log.js';
+
+/**
+ * Get the audit log of changes to a task (or to all tasks), newest first
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.id] - Task ID whose changes to return (includes its subtasks)
+ * @param {string} [args.tag] - Tag of the task list (defaults to the active tag when an ID is given)
+ * @param {number} [args.limit] - Maximum number of entries to return
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getTaskHistoryDirect(args, log) {
+	const { tasksJsonPath, id, tag, limit } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getTaskHistoryDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(
+			`Reading audit log of ${id ? `task ${id}` : 'all tasks'} in ${tasksJsonPath}`
+		);
+		const auditLog = getAuditLog(tasksJsonPath, { id, tag, limit });
+
+		return {
+			success: true,
+			data: auditLog
+		};
+	} catch (error) {
+		log.error(`Error reading audit log: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'AUDIT_LOG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -18,7 +18,16 @@ import {
  */
 export async function listTasksDirect(args, log) {
 	// Destructure the explicit tasksJsonPath from args
-	const { tasksJsonPath, reportPath, status, withSubtasks } = args;
+	const {
+		tasksJsonPath,
+		reportPath,
+		status,
+		withSubtasks,
+		fields,
+		milestone,
+		projectRoot,
+		tag
+	} = args;
 
 	if (!tasksJsonPath) {
 		log.error('listTasksDirect called without tasksJsonPath');
@@ -51,7 +60,8 @@ export async function listTasksDirect(args, log) {
 				statusFilter,
 				reportPath,
 				withSubtasksFilter,
-				'json'
+				'json',
+				{ tag, fields, milestone, projectRoot }
 			);
 
 			if (!resultData || !resultData.tasks) {
@@ -0,0 +1,274 @@
+/**
+ * Direct function wrappers for milestones
+ */
+
+import {
+	addMilestone,
+	addTasksToMilestone,
+	removeTasksFromMilestone,
+	deleteMilestone,
+	listMilestones,
+	getMilestone
+} from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Add a milestone or epic grouping top-level tasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.title - Title of the milestone
+ * @param {Array<number>|string} [args.taskIds] - IDs of the tasks it contains
+ * @param {string} [args.targetDate] - Target date (ISO date)
+ * @param {string} [args.type] - 'milestone' (default) or 'epic'
+ * @param {string} [args.description] - Description
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addMilestoneDirect(args, log) {
+	const { tasksJsonPath, title, taskIds, targetDate, type, description, tag } =
+		args;
+
+	if (!tasksJsonPath || !title) {
+		log.error('addMilestoneDirect called without tasksJsonPath or title');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and title are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const milestone = await withFileLock(tasksJsonPath, () =>
+			addMilestone(
+				tasksJsonPath,
+				{ title, taskIds, targetDate, type, description },
+				{ tag }
+			)
+		);
+		disableSilentMode();
+
+		const message = `Added ${milestone.type} ${milestone.id}: ${milestone.title}`;
+		log.info(message);
+		return { success: true, data: { message, milestone } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error adding milestone: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'ADD_MILESTONE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
+
+/**
+ * Add tasks to a milestone or epic
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number|string} args.id - ID of the milestone
+ * @param {Array<number>|string} args.taskIds - IDs of the tasks to add
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addToMilestoneDirect(args, log) {
+	const { tasksJsonPath, id, taskIds, tag } = args;
+
+	if (!tasksJsonPath || id === undefined || !taskIds) {
+		log.error(
+			'addToMilestoneDirect called without tasksJsonPath, id or taskIds'
+		);
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath, id and taskIds are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const { milestone, added } = await withFileLock(tasksJsonPath, () =>
+			addTasksToMilestone(tasksJsonPath, id, taskIds, { tag })
+		);
+		disableSilentMode();
+
+		const message =
+			added.length > 0
+				? `Added task(s) ${added.join(', ')} to ${milestone.type} ${milestone.id}`
+				: `${milestone.type} ${milestone.id} already holds these tasks`;
+		log.info(message);
+		return { success: true, data: { message, milestone, added } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error adding tasks to milestone: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'ADD_TO_MILESTONE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
+
+/**
+ * Remove tasks from a milestone or epic, keeping the tasks themselves
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number|string} args.id - ID of the milestone
+ * @param {Array<number>|string} args.taskIds - IDs of the tasks to remove
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function removeFromMilestoneDirect(args, log) {
+	const { tasksJsonPath, id, taskIds, tag } = args;
+
+	if (!tasksJsonPath || id === undefined || !taskIds) {
+		log.error(
+			'removeFromMilestoneDirect called without tasksJsonPath, id or taskIds'
+		);
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath, id and taskIds are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const milestone = await withFileLock(tasksJsonPath, () =>
+			removeTasksFromMilestone(tasksJsonPath, id, taskIds, { tag })
+		);
+		disableSilentMode();
+
+		const message = `Removed task(s) from ${milestone.type} ${milestone.id}, which now holds ${milestone.taskIds.length} task(s)`;
+		log.info(message);
+		return { success: true, data: { message, milestone } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error removing tasks from milestone: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'REMOVE_FROM_MILESTONE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
+
+/**
+ * Delete a milestone or epic, keeping its tasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number|string} args.id - ID of the milestone
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function deleteMilestoneDirect(args, log) {
+	const { tasksJsonPath, id, tag } = args;
+
+	if (!tasksJsonPath || id === undefined) {
+		log.error('deleteMilestoneDirect called without tasksJsonPath or id');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and id are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const milestone = await withFileLock(tasksJsonPath, () =>
+			deleteMilestone(tasksJsonPath, id, { tag })
+		);
+		disableSilentMode();
+
+		const message = `Deleted ${milestone.type} ${milestone.id}: ${milestone.title}`;
+		log.info(message);
+		return { success: true, data: { message, milestone } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error deleting milestone: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'DELETE_MILESTONE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
+
+/**
+ * List the milestones of a task list, or get one with its tasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.id] - ID of the milestone to get
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getMilestonesDirect(args, log) {
+	const { tasksJsonPath, id, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getMilestonesDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const data =
+			id !== undefined
+				? { milestone: getMilestone(tasksJsonPath, id, { tag }) }
+				: listMilestones(tasksJsonPath, { tag });
+		disableSilentMode();
+
+		log.info(
+			id !== undefined
+				? `Got milestone ${id}`
+				: `Found ${data.milestones.length} milestone(s)`
+		);
+		return { success: true, data };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error getting milestones: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'GET_MILESTONES_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
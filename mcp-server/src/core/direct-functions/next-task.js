@@ -3,11 +3,13 @@
  * Direct function implementation for finding the next task to work on
  */
 
-import { findNextTask } from '../../../../scripts/modules/task-manager.js';
 import {
-	readJSON,
-	readComplexityReport
-} from '../../../../scripts/modules/utils.js';
+	findNextTask,
+	explainNextTask,
+	findMilestone
+} from '../../../../scripts/modules/task-manager.js';
+import { readComplexityReport } from '../../../../scripts/modules/utils.js';
+import { getTaskStorage } from '../../../../scripts/modules/storage/index.js';
 import {
 	enableSilentMode,
 	disableSilentMode
@@ -18,12 +20,26 @@ import {
  *
  * @param {Object} args - Command arguments
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.assignee] - Skip tasks owned by anyone else
+ * @param {number|string} [args.milestone] - Only consider the tasks of this milestone
+ * @param {boolean} [args.explain] - Also return the score breakdown of the best candidates
+ * @param {number} [args.candidates] - How many candidates to explain (default 5)
+ * @param {string} [args.projectRoot] - Project root, to read the configured scoring weights
  * @param {Object} log - Logger object
  * @returns {Promise<Object>} - Next task result { success: boolean, data?: any, error?: { code: string, message: string }, fromCache: boolean }
  */
 export async function nextTaskDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, reportPath } = args;
+	const {
+		tasksJsonPath,
+		reportPath,
+		assignee,
+		milestone,
+		tag,
+		explain,
+		candidates,
+		projectRoot
+	} = args;
 
 	if (!tasksJsonPath) {
 		log.error('nextTaskDirect called without tasksJsonPath');
@@ -45,9 +61,9 @@ export async function nextTaskDirect(args, log) {
 
 			log.info(`Finding next task from ${tasksJsonPath}`);
 
-			// Read tasks data using the provided path
-			const data = readJSON(tasksJsonPath);
-			if (!data || !data.tasks) {
+			// Read the task list of the tag through its storage
+			const storage = getTaskStorage(tasksJsonPath);
+			if (!storage.exists()) {
 				disableSilentMode(); // Disable before return
 				return {
 					success: false,
@@ -57,12 +73,27 @@ export async function nextTaskDirect(args, log) {
 					}
 				};
 			}
+			const data = storage.readTag(tag);
 
 			// Read the complexity report
 			const complexityReport = readComplexityReport(reportPath);
 
+			const rankOptions = {
+				assignee,
+				projectRoot,
+				...(milestone
+					? { taskIds: findMilestone(data, milestone).taskIds }
+					: {})
+			};
+
 			// Find the next task
-			const nextTask = findNextTask(data.tasks, complexityReport);
+			const nextTask = findNextTask(data.tasks, complexityReport, rankOptions);
+			const explanation = explain
+				? explainNextTask(data.tasks, complexityReport, {
+						...rankOptions,
+						candidates
+					})
+				: undefined;
 
 			if (!nextTask) {
 				log.info(
@@ -73,7 +104,8 @@ export async function nextTaskDirect(args, log) {
 					data: {
 						message:
 							'No eligible next task found. All tasks are either completed or have unsatisfied dependencies',
-						nextTask: null
+						nextTask: null,
+						...(explanation ? { explanation } : {})
 					}
 				};
 			}
@@ -100,7 +132,8 @@ export async function nextTaskDirect(args, log) {
 				data: {
 					nextTask,
 					isSubtask,
-					nextSteps: `When ready to work on the ${taskOrSubtask}, use set-status to set the status to "in progress" ${additionalAdvice}`
+					...(explanation ? { explanation } : {}),
+					nextSteps: `When ready to work on the ${taskOrSubtask}, ${assignee ? 'use claim_task to reserve it and ' : ''}use set-status to set the status to "in progress" ${additionalAdvice}`
 				}
 			};
 		} catch (error) {
@@ -19,11 +19,11 @@ import { getDefaultNumTasks } from '../../../../scripts/modules/config-manager.j
  *
  * @param {Object} args - Command arguments containing projectRoot, input, output, numTasks options.
  * @param {Object} log - Logger object.
- * @param {Object} context - Context object containing session data.
+ * @param {Object} context - Context object containing session data and, when streaming, the MCP reportProgress callback.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function parsePRDDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, reportProgress } = context;
 	// Extract projectRoot from args
 	const {
 		input: inputArg,
@@ -31,7 +31,9 @@ export async function parsePRDDirect(args, log, context = {}) {
 		numTasks: numTasksArg,
 		force,
 		append,
-		projectRoot
+		stream,
+		projectRoot,
+		tag
 	} = args;
 
 	// Create the standard logger wrapper
@@ -135,6 +137,9 @@ export async function parsePRDDirect(args, log, context = {}) {
 				projectRoot,
 				force,
 				append,
+				stream,
+				reportProgress,
+				tag,
 				commandName: 'parse-prd',
 				outputType: 'mcp'
 			},
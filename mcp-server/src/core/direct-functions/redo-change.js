@@ -0,0 +1,61 @@
+/**
+ * Direct function wrapper for redoChange
+ */
+
+import { redoChange } from '../../../../scripts/modules/history.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Re-apply the most recently undone change to a tasks file
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.force] - Redo even if the file was modified outside the history
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function redoChangeDirect(args, log) {
+	const { tasksJsonPath, force } = args;
+
+	if (!tasksJsonPath) {
+		log.error('redoChangeDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Redoing last undone change to ${tasksJsonPath}`);
+
+		enableSilentMode();
+		const entry = await redoChange(tasksJsonPath, { force: !!force });
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				message:
+					`Redid change #${entry.id}: ${entry.operation} ${entry.details}`.trim(),
+				change: entry,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error redoing change: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'REDO_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
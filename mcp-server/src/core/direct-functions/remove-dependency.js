@@ -19,7 +19,7 @@ import {
  */
 export async function removeDependencyDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, id, dependsOn } = args;
+	const { tasksJsonPath, id, dependsOn, tag } = args;
 	try {
 		log.info(`Removing dependency with args: ${JSON.stringify(args)}`);
 
@@ -75,7 +75,7 @@ export async function removeDependencyDirect(args, log) {
 		enableSilentMode();
 
 		// Call the core function using the provided tasksPath
-		await removeDependency(tasksPath, taskId, dependencyId);
+		await removeDependency(tasksPath, taskId, dependencyId, { tag });
 
 		// Restore normal logging
 		disableSilentMode();
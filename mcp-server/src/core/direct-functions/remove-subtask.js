@@ -20,7 +20,7 @@ import {
  */
 export async function removeSubtaskDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, id, convert, skipGenerate } = args;
+	const { tasksJsonPath, id, convert, skipGenerate, tag } = args;
 	try {
 		// Enable silent mode to prevent console logs from interfering with JSON response
 		enableSilentMode();
@@ -82,7 +82,8 @@ export async function removeSubtaskDirect(args, log) {
 			tasksPath,
 			id,
 			convertToTask,
-			generateFiles
+			generateFiles,
+			{ tag }
 		);
 
 		// Restore normal logging
@@ -5,7 +5,8 @@
 
 import {
 	removeTask,
-	taskExists
+	taskExists,
+	getTaskImpact
 } from '../../../../scripts/modules/task-manager.js';
 import {
 	enableSilentMode,
@@ -25,7 +26,7 @@ import {
  */
 export async function removeTaskDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, id } = args;
+	const { tasksJsonPath, id, tag } = args;
 	try {
 		// Check if tasksJsonPath was provided
 		if (!tasksJsonPath) {
@@ -61,7 +62,7 @@ export async function removeTaskDirect(args, log) {
 		);
 
 		// Validate all task IDs exist before proceeding
-		const data = readJSON(tasksJsonPath);
+		const data = readJSON(tasksJsonPath, tag);
 		if (!data || !data.tasks) {
 			return {
 				success: false,
@@ -88,6 +89,14 @@ export async function removeTaskDirect(args, log) {
 			};
 		}
 
+		// Record what depends on the tasks before their references are dropped
+		const impact = getTaskImpact(tasksJsonPath, taskIdArray, { tag: data.tag });
+		if (impact.dependents.length > 0) {
+			log.warn(
+				`${impact.dependents.length} task(s) depend on ${taskIdArray.join(', ')}: ${impact.dependents.map((item) => item.id).join(', ')}`
+			);
+		}
+
 		// Remove tasks one by one
 		const results = [];
 
@@ -97,7 +106,9 @@ export async function removeTaskDirect(args, log) {
 		try {
 			for (const taskId of taskIdArray) {
 				try {
-					const result = await removeTask(tasksJsonPath, taskId);
+					const result = await removeTask(tasksJsonPath, taskId, {
+						tag: data.tag
+					});
 					results.push({
 						taskId,
 						success: true,
@@ -146,7 +157,8 @@ export async function removeTaskDirect(args, log) {
 				successful: successfulRemovals.length,
 				failed: failedRemovals.length,
 				results: results,
-				tasksPath: tasksJsonPath
+				tasksPath: tasksJsonPath,
+				impact
 			},
 			fromCache: false
 		};
@@ -0,0 +1,60 @@
+/**
+ * Direct function wrapper for setEstimate
+ */
+
+import { setEstimate } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Set or clear the effort estimate of tasks or subtasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID(s), comma-separated
+ * @param {string|null} [args.estimate] - Estimate like "3h" or "5pt"; omit or null to clear it
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function setEstimateDirect(args, log) {
+	const { tasksJsonPath, id, estimate, tag } = args;
+
+	if (!tasksJsonPath || !id) {
+		log.error('setEstimateDirect called without tasksJsonPath or id');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and id are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const result = await withFileLock(tasksJsonPath, () =>
+			setEstimate(tasksJsonPath, id, estimate ?? null, { tag })
+		);
+		disableSilentMode();
+
+		const message = result.estimate
+			? `Estimated ${result.taskIds.join(', ')} at ${result.estimate.value} ${result.estimate.unit}`
+			: `Removed the estimate of ${result.taskIds.join(', ')}`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error setting estimate: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'SET_ESTIMATE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
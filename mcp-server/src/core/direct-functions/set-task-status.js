@@ -3,7 +3,10 @@
  * Direct function implementation for setting task status
  */
 
-import { setTaskStatus } from '../../../../scripts/modules/task-manager.js';
+import {
+	setTaskStatus,
+	getTaskImpact
+} from '../../../../scripts/modules/task-manager.js';
 import {
 	enableSilentMode,
 	disableSilentMode,
@@ -19,7 +22,7 @@ import {
  */
 export async function setTaskStatusDirect(args, log) {
 	// Destructure expected args, including the resolved tasksJsonPath
-	const { tasksJsonPath, id, status } = args;
+	const { tasksJsonPath, id, status, tag } = args;
 	try {
 		log.info(`Setting task status with args: ${JSON.stringify(args)}`);
 
@@ -66,11 +69,25 @@ export async function setTaskStatusDirect(args, log) {
 
 		log.info(`Setting task ${taskId} status to "${newStatus}"`);
 
+		// Deferring or cancelling a task holds up everything downstream of it
+		let impact;
+		if (newStatus === 'deferred' || newStatus === 'cancelled') {
+			impact = getTaskImpact(tasksPath, taskId, { tag });
+			if (impact.blockedIfAbandoned.length > 0) {
+				log.warn(
+					`Tasks left blocked by ${newStatus} ${taskId}: ${impact.blockedIfAbandoned.join(', ')}`
+				);
+			}
+		}
+
 		// Call the core function with proper silent mode handling
 		enableSilentMode(); // Enable silent mode before calling core function
 		try {
 			// Call the core function
-			await setTaskStatus(tasksPath, taskId, newStatus, { mcpLog: log });
+			await setTaskStatus(tasksPath, taskId, newStatus, {
+				mcpLog: log,
+				tag
+			});
 
 			log.info(`Successfully set task ${taskId} status to ${newStatus}`);
 
@@ -81,7 +98,8 @@ export async function setTaskStatusDirect(args, log) {
 					message: `Successfully updated task ${taskId} status to "${newStatus}"`,
 					taskId,
 					status: newStatus,
-					tasksPath: tasksPath // Return the path used
+					tasksPath: tasksPath, // Return the path used
+					...(impact && { impact })
 				},
 				fromCache: false // This operation always modifies state and should never be cached
 			};
@@ -6,7 +6,7 @@
 import {
 	findTaskById,
 	readComplexityReport,
-	readJSON
+	readTaskWithDependencies
 } from '../../../../scripts/modules/utils.js';
 import { findTasksJsonPath } from '../utils/path-utils.js';
 
@@ -27,7 +27,7 @@ export async function showTaskDirect(args, log) {
 	// Destructure session from context if needed later, otherwise ignore
 	// const { session } = context;
 	// Destructure projectRoot and other args. projectRoot is assumed normalized.
-	const { id, file, reportPath, status, projectRoot } = args;
+	const { id, file, reportPath, status, projectRoot, tag } = args;
 
 	log.info(
 		`Showing task direct function. ID: ${id}, File: ${file}, Status Filter: ${status}, ProjectRoot: ${projectRoot}`
@@ -56,18 +56,12 @@ export async function showTaskDirect(args, log) {
 
 	// --- Rest of the function remains the same, using tasksJsonPath ---
 	try {
-		const tasksData = readJSON(tasksJsonPath);
-		if (!tasksData || !tasksData.tasks) {
-			return {
-				success: false,
-				error: { code: 'INVALID_TASKS_DATA', message: 'Invalid tasks data' }
-			};
-		}
+		const tasks = readTaskWithDependencies(tasksJsonPath, id, tag);
 
 		const complexityReport = readComplexityReport(reportPath);
 
 		const { task, originalSubtaskCount } = findTaskById(
-			tasksData.tasks,
+			tasks,
 			id,
 			complexityReport,
 			status
@@ -0,0 +1,58 @@
+/**
+ * Direct function wrapper for startTimer
+ */
+
+import { startTimer } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Start a timer on a task or subtask
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID
+ * @param {string} [args.by] - Who is working (defaults to the MCP client)
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function startTimerDirect(args, log) {
+	const { tasksJsonPath, id, by, tag } = args;
+
+	if (!tasksJsonPath || !id) {
+		log.error('startTimerDirect called without tasksJsonPath or id');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and id are required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const result = await withFileLock(tasksJsonPath, () =>
+			startTimer(tasksJsonPath, id, { by, tag })
+		);
+		disableSilentMode();
+
+		const message = `Timer started on ${result.taskId} for ${result.by}`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error starting timer: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'START_TIMER_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
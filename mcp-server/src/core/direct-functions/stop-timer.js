@@ -0,0 +1,58 @@
+/**
+ * Direct function wrapper for stopTimer
+ */
+
+import { stopTimer } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { withFileLock } from '../../../../scripts/modules/file-lock.js';
+
+/**
+ * Stop a running timer and record the work session
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.id] - Task or subtask ID; omit to stop whichever timer is running
+ * @param {string} [args.by] - Whose timer to stop (defaults to the MCP client)
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function stopTimerDirect(args, log) {
+	const { tasksJsonPath, id, by, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('stopTimerDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const result = await withFileLock(tasksJsonPath, () =>
+			stopTimer(tasksJsonPath, id || null, { by, tag })
+		);
+		disableSilentMode();
+
+		const message = `Recorded ${result.minutes} minute(s) on ${result.taskId} (${result.totalMinutes} in total)`;
+		log.info(message);
+		return { success: true, data: { message, ...result } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error stopping timer: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'STOP_TIMER_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,64 @@
+/**
+ * Direct function wrapper for getTaskImpact
+ */
+
+import { getTaskImpact } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * List everything downstream of tasks and what removing, deferring or cancelling them would do
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID(s), comma-separated
+ * @param {string} [args.tag] - Tag of the task list to use
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function taskImpactDirect(args, log) {
+	const { tasksJsonPath, id, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('taskImpactDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'Task ID is required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const impact = getTaskImpact(tasksJsonPath, id, { tag });
+		disableSilentMode();
+
+		log.info(
+			`${impact.dependents.length} task(s) depend on ${impact.taskIds.join(', ')}`
+		);
+		return { success: true, data: impact };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error analyzing task impact: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'TASK_IMPACT_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
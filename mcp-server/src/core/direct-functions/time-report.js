@@ -0,0 +1,58 @@
+/**
+ * Direct function wrapper for getTimeReport
+ */
+
+import { getTimeReport } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Aggregate tracked time by task, status and tag
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.reportPath] - Path to the complexity report to compare with
+ * @param {string} [args.tag] - Only report this tag (defaults to all tags)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function timeReportDirect(args, log) {
+	const { tasksJsonPath, reportPath, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('timeReportDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		enableSilentMode();
+		const report = getTimeReport(tasksJsonPath, {
+			tag,
+			complexityReportPath: reportPath
+		});
+		disableSilentMode();
+
+		log.info(
+			`Time report: ${report.totalMinutes} minute(s) over ${report.tasks.length} task(s)`
+		);
+		return { success: true, data: report };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error building time report: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'TIME_REPORT_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
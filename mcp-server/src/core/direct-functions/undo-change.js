@@ -0,0 +1,61 @@
+/**
+ * Direct function wrapper for undoChange
+ */
+
+import { undoChange } from '../../../../scripts/modules/history.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Revert the most recent recorded change to a tasks file
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.force] - Undo even if the file was modified outside the history
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function undoChangeDirect(args, log) {
+	const { tasksJsonPath, force } = args;
+
+	if (!tasksJsonPath) {
+		log.error('undoChangeDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Undoing last change to ${tasksJsonPath}`);
+
+		enableSilentMode();
+		const entry = await undoChange(tasksJsonPath, { force: !!force });
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				message:
+					`Undid change #${entry.id}: ${entry.operation} ${entry.details}`.trim(),
+				change: entry,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error undoing change: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'UNDO_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -27,7 +27,7 @@ import { createLogWrapper } from '../../tools/utils.js';
 export async function updateSubtaskByIdDirect(args, log, context = {}) {
 	const { session } = context;
 	// Destructure expected args, including projectRoot
-	const { tasksJsonPath, id, prompt, research, projectRoot } = args;
+	const { tasksJsonPath, id, prompt, research, projectRoot, tag } = args;
 
 	const logWrapper = createLogWrapper(log);
 
@@ -117,6 +117,7 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
 					mcpLog: logWrapper,
 					session,
 					projectRoot,
+					tag,
 					commandName: 'update-subtask',
 					outputType: 'mcp'
 				},
@@ -141,7 +142,7 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
 				data: {
 					message: `Successfully updated subtask with ID ${subtaskIdStr}`,
 					subtaskId: subtaskIdStr,
-					parentId: subtaskIdStr.split('.')[0],
+					parentId: subtaskIdStr.slice(0, subtaskIdStr.lastIndexOf('.')),
 					subtask: coreResult.updatedSubtask,
 					tasksPath,
 					useResearch,
@@ -17,17 +17,32 @@ import { createLogWrapper } from '../../tools/utils.js';
  * @param {Object} args - Command arguments containing id, prompt, useResearch, tasksJsonPath, and projectRoot.
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
  * @param {string} args.id - Task ID (or subtask ID like "1.2").
- * @param {string} args.prompt - New information/context prompt.
+ * @param {string} [args.prompt] - New information/context prompt (required unless fields are given).
+ * @param {Object} [args.fields] - Custom field values to set by name.
+ * @param {string|null} [args.dueDate] - New due date (null or '' clears it).
+ * @param {string|null} [args.startDate] - New start date (null or '' clears it).
  * @param {boolean} [args.research] - Whether to use research role.
+ * @param {boolean} [args.stream] - Stream the AI response and report the task and its subtasks as they are generated.
  * @param {string} [args.projectRoot] - Project root path.
  * @param {Object} log - Logger object.
- * @param {Object} context - Context object containing session data.
+ * @param {Object} context - Context object containing session data and, when streaming, the MCP reportProgress callback.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function updateTaskByIdDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, reportProgress } = context;
 	// Destructure expected args, including projectRoot
-	const { tasksJsonPath, id, prompt, research, projectRoot } = args;
+	const {
+		tasksJsonPath,
+		id,
+		prompt,
+		fields,
+		dueDate,
+		startDate,
+		research,
+		stream,
+		projectRoot,
+		tag
+	} = args;
 
 	const logWrapper = createLogWrapper(log);
 
@@ -59,7 +74,11 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
 			};
 		}
 
-		if (!prompt) {
+		const hasFields =
+			(fields && Object.keys(fields).length > 0) ||
+			dueDate !== undefined ||
+			startDate !== undefined;
+		if (!prompt && !hasFields) {
 			const errorMessage =
 				'No prompt specified. Please provide a prompt with new information for the task update.';
 			logWrapper.error(errorMessage);
@@ -119,6 +138,12 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
 					mcpLog: logWrapper,
 					session,
 					projectRoot,
+					tag,
+					customFields: fields,
+					dueDate,
+					startDate,
+					stream,
+					reportProgress,
 					commandName: 'update-task',
 					outputType: 'mcp'
 				},
@@ -18,7 +18,7 @@ import fs from 'fs';
  */
 export async function validateDependenciesDirect(args, log) {
 	// Destructure the explicit tasksJsonPath
-	const { tasksJsonPath } = args;
+	const { tasksJsonPath, tag } = args;
 
 	if (!tasksJsonPath) {
 		log.error('validateDependenciesDirect called without tasksJsonPath');
@@ -52,7 +52,10 @@ export async function validateDependenciesDirect(args, log) {
 		enableSilentMode();
 
 		// Call the original command function using the provided tasksPath
-		await validateDependenciesCommand(tasksPath);
+		const { valid, issues, cycles } = await validateDependenciesCommand(
+			tasksPath,
+			{ tag }
+		);
 
 		// Restore normal logging
 		disableSilentMode();
@@ -60,8 +63,13 @@ export async function validateDependenciesDirect(args, log) {
 		return {
 			success: true,
 			data: {
-				message: 'Dependencies validated successfully',
-				tasksPath
+				message: valid
+					? 'Dependencies validated successfully'
+					: `Found ${issues.length} dependency issue(s)`,
+				tasksPath,
+				valid,
+				issues,
+				cycles
 			}
 		};
 	} catch (error) {
@@ -30,6 +30,26 @@ import { addDependencyDirect } from './direct-functions/add-dependency.js';
 import { removeTaskDirect } from './direct-functions/remove-task.js';
 import { initializeProjectDirect } from './direct-functions/initialize-project.js';
 import { modelsDirect } from './direct-functions/models.js';
+import { undoChangeDirect } from './direct-functions/undo-change.js';
+import { redoChangeDirect } from './direct-functions/redo-change.js';
+import { getHistoryDirect } from './direct-functions/get-history.js';
+import { getTaskHistoryDirect } from './direct-functions/get-task-history.js';
+import { assignTaskDirect } from './direct-functions/assign-task.js';
+import { claimTaskDirect } from './direct-functions/claim-task.js';
+import { getReadyTasksDirect } from './direct-functions/get-ready-tasks.js';
+import { setEstimateDirect } from './direct-functions/set-estimate.js';
+import {
+	addMilestoneDirect,
+	addToMilestoneDirect,
+	removeFromMilestoneDirect,
+	deleteMilestoneDirect,
+	getMilestonesDirect
+} from './direct-functions/milestones.js';
+import { startTimerDirect } from './direct-functions/start-timer.js';
+import { stopTimerDirect } from './direct-functions/stop-timer.js';
+import { timeReportDirect } from './direct-functions/time-report.js';
+import { executionPlanDirect } from './direct-functions/execution-plan.js';
+import { taskImpactDirect } from './direct-functions/task-impact.js';
 
 // Re-export utility functions
 export { findTasksJsonPath } from './utils/path-utils.js';
@@ -60,7 +80,25 @@ export const directFunctions = new Map([
 	['addDependencyDirect', addDependencyDirect],
 	['removeTaskDirect', removeTaskDirect],
 	['initializeProjectDirect', initializeProjectDirect],
-	['modelsDirect', modelsDirect]
+	['modelsDirect', modelsDirect],
+	['undoChangeDirect', undoChangeDirect],
+	['redoChangeDirect', redoChangeDirect],
+	['getHistoryDirect', getHistoryDirect],
+	['getTaskHistoryDirect', getTaskHistoryDirect],
+	['assignTaskDirect', assignTaskDirect],
+	['claimTaskDirect', claimTaskDirect],
+	['getReadyTasksDirect', getReadyTasksDirect],
+	['setEstimateDirect', setEstimateDirect],
+	['addMilestoneDirect', addMilestoneDirect],
+	['addToMilestoneDirect', addToMilestoneDirect],
+	['removeFromMilestoneDirect', removeFromMilestoneDirect],
+	['deleteMilestoneDirect', deleteMilestoneDirect],
+	['getMilestonesDirect', getMilestonesDirect],
+	['startTimerDirect', startTimerDirect],
+	['stopTimerDirect', stopTimerDirect],
+	['timeReportDirect', timeReportDirect],
+	['executionPlanDirect', executionPlanDirect],
+	['taskImpactDirect', taskImpactDirect]
 ]);
 
 // Re-export all direct function implementations
@@ -89,5 +127,23 @@ export {
 	addDependencyDirect,
 	removeTaskDirect,
 	initializeProjectDirect,
-	modelsDirect
+	modelsDirect,
+	undoChangeDirect,
+	redoChangeDirect,
+	getHistoryDirect,
+	getTaskHistoryDirect,
+	assignTaskDirect,
+	claimTaskDirect,
+	getReadyTasksDirect,
+	setEstimateDirect,
+	addMilestoneDirect,
+	addToMilestoneDirect,
+	removeFromMilestoneDirect,
+	deleteMilestoneDirect,
+	getMilestonesDirect,
+	startTimerDirect,
+	stopTimerDirect,
+	timeReportDirect,
+	executionPlanDirect,
+	taskImpactDirect
 };
@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import logger from './logger.js';
 import { registerTaskMasterTools } from './tools/index.js';
+import { identifyClient } from './tools/utils.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,7 +29,12 @@ class TaskMasterMCPServer {
 			port: options.port || 3000 // Default to 3000 if not provided
 		};
 
-		this.server = new FastMCP(this.options);
+		// Each connection gets its own session, so task changes made through
+		// tools are attributed to the client that made them
+		this.server = new FastMCP({
+			...this.options,
+			authenticate: identifyClient
+		});
 		this.initialized = false;
 
 		this.server.addResource({});
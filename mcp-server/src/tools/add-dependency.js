@@ -12,6 +12,7 @@ import {
 } from './utils.js';
 import { addDependencyDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
+import { DEPENDENCY_TYPES } from '../../../src/constants/dependency-types.js';
 
 /**
  * Register the addDependency tool with the MCP server
@@ -20,18 +21,35 @@ import { findTasksJsonPath } from '../core/utils/path-utils.js';
 export function registerAddDependencyTool(server) {
 	server.addTool({
 		name: 'add_dependency',
-		description: 'Add a dependency relationship between two tasks',
+		description:
+			'Add a dependency relationship between two tasks or subtasks. Subtasks may depend on subtasks of other tasks (e.g., 3.2 on 5.1).',
 		parameters: z.object({
-			id: z.string().describe('ID of task that will depend on another task'),
+			id: z
+				.string()
+				.describe(
+					'ID of the task or subtask that will depend on another (e.g., "3" or "3.2")'
+				),
 			dependsOn: z
 				.string()
-				.describe('ID of task that will become a dependency'),
+				.describe(
+					'ID of the task or subtask that will become a dependency (e.g., "5" or "5.1"). For a subtask, a plain number is a sibling subtask.'
+				),
+			type: z
+				.enum(DEPENDENCY_TYPES)
+				.optional()
+				.describe(
+					"Dependency type: 'blocks' (default) has to be done first, 'soft' should preferably be done first, 'relates' only links the tasks. Adding an existing dependency with another type changes its type."
+				),
 			file: z
 				.string()
 				.optional()
 				.describe(
 					'Absolute path to the tasks file (default: tasks/tasks.json)'
 				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -62,7 +80,9 @@ export function registerAddDependencyTool(server) {
 						tasksJsonPath: tasksJsonPath,
 						// Pass other relevant args
 						id: args.id,
-						dependsOn: args.dependsOn
+						dependsOn: args.dependsOn,
+						type: args.type,
+						tag: args.tag
 					},
 					log
 					// Remove context object
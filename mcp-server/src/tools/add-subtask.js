@@ -56,6 +56,10 @@ export function registerAddSubtaskTool(server) {
 				.boolean()
 				.optional()
 				.describe('Skip regenerating task files'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -88,7 +92,8 @@ export function registerAddSubtaskTool(server) {
 						details: args.details,
 						status: args.status,
 						dependencies: args.dependencies,
-						skipGenerate: args.skipGenerate
+						skipGenerate: args.skipGenerate,
+						tag: args.tag
 					},
 					log
 				);
@@ -51,10 +51,28 @@ export function registerAddTaskTool(server) {
 				.string()
 				.optional()
 				.describe('Task priority (high, medium, low)'),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.array(z.string())]))
+				.optional()
+				.describe(
+					'Custom field values by name, for fields declared under customFields in .taskmasterconfig'
+				),
+			dueDate: z
+				.string()
+				.optional()
+				.describe('Due date as an ISO date (e.g., 2025-06-30)'),
+			startDate: z
+				.string()
+				.optional()
+				.describe('Date work on the task may start, as an ISO date'),
 			file: z
 				.string()
 				.optional()
 				.describe('Path to the tasks file (default: tasks/tasks.json)'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.'),
@@ -92,8 +110,12 @@ export function registerAddTaskTool(server) {
 						testStrategy: args.testStrategy,
 						dependencies: args.dependencies,
 						priority: args.priority,
+						fields: args.fields,
+						dueDate: args.dueDate,
+						startDate: args.startDate,
 						research: args.research,
-						projectRoot: args.projectRoot
+						projectRoot: args.projectRoot,
+						tag: args.tag
 					},
 					log,
 					{ session }
@@ -0,0 +1,77 @@
+/**
+ * tools/assign-task.js
+ * Tool for assigning tasks to someone or removing their assignee
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { assignTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the assign_task tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAssignTaskTool(server) {
+	server.addTool({
+		name: 'assign_task',
+		description:
+			'Assign tasks or subtasks to someone without a lease, or remove their assignee or claim. Use claim_task to reserve work for a limited time.',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe(
+					"Task or subtask ID(s), comma-separated (e.g., '15' or '15,16.2')"
+				),
+			assignee: z
+				.string()
+				.optional()
+				.describe('Who to assign the tasks to. Omit to unassign them.'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Assigning tasks with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await assignTaskDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						assignee: args.assignee,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error assigning task');
+			} catch (error) {
+				log.error(`Error in assign_task tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -0,0 +1,83 @@
+/**
+ * tools/claim-task.js
+ * Tool for claiming a task for a limited time
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { claimTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the claim_task tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerClaimTaskTool(server) {
+	server.addTool({
+		name: 'claim_task',
+		description:
+			'Atomically claim a task or subtask before working on it. Fails if someone else holds it. The claim lapses after a lease (global.claimLeaseMinutes, 60 by default) unless renewed by claiming again.',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe("Task or subtask ID to claim (e.g., '15' or '15.2')"),
+			assignee: z
+				.string()
+				.describe(
+					'Who claims the task. Use a name unique to this agent or session.'
+				),
+			leaseMinutes: z
+				.number()
+				.positive()
+				.optional()
+				.describe('Minutes until the claim lapses'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Claiming task with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await claimTaskDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						assignee: args.assignee,
+						leaseMinutes: args.leaseMinutes,
+						tag: args.tag,
+						projectRoot: args.projectRoot
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error claiming task');
+			} catch (error) {
+				log.error(`Error in claim_task tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
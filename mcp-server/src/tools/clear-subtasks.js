@@ -33,6 +33,10 @@ export function registerClearSubtasksTool(server) {
 					.describe(
 						'Absolute path to the tasks file (default: tasks/tasks.json)'
 					),
+				tag: z
+					.string()
+					.optional()
+					.describe('Tag of the task list to use (defaults to the active tag)'),
 				projectRoot: z
 					.string()
 					.describe('The directory of the project. Must be an absolute path.')
@@ -63,7 +67,8 @@ export function registerClearSubtasksTool(server) {
 					{
 						tasksJsonPath: tasksJsonPath,
 						id: args.id,
-						all: args.all
+						all: args.all,
+						tag: args.tag
 					},
 					log
 				);
@@ -0,0 +1,84 @@
+/**
+ * tools/execution-plan.js
+ * Tool for ordering open tasks into parallel waves with the critical path
+ */
+
+import { z } from 'zod';
+import path from 'path';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { executionPlanDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the get_execution_plan tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerExecutionPlanTool(server) {
+	server.addTool({
+		name: 'get_execution_plan',
+		description:
+			'Order the open tasks and subtasks by their dependencies into waves that can run in parallel, and compute the critical path and the slack of each task, weighted by estimates or complexity scores. Use it to decide which tasks parallel agents should take: critical tasks (slack 0) first.',
+		parameters: z.object({
+			weight: z
+				.enum(['auto', 'estimate', 'complexity', 'count'])
+				.optional()
+				.describe(
+					'What a task weighs: its estimate, its complexity score, 1 each (count), or auto (estimates if any, else complexity scores, else count)'
+				),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report, relative to the project root (default: scripts/task-complexity-report.json)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Building execution plan with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await executionPlanDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						reportPath: path.resolve(
+							args.projectRoot,
+							args.complexityReport || 'scripts/task-complexity-report.json'
+						),
+						weight: args.weight,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error building execution plan');
+			} catch (error) {
+				log.error(`Error in get_execution_plan tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -21,7 +21,11 @@ export function registerExpandTaskTool(server) {
 		name: 'expand_task',
 		description: 'Expand a task into subtasks for detailed implementation',
 		parameters: z.object({
-			id: z.string().describe('ID of task to expand'),
+			id: z
+				.string()
+				.describe(
+					'ID of task to expand, or of a subtask (e.g. "5.2") to break it down further'
+				),
 			num: z.string().optional().describe('Number of subtasks to generate'),
 			research: z
 				.boolean()
@@ -38,6 +42,10 @@ export function registerExpandTaskTool(server) {
 				.describe(
 					'Path to the tasks file relative to project root (e.g., tasks/tasks.json)'
 				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.'),
@@ -45,9 +53,15 @@ export function registerExpandTaskTool(server) {
 				.boolean()
 				.optional()
 				.default(false)
-				.describe('Force expansion even if subtasks exist')
+				.describe('Force expansion even if subtasks exist'),
+			stream: z
+				.boolean()
+				.optional()
+				.describe(
+					'Stream the AI response and send a progress notification for each subtask as it is generated'
+				)
 		}),
-		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+		execute: withNormalizedProjectRoot(async (args, { log, ...context }) => {
 			try {
 				log.info(`Starting expand-task with args: ${JSON.stringify(args)}`);
 
@@ -73,10 +87,12 @@ export function registerExpandTaskTool(server) {
 						research: args.research,
 						prompt: args.prompt,
 						force: args.force,
-						projectRoot: args.projectRoot
+						stream: args.stream,
+						projectRoot: args.projectRoot,
+						tag: args.tag
 					},
 					log,
-					{ session }
+					{ session: context.session, reportProgress: context.reportProgress }
 				);
 
 				return handleApiResult(result, log, 'Error expanding task');
@@ -11,6 +11,7 @@ import {
 } from './utils.js';
 import { fixDependenciesDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
+import { CYCLE_FIX_STRATEGIES } from '../../../scripts/modules/dependency-manager.js';
 
 /**
  * Register the fixDependencies tool with the MCP server
@@ -22,6 +23,16 @@ export function registerFixDependenciesTool(server) {
 		description: 'Fix invalid dependencies in tasks automatically',
 		parameters: z.object({
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			strategy: z
+				.enum(CYCLE_FIX_STRATEGIES)
+				.optional()
+				.describe(
+					"Which dependency to remove to break a cycle: 'auto' (default) the last one found, 'recent' the one added most recently, 'priority' the one on the lowest-priority task"
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -46,7 +57,9 @@ export function registerFixDependenciesTool(server) {
 
 				const result = await fixDependenciesDirect(
 					{
-						tasksJsonPath: tasksJsonPath
+						tasksJsonPath: tasksJsonPath,
+						tag: args.tag,
+						strategy: args.strategy
 					},
 					log
 				);
@@ -28,6 +28,10 @@ export function registerGenerateTool(server) {
 				.string()
 				.optional()
 				.describe('Output directory (default: same directory as tasks file)'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -57,7 +61,8 @@ export function registerGenerateTool(server) {
 				const result = await generateTaskFilesDirect(
 					{
 						tasksJsonPath: tasksJsonPath,
-						outputDir: outputDir
+						outputDir: outputDir,
+						tag: args.tag
 					},
 					log
 				);
@@ -0,0 +1,72 @@
+/**
+ * tools/get-history.js
+ * Tool for listing the changes recorded in the task history
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { getHistoryDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getHistory tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetHistoryTool(server) {
+	server.addTool({
+		name: 'get_history',
+		description:
+			'List the recorded changes to the tasks file, newest first, and whether undo/redo are currently possible.',
+		parameters: z.object({
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			limit: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('Maximum number of changes to return'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Getting history with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getHistoryDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						limit: args.limit
+					},
+					log
+				);
+
+				if (!result.success) {
+					log.error(`Failed to get history: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting history');
+			} catch (error) {
+				log.error(`Error in get-history tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -0,0 +1,122 @@
+/**
+ * tools/get-ready-tasks.js
+ * Tool to get several tasks that can be worked on in parallel
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { getReadyTasksDirect } from '../core/task-master-core.js';
+import {
+	findTasksJsonPath,
+	findComplexityReportPath
+} from '../core/utils/path-utils.js';
+
+/**
+ * Register the get_ready_tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetReadyTasksTool(server) {
+	server.addTool({
+		name: 'get_ready_tasks',
+		description:
+			'Get up to `count` eligible tasks or subtasks that agents can work on in parallel, best first. Items that conflict with a better one are left out: subtasks of the same task, or items sharing a value of the `files` or `component` custom fields. With `claim`, the items are claimed for `assignee` in one atomic write, so agents asking at the same time get different work.',
+		parameters: z.object({
+			count: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('How many tasks to return (default: 1)'),
+			assignee: z
+				.string()
+				.optional()
+				.describe(
+					'Who the tasks are for: skips tasks and subtasks assigned to or claimed by someone else. Required with claim; use a name unique to this agent or session.'
+				),
+			claim: z
+				.boolean()
+				.optional()
+				.describe('Claim the returned tasks for the assignee'),
+			leaseMinutes: z
+				.number()
+				.positive()
+				.optional()
+				.describe('Minutes until the claims lapse'),
+			milestone: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe(
+					'ID of a milestone or epic: only consider its tasks and their subtasks'
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report file (relative to project root or absolute)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Getting ready tasks with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				let complexityReportPath;
+				try {
+					complexityReportPath = findComplexityReportPath(
+						args.projectRoot,
+						args.complexityReport,
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding complexity report: ${error.message}`);
+				}
+
+				const result = await getReadyTasksDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						count: args.count,
+						assignee: args.assignee,
+						claim: args.claim,
+						leaseMinutes: args.leaseMinutes,
+						milestone: args.milestone,
+						reportPath: complexityReportPath,
+						tag: args.tag,
+						projectRoot: args.projectRoot
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error getting ready tasks');
+			} catch (error) {
+				log.error(`Error in get_ready_tasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
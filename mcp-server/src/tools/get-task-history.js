@@ -0,0 +1,84 @@
+/**
+ * tools/get-task-history.js
+ * Tool for querying the audit log of task changes
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { getTaskHistoryDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getTaskHistory tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetTaskHistoryTool(server) {
+	server.addTool({
+		name: 'get_task_history',
+		description:
+			'Get the audit log of changes to a task: when it changed, who changed it (CLI user or MCP client), which command did it, and the before/after value of every changed field.',
+		parameters: z.object({
+			id: z
+				.string()
+				.optional()
+				.describe(
+					'Task ID (e.g. "12" or "12.3"). Changes to its subtasks are included. Omit to get changes to all tasks.'
+				),
+			limit: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('Maximum number of log entries to return'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Getting task history with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getTaskHistoryDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						tag: args.tag,
+						limit: args.limit
+					},
+					log
+				);
+
+				if (!result.success) {
+					log.error(`Failed to get task history: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting task history');
+			} catch (error) {
+				log.error(`Error in get-task-history tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
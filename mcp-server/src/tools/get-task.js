@@ -59,6 +59,10 @@ export function registerShowTaskTool(server) {
 				.describe(
 					'Path to the complexity report file (relative to project root or absolute)'
 				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.optional()
@@ -108,7 +112,8 @@ export function registerShowTaskTool(server) {
 						// Pass other relevant args
 						id: id,
 						status: status,
-						projectRoot: projectRoot
+						projectRoot: projectRoot,
+						tag: args.tag
 					},
 					log
 				);
@@ -35,6 +35,18 @@ export function registerListTasksTool(server) {
 				.describe(
 					'Include subtasks nested within their parent tasks in the response'
 				),
+			fields: z
+				.record(z.union([z.string(), z.number()]))
+				.optional()
+				.describe(
+					'Only return tasks whose custom fields have these values (an empty string matches tasks without the field)'
+				),
+			milestone: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('ID of a milestone or epic: only return and count its tasks'),
 			file: z
 				.string()
 				.optional()
@@ -47,6 +59,10 @@ export function registerListTasksTool(server) {
 				.describe(
 					'Path to the complexity report file (relative to project root or absolute)'
 				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -85,7 +101,11 @@ export function registerListTasksTool(server) {
 						tasksJsonPath: tasksJsonPath,
 						status: args.status,
 						withSubtasks: args.withSubtasks,
-						reportPath: complexityReportPath
+						reportPath: complexityReportPath,
+						fields: args.fields,
+						milestone: args.milestone,
+						projectRoot: args.projectRoot,
+						tag: args.tag
 					},
 					log
 				);
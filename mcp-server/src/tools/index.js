@@ -27,6 +27,26 @@ import { registerComplexityReportTool } from './complexity-report.js';
 import { registerAddDependencyTool } from './add-dependency.js';
 import { registerRemoveTaskTool } from './remove-task.js';
 import { registerModelsTool } from './models.js';
+import { registerUndoTool } from './undo.js';
+import { registerRedoTool } from './redo.js';
+import { registerGetHistoryTool } from './get-history.js';
+import { registerGetTaskHistoryTool } from './get-task-history.js';
+import { registerAssignTaskTool } from './assign-task.js';
+import { registerClaimTaskTool } from './claim-task.js';
+import { registerGetReadyTasksTool } from './get-ready-tasks.js';
+import { registerSetEstimateTool } from './set-estimate.js';
+import {
+	registerAddMilestoneTool,
+	registerAddToMilestoneTool,
+	registerRemoveFromMilestoneTool,
+	registerDeleteMilestoneTool,
+	registerGetMilestonesTool
+} from './milestones.js';
+import { registerStartTimerTool } from './start-timer.js';
+import { registerStopTimerTool } from './stop-timer.js';
+import { registerTimeReportTool } from './time-report.js';
+import { registerExecutionPlanTool } from './execution-plan.js';
+import { registerTaskImpactTool } from './task-impact.js';
 
 /**
  * Register all Task Master tools with the MCP server
@@ -71,6 +91,50 @@ export function registerTaskMasterTools(server) {
 		registerGenerateTool(server);
 		logger.debug('Generate Tool registered.');
 
+		logger.debug('Registering Assign Task Tool...');
+		registerAssignTaskTool(server);
+		logger.debug('Assign Task Tool registered.');
+
+		logger.debug('Registering Claim Task Tool...');
+		registerClaimTaskTool(server);
+		logger.debug('Claim Task Tool registered.');
+
+		logger.debug('Registering Get Ready Tasks Tool...');
+		registerGetReadyTasksTool(server);
+		logger.debug('Get Ready Tasks Tool registered.');
+
+		logger.debug('Registering Milestone Tools...');
+		registerAddMilestoneTool(server);
+		registerAddToMilestoneTool(server);
+		registerRemoveFromMilestoneTool(server);
+		registerDeleteMilestoneTool(server);
+		registerGetMilestonesTool(server);
+		logger.debug('Milestone Tools registered.');
+
+		logger.debug('Registering Set Estimate Tool...');
+		registerSetEstimateTool(server);
+		logger.debug('Set Estimate Tool registered.');
+
+		logger.debug('Registering Start Timer Tool...');
+		registerStartTimerTool(server);
+		logger.debug('Start Timer Tool registered.');
+
+		logger.debug('Registering Stop Timer Tool...');
+		registerStopTimerTool(server);
+		logger.debug('Stop Timer Tool registered.');
+
+		logger.debug('Registering Time Report Tool...');
+		registerTimeReportTool(server);
+		logger.debug('Time Report Tool registered.');
+
+		logger.debug('Registering Execution Plan Tool...');
+		registerExecutionPlanTool(server);
+		logger.debug('Execution Plan Tool registered.');
+
+		logger.debug('Registering Task Impact Tool...');
+		registerTaskImpactTool(server);
+		logger.debug('Task Impact Tool registered.');
+
 		// Group 4: Task Creation & Modification
 		logger.debug('Registering Add Task Tool...');
 		registerAddTaskTool(server);
@@ -134,6 +198,23 @@ export function registerTaskMasterTools(server) {
 		registerFixDependenciesTool(server);
 		logger.debug('Fix Dependencies Tool registered.');
 
+		// Group 7: Change History
+		logger.debug('Registering Get History Tool...');
+		registerGetHistoryTool(server);
+		logger.debug('Get History Tool registered.');
+
+		logger.debug('Registering Undo Tool...');
+		registerUndoTool(server);
+		logger.debug('Undo Tool registered.');
+
+		logger.debug('Registering Redo Tool...');
+		registerRedoTool(server);
+		logger.debug('Redo Tool registered.');
+
+		logger.debug('Registering Get Task History Tool...');
+		registerGetTaskHistoryTool(server);
+		logger.debug('Get Task History Tool registered.');
+
 		logger.info('All Task Master tools registered successfully.');
 	} catch (error) {
 		logger.error(`Error registering Task Master tools: ${error.message}`);
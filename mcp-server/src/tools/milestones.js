@@ -0,0 +1,337 @@
+/**
+ * tools/milestones.js
+ * Tools for managing and viewing milestones and epics
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import {
+	addMilestoneDirect,
+	addToMilestoneDirect,
+	removeFromMilestoneDirect,
+	deleteMilestoneDirect,
+	getMilestonesDirect
+} from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+import { MILESTONE_TYPES } from '../../../src/constants/milestone-types.js';
+
+/**
+ * Register the add_milestone tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddMilestoneTool(server) {
+	server.addTool({
+		name: 'add_milestone',
+		description:
+			'Group top-level tasks into a milestone or epic with an optional target date. Use get_milestones to follow its progress and next_task with milestone to work on it.',
+		parameters: z.object({
+			title: z.string().describe('Title of the milestone'),
+			taskIds: z
+				.array(z.number().int().positive())
+				.optional()
+				.describe('IDs of the top-level tasks it contains'),
+			targetDate: z
+				.string()
+				.optional()
+				.describe('Target date as an ISO date, e.g. 2025-06-30'),
+			type: z
+				.enum(MILESTONE_TYPES)
+				.optional()
+				.describe('Kind of group (default: milestone)'),
+			description: z
+				.string()
+				.optional()
+				.describe('Description of the milestone'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Adding milestone with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await addMilestoneDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						title: args.title,
+						taskIds: args.taskIds,
+						targetDate: args.targetDate,
+						type: args.type,
+						description: args.description,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error adding milestone');
+			} catch (error) {
+				log.error(`Error in add_milestone tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
+
+/**
+ * Register the add_to_milestone tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddToMilestoneTool(server) {
+	server.addTool({
+		name: 'add_to_milestone',
+		description:
+			'Add top-level tasks to an existing milestone or epic. Tasks it already holds are left as they are.',
+		parameters: z.object({
+			id: z.number().int().positive().describe('ID of the milestone'),
+			taskIds: z
+				.array(z.number().int().positive())
+				.min(1)
+				.describe('IDs of the top-level tasks to add'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(
+					`Adding tasks to milestone with args: ${JSON.stringify(args)}`
+				);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await addToMilestoneDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						taskIds: args.taskIds,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error adding tasks to milestone');
+			} catch (error) {
+				log.error(`Error in add_to_milestone tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
+
+/**
+ * Register the remove_from_milestone tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveFromMilestoneTool(server) {
+	server.addTool({
+		name: 'remove_from_milestone',
+		description:
+			'Remove tasks from a milestone or epic. The tasks themselves are kept.',
+		parameters: z.object({
+			id: z.number().int().positive().describe('ID of the milestone'),
+			taskIds: z
+				.array(z.number().int().positive())
+				.min(1)
+				.describe('IDs of the tasks to remove from the milestone'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(
+					`Removing tasks from milestone with args: ${JSON.stringify(args)}`
+				);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await removeFromMilestoneDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						taskIds: args.taskIds,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error removing tasks from milestone'
+				);
+			} catch (error) {
+				log.error(`Error in remove_from_milestone tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
+
+/**
+ * Register the delete_milestone tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerDeleteMilestoneTool(server) {
+	server.addTool({
+		name: 'delete_milestone',
+		description: 'Delete a milestone or epic. Its tasks are kept.',
+		parameters: z.object({
+			id: z.number().int().positive().describe('ID of the milestone'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Deleting milestone with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await deleteMilestoneDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error deleting milestone');
+			} catch (error) {
+				log.error(`Error in delete_milestone tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
+
+/**
+ * Register the get_milestones tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetMilestonesTool(server) {
+	server.addTool({
+		name: 'get_milestones',
+		description:
+			'List the milestones and epics of a task list with their target date and progress, or get one milestone with its tasks.',
+		parameters: z.object({
+			id: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('ID of a milestone to get with its tasks'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Getting milestones with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getMilestonesDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error getting milestones');
+			} catch (error) {
+				log.error(`Error in get_milestones tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
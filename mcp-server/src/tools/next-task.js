@@ -32,6 +32,36 @@ export function registerNextTaskTool(server) {
 				.describe(
 					'Path to the complexity report file (relative to project root or absolute)'
 				),
+			assignee: z
+				.string()
+				.optional()
+				.describe(
+					'Find the next task for this assignee: skips tasks and subtasks assigned to or claimed by someone else'
+				),
+			milestone: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe(
+					'ID of a milestone or epic: only consider its tasks and their subtasks'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			explain: z
+				.boolean()
+				.optional()
+				.describe(
+					'Also return the score breakdown of the best candidates, to see why the next task was chosen'
+				),
+			candidates: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('How many candidates to explain (default: 5)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -68,7 +98,13 @@ export function registerNextTaskTool(server) {
 				const result = await nextTaskDirect(
 					{
 						tasksJsonPath: tasksJsonPath,
-						reportPath: complexityReportPath
+						reportPath: complexityReportPath,
+						assignee: args.assignee,
+						milestone: args.milestone,
+						tag: args.tag,
+						explain: args.explain,
+						candidates: args.candidates,
+						projectRoot: args.projectRoot
 					},
 					log
 				);
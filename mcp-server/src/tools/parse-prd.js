@@ -49,11 +49,21 @@ export function registerParsePRDTool(server) {
 				.optional()
 				.default(false)
 				.describe('Append generated tasks to existing file.'),
+			stream: z
+				.boolean()
+				.optional()
+				.describe(
+					'Stream the AI response and send a progress notification for each task as it is generated'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
 		}),
-		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+		execute: withNormalizedProjectRoot(async (args, { log, ...context }) => {
 			const toolName = 'parse_prd';
 			try {
 				log.info(
@@ -68,10 +78,12 @@ export function registerParsePRDTool(server) {
 						numTasks: args.numTasks,
 						force: args.force,
 						append: args.append,
-						projectRoot: args.projectRoot
+						stream: args.stream,
+						projectRoot: args.projectRoot,
+						tag: args.tag
 					},
 					log,
-					{ session }
+					{ session: context.session, reportProgress: context.reportProgress }
 				);
 
 				log.info(
@@ -0,0 +1,74 @@
+/**
+ * tools/redo.js
+ * Tool for redoing changes recorded in the task history
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { redoChangeDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the redo tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRedoTool(server) {
+	server.addTool({
+		name: 'redo',
+		description:
+			'Re-apply the most recently undone change to the tasks file. Task files are not regenerated; run generate afterwards if needed.',
+		parameters: z.object({
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			force: z
+				.boolean()
+				.optional()
+				.describe(
+					'Redo even if the tasks file was modified since the undo (discards those modifications)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Redo called with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await redoChangeDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to redo change: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error redoing change');
+			} catch (error) {
+				log.error(`Error in redo tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
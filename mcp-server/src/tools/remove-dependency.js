@@ -19,16 +19,22 @@ import { findTasksJsonPath } from '../core/utils/path-utils.js';
 export function registerRemoveDependencyTool(server) {
 	server.addTool({
 		name: 'remove_dependency',
-		description: 'Remove a dependency from a task',
+		description: 'Remove a dependency from a task or subtask',
 		parameters: z.object({
-			id: z.string().describe('Task ID to remove dependency from'),
-			dependsOn: z.string().describe('Task ID to remove as a dependency'),
+			id: z.string().describe('Task or subtask ID to remove dependency from'),
+			dependsOn: z
+				.string()
+				.describe('Task or subtask ID to remove as a dependency'),
 			file: z
 				.string()
 				.optional()
 				.describe(
 					'Absolute path to the tasks file (default: tasks/tasks.json)'
 				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -57,7 +63,8 @@ export function registerRemoveDependencyTool(server) {
 					{
 						tasksJsonPath: tasksJsonPath,
 						id: args.id,
-						dependsOn: args.dependsOn
+						dependsOn: args.dependsOn,
+						tag: args.tag
 					},
 					log
 				);
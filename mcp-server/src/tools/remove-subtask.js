@@ -42,6 +42,10 @@ export function registerRemoveSubtaskTool(server) {
 				.boolean()
 				.optional()
 				.describe('Skip regenerating task files'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -69,7 +73,8 @@ export function registerRemoveSubtaskTool(server) {
 						tasksJsonPath: tasksJsonPath,
 						id: args.id,
 						convert: args.convert,
-						skipGenerate: args.skipGenerate
+						skipGenerate: args.skipGenerate,
+						tag: args.tag
 					},
 					log
 				);
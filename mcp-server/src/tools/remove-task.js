@@ -27,6 +27,10 @@ export function registerRemoveTaskTool(server) {
 					"ID of the task or subtask to remove (e.g., '5' or '5.2'). Can be comma-separated to update multiple tasks/subtasks at once."
 				),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.'),
@@ -58,7 +62,8 @@ export function registerRemoveTaskTool(server) {
 				const result = await removeTaskDirect(
 					{
 						tasksJsonPath: tasksJsonPath,
-						id: args.id
+						id: args.id,
+						tag: args.tag
 					},
 					log
 				);
@@ -0,0 +1,78 @@
+/**
+ * tools/set-estimate.js
+ * Tool for setting the effort estimate of tasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { setEstimateDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the set_estimate tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetEstimateTool(server) {
+	server.addTool({
+		name: 'set_estimate',
+		description:
+			'Set the effort estimate of tasks or subtasks in hours (3h, 2.5 hours) or story points (5pt, 8 points). Omit the estimate to remove it. Compare estimates with tracked time using time_report.',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe(
+					"Task or subtask ID(s), comma-separated (e.g., '15' or '15.2,16')"
+				),
+			estimate: z
+				.string()
+				.nullable()
+				.optional()
+				.describe('Estimate like 3h or 5pt (a bare number counts as hours)'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Setting estimate with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await setEstimateDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						estimate: args.estimate,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error setting estimate');
+			} catch (error) {
+				log.error(`Error in set_estimate tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
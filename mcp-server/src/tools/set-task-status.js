@@ -33,6 +33,10 @@ export function registerSetTaskStatusTool(server) {
 					"New status to set (e.g., 'pending', 'done', 'in-progress', 'review', 'deferred', 'cancelled'."
 				),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -59,7 +63,8 @@ export function registerSetTaskStatusTool(server) {
 					{
 						tasksJsonPath: tasksJsonPath,
 						id: args.id,
-						status: args.status
+						status: args.status,
+						tag: args.tag
 					},
 					log
 				);
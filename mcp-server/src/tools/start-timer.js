@@ -0,0 +1,75 @@
+/**
+ * tools/start-timer.js
+ * Tool for starting a timer on a task
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { startTimerDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the start_timer tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerStartTimerTool(server) {
+	server.addTool({
+		name: 'start_timer',
+		description:
+			'Start tracking time on a task or subtask. Each worker runs one timer at a time; call stop_timer when the work is done.',
+		parameters: z.object({
+			id: z.string().describe("Task or subtask ID (e.g., '15' or '15.2')"),
+			by: z
+				.string()
+				.optional()
+				.describe(
+					'Who is working. Use a name unique to this agent or session (defaults to the MCP client).'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting timer with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await startTimerDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						by: args.by,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error starting timer');
+			} catch (error) {
+				log.error(`Error in start_timer tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
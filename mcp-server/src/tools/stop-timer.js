@@ -0,0 +1,80 @@
+/**
+ * tools/stop-timer.js
+ * Tool for stopping a running timer
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { stopTimerDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the stop_timer tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerStopTimerTool(server) {
+	server.addTool({
+		name: 'stop_timer',
+		description:
+			'Stop a running timer started with start_timer and record the work session on the task.',
+		parameters: z.object({
+			id: z
+				.string()
+				.optional()
+				.describe(
+					'Task or subtask ID (defaults to whichever task the timer runs on)'
+				),
+			by: z
+				.string()
+				.optional()
+				.describe(
+					'Who is working. Use a name unique to this agent or session (defaults to the MCP client).'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Stopping timer with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await stopTimerDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						by: args.by,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error stopping timer');
+			} catch (error) {
+				log.error(`Error in stop_timer tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
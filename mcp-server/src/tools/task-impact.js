@@ -0,0 +1,72 @@
+/**
+ * tools/task-impact.js
+ * Tool for listing everything downstream of a task before changing it
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { taskImpactDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the get_task_impact tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerTaskImpactTool(server) {
+	server.addTool({
+		name: 'get_task_impact',
+		description:
+			'List the tasks and subtasks that depend on a task, directly or transitively, which of them removing the task would unblock, which would stay blocked if it were deferred or cancelled, and the share of the project at risk. Check it before removing, deferring or cancelling a task.',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe(
+					'ID of the task or subtask (e.g., "5" or "5.2"), or comma-separated IDs'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Analyzing task impact with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await taskImpactDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error analyzing task impact');
+			} catch (error) {
+				log.error(`Error in get_task_impact tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
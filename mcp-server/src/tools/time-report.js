@@ -0,0 +1,77 @@
+/**
+ * tools/time-report.js
+ * Tool for aggregating tracked time
+ */
+
+import { z } from 'zod';
+import path from 'path';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { timeReportDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the time_report tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerTimeReportTool(server) {
+	server.addTool({
+		name: 'time_report',
+		description:
+			'Aggregate tracked time by task, status and tag, next to the estimate of each task and its score from the complexity report (with hours per complexity point).',
+		parameters: z.object({
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report, relative to the project root (default: scripts/task-complexity-report.json)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Only report this tag (defaults to all tags)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Building time report with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await timeReportDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						reportPath: path.resolve(
+							args.projectRoot,
+							args.complexityReport || 'scripts/task-complexity-report.json'
+						),
+						tag: args.tag
+					},
+					log
+				);
+
+				return handleApiResult(result, log, 'Error building time report');
+			} catch (error) {
+				log.error(`Error in time_report tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
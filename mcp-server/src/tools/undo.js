@@ -0,0 +1,74 @@
+/**
+ * tools/undo.js
+ * Tool for undoing changes recorded in the task history
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { undoChangeDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the undo tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUndoTool(server) {
+	server.addTool({
+		name: 'undo',
+		description:
+			'Revert the most recent recorded change to the tasks file (status changes, added/removed tasks, expansions, tag operations, ...). Task files are not regenerated; run generate afterwards if needed.',
+		parameters: z.object({
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			force: z
+				.boolean()
+				.optional()
+				.describe(
+					'Undo even if the tasks file was modified outside the recorded history (discards those modifications)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Undo called with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await undoChangeDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to undo change: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error undoing change');
+			} catch (error) {
+				log.error(`Error in undo tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -29,17 +29,52 @@ export function registerUpdateTaskTool(server) {
 				),
 			prompt: z
 				.string()
-				.describe('New information or context to incorporate into the task'),
+				.optional()
+				.describe(
+					'New information or context to incorporate into the task (required unless fields or dates are given)'
+				),
+			fields: z
+				.record(
+					z.union([z.string(), z.number(), z.array(z.string()), z.null()])
+				)
+				.optional()
+				.describe(
+					'Custom field values to set by name; null or an empty string clears a field'
+				),
+			dueDate: z
+				.string()
+				.nullable()
+				.optional()
+				.describe(
+					'New due date as an ISO date; null or an empty string clears it'
+				),
+			startDate: z
+				.string()
+				.nullable()
+				.optional()
+				.describe(
+					'New start date as an ISO date; null or an empty string clears it'
+				),
 			research: z
 				.boolean()
 				.optional()
 				.describe('Use Perplexity AI for research-backed updates'),
+			stream: z
+				.boolean()
+				.optional()
+				.describe(
+					'Stream the AI response and send a progress notification as the task and its subtasks are generated'
+				),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
 		}),
-		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+		execute: withNormalizedProjectRoot(async (args, { log, ...context }) => {
 			const toolName = 'update_task';
 			try {
 				log.info(
@@ -66,11 +101,16 @@ export function registerUpdateTaskTool(server) {
 						tasksJsonPath: tasksJsonPath,
 						id: args.id,
 						prompt: args.prompt,
+						fields: args.fields,
+						dueDate: args.dueDate,
+						startDate: args.startDate,
 						research: args.research,
-						projectRoot: args.projectRoot
+						stream: args.stream,
+						projectRoot: args.projectRoot,
+						tag: args.tag
 					},
 					log,
-					{ session }
+					{ session: context.session, reportProgress: context.reportProgress }
 				);
 
 				// 4. Handle Result
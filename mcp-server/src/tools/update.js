@@ -38,6 +38,10 @@ export function registerUpdateTool(server) {
 				.string()
 				.optional()
 				.describe('Path to the tasks file relative to project root'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.optional()
@@ -71,7 +75,8 @@ export function registerUpdateTool(server) {
 						from: from,
 						prompt: prompt,
 						research: research,
-						projectRoot: projectRoot
+						projectRoot: projectRoot,
+						tag: args.tag
 					},
 					log,
 					{ session }
@@ -7,6 +7,7 @@ import { spawnSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import { contextManager } from '../core/context-manager.js'; // Import the singleton
+import { runAsActor } from '../../../scripts/modules/audit-log.js';
 
 // Import path utilities to ensure consistent path resolution
 import {
@@ -575,9 +576,37 @@ function getRawProjectRootFromSession(session, log) {
 	}
 }
 
+// Request header an MCP client can set to name itself in the audit log
+const CLIENT_NAME_HEADER = 'x-taskmaster-client';
+
+/**
+ * FastMCP authenticate hook: builds the session object every tool call of a
+ * connection receives as context.session, naming the client that opened it
+ * (the X-Taskmaster-Client header, else its User-Agent)
+ * @param {import('http').IncomingMessage} request - HTTP request opening the connection
+ * @returns {Promise<{ clientName: string|null }>} Session of the connection
+ */
+async function identifyClient(request) {
+	const header = (name) => {
+		const value = request?.headers?.[name];
+		return (Array.isArray(value) ? value[0] : value)?.trim() || null;
+	};
+	return { clientName: header(CLIENT_NAME_HEADER) || header('user-agent') };
+}
+
+/**
+ * Gets the audit log actor for changes made through an MCP tool call
+ * @param {Object} [session] - The call's session, from identifyClient
+ * @returns {{ type: 'mcp', name: string }}
+ */
+function getMcpActor(session) {
+	return { type: 'mcp', name: session?.clientName || 'unknown-client' };
+}
+
 /**
  * Higher-order function to wrap MCP tool execute methods.
  * Ensures args.projectRoot is present and normalized before execution.
+ * Task changes made by the tool are attributed to the MCP client.
  * @param {Function} executeFn - The original async execute(args, context) function.
  * @returns {Function} The wrapped async execute function.
  */
@@ -620,7 +649,9 @@ function withNormalizedProjectRoot(executeFn) {
 			const updatedArgs = { ...args, projectRoot: normalizedRoot };
 
 			// Execute the original function with normalized root in args
-			return await executeFn(updatedArgs, context);
+			return await runAsActor(getMcpActor(session), () =>
+				executeFn(updatedArgs, context)
+			);
 		} catch (error) {
 			log.error(
 				`Error within withNormalizedProjectRoot HOF (Normalized Root: ${normalizedRoot}): ${error.message}`
@@ -648,5 +679,6 @@ export {
 	createLogWrapper,
 	normalizeProjectRoot,
 	getRawProjectRootFromSession,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	identifyClient
 };
@@ -23,6 +23,10 @@ export function registerValidateDependenciesTool(server) {
 			'Check tasks for dependency issues (like circular references or links to non-existent tasks) without making changes.',
 		parameters: z.object({
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag of the task list to use (defaults to the active tag)'),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -47,7 +51,8 @@ export function registerValidateDependenciesTool(server) {
 
 				const result = await validateDependenciesDirect(
 					{
-						tasksJsonPath: tasksJsonPath
+						tasksJsonPath: tasksJsonPath,
+						tag: args.tag
 					},
 					log
 				);
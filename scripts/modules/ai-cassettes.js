@@ -0,0 +1,180 @@
+/**
+ * ai-cassettes.js
+ * Record/replay of AI service calls. In record mode every generateText,
+ * generateObject and streamText response of the unified AI service is stored
+ * as a JSON cassette keyed by a hash of the prompt; in replay mode responses
+ * are served from those cassettes and no provider is called, so AI commands
+ * can run offline and deterministically. Streams are recorded as their final
+ * text and usage and replayed as a stream of that text.
+ *
+ * The mode comes from TASKMASTER_AI_CASSETTES (record|replay) and the
+ * directory from TASKMASTER_CASSETTE_DIR, relative to the project root.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { log, resolveEnvVariable } from './utils.js';
+
+const CASSETTE_MODES = ['record', 'replay'];
+const DEFAULT_CASSETTE_DIR = path.join('.taskmaster', 'cassettes');
+
+/**
+ * Gets the cassette settings of a project
+ * @param {object|null} session - Optional MCP session object
+ * @param {string|null} projectRoot - Project root for .env lookup and the cassette directory
+ * @returns {{ mode: 'record'|'replay', dir: string }|null} Null when cassettes are off
+ */
+function getCassetteSettings(session = null, projectRoot = null) {
+	const mode = resolveEnvVariable(
+		'TASKMASTER_AI_CASSETTES',
+		session,
+		projectRoot
+	)
+		?.trim()
+		.toLowerCase();
+	if (!mode || mode === 'off') {
+		return null;
+	}
+	if (!CASSETTE_MODES.includes(mode)) {
+		log(
+			'warn',
+			`Ignoring TASKMASTER_AI_CASSETTES="${mode}". Use one of: ${CASSETTE_MODES.join(', ')}.`
+		);
+		return null;
+	}
+
+	const dir =
+		resolveEnvVariable('TASKMASTER_CASSETTE_DIR', session, projectRoot) ||
+		DEFAULT_CASSETTE_DIR;
+	return { mode, dir: path.resolve(projectRoot || process.cwd(), dir) };
+}
+
+/**
+ * Computes the cassette key of a call. Only what the model sees goes into the
+ * key, so a cassette replays regardless of the provider configured.
+ * @param {string} serviceType - 'generateText', 'generateObject' or 'streamText'
+ * @param {Array<{role: string, content: string}>} messages - Messages sent to the model
+ * @param {string} [objectName] - Object name of a generateObject call
+ * @returns {string} Hex SHA-256 of the prompt
+ */
+function getCassetteKey(serviceType, messages, objectName) {
+	return crypto
+		.createHash('sha256')
+		.update(
+			JSON.stringify({
+				serviceType,
+				objectName: serviceType === 'generateObject' ? objectName : undefined,
+				messages: messages.map(({ role, content }) => ({ role, content }))
+			})
+		)
+		.digest('hex');
+}
+
+function getCassettePath(dir, key) {
+	return path.join(dir, `${key}.json`);
+}
+
+/**
+ * Reads the recorded provider response of a call
+ * @param {string} dir - Cassette directory
+ * @param {string} key - Cassette key from getCassetteKey
+ * @param {string} commandName - Command making the call, for the error message
+ * @returns {object} The provider response ({ text|object, usage })
+ * @throws {Error} If no cassette was recorded for the key
+ */
+function readCassette(dir, key, commandName) {
+	const cassettePath = getCassettePath(dir, key);
+	if (!fs.existsSync(cassettePath)) {
+		throw new Error(
+			`No cassette recorded for this ${commandName || 'AI'} call (${key}) in ${dir}. Record it with TASKMASTER_AI_CASSETTES=record.`
+		);
+	}
+	const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+	log('debug', `Replaying AI response from ${cassettePath}`);
+	return cassette.response;
+}
+
+/**
+ * Stores the provider response of a call
+ * @param {string} dir - Cassette directory
+ * @param {string} key - Cassette key from getCassetteKey
+ * @param {object} cassette - Request details (commandName, serviceType, providerName, modelId, objectName, messages) and response
+ * @returns {string} Path of the cassette file
+ */
+function writeCassette(dir, key, cassette) {
+	const cassettePath = getCassettePath(dir, key);
+	fs.mkdirSync(dir, { recursive: true });
+	fs.writeFileSync(
+		cassettePath,
+		JSON.stringify({ key, ...cassette }, null, 2) + '\n'
+	);
+	log('debug', `Recorded AI response to ${cassettePath}`);
+	return cassettePath;
+}
+
+/**
+ * Reads the recorded response of a streamText call and serves it as a
+ * stream. Without a streamed cassette, the cassette of the same prompt sent
+ * to generateText is used, so calls recorded without streaming replay with it.
+ * @param {string} dir - Cassette directory
+ * @param {Array<{role: string, content: string}>} messages - Messages sent to the model
+ * @param {string} commandName - Command making the call, for the error message
+ * @returns {{ textStream: AsyncIterable<string>, text: Promise<string>, usage: Promise<object> }}
+ * @throws {Error} If neither cassette was recorded
+ */
+function readStreamCassette(dir, messages, commandName) {
+	const streamKey = getCassetteKey('streamText', messages);
+	const textKey = getCassetteKey('generateText', messages);
+	const key =
+		!fs.existsSync(getCassettePath(dir, streamKey)) &&
+		fs.existsSync(getCassettePath(dir, textKey))
+			? textKey
+			: streamKey;
+	const { text, usage } = readCassette(dir, key, commandName);
+	const chunks = text.match(/\S+\s*/g) || [];
+
+	return {
+		textStream: (async function* () {
+			yield* chunks;
+		})(),
+		text: Promise.resolve(text),
+		usage: Promise.resolve(usage)
+	};
+}
+
+/**
+ * Passes a stream through and records its final text and usage once it has
+ * been consumed to the end. A stream that breaks off is not recorded.
+ * @param {{ textStream: AsyncIterable<string>, usage: Promise<object> }} stream - Stream result
+ * @param {function({ text: string, usage: object }): void} record - Stores the response, e.g. with writeCassette
+ * @returns {object} The stream result, with a textStream that records
+ */
+function recordTextStream(stream, record) {
+	return {
+		textStream: (async function* () {
+			let text = '';
+			for await (const delta of stream.textStream) {
+				text += delta;
+				yield delta;
+			}
+			record({ text, usage: await stream.usage });
+		})(),
+		get text() {
+			return stream.text;
+		},
+		get usage() {
+			return stream.usage;
+		}
+	};
+}
+
+export {
+	getCassetteSettings,
+	getCassetteKey,
+	readCassette,
+	writeCassette,
+	readStreamCassette,
+	recordTextStream
+};
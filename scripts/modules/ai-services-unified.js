@@ -7,6 +7,7 @@
 // import { generateText, streamText, generateObject } from 'ai';
 
 // --- Core Dependencies ---
+import path from 'path';
 import {
 	getMainProvider,
 	getMainModelId,
@@ -18,19 +19,43 @@ import {
 	getUserId,
 	MODEL_MAP,
 	getDebugFlag,
-	getBaseUrlForRole
+	getBaseUrlForRole,
+	getOllamaBaseUrl,
+	loadProviderPlugins,
+	getProviderPlugin
 } from './config-manager.js';
-import { log, resolveEnvVariable, isSilentMode } from './utils.js';
+import {
+	log,
+	resolveEnvVariable,
+	isSilentMode,
+	parsePartialJson
+} from './utils.js';
+import {
+	getCassetteSettings,
+	getCassetteKey,
+	readCassette,
+	writeCassette,
+	readStreamCassette,
+	recordTextStream
+} from './ai-cassettes.js';
 
 import * as openai from '../../src/ai-providers/openai.js';
+import * as ollama from '../../src/ai-providers/ollama.js';
+import * as azure from '../../src/ai-providers/azure.js';
+import * as mistral from '../../src/ai-providers/mistral.js';
+import * as xai from '../../src/ai-providers/xai.js';
+import * as mock from '../../src/ai-providers/mock.js';
 
 
 
 
 
 // Helper function to get cost for a specific model
-function _getCostForModel(providerName, modelId) {
-	if (!MODEL_MAP || !MODEL_MAP[providerName]) {
+function _getCostForModel(providerName, modelId, projectRoot = null) {
+	const providerModels =
+		MODEL_MAP?.[providerName] ||
+		getProviderPlugin(providerName, projectRoot)?.models;
+	if (!providerModels) {
 		log(
 			'warn',
 			`Provider "${providerName}" not found in MODEL_MAP. Cannot determine cost for model ${modelId}.`
@@ -38,7 +63,7 @@ function _getCostForModel(providerName, modelId) {
 		return { inputCost: 0, outputCost: 0, currency: 'USD' }; // Default to zero cost
 	}
 
-	const modelData = MODEL_MAP[providerName].find((m) => m.id === modelId);
+	const modelData = providerModels.find((m) => m.id === modelId);
 
 	if (!modelData || !modelData.cost_per_1m_tokens) {
 		log(
@@ -59,17 +84,39 @@ function _getCostForModel(providerName, modelId) {
 }
 
 // --- Provider Function Map ---
-// Maps provider names (lowercase) to their respective service functions
+// Maps provider names (lowercase) to their respective service functions.
+// Provider plugins from .taskmasterconfig are looked up with getProviderPlugin.
 const PROVIDER_FUNCTIONS = {
 	openai: {
 		generateText: openai.generateOpenAIText,
 		streamText: openai.streamOpenAIText,
 		generateObject: openai.generateOpenAIObject
 	},
-	
-	
-	
-	
+	ollama: {
+		generateText: ollama.generateOllamaText,
+		streamText: ollama.streamOllamaText,
+		generateObject: ollama.generateOllamaObject
+	},
+	azure: {
+		generateText: azure.generateAzureText,
+		streamText: azure.streamAzureText,
+		generateObject: azure.generateAzureObject
+	},
+	mistral: {
+		generateText: mistral.generateMistralText,
+		streamText: mistral.streamMistralText,
+		generateObject: mistral.generateMistralObject
+	},
+	xai: {
+		generateText: xai.generateXaiText,
+		streamText: xai.streamXaiText,
+		generateObject: xai.generateXaiObject
+	},
+	mock: {
+		generateText: mock.generateMockText,
+		streamText: mock.streamMockText,
+		generateObject: mock.generateMockObject
+	}
 };
 
 // --- Configuration for Retries ---
@@ -143,24 +190,32 @@ function _extractErrorMessage(error) {
  * @param {string} providerName - The name of the provider (lowercase).
  * @param {object|null} session - Optional MCP session object.
  * @param {string|null} projectRoot - Optional project root path for .env fallback.
- * @returns {string|null} The API key or null if not found/needed.
+ * @returns {string|null|undefined} The API key, null if it is not set, or
+ *   undefined for a provider plugin that needs none.
  * @throws {Error} If a required API key is missing.
  */
 function _resolveApiKey(providerName, session, projectRoot = null) {
 	const keyMap = {
 		openai: 'OPENAI_API_KEY',
-		
-		
-		
-
+		azure: 'AZURE_OPENAI_API_KEY',
+		mistral: 'MISTRAL_API_KEY',
+		xai: 'XAI_API_KEY'
 	};
 
-	const envVarName = keyMap[providerName];
+	const plugin = getProviderPlugin(providerName, projectRoot);
+	if (plugin && !plugin.apiKeyEnvVar) {
+		return undefined; // The plugin needs no key
+	}
+
+	const envVarName = plugin ? plugin.apiKeyEnvVar : keyMap[providerName];
 	if (!envVarName) {
 		// Ollama does not require an API key, so it's not in keyMap
 		if (providerName === 'ollama') {
 			return 'ollama-no-key-required'; // Special value for Ollama
 		}
+		if (providerName === 'mock') {
+			return 'mock-no-key-required'; // The mock provider never calls out
+		}
 		throw new Error(
 			`Unknown provider '${providerName}' for API key resolution.`
 		);
@@ -175,6 +230,80 @@ function _resolveApiKey(providerName, session, projectRoot = null) {
 	return apiKey;
 }
 
+// The "endpoint" of the mock provider is its fixture file
+function _resolveMockFixtures(fixturesPath, projectRoot) {
+	return fixturesPath
+		? path.resolve(projectRoot || process.cwd(), fixturesPath)
+		: undefined;
+}
+
+/**
+ * Internal helper to resolve the endpoint for a given provider and role.
+ * A baseUrl configured for the role wins; otherwise Ollama uses the global
+ * ollamaBaseUrl and the other providers their endpoint environment variable,
+ * if any. For the mock provider the endpoint is the path of its fixture file.
+ * @param {string} providerName - The name of the provider (lowercase).
+ * @param {string} role - The role being called (main, research, fallback).
+ * @param {object|null} session - Optional MCP session object.
+ * @param {string|null} projectRoot - Optional project root path for .env fallback.
+ * @returns {string|undefined} The endpoint, or undefined for the provider's default.
+ */
+function _resolveBaseUrl(providerName, role, session, projectRoot = null) {
+	const roleBaseUrl = getBaseUrlForRole(role, projectRoot);
+	if (roleBaseUrl) {
+		return providerName === 'mock'
+			? _resolveMockFixtures(roleBaseUrl, projectRoot)
+			: roleBaseUrl;
+	}
+	if (providerName === 'ollama') {
+		return getOllamaBaseUrl(projectRoot);
+	}
+
+	const endpointMap = {
+		azure: 'AZURE_OPENAI_ENDPOINT',
+		mistral: 'MISTRAL_BASE_URL',
+		xai: 'XAI_BASE_URL',
+		mock: 'TASKMASTER_MOCK_FIXTURES'
+	};
+	const envVarName =
+		getProviderPlugin(providerName, projectRoot)?.baseUrlEnvVar ||
+		endpointMap[providerName];
+	const endpoint =
+		(envVarName && resolveEnvVariable(envVarName, session, projectRoot)) ||
+		undefined;
+	return providerName === 'mock'
+		? _resolveMockFixtures(endpoint, projectRoot)
+		: endpoint;
+}
+
+/**
+ * Gives the stream result of a provider the usage fields of the other
+ * services: its usage resolves to { inputTokens, outputTokens } instead of
+ * the AI SDK's { promptTokens, completionTokens }. Its fields are only read
+ * when asked for, so a broken stream does not leave a rejected promise behind.
+ * @param {object} stream - Stream result of the provider's streamText function.
+ * @returns {{ textStream: AsyncIterable<string>, text: Promise<string>, usage: Promise<object> }}
+ */
+function _normalizeStreamResult(stream) {
+	return {
+		get textStream() {
+			return stream.textStream;
+		},
+		get text() {
+			return stream.text;
+		},
+		get usage() {
+			return Promise.resolve(stream.usage).then(
+				(usage) =>
+					usage && {
+						inputTokens: usage.promptTokens,
+						outputTokens: usage.completionTokens
+					}
+			);
+		}
+	};
+}
+
 /**
  * Internal helper to attempt a provider-specific AI API call with retries.
  *
@@ -284,6 +413,7 @@ async function _unifiedServiceRunner(serviceType, params) {
 	// Determine the effective project root (passed in or detected if needed by config getters)
 	const { findProjectRoot: detectProjectRoot } = await import('./utils.js'); // Dynamically import if needed
 	const effectiveProjectRoot = projectRoot || detectProjectRoot();
+	await loadProviderPlugins(effectiveProjectRoot);
 
 	// Get userId from config - ensure effectiveProjectRoot is passed
 	const userId = getUserId(effectiveProjectRoot);
@@ -330,42 +460,13 @@ async function _unifiedServiceRunner(serviceType, params) {
 
 		// Get parameters for the initial role (main, research, or fallback)
 		const roleParams = getParametersForRole(initialRole, effectiveProjectRoot);
-		const baseUrl = getBaseUrlForRole(initialRole, effectiveProjectRoot);
-
-		// Get Provider Function Set
-		const providerFnSet = PROVIDER_FUNCTIONS[providerName?.toLowerCase()];
-		if (!providerFnSet) {
-			log(
-				'error',
-				`Critical: Provider '${providerName}' not supported or map entry missing.`
-			);
-			throw new Error(`Unsupported provider configured: ${providerName}`);
-		}
-
-		// Use the original service type to get the function
-		const providerApiFn = providerFnSet[serviceType];
-		if (typeof providerApiFn !== 'function') {
-			log(
-				'error',
-				`Critical: Service type '${serviceType}' not implemented for provider '${providerName}'.`
-			);
-			throw new Error(
-				`Service '${serviceType}' not implemented for provider ${providerName}`
-			);
-		}
-
-		// Resolve API Key (will throw if required and missing)
-		const apiKey = _resolveApiKey(
+		const baseUrl = _resolveBaseUrl(
 			providerName?.toLowerCase(),
+			initialRole,
 			session,
 			effectiveProjectRoot
 		);
 
-		// If API key is null, it means it's required but not set.
-		if (apiKey === null) {
-			throw new Error(`API key missing for provider '${providerName}'.`);
-		}
-
 		// Construct Messages Array
 		const messages = [];
 		if (systemPrompt) {
@@ -380,26 +481,116 @@ async function _unifiedServiceRunner(serviceType, params) {
 			throw new Error('User prompt content is missing.');
 		}
 
-		// Prepare call parameters (using messages array)
-		const callParams = {
-			apiKey,
-			modelId,
-			maxTokens: roleParams.maxTokens,
-			temperature: roleParams.temperature,
-			messages,
-			baseUrl,
-			...(serviceType === 'generateObject' && { schema, objectName }),
-			...restApiParams
-		};
+		// Replayed calls never reach the provider, so they need no API key
+		const cassettes = getCassetteSettings(session, effectiveProjectRoot);
+		const cassetteKey =
+			cassettes && getCassetteKey(serviceType, messages, objectName);
+
+		let providerResponse;
+		if (cassettes?.mode === 'replay') {
+			providerResponse =
+				serviceType === 'streamText'
+					? readStreamCassette(cassettes.dir, messages, commandName)
+					: readCassette(cassettes.dir, cassetteKey, commandName);
+		} else {
+			// Get Provider Function Set
+			const providerFnSet =
+				PROVIDER_FUNCTIONS[providerName?.toLowerCase()] ||
+				getProviderPlugin(providerName?.toLowerCase(), effectiveProjectRoot);
+			if (!providerFnSet) {
+				log(
+					'error',
+					`Critical: Provider '${providerName}' not supported or map entry missing.`
+				);
+				throw new Error(`Unsupported provider configured: ${providerName}`);
+			}
 
-		// Attempt the call with retries
-		const providerResponse = await _attemptProviderCallWithRetries(
-			providerApiFn,
-			callParams,
-			providerName,
-			modelId,
-			initialRole // Use initialRole for logging consistency
-		);
+			// Use the original service type to get the function
+			const providerApiFn = providerFnSet[serviceType];
+			if (typeof providerApiFn !== 'function') {
+				log(
+					'error',
+					`Critical: Service type '${serviceType}' not implemented for provider '${providerName}'.`
+				);
+				throw new Error(
+					`Service '${serviceType}' not implemented for provider ${providerName}`
+				);
+			}
+
+			// Resolve API Key (will throw if required and missing)
+			const apiKey = _resolveApiKey(
+				providerName?.toLowerCase(),
+				session,
+				effectiveProjectRoot
+			);
+
+			// If API key is null, it means it's required but not set.
+			if (apiKey === null) {
+				throw new Error(`API key missing for provider '${providerName}'.`);
+			}
+
+			// Prepare call parameters (using messages array)
+			const callParams = {
+				apiKey,
+				modelId,
+				maxTokens: roleParams.maxTokens,
+				temperature: roleParams.temperature,
+				messages,
+				baseUrl,
+				...(serviceType === 'generateObject' && { schema, objectName }),
+				...restApiParams
+			};
+
+			// Attempt the call with retries
+			providerResponse = await _attemptProviderCallWithRetries(
+				providerApiFn,
+				callParams,
+				providerName,
+				modelId,
+				initialRole // Use initialRole for logging consistency
+			);
+			if (serviceType === 'streamText') {
+				providerResponse = _normalizeStreamResult(providerResponse);
+			}
+
+			if (cassettes?.mode === 'record') {
+				const record = (response) =>
+					writeCassette(cassettes.dir, cassetteKey, {
+						commandName,
+						serviceType,
+						providerName,
+						modelId,
+						...(serviceType === 'generateObject' && { objectName }),
+						messages,
+						response
+					});
+				// A stream is recorded once it has been consumed
+				if (serviceType === 'streamText') {
+					providerResponse = recordTextStream(providerResponse, record);
+				} else {
+					record(providerResponse);
+				}
+			}
+		}
+
+		// The usage of a stream is only known once it has been consumed, so its
+		// consumer logs the telemetry, with the context returned here
+		if (serviceType === 'streamText') {
+			return {
+				mainResult: providerResponse,
+				telemetryData: null,
+				telemetryContext: userId
+					? {
+							userId,
+							commandName,
+							providerName,
+							modelId,
+							outputType,
+							projectRoot: effectiveProjectRoot
+						}
+					: null
+			};
+		}
 
 		// --- Log Telemetry & Capture Data ---
 		if (userId && providerResponse && providerResponse.usage) {
@@ -411,7 +602,8 @@ async function _unifiedServiceRunner(serviceType, params) {
 					modelId,
 					inputTokens: providerResponse.usage.inputTokens,
 					outputTokens: providerResponse.usage.outputTokens,
-					outputType
+					outputType,
+					projectRoot: effectiveProjectRoot
 				});
 				// --- Extract the correct main result based on serviceType ---
 				let finalMainResult;
@@ -556,18 +748,114 @@ async function generateTextService(params) {
  * @param {string} [params.systemPrompt] - Optional system prompt.
  * @param {string} params.commandName - Name of the command invoking the service.
  * @param {string} [params.outputType='cli'] - 'cli' or 'mcp'.
- * @returns {Promise<object>} Result object containing the stream and usage data.
+ * @returns {Promise<object>} Result object containing the stream ({ textStream, text, usage }),
+ *   telemetryData null and the telemetryContext to pass to logAiUsage with the usage once the
+ *   stream has been consumed (null without a user ID).
  */
 async function streamTextService(params) {
 	const defaults = { outputType: 'cli' };
 	const combinedParams = { ...defaults, ...params };
 	// TODO: Validate commandName exists?
-	// NOTE: Telemetry for streaming might be tricky as usage data often comes at the end.
-	// The current implementation logs *after* the stream is returned.
-	// We might need to adjust how usage is captured/logged for streams.
 	return _unifiedServiceRunner('streamText', combinedParams);
 }
 
+// Every parse of a partial value reads the whole text received so far, so
+// the text is only parsed where a value may have completed, or after a pause
+const PARTIAL_JSON_BOUNDARY = /[\n}\]]/;
+const PARTIAL_JSON_INTERVAL_MS = 200;
+
+/**
+ * Unified service function for streaming a JSON response. The text is parsed
+ * while it arrives and each new partial value is passed to onPartial, e.g. to
+ * show generated tasks as soon as they are complete. The text is parsed again
+ * when a line, object or array ends, and at least every
+ * PARTIAL_JSON_INTERVAL_MS.
+ *
+ * If the stream breaks off and a schema is given, the response is generated
+ * again with generateObjectService; its object is passed to onPartial and
+ * returned as JSON text.
+ *
+ * @param {object} params - Parameters for the service call, as for streamTextService.
+ * @param {function(*): (void|Promise<void>)} [params.onPartial] - Called with every new partial JSON value.
+ * @param {import('zod').ZodSchema} [params.schema] - Schema of the response, to generate it without streaming if the stream fails.
+ * @param {string} [params.objectName='generated_object'] - Name for the object when generating it without streaming.
+ * @returns {Promise<object>} Result object containing the full response text and usage data, like generateTextService.
+ */
+async function streamJsonService(params) {
+	const { onPartial, schema, objectName, ...serviceParams } = params;
+	const { mainResult: stream, telemetryContext } =
+		await streamTextService(serviceParams);
+
+	let text = '';
+	let parsedLength = 0;
+	let lastParsedAt = Date.now();
+	let lastPartial;
+	let onPartialError = null;
+	const reportPartial = async () => {
+		parsedLength = text.length;
+		lastParsedAt = Date.now();
+		const partial = parsePartialJson(text);
+		const serialized = JSON.stringify(partial);
+		if (partial === undefined || serialized === lastPartial) {
+			return;
+		}
+		lastPartial = serialized;
+		try {
+			await onPartial(partial);
+		} catch (error) {
+			onPartialError = error;
+			throw error;
+		}
+	};
+
+	try {
+		for await (const delta of stream.textStream) {
+			text += delta;
+			if (
+				onPartial &&
+				(PARTIAL_JSON_BOUNDARY.test(delta) ||
+					Date.now() - lastParsedAt >= PARTIAL_JSON_INTERVAL_MS)
+			) {
+				await reportPartial();
+			}
+		}
+	} catch (error) {
+		// Errors of onPartial are the caller's, not the stream's
+		if (!schema || error === onPartialError) {
+			throw error;
+		}
+		log(
+			'warn',
+			`AI stream failed (${error.message}). Generating the response without streaming.`
+		);
+		const { mainResult: object, telemetryData } = await generateObjectService({
+			...serviceParams,
+			schema,
+			objectName: objectName || 'generated_object'
+		});
+		if (onPartial) {
+			await onPartial(object);
+		}
+		return { mainResult: JSON.stringify(object), telemetryData };
+	}
+	if (onPartial && parsedLength < text.length) {
+		await reportPartial();
+	}
+
+	// Usage is only known once the stream is consumed
+	let telemetryData = null;
+	if (telemetryContext) {
+		const usage = await stream.usage;
+		telemetryData = await logAiUsage({
+			...telemetryContext,
+			inputTokens: usage?.inputTokens,
+			outputTokens: usage?.outputTokens
+		});
+	}
+
+	return { mainResult: text, telemetryData };
+}
+
 /**
  * Unified service function for generating structured objects.
  * Handles client retrieval, retries, and fallback sequence.
@@ -607,6 +895,7 @@ async function generateObjectService(params) {
  * @param {string} params.modelId - The specific AI model ID used.
  * @param {number} params.inputTokens - Number of input tokens.
  * @param {number} params.outputTokens - Number of output tokens.
+ * @param {string} [params.projectRoot] - Project root, to find the costs of plugin models.
  */
 async function logAiUsage({
 	userId,
@@ -615,7 +904,8 @@ async function logAiUsage({
 	modelId,
 	inputTokens,
 	outputTokens,
-	outputType
+	outputType,
+	projectRoot
 }) {
 	try {
 		const isMCP = outputType === 'mcp';
@@ -625,7 +915,8 @@ async function logAiUsage({
 		// Destructure currency along with costs
 		const { inputCost, outputCost, currency } = _getCostForModel(
 			providerName,
-			modelId
+			modelId,
+			projectRoot
 		);
 
 		const totalCost =
@@ -664,6 +955,7 @@ async function logAiUsage({
 export {
 	generateTextService,
 	streamTextService,
+	streamJsonService,
 	generateObjectService,
 	logAiUsage
 };
@@ -0,0 +1,229 @@
+/**
+ * audit-log.js
+ * Append-only audit log of task changes. Each entry records who made the
+ * change (a CLI user or an MCP client), the command that made it and a
+ * field-level diff of every task it touched.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { findProjectRoot, readTaggedTasksFile } from './utils.js';
+import { upgradeTasksData } from './tasks-schema.js';
+
+const AUDIT_LOG_FILE = path.join('.taskmaster', 'audit.jsonl');
+
+// Actor of the operation running in the current async call chain. MCP tool
+// calls set it per request; anything else runs as the local CLI user.
+const currentActor = new AsyncLocalStorage();
+
+function getCliUser() {
+	try {
+		return os.userInfo().username;
+	} catch (error) {
+		return process.env.USER || process.env.USERNAME || 'unknown';
+	}
+}
+
+/**
+ * Gets the actor changes are currently attributed to
+ * @returns {{ type: 'cli'|'mcp', name: string }}
+ */
+function getCurrentActor() {
+	return currentActor.getStore() || { type: 'cli', name: getCliUser() };
+}
+
+/**
+ * Runs a function with all task changes it makes attributed to an actor
+ * @param {{ type: string, name: string }} actor - Who is making the changes
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runAsActor(actor, fn) {
+	return currentActor.run(actor, fn);
+}
+
+/**
+ * Resolves where the audit log of a tasks file is stored
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {{ logPath: string, file: string }}
+ */
+function getAuditLocation(tasksPath) {
+	const absoluteTasksPath = path.resolve(tasksPath);
+	const tasksDir = path.dirname(absoluteTasksPath);
+	const projectRoot = findProjectRoot(tasksDir) || tasksDir;
+	return {
+		logPath: path.join(projectRoot, AUDIT_LOG_FILE),
+		file: path.relative(projectRoot, absoluteTasksPath)
+	};
+}
+
+/**
+ * Parses the tags of a tasks file version. Older schema versions are
+ * upgraded first so that implicit format upgrades don't show up as changes.
+ */
+function parseTags(contents) {
+	if (!contents) {
+		return {};
+	}
+	try {
+		return upgradeTasksData(JSON.parse(contents)).data.tags || {};
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * Flattens a task tree into a map of dotted ID ("12", "12.3") to the task's
+ * own fields; subtasks are diffed as tasks of their own.
+ * @param {Array} tasks - Tasks (or subtasks) to flatten
+ * @param {string} [prefix] - Dotted ID of the parent
+ * @param {Map} [result] - Map being filled
+ * @returns {Map<string, Object>}
+ */
+function flattenTasks(tasks, prefix = '', result = new Map()) {
+	(tasks || []).forEach((task) => {
+		const id = prefix ? `${prefix}.${task.id}` : String(task.id);
+		const { subtasks, ...fields } = task;
+		result.set(id, fields);
+		flattenTasks(subtasks, id, result);
+	});
+	return result;
+}
+
+function diffFields(before = {}, after = {}) {
+	const fields = {};
+	new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+		if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+			fields[key] = { before: before[key] ?? null, after: after[key] ?? null };
+		}
+	});
+	return fields;
+}
+
+/**
+ * Computes the task-level changes between two versions of a tasks file
+ * @param {string|null} before - File contents before the change
+ * @param {string|null} after - File contents after the change
+ * @returns {Array<{ tag: string, taskId: string, action: 'created'|'updated'|'deleted', fields: Object }>}
+ */
+function diffTasks(before, after) {
+	const beforeTags = parseTags(before);
+	const afterTags = parseTags(after);
+	const changes = [];
+
+	new Set([...Object.keys(beforeTags), ...Object.keys(afterTags)]).forEach(
+		(tag) => {
+			const oldTasks = flattenTasks(beforeTags[tag]?.tasks);
+			const newTasks = flattenTasks(afterTags[tag]?.tasks);
+
+			new Set([...oldTasks.keys(), ...newTasks.keys()]).forEach((taskId) => {
+				const fields = diffFields(oldTasks.get(taskId), newTasks.get(taskId));
+				if (Object.keys(fields).length === 0) {
+					return;
+				}
+				let action = 'updated';
+				if (!oldTasks.has(taskId)) action = 'created';
+				else if (!newTasks.has(taskId)) action = 'deleted';
+				changes.push({ tag, taskId, action, fields });
+			});
+		}
+	);
+
+	return changes;
+}
+
+/**
+ * Appends an entry for the task changes made by one operation. Operations
+ * that touched no task (e.g. switching tags) are not logged.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} command - Command that made the change
+ * @param {string} details - Short summary of the command arguments
+ * @param {string|null} before - File contents before the operation
+ * @param {string|null} after - File contents after the operation
+ * @returns {Object|null} The logged entry, or null if no task changed
+ */
+function recordAuditEntry(tasksPath, command, details, before, after) {
+	const changes = diffTasks(before, after);
+	if (changes.length === 0) {
+		return null;
+	}
+
+	const { logPath, file } = getAuditLocation(tasksPath);
+	const entry = {
+		timestamp: new Date().toISOString(),
+		actor: getCurrentActor(),
+		command,
+		details,
+		file,
+		taskIds: [...new Set(changes.map((c) => c.taskId))],
+		changes
+	};
+
+	fs.mkdirSync(path.dirname(logPath), { recursive: true });
+	// A single append of one line keeps concurrent writers from interleaving
+	fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+	return entry;
+}
+
+/**
+ * Reads the audit log of a tasks file, newest first
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Filters
+ * @param {string|number} [options.id] - Only changes to this task (and its subtasks)
+ * @param {string} [options.tag] - Only changes to tasks of this tag. Defaults
+ *   to the active tag when filtering by task ID, since IDs are per tag.
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {{ file: string, tag: string|null, entries: Array<Object> }}
+ */
+function getAuditLog(tasksPath, options = {}) {
+	const { logPath, file } = getAuditLocation(tasksPath);
+	const taskId =
+		options.id !== undefined && options.id !== null ? String(options.id) : null;
+	const tag =
+		options.tag || (taskId ? readTaggedTasksFile(tasksPath).currentTag : null);
+	const matchesChange = (change) =>
+		(!tag || change.tag === tag) &&
+		(!taskId ||
+			change.taskId === taskId ||
+			change.taskId.startsWith(`${taskId}.`));
+
+	const lines = fs.existsSync(logPath)
+		? fs.readFileSync(logPath, 'utf8').split('\n')
+		: [];
+	const entries = [];
+	for (let i = lines.length - 1; i >= 0; i--) {
+		if (!lines[i].trim()) continue;
+
+		let entry;
+		try {
+			entry = JSON.parse(lines[i]);
+		} catch (error) {
+			// Skip a line left incomplete by an interrupted write
+			continue;
+		}
+		if (entry.file !== file) continue;
+
+		const changes = entry.changes.filter(matchesChange);
+		if (changes.length === 0) continue;
+
+		entries.push({
+			...entry,
+			taskIds: [...new Set(changes.map((c) => c.taskId))],
+			changes
+		});
+		if (options.limit && entries.length >= options.limit) break;
+	}
+
+	return { file, tag, entries };
+}
+
+export {
+	getCurrentActor,
+	runAsActor,
+	diffTasks,
+	recordAuditEntry,
+	getAuditLog
+};
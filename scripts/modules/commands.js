@@ -30,16 +30,47 @@ import {
 	updateSubtaskById,
 	removeTask,
 	findTaskById,
-	taskExists
+	taskExists,
+	createTag,
+	copyTag,
+	deleteTag,
+	useTag,
+	listTags,
+	migrateTasks,
+	exportTasks,
+	importTasks,
+	assignTask,
+	unassignTask,
+	claimTask,
+	getAgenda,
+	setEstimate,
+	startTimer,
+	stopTimer,
+	getTimeReport,
+	getExecutionPlan,
+	exportDependencyGraph,
+	getTaskImpact,
+	getReadyTasks,
+	addMilestone,
+	addTasksToMilestone,
+	removeTasksFromMilestone,
+	deleteMilestone,
+	listMilestones,
+	getMilestone
 } from './task-manager.js';
 
 import {
 	addDependency,
 	removeDependency,
 	validateDependenciesCommand,
-	fixDependenciesCommand
+	fixDependenciesCommand,
+	CYCLE_FIX_STRATEGIES
 } from './dependency-manager.js';
 
+import { getHistory, undoChange, redoChange } from './history.js';
+import { getAuditLog, getCurrentActor } from './audit-log.js';
+import { formatEstimate, formatDuration } from './task-time.js';
+
 import {
 	isApiKeySet,
 	getDebugFlag,
@@ -47,7 +78,8 @@ import {
 	writeConfig,
 	ConfigurationError,
 	isConfigFilePresent,
-	getAvailableModels
+	getAvailableModels,
+	loadProviderPlugins
 } from './config-manager.js';
 
 import {
@@ -63,7 +95,17 @@ import {
 	displayModelConfiguration,
 	displayAvailableModels,
 	displayApiKeyStatus,
-	displayAiUsageSummary
+	displayAiUsageSummary,
+	displayTagList,
+	displayAgenda,
+	displayTimeReport,
+	displayExecutionPlan,
+	displayReadyTasks,
+	displayMilestones,
+	displayMilestone,
+	displayTaskImpact,
+	displayHistory,
+	displayAuditLog
 } from './ui.js';
 
 import { initializeProject } from '../init.js';
@@ -78,6 +120,11 @@ import {
 	isValidTaskStatus,
 	TASK_STATUS_OPTIONS
 } from '../../src/constants/task-status.js';
+import {
+	isValidDependencyType,
+	DEPENDENCY_TYPES
+} from '../../src/constants/dependency-types.js';
+import { MILESTONE_TYPES } from '../../src/constants/milestone-types.js';
 import { getTaskMasterVersion } from '../../src/utils/getVersion.js';
 /**
  * Runs the interactive setup process for model configuration.
@@ -114,7 +161,7 @@ async function runInteractiveSetup(projectRoot) {
 	// Helper to get choices and default index for a role
 	const getPromptData = (role, allowNone = false) => {
 		const currentModel = currentModels[role]; // Use the fetched data
-		const allModelsRaw = getAvailableModels(); // Get all available models
+		const allModelsRaw = getAvailableModels(projectRoot); // Get all available models
 
 		// Manually group models by provider
 		const modelsByProvider = allModelsRaw.reduce((acc, model) => {
@@ -374,6 +421,75 @@ async function runInteractiveSetup(projectRoot) {
 	// Let the main command flow continue to display results
 }
 
+/**
+ * Asks which dependency to remove to break a dependency cycle
+ * @param {Array<Object>} edges - Edges of the cycle (see describeDependencyCycle)
+ * @param {Object|null} suggested - Edge the --strategy would remove
+ * @returns {Promise<Object|null>} The chosen edge, or null to leave the cycles
+ */
+async function promptForCycleEdge(edges, suggested) {
+	console.log(
+		chalk.yellow(
+			`\nCircular dependency: ${[...edges.map((edge) => edge.from), edges[0].from].join(' → ')}`
+		)
+	);
+	const { edge } = await inquirer.prompt([
+		{
+			type: 'list',
+			name: 'edge',
+			message: 'Which dependency should be removed?',
+			choices: [
+				...edges
+					.filter((e) => e.heldBy)
+					.map((e) => ({
+						name: `${e.from} "${e.fromTitle}" waits on ${e.to} "${e.toTitle}" (${e.toPriority} priority, ${e.addedAt ? `added ${new Date(e.addedAt).toLocaleString()}` : 'added before the audit log'}${e.heldBy !== e.from ? `, inherited from task ${e.heldBy}` : ''})`,
+						value: e
+					})),
+				new inquirer.Separator(),
+				{ name: 'Leave the remaining cycles as they are', value: null }
+			],
+			default: suggested ? edges.filter((e) => e.heldBy).indexOf(suggested) : 0
+		}
+	]);
+	return edge;
+}
+
+/**
+ * Commander option parser collecting every occurrence of a repeatable option
+ * (e.g. --field sprint=12 --field component=api)
+ * @param {string} value - Value of this occurrence
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} All values
+ */
+function collectValues(value, previous = []) {
+	return [...previous, value];
+}
+
+/**
+ * Checks that a value is a task ID ("5") or a subtask ID ("5.2")
+ * @param {string} value - Value of a command option
+ * @returns {boolean} True if the value is a task or subtask ID
+ */
+function isTaskOrSubtaskId(value) {
+	return /^[1-9]\d*(\.[1-9]\d*)?$/.test(String(value ?? '').trim());
+}
+
+/**
+ * Analyzes the tasks downstream of tasks about to be removed, deferred or
+ * cancelled. Problems reading the tasks are left to the command itself.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} taskIds - Task or subtask ID(s), comma-separated
+ * @param {string} [tag] - Tag of the task list
+ * @returns {Object|null} Result of getTaskImpact, or null if it failed
+ */
+function readTaskImpact(tasksPath, taskIds, tag) {
+	try {
+		return getTaskImpact(tasksPath, taskIds, { tag });
+	} catch (error) {
+		return null;
+	}
+}
+
 /**
  * Configure and register CLI commands
  * @param {Object} program - Commander program instance
@@ -407,6 +523,8 @@ function registerCommands(programInstance) {
 			'--append',
 			'Append new tasks to existing tasks.json instead of overwriting'
 		)
+		.option('--stream', 'Stream the AI response, showing each task as it is generated')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (file, options) => {
 			// Use input option if file argument not provided
 			const inputFile = file || options.input;
@@ -444,10 +562,15 @@ function registerCommands(programInstance) {
 						if (!(await confirmOverwriteIfNeeded())) return;
 
 						console.log(chalk.blue(`Generating ${numTasks} tasks...`));
-						spinner = ora('Parsing PRD and generating tasks...\n').start();
+						spinner = ora({
+							text: 'Parsing PRD and generating tasks...\n',
+							isEnabled: !options.stream // Streamed tasks are printed instead
+						}).start();
 						await parsePRD(defaultPrdPath, outputPath, numTasks, {
 							append: useAppend, // Changed key from useAppend to append
-							force: useForce // Changed key from useForce to force
+							force: useForce, // Changed key from useForce to force
+							stream: options.stream,
+							tag: options.tag
 						});
 						spinner.succeed('Tasks generated successfully!');
 						return;
@@ -471,7 +594,8 @@ function registerCommands(programInstance) {
 								'  -o, --output <file>      Output file path (default: "tasks/tasks.json")\n' +
 								'  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n' +
 								'  -f, --force              Skip confirmation when overwriting existing tasks\n' +
-								'  --append                 Append new tasks to existing tasks.json instead of overwriting\n\n' +
+								'  --append                 Append new tasks to existing tasks.json instead of overwriting\n' +
+								'  --stream                 Show each task as it is generated\n\n' +
 								chalk.cyan('Example:') +
 								'\n' +
 								'  task-master parse-prd requirements.txt --num-tasks 15\n' +
@@ -506,10 +630,15 @@ function registerCommands(programInstance) {
 					console.log(chalk.blue('Appending to existing tasks...'));
 				}
 
-				spinner = ora('Parsing PRD and generating tasks...\n').start();
+				spinner = ora({
+					text: 'Parsing PRD and generating tasks...\n',
+					isEnabled: !options.stream
+				}).start();
 				await parsePRD(inputFile, outputPath, numTasks, {
-					useAppend: useAppend,
-					useForce: useForce
+					append: useAppend,
+					force: useForce,
+					stream: options.stream,
+					tag: options.tag
 				});
 				spinner.succeed('Tasks generated successfully!');
 			} catch (error) {
@@ -542,6 +671,7 @@ function registerCommands(programInstance) {
 			'-r, --research',
 			'Enable in-depth analysis for task updates'
 		)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const fromId = parseInt(options.from, 10); // Validation happens here
@@ -593,14 +723,10 @@ function registerCommands(programInstance) {
 				);
 			}
 
-			// Call core updateTasks, passing empty context for CLI
-			await updateTasks(
-				tasksPath,
-				fromId,
-				prompt,
-				useResearch,
-				{} // Pass empty context
-			);
+			// Call core updateTasks, passing only the tag as context for CLI
+			await updateTasks(tasksPath, fromId, prompt, useResearch, {
+				tag: options.tag
+			});
 		});
 
 	// update-task command
@@ -613,12 +739,17 @@ function registerCommands(programInstance) {
 		.option('-i, --id <id>', 'Task ID to update (required)')
 		.option(
 			'-p, --prompt <text>',
-			'Prompt explaining the changes or new context (required)'
+			'Prompt explaining the changes or new context (required unless fields or dates are given)'
 		)
 		.option(
 			'-r, --research',
 			'Enable in-depth analysis for task updates'
 		)
+		.option('--field <key=value>', 'Set a custom field declared in .taskmasterconfig (repeatable, empty value clears it)', collectValues)
+		.option('--due <date>', 'Set the due date (ISO date, e.g. 2025-06-30; empty clears it)')
+		.option('--start <date>', 'Set the start date (ISO date; empty clears it)')
+		.option('--stream', 'Stream the AI response, showing the task and its subtasks as they are generated')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file;
@@ -650,7 +781,12 @@ function registerCommands(programInstance) {
 					process.exit(1);
 				}
 
-				if (!options.prompt) {
+				if (
+					!options.prompt &&
+					!options.field &&
+					options.due === undefined &&
+					options.start === undefined
+				) {
 					console.error(
 						chalk.red(
 							'Error: --prompt parameter is required. Please provide information about the changes.'
@@ -682,8 +818,9 @@ function registerCommands(programInstance) {
 					process.exit(1);
 				}
 
-				// Check if the task exists
-				const task = findTaskById(taskId, tasksPath);
+				// Check if the task exists in the selected tag
+				const data = readJSON(tasksPath, options.tag);
+				const { task } = findTaskById(data?.tasks, taskId);
 				if (!task) {
 					console.error(
 						chalk.red(`Error: Task with ID ${taskId} not found in ${tasksPath}`)
@@ -693,7 +830,9 @@ function registerCommands(programInstance) {
 
 				console.log(
 					chalk.blue(
-						`Updating task ${taskId} with prompt: "${prompt}"`
+						prompt
+							? `Updating task ${taskId} with prompt: "${prompt}"`
+							: `Updating fields of task ${taskId}`
 					)
 				);
 				console.log(chalk.blue(`Tasks file: ${tasksPath}`));
@@ -704,14 +843,14 @@ function registerCommands(programInstance) {
 					);
 				}
 
-				// Call core updateTaskById, passing empty context for CLI
-				await updateTaskById(
-					taskId,
-					prompt,
-					tasksPath,
-					useResearch,
-					{} // Pass empty context
-				);
+				// Call core updateTaskById, passing the tag, custom fields and dates as context for CLI
+				await updateTaskById(tasksPath, taskId, prompt, useResearch, {
+					tag: options.tag,
+					customFields: options.field,
+					dueDate: options.due,
+					startDate: options.start,
+					stream: options.stream
+				});
 				console.log(chalk.green(`Task ${taskId} updated successfully!`));
 			} catch (error) {
 				console.error(
@@ -740,6 +879,7 @@ function registerCommands(programInstance) {
 			'-r, --research',
 			'Enable in-depth analysis for subtask updates'
 		)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file;
@@ -823,8 +963,9 @@ function registerCommands(programInstance) {
 					process.exit(1);
 				}
 
-				// Check if the parent task exists
-				const parentTask = findTaskById(parentId, tasksPath);
+				// Check if the parent task exists in the selected tag
+				const data = readJSON(tasksPath, options.tag);
+				const { task: parentTask } = findTaskById(data?.tasks, parentId);
 				if (!parentTask) {
 					console.error(
 						chalk.red(`Error: Parent task with ID ${parentId} not found.`)
@@ -854,14 +995,10 @@ function registerCommands(programInstance) {
 					);
 				}
 
-				// Call core updateSubtaskById, passing empty context for CLI
-				await updateSubtaskById(
-					options.id,
-					prompt,
-					tasksPath,
-					useResearch,
-					{} // Pass empty context
-				);
+				// Call core updateSubtaskById, passing only the tag as context for CLI
+				await updateSubtaskById(tasksPath, options.id, prompt, useResearch, {
+					tag: options.tag
+				});
 				console.log(chalk.green(`Subtask ${options.id} updated successfully!`));
 			} catch (error) {
 				console.error(
@@ -880,6 +1017,7 @@ function registerCommands(programInstance) {
 			'-o, --output <directory>',
 			'Output directory for generated task files (default: same directory as tasks file)'
 		)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const outputDir = options.output || path.dirname(tasksPath);
@@ -903,7 +1041,7 @@ function registerCommands(programInstance) {
 
 			let spinner = ora('Generating task files...\n').start();
 			try {
-				await generateTaskFiles(tasksPath, outputDir);
+				await generateTaskFiles(tasksPath, outputDir, { tag: options.tag });
 				spinner.succeed('Task files generated successfully!');
 			} catch (error) {
 				spinner.fail(`Error generating task files: ${error.message}`);
@@ -917,7 +1055,11 @@ function registerCommands(programInstance) {
 		.description('List all tasks')
 		.option('-s, --status <status>', 'Filter tasks by status')
 		.option('-w, --with-subtasks', 'Include subtasks in the list', false)
+		.option('--field <key=value>', 'Only list tasks whose custom field has this value (repeatable)', collectValues)
+		.option('--columns <fields>', 'Comma-separated custom fields to show as columns')
+		.option('-m, --milestone <id>', 'Only list and count the tasks of this milestone or epic')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const statusFilter = options.status;
@@ -947,46 +1089,587 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				const tasks = listTasks(tasksPath, statusFilter, withSubtasks);
-				if (tasks.length === 0) {
-					console.log(chalk.yellow('No tasks found.'));
-				}
-			} catch (error) {
-				console.error(
-					chalk.red(`Error listing tasks: ${error.message}`)
+				listTasks(tasksPath, statusFilter, null, withSubtasks, 'text', {
+					tag: options.tag,
+					fields: options.field,
+					columns: options.columns,
+					milestone: options.milestone
+				});
+			} catch (error) {
+				console.error(
+					chalk.red(`Error listing tasks: ${error.message}`)
+				);
+				process.exit(1);
+			}
+		});
+
+	// next command
+	programInstance
+		.command('next')
+		.description('Show the next task to work on based on dependencies and status')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--for <name>', 'Skip tasks and subtasks assigned to or claimed by someone else')
+		.option('-m, --milestone <id>', 'Only consider the tasks of this milestone or epic')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.option('--explain', 'Show how the best candidates were scored')
+		.option('--candidates <number>', 'How many candidates to explain', '5')
+		.option('-n, --count <number>', 'Show this many tasks that can be worked on in parallel')
+		.option('--claim', 'Claim the tasks shown with --count (for --for, or the current user)')
+		.option('--lease <minutes>', 'Minutes until the claims lapse (defaults to global.claimLeaseMinutes)')
+		.action(async (options) => {
+			const tasksPath = options.file;
+			const candidates = parseInt(options.candidates, 10);
+			const count =
+				options.count !== undefined ? parseInt(options.count, 10) : undefined;
+
+			if (isNaN(candidates) || candidates <= 0) {
+				console.error(
+					chalk.red('Error: --candidates must be a positive number')
+				);
+				process.exit(1);
+			}
+			if (count !== undefined && (isNaN(count) || count <= 0)) {
+				console.error(chalk.red('Error: --count must be a positive number'));
+				process.exit(1);
+			}
+			if (options.claim && count === undefined) {
+				console.error(
+					chalk.red(
+						'Error: --claim needs --count; use task-master claim to claim a single task'
+					)
+				);
+				process.exit(1);
+			}
+
+			if (!fs.existsSync(tasksPath)) {
+				console.error(
+					chalk.red(`Error: Tasks file not found at path: ${tasksPath}`)
+				);
+				if (tasksPath === 'tasks/tasks.json') {
+					console.log(
+						chalk.yellow(
+							'Please ensure you have run `task-master parse-prd` to generate your tasks file.'
+						)
+					);
+				}
+				process.exit(1);
+			}
+
+			if (count !== undefined) {
+				try {
+					displayReadyTasks(
+						getReadyTasks(tasksPath, {
+							count,
+							tag: options.tag,
+							assignee: options.claim
+								? options.for || getCurrentActor().name
+								: options.for,
+							claim: options.claim,
+							milestone: options.milestone,
+							leaseMinutes:
+								options.lease !== undefined
+									? parseFloat(options.lease)
+									: undefined
+						})
+					);
+				} catch (error) {
+					console.error(
+						chalk.red(`Error finding ready tasks: ${error.message}`)
+					);
+					process.exit(1);
+				}
+				return;
+			}
+
+			try {
+				await displayNextTask(tasksPath, null, {
+					tag: options.tag,
+					assignee: options.for,
+					milestone: options.milestone,
+					explain: options.explain,
+					candidates
+				});
+			} catch (error) {
+				console.error(
+					chalk.red(`Error determining next task: ${error.message}`)
+				);
+				process.exit(1);
+			}
+		});
+
+	// agenda command
+	programInstance
+		.command('agenda')
+		.description('Show overdue tasks, tasks due soon and deadlines blocked by dependencies')
+		.option('-d, --days <number>', 'How many days ahead count as due soon', '7')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			try {
+				const days = parseInt(options.days, 10);
+				displayAgenda(getAgenda(options.file, { tag: options.tag, days }));
+			} catch (error) {
+				console.error(chalk.red(`Error building agenda: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// add-milestone command
+	programInstance
+		.command('add-milestone')
+		.description('Group tasks into a milestone or epic with an optional target date')
+		.option('-t, --title <title>', 'Title of the milestone')
+		.option('--tasks <ids>', 'Comma-separated IDs of the tasks it contains (e.g. 3,4,7)')
+		.option('--target-date <date>', 'Target date as an ISO date, e.g. 2025-06-30')
+		.option('--type <type>', `Type: ${MILESTONE_TYPES.join(' or ')}`, 'milestone')
+		.option('-d, --description <text>', 'Description of the milestone')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.title) {
+				console.error(chalk.red('Error: A title is required (--title)'));
+				process.exit(1);
+			}
+
+			try {
+				const milestone = addMilestone(
+					options.file,
+					{
+						title: options.title,
+						type: options.type,
+						description: options.description,
+						targetDate: options.targetDate,
+						taskIds: options.tasks || []
+					},
+					{ tag: options.tag }
+				);
+				console.log(
+					chalk.green(
+						`Added ${milestone.type} ${milestone.id}: ${milestone.title} with ${milestone.taskIds.length} task(s)` +
+							(milestone.targetDate ? `, due ${milestone.targetDate}` : '') +
+							'.'
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error adding milestone: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// add-to-milestone command
+	programInstance
+		.command('add-to-milestone')
+		.description('Add tasks to a milestone or epic')
+		.option('-i, --id <id>', 'ID of the milestone')
+		.option('--tasks <ids>', 'Comma-separated IDs of the tasks to add (e.g. 8,9)')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id || !options.tasks) {
+				console.error(chalk.red('Error: A milestone ID (--id) and task IDs (--tasks) are required'));
+				process.exit(1);
+			}
+
+			try {
+				const { milestone, added } = addTasksToMilestone(options.file, options.id, options.tasks, { tag: options.tag });
+				console.log(
+					added.length > 0
+						? chalk.green(`Added task(s) ${added.join(', ')} to ${milestone.type} ${milestone.id}: ${milestone.title}.`)
+						: chalk.yellow(`${milestone.type} ${milestone.id} already holds these tasks.`)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error adding tasks to milestone: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// remove-from-milestone command
+	programInstance
+		.command('remove-from-milestone')
+		.description('Remove tasks from a milestone or epic (the tasks are kept)')
+		.option('-i, --id <id>', 'ID of the milestone')
+		.option('--tasks <ids>', 'Comma-separated IDs of the tasks to remove')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id || !options.tasks) {
+				console.error(chalk.red('Error: A milestone ID (--id) and task IDs (--tasks) are required'));
+				process.exit(1);
+			}
+
+			try {
+				const milestone = removeTasksFromMilestone(options.file, options.id, options.tasks, { tag: options.tag });
+				console.log(
+					chalk.green(`Removed task(s) from ${milestone.type} ${milestone.id}: ${milestone.title}, which now holds ${milestone.taskIds.length} task(s).`)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error removing tasks from milestone: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// delete-milestone command
+	programInstance
+		.command('delete-milestone')
+		.description('Delete a milestone or epic (its tasks are kept)')
+		.argument('[id]', 'ID of the milestone')
+		.option('-i, --id <id>', 'ID of the milestone (alternative to argument)')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (idArg, options) => {
+			const milestoneId = idArg || options.id;
+			if (!milestoneId) {
+				console.error(chalk.red('Error: Milestone ID is required.'));
+				console.log(
+					chalk.yellow('Usage examples: task-master delete-milestone 1 or task-master delete-milestone --id=1')
+				);
+				process.exit(1);
+			}
+
+			try {
+				const milestone = deleteMilestone(options.file, milestoneId, { tag: options.tag });
+				console.log(chalk.green(`Deleted ${milestone.type} ${milestone.id}: ${milestone.title}. Its tasks are kept.`));
+			} catch (error) {
+				console.error(chalk.red(`Error deleting milestone: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// list-milestones command
+	programInstance
+		.command('list-milestones')
+		.description('List milestones and epics with their target date and progress')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			try {
+				displayMilestones(listMilestones(options.file, { tag: options.tag }));
+			} catch (error) {
+				console.error(chalk.red(`Error listing milestones: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// show-milestone command
+	programInstance
+		.command('show-milestone')
+		.description('Show the tasks and progress of a milestone or epic')
+		.argument('[id]', 'ID of the milestone')
+		.option('-i, --id <id>', 'ID of the milestone (alternative to argument)')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (idArg, options) => {
+			const milestoneId = idArg || options.id;
+			if (!milestoneId) {
+				console.error(chalk.red('Error: Milestone ID is required.'));
+				console.log(
+					chalk.yellow('Usage examples: task-master show-milestone 1 or task-master show-milestone --id=1')
+				);
+				process.exit(1);
+			}
+
+			try {
+				displayMilestone(
+					getMilestone(options.file, milestoneId, { tag: options.tag })
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error showing milestone: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// plan command
+	programInstance
+		.command('plan')
+		.description('Order open tasks into parallel waves and show the critical path and slack')
+		.option('-w, --weight <weight>', 'What a task weighs: auto, estimate, complexity or count', 'auto')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-r, --report <report>', 'Path to the complexity report', 'scripts/task-complexity-report.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			try {
+				displayExecutionPlan(
+					getExecutionPlan(options.file, {
+						tag: options.tag,
+						weight: options.weight,
+						complexityReportPath: options.report
+					})
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error building plan: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// graph command
+	programInstance
+		.command('graph')
+		.description('Export the task dependency graph as Mermaid, Graphviz DOT or JSON')
+		.option('--format <format>', 'Output format: mermaid, dot or json', 'mermaid')
+		.option('-o, --output <file>', 'Write the graph to a file instead of printing it')
+		.option('-s, --status <statuses>', 'Only include tasks with these statuses (comma-separated)')
+		.option('--from <id>', 'Only include the subgraph reachable from this task or subtask')
+		.option('--direction <direction>', 'What to follow from --from: dependencies, dependents or both', 'dependencies')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			try {
+				const { output, graph } = exportDependencyGraph(options.file, {
+					format: options.format,
+					tag: options.tag,
+					statuses: options.status
+						? options.status.split(',').map((s) => s.trim())
+						: undefined,
+					from: options.from,
+					direction: options.direction
+				});
+
+				if (options.output) {
+					fs.writeFileSync(options.output, output);
+					console.log(
+						chalk.green(
+							`Wrote ${graph.nodes.length} tasks and ${graph.edges.length} dependencies to ${options.output}.`
+						)
+					);
+				} else {
+					process.stdout.write(output);
+				}
+				graph.missing.forEach(({ from, to }) => {
+					console.error(
+						chalk.yellow(
+							`Warning: ${to} depends on missing task ${from}. Run task-master fix-dependencies to remove it.`
+						)
+					);
+				});
+			} catch (error) {
+				console.error(chalk.red(`Error exporting graph: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// impact command
+	programInstance
+		.command('impact')
+		.description('Show the tasks downstream of a task and what removing, deferring or cancelling it would do')
+		.argument('[id]', 'ID of the task or subtask (e.g., "5" or "5.2")')
+		.option('-i, --id <id>', 'Task or subtask ID(s), comma-separated (alternative to argument)')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (idArg, options) => {
+			const taskIds = idArg || options.id;
+			if (!taskIds) {
+				console.error(chalk.red('Error: Task ID is required.'));
+				process.exit(1);
+			}
+
+			try {
+				displayTaskImpact(
+					getTaskImpact(options.file, taskIds, { tag: options.tag })
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error analyzing impact: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// assign command
+	programInstance
+		.command('assign')
+		.description('Assign tasks or subtasks to someone (no lease)')
+		.option('-i, --id <ids>', 'Task or subtask ID(s), comma-separated (e.g. 3,4.1)')
+		.requiredOption('-a, --assignee <name>', 'Who the tasks are assigned to')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required (--id)'));
+				process.exit(1);
+			}
+
+			try {
+				const result = assignTask(options.file, options.id, options.assignee, {
+					tag: options.tag
+				});
+				console.log(
+					chalk.green(
+						`Assigned ${result.taskIds.join(', ')} to ${result.assignee}.`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error assigning task: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// unassign command
+	programInstance
+		.command('unassign')
+		.description('Remove the assignee or claim of tasks or subtasks')
+		.option('-i, --id <ids>', 'Task or subtask ID(s), comma-separated')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required (--id)'));
+				process.exit(1);
+			}
+
+			try {
+				const result = unassignTask(options.file, options.id, {
+					tag: options.tag
+				});
+				console.log(chalk.green(`Unassigned ${result.taskIds.join(', ')}.`));
+			} catch (error) {
+				console.error(chalk.red(`Error unassigning task: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// claim command
+	programInstance
+		.command('claim')
+		.description('Claim a task or subtask for a limited time, failing if someone else holds it')
+		.option('-i, --id <id>', 'Task or subtask ID to claim')
+		.option('-a, --assignee <name>', 'Who claims the task (defaults to the current user)')
+		.option('--lease <minutes>', 'Minutes until the claim lapses (defaults to global.claimLeaseMinutes)')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required (--id)'));
+				process.exit(1);
+			}
+			const leaseMinutes =
+				options.lease !== undefined ? parseFloat(options.lease) : undefined;
+
+			try {
+				const result = claimTask(
+					options.file,
+					options.id,
+					options.assignee || getCurrentActor().name,
+					{ tag: options.tag, leaseMinutes }
+				);
+				console.log(
+					chalk.green(
+						result.claimExpiresAt
+							? `${result.assignee} claimed ${result.taskId} until ${new Date(result.claimExpiresAt).toLocaleString()}.`
+							: `${result.taskId} is already assigned to ${result.assignee}.`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error claiming task: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// estimate command
+	programInstance
+		.command('estimate')
+		.description('Set the effort estimate of tasks or subtasks in hours or points')
+		.option('-i, --id <ids>', 'Task or subtask ID(s), comma-separated (e.g. 3,4.1)')
+		.option('-e, --estimate <estimate>', 'Estimate like 3h, 2.5 hours, 5pt or 8 points (a bare number counts as hours)')
+		.option('--clear', 'Remove the estimate')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required (--id)'));
+				process.exit(1);
+			}
+			if (!options.estimate && !options.clear) {
+				console.error(chalk.red('Error: Give an estimate (--estimate) or --clear'));
+				process.exit(1);
+			}
+
+			try {
+				const result = setEstimate(
+					options.file,
+					options.id,
+					options.clear ? null : options.estimate,
+					{ tag: options.tag }
+				);
+				console.log(
+					chalk.green(
+						result.estimate
+							? `Estimated ${result.taskIds.join(', ')} at ${formatEstimate(result.estimate)}.`
+							: `Removed the estimate of ${result.taskIds.join(', ')}.`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error setting estimate: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// start command
+	programInstance
+		.command('start')
+		.description('Start a timer on a task or subtask to track the time spent on it')
+		.option('-i, --id <id>', 'Task or subtask ID')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required (--id)'));
+				process.exit(1);
+			}
+
+			try {
+				const result = startTimer(options.file, options.id, {
+					tag: options.tag
+				});
+				console.log(
+					chalk.green(`Timer started on ${result.taskId} for ${result.by}.`)
+				);
+				console.log(
+					chalk.gray('Run task-master stop when you finish working on it.')
 				);
+			} catch (error) {
+				console.error(chalk.red(`Error starting timer: ${error.message}`));
 				process.exit(1);
 			}
 		});
 
-	// next command
+	// stop command
 	programInstance
-		.command('next')
-		.description('Show the next task to work on based on dependencies and status')
+		.command('stop')
+		.description('Stop your running timer and record the work session')
+		.option('-i, --id <id>', 'Task or subtask ID (defaults to whichever task your timer runs on)')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
-			const tasksPath = options.file;
-
-			if (!fs.existsSync(tasksPath)) {
-				console.error(
-					chalk.red(`Error: Tasks file not found at path: ${tasksPath}`)
+			try {
+				const result = stopTimer(options.file, options.id || null, {
+					tag: options.tag
+				});
+				console.log(
+					chalk.green(
+						`Recorded ${formatDuration(result.minutes)} on ${result.taskId} (${formatDuration(result.totalMinutes)} in total).`
+					)
 				);
-				if (tasksPath === 'tasks/tasks.json') {
-					console.log(
-						chalk.yellow(
-							'Please ensure you have run `task-master parse-prd` to generate your tasks file.'
-						)
-					);
-				}
+			} catch (error) {
+				console.error(chalk.red(`Error stopping timer: ${error.message}`));
 				process.exit(1);
 			}
+		});
 
+	// time-report command
+	programInstance
+		.command('time-report')
+		.description('Show tracked time by task, status and tag, compared with estimates and complexity scores')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Only report this tag (defaults to all tags)')
+		.option('-r, --report <report>', 'Path to the complexity report', 'scripts/task-complexity-report.json')
+		.action(async (options) => {
 			try {
-				await displayNextTask(tasksPath);
-			} catch (error) {
-				console.error(
-					chalk.red(`Error determining next task: ${error.message}`)
+				displayTimeReport(
+					getTimeReport(options.file, {
+						tag: options.tag,
+						complexityReportPath: options.report
+					})
 				);
+			} catch (error) {
+				console.error(chalk.red(`Error building time report: ${error.message}`));
 				process.exit(1);
 			}
 		});
@@ -998,6 +1681,7 @@ function registerCommands(programInstance) {
 		.argument('[id]', 'ID of the task or subtask (e.g., "5" or "5.2")')
 		.option('-i, --id <id>', 'ID of the task or subtask (alternative to argument)')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (idArg, options) => {
 			const tasksPath = options.file;
 			const taskId = idArg || options.id;
@@ -1027,7 +1711,9 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				displayTaskById(taskId, tasksPath);
+				await displayTaskById(tasksPath, taskId, null, null, {
+					tag: options.tag
+				});
 			} catch (error) {
 				console.error(
 					chalk.red(`Error displaying task: ${error.message}`)
@@ -1043,6 +1729,7 @@ function registerCommands(programInstance) {
 		.option('-i, --id <id>', 'Comma-separated list of task/subtask IDs (e.g., "1,2,3" or "1.1,1.2") (required)')
 		.option('-s, --status <status>', `New status to set (${TASK_STATUS_OPTIONS.join(', ')}) (required)`)
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const ids = options.id;
@@ -1079,10 +1766,20 @@ function registerCommands(programInstance) {
 				process.exit(1);
 			}
 
+			// Analyzed beforehand, shown afterwards: setTaskStatus clears the screen
+			const impact =
+				status === 'deferred' || status === 'cancelled'
+					? readTaskImpact(tasksPath, ids, options.tag)
+					: null;
+
 			try {
-				const idList = ids.split(',').map(id => id.trim());
-				await setTaskStatus(idList, status, tasksPath);
+				await setTaskStatus(tasksPath, ids, status, { tag: options.tag });
 				console.log(chalk.green(`Status updated for IDs: ${ids}`));
+				if (impact) {
+					displayTaskImpact(impact, {
+						action: status === 'deferred' ? 'defer' : 'cancel'
+					});
+				}
 			} catch (error) {
 				console.error(
 					chalk.red(`Error setting task status: ${error.message}`)
@@ -1095,13 +1792,15 @@ function registerCommands(programInstance) {
 	programInstance
 		.command('expand')
 		.description('Expand a task into subtasks for detailed implementation')
-		.option('-i, --id <id>', 'ID of task to expand')
+		.option('-i, --id <id>', 'ID of task to expand, or of a subtask (e.g. 5.2) to break it down further')
 		.option('-n, --num <number>', 'Number of subtasks to generate')
 		.option('-p, --prompt <text>', 'Additional context for subtask generation')
 		.option('-a, --all', 'Expand all pending tasks')
 		.option('-f, --force', 'Force expansion even if subtasks exist')
 		.option('-r, --research', 'Enable in-depth analysis for subtask generation')
+		.option('--stream', 'Stream the AI response, showing each subtask as it is generated')
 		.option('--file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const taskId = options.id;
@@ -1144,13 +1843,31 @@ function registerCommands(programInstance) {
 				process.exit(1);
 			}
 
-			let spinner = ora('Expanding tasks...\n').start();
+			let spinner = ora({
+				text: 'Expanding tasks...\n',
+				isEnabled: !options.stream
+			}).start();
 			try {
 				if (expandAll) {
-					await expandAllTasks(tasksPath, numSubtasks, prompt, useResearch, force);
+					await expandAllTasks(
+						tasksPath,
+						numSubtasks,
+						useResearch,
+						prompt,
+						force,
+						{ tag: options.tag, stream: options.stream }
+					);
 					spinner.succeed('All pending tasks expanded successfully!');
 				} else {
-					await expandTask(taskId, tasksPath, numSubtasks, prompt, useResearch, force);
+					await expandTask(
+						tasksPath,
+						taskId,
+						numSubtasks,
+						useResearch,
+						prompt,
+						{ tag: options.tag, stream: options.stream },
+						force
+					);
 					spinner.succeed(`Task ${taskId} expanded successfully!`);
 				}
 			} catch (error) {
@@ -1166,6 +1883,7 @@ function registerCommands(programInstance) {
 		.option('-i, --id <id>', 'Comma-separated list of task IDs (e.g., "1,2,3")')
 		.option('-a, --all', 'Clear subtasks from all tasks')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const ids = options.id;
@@ -1205,8 +1923,12 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				const idList = ids ? ids.split(',').map(id => parseInt(id.trim(), 10)) : [];
-				await clearSubtasks(idList, clearAll, tasksPath);
+				let taskIds = ids;
+				if (clearAll) {
+					const data = readJSON(tasksPath, options.tag);
+					taskIds = (data?.tasks || []).map((t) => t.id).join(',');
+				}
+				clearSubtasks(tasksPath, taskIds, { tag: options.tag });
 				console.log(chalk.green('Subtasks cleared successfully!'));
 			} catch (error) {
 				console.error(
@@ -1219,27 +1941,33 @@ function registerCommands(programInstance) {
 	// add-dependency command
 	programInstance
 		.command('add-dependency')
-		.description('Add a dependency relationship between two tasks')
-		.option('-i, --id <id>', 'ID of task that will depend on another task (required)')
-		.option('-d, --depends-on <id>', 'ID of task that will become a dependency (required)')
+		.description('Add a dependency relationship between two tasks or subtasks')
+		.option('-i, --id <id>', 'ID of the task or subtask that will depend on another (e.g., "3" or "3.2") (required)')
+		.option('-d, --depends-on <id>', 'ID of the task or subtask that will become a dependency (e.g., "5" or "5.1"); for a subtask, a plain number is a sibling (required)')
+		.option('--type <type>', `Dependency type (${DEPENDENCY_TYPES.join(', ')}); only blocks has to be done first`, 'blocks')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
-			const taskId = parseInt(options.id, 10);
-			const dependsOnId = parseInt(options.dependsOn, 10);
+			const taskId = options.id;
+			const dependsOnId = options.dependsOn;
 
-			if (isNaN(taskId) || taskId <= 0) {
-				console.error(chalk.red('Error: Invalid --id. Must be a positive integer.'));
+			if (!isTaskOrSubtaskId(taskId)) {
+				console.error(chalk.red('Error: Invalid --id. Must be a task ID (e.g., "5") or subtask ID (e.g., "5.2").'));
 				process.exit(1);
 			}
-			if (isNaN(dependsOnId) || dependsOnId <= 0) {
-				console.error(chalk.red('Error: Invalid --depends-on. Must be a positive integer.'));
+			if (!isTaskOrSubtaskId(dependsOnId)) {
+				console.error(chalk.red('Error: Invalid --depends-on. Must be a task ID (e.g., "5") or subtask ID (e.g., "5.2").'));
 				process.exit(1);
 			}
 			if (taskId === dependsOnId) {
 				console.error(chalk.red('Error: A task cannot depend on itself.'));
 				process.exit(1);
 			}
+			if (!isValidDependencyType(options.type)) {
+				console.error(chalk.red(`Error: Invalid --type "${options.type}". Use one of: ${DEPENDENCY_TYPES.join(', ')}`));
+				process.exit(1);
+			}
 
 			if (!fs.existsSync(tasksPath)) {
 				console.error(
@@ -1256,8 +1984,10 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				await addDependency(taskId, dependsOnId, tasksPath);
-				console.log(chalk.green(`Task ${taskId} now depends on Task ${dependsOnId}.`));
+				await addDependency(tasksPath, taskId, dependsOnId, {
+					tag: options.tag,
+					type: options.type
+				});
 			} catch (error) {
 				console.error(
 					chalk.red(`Error adding dependency: ${error.message}`)
@@ -1269,21 +1999,22 @@ function registerCommands(programInstance) {
 	// remove-dependency command
 	programInstance
 		.command('remove-dependency')
-		.description('Remove a dependency from a task')
-		.option('-i, --id <id>', 'Task ID to remove dependency from (required)')
-		.option('-d, --depends-on <id>', 'Task ID to remove as a dependency (required)')
+		.description('Remove a dependency from a task or subtask')
+		.option('-i, --id <id>', 'Task or subtask ID to remove dependency from (required)')
+		.option('-d, --depends-on <id>', 'Task or subtask ID to remove as a dependency (required)')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
-			const taskId = parseInt(options.id, 10);
-			const dependsOnId = parseInt(options.dependsOn, 10);
+			const taskId = options.id;
+			const dependsOnId = options.dependsOn;
 
-			if (isNaN(taskId) || taskId <= 0) {
-				console.error(chalk.red('Error: Invalid --id. Must be a positive integer.'));
+			if (!isTaskOrSubtaskId(taskId)) {
+				console.error(chalk.red('Error: Invalid --id. Must be a task ID (e.g., "5") or subtask ID (e.g., "5.2").'));
 				process.exit(1);
 			}
-			if (isNaN(dependsOnId) || dependsOnId <= 0) {
-				console.error(chalk.red('Error: Invalid --depends-on. Must be a positive integer.'));
+			if (!isTaskOrSubtaskId(dependsOnId)) {
+				console.error(chalk.red('Error: Invalid --depends-on. Must be a task ID (e.g., "5") or subtask ID (e.g., "5.2").'));
 				process.exit(1);
 			}
 
@@ -1302,8 +2033,9 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				await removeDependency(taskId, dependsOnId, tasksPath);
-				console.log(chalk.green(`Dependency ${dependsOnId} removed from Task ${taskId}.`));
+				await removeDependency(tasksPath, taskId, dependsOnId, {
+					tag: options.tag
+				});
 			} catch (error) {
 				console.error(
 					chalk.red(`Error removing dependency: ${error.message}`)
@@ -1317,6 +2049,8 @@ function registerCommands(programInstance) {
 		.command('validate-dependencies')
 		.description('Check tasks for dependency issues (like circular references or links to non-existent tasks)')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.option('--explain', 'Print every dependency cycle with the titles of its tasks')
 		.action(async (options) => {
 			const tasksPath = options.file;
 
@@ -1335,14 +2069,11 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				const result = validateDependenciesCommand(tasksPath);
-				if (result.isValid) {
-					console.log(chalk.green('All dependencies are valid.'));
-				} else {
-					console.error(chalk.red('Dependency validation failed:'));
-					result.errors.forEach(error => console.error(chalk.red(`- ${error}`)));
-					process.exit(1);
-				}
+				// Prints its own validation summary
+				await validateDependenciesCommand(tasksPath, {
+					tag: options.tag,
+					explain: options.explain
+				});
 			} catch (error) {
 				console.error(
 					chalk.red(`Error validating dependencies: ${error.message}`)
@@ -1356,6 +2087,9 @@ function registerCommands(programInstance) {
 		.command('fix-dependencies')
 		.description('Find and fix invalid dependencies in tasks automatically')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
+		.option('-i, --interactive', 'Choose which dependency to remove to break each cycle')
+		.option('-s, --strategy <strategy>', `Which dependency breaks a cycle: ${CYCLE_FIX_STRATEGIES.join(', ')} (auto: the last one found, recent: the one added most recently, priority: the one on the lowest-priority task)`, 'auto')
 		.action(async (options) => {
 			const tasksPath = options.file;
 
@@ -1374,13 +2108,12 @@ function registerCommands(programInstance) {
 			}
 
 			try {
-				const result = fixDependenciesCommand(tasksPath);
-				if (result.fixedCount > 0) {
-					console.log(chalk.green(`Fixed ${result.fixedCount} invalid dependencies.`));
-					result.details.forEach(detail => console.log(chalk.yellow(`- ${detail}`)));
-				} else {
-					console.log(chalk.blue('No invalid dependencies found to fix.'));
-				}
+				// Prints its own summary of the fixes applied
+				await fixDependenciesCommand(tasksPath, {
+					tag: options.tag,
+					strategy: options.strategy,
+					chooseEdge: options.interactive ? promptForCycleEdge : undefined
+				});
 			} catch (error) {
 				console.error(
 					chalk.red(`Error fixing dependencies: ${error.message}`)
@@ -1400,8 +2133,12 @@ function registerCommands(programInstance) {
 		.option('--test-strategy <text>', 'Test strategy (for manual task creation)')
 		.option('--dependencies <ids>', 'Comma-separated list of task IDs this task depends on')
 		.option('--priority <level>', 'Task priority (high, medium, low)')
+		.option('--field <key=value>', 'Set a custom field declared in .taskmasterconfig (repeatable)', collectValues)
+		.option('--due <date>', 'Due date (ISO date, e.g. 2025-06-30)')
+		.option('--start <date>', 'Date work on the task may start (ISO date)')
 		.option('-r, --research', 'Enable in-depth analysis capabilities for task creation')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const prompt = options.prompt;
@@ -1440,6 +2177,9 @@ function registerCommands(programInstance) {
 							'  --test-strategy <text>       Manual task test strategy\n' +
 							'  --dependencies <ids>         Comma-separated task IDs this task depends on\n' +
 							'  --priority <level>           Task priority (high, medium, low)\n' +
+							'  --field <key=value>          Custom field value (repeatable)\n' +
+							'  --due <date>                 Due date (ISO date, e.g. 2025-06-30)\n' +
+							'  --start <date>               Start date (ISO date)\n' +
 							'  -r, --research               Enable research for AI task generation\n' +
 							'  -f, --file <file>            Path to the tasks file (default: tasks/tasks.json)',
 						{ padding: 1, borderColor: 'blue', borderStyle: 'round' }
@@ -1465,17 +2205,22 @@ function registerCommands(programInstance) {
 			let spinner;
 			try {
 				spinner = ora('Adding task...\n').start();
-				const newTask = await addTask(
-					prompt,
+				const { newTaskId } = await addTask(
 					tasksPath,
-					useResearch,
-					manualTaskData
+					prompt,
+					manualTaskData.dependencies || [],
+					manualTaskData.priority,
+					{
+						tag: options.tag,
+						customFields: options.field,
+						dueDate: options.due,
+						startDate: options.start
+					},
+					'text',
+					isManualCreation ? manualTaskData : null,
+					useResearch
 				);
-				spinner.succeed(`Task ${newTask.id} added successfully!`);
-				console.log(chalk.green(`Title: ${newTask.title}`));
-				if (newTask.description) {
-					console.log(chalk.green(`Description: ${newTask.description}`));
-				}
+				spinner.succeed(`Task ${newTaskId} added successfully!`);
 			} catch (error) {
 				if (spinner) {
 					spinner.fail(`Error adding task: ${error.message}`);
@@ -1499,6 +2244,7 @@ function registerCommands(programInstance) {
 		.option('--dependencies <ids>', 'Comma-separated list of dependency IDs for the new subtask')
 		.option('--file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option('--skip-generate', 'Skip regenerating task files after adding subtask', false)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const parentId = parseInt(options.id, 10);
@@ -1565,17 +2311,22 @@ function registerCommands(programInstance) {
 			try {
 				spinner = ora('Adding subtask...\n').start();
 				await addSubtask(
+					tasksPath,
 					parentId,
 					existingTaskIdToConvert,
-					{
-						title: options.title,
-						description: options.description,
-						details: options.details,
-						status: options.status,
-						dependencies: options.dependencies ? options.dependencies.split(',').map(Number) : undefined
-					},
-					tasksPath,
-					skipGenerate
+					isNewSubtask
+						? {
+								title: options.title,
+								description: options.description,
+								details: options.details,
+								status: options.status,
+								dependencies: options.dependencies
+									? options.dependencies.split(',').map(Number)
+									: undefined
+							}
+						: null,
+					!skipGenerate,
+					{ tag: options.tag }
 				);
 				spinner.succeed(`Subtask added successfully to task ${parentId}!`);
 			} catch (error) {
@@ -1595,6 +2346,7 @@ function registerCommands(programInstance) {
 		.option('-i, --id <id>', 'Comma-separated list of task/subtask IDs to remove (e.g., "5" or "5.2") (required)')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option('-y, --confirm', 'Skip confirmation prompt', false)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const ids = options.id;
@@ -1638,6 +2390,10 @@ function registerCommands(programInstance) {
 			}
 
 			const idList = ids.split(',').map(id => id.trim());
+			const impact = readTaskImpact(tasksPath, idList.join(','), options.tag);
+			if (impact) {
+				displayTaskImpact(impact, { action: 'remove' });
+			}
 
 			if (!confirmRemoval) {
 				const { proceed } = await inquirer.prompt([
@@ -1657,7 +2413,7 @@ function registerCommands(programInstance) {
 			let spinner;
 			try {
 				spinner = ora('Removing task(s)...\n').start();
-				await removeTask(idList, tasksPath);
+				await removeTask(tasksPath, idList.join(','), { tag: options.tag });
 				spinner.succeed(`Task(s) with ID(s) ${ids} removed successfully!`);
 			} catch (error) {
 				if (spinner) {
@@ -1677,6 +2433,7 @@ function registerCommands(programInstance) {
 		.option('-c, --convert', 'Convert the subtask to a standalone task instead of deleting it', false)
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option('--skip-generate', 'Skip regenerating task files after removing subtask', false)
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const subtaskId = options.id;
@@ -1705,8 +2462,7 @@ function registerCommands(programInstance) {
 				process.exit(1);
 			}
 
-			const idParts = subtaskId.split('.');
-			if (idParts.length !== 2 || isNaN(parseInt(idParts[0], 10)) || isNaN(parseInt(idParts[1], 10))) {
+			if (!/^\d+(\.\d+)+$/.test(subtaskId.trim())) {
 				console.error(chalk.red(`Error: Invalid subtask ID format: ${subtaskId}. Expected "parentId.subtaskId".`));
 				process.exit(1);
 			}
@@ -1728,7 +2484,9 @@ function registerCommands(programInstance) {
 			let spinner;
 			try {
 				spinner = ora('Removing subtask...\n').start();
-				await removeSubtask(subtaskId, convert, tasksPath, skipGenerate);
+				await removeSubtask(tasksPath, subtaskId, convert, !skipGenerate, {
+					tag: options.tag
+				});
 				spinner.succeed(`Subtask ${subtaskId} removed successfully!`);
 				if (convert) {
 					console.log(chalk.blue(`Subtask ${subtaskId} converted to a standalone task.`));
@@ -1751,6 +2509,7 @@ function registerCommands(programInstance) {
 		.option('-r, --research', 'Enable in-depth analysis for complexity analysis')
 		.option('-o, --output <file>', 'Output file path for the report', 'scripts/task-complexity-report.json')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--tag <tag>', 'Tag of the task list to use (defaults to the active tag)')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const threshold = parseInt(options.threshold, 10);
@@ -1778,7 +2537,13 @@ function registerCommands(programInstance) {
 
 			let spinner = ora('Analyzing task complexity...\n').start();
 			try {
-				await analyzeTaskComplexity(tasksPath, threshold, useResearch, outputPath);
+				await analyzeTaskComplexity({
+					file: tasksPath,
+					threshold,
+					research: useResearch,
+					output: outputPath,
+					tag: options.tag
+				});
 				spinner.succeed('Task complexity analysis complete!');
 				console.log(chalk.blue(`Report saved to: ${outputPath}`));
 			} catch (error) {
@@ -1817,7 +2582,315 @@ function registerCommands(programInstance) {
 			}
 		});
 
+	// add-tag command
+	programInstance
+		.command('add-tag')
+		.description('Create a new tag (an independent task list)')
+		.argument('<name>', 'Name of the tag to create')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--copy-from <tag>', 'Copy the tasks of an existing tag')
+		.option('-d, --description <text>', 'Description of the tag')
+		.action(async (name, options) => {
+			try {
+				const result = createTag(options.file, name, {
+					copyFrom: options.copyFrom,
+					description: options.description
+				});
+				console.log(
+					chalk.green(
+						`Created tag "${result.name}" with ${result.taskCount} task(s).`
+					)
+				);
+				console.log(
+					chalk.gray(`Switch to it with: task-master use-tag ${result.name}`)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error creating tag: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// copy-tag command
+	programInstance
+		.command('copy-tag')
+		.description('Copy an existing tag and its tasks to a new tag')
+		.argument('<source>', 'Tag to copy')
+		.argument('<target>', 'Name of the new tag')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-d, --description <text>', 'Description of the new tag')
+		.action(async (source, target, options) => {
+			try {
+				const result = copyTag(options.file, source, target, {
+					description: options.description
+				});
+				console.log(
+					chalk.green(
+						`Copied tag "${source}" to "${result.name}" (${result.taskCount} task(s)).`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error copying tag: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// delete-tag command
+	programInstance
+		.command('delete-tag')
+		.description('Delete a tag and all of its tasks')
+		.argument('<name>', 'Name of the tag to delete')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.action(async (name, options) => {
+			if (!options.yes) {
+				const { proceed } = await inquirer.prompt([
+					{
+						type: 'confirm',
+						name: 'proceed',
+						message: chalk.yellow(
+							`Are you sure you want to delete tag "${name}" and all of its tasks? This action cannot be undone.`
+						),
+						default: false
+					}
+				]);
+				if (!proceed) {
+					console.log(chalk.yellow('Operation cancelled.'));
+					return;
+				}
+			}
+
+			try {
+				const result = deleteTag(options.file, name);
+				console.log(
+					chalk.green(
+						`Deleted tag "${result.name}" (${result.removedTaskCount} task(s) removed).`
+					)
+				);
+				console.log(chalk.gray(`Active tag: ${result.currentTag}`));
+			} catch (error) {
+				console.error(chalk.red(`Error deleting tag: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// use-tag command
+	programInstance
+		.command('use-tag')
+		.description('Switch the active tag used when --tag is not given')
+		.argument('<name>', 'Name of the tag to activate')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (name, options) => {
+			try {
+				const result = useTag(options.file, name);
+				console.log(
+					chalk.green(
+						`Switched to tag "${result.name}" (${result.taskCount} task(s)).`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error switching tag: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// list-tags command
+	programInstance
+		.command('list-tags')
+		.description('List all tags with their task counts')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			try {
+				displayTagList(listTags(options.file));
+			} catch (error) {
+				console.error(chalk.red(`Error listing tags: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// history command
+	programInstance
+		.command('history')
+		.description('Show the recorded changes to the tasks file')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-n, --limit <number>', 'Number of changes to show', '20')
+		.action(async (options) => {
+			try {
+				const limit = parseInt(options.limit, 10) || 20;
+				displayHistory(getHistory(options.file, { limit }));
+			} catch (error) {
+				console.error(chalk.red(`Error reading history: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// undo command
+	programInstance
+		.command('undo')
+		.description('Revert the most recent change to the tasks file')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--force',
+			'Undo even if the file was modified outside of the recorded history'
+		)
+		.action(async (options) => {
+			try {
+				const entry = await undoChange(options.file, { force: options.force });
+				console.log(
+					chalk.green(
+						`Undid change #${entry.id}: ${entry.operation} ${entry.details || ''}`.trim()
+					)
+				);
+				console.log(
+					chalk.gray(
+						'Run `task-master generate` to refresh the individual task files.'
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// redo command
+	programInstance
+		.command('redo')
+		.description('Re-apply the most recently undone change to the tasks file')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--force',
+			'Redo even if the file was modified outside of the recorded history'
+		)
+		.action(async (options) => {
+			try {
+				const entry = await redoChange(options.file, { force: options.force });
+				console.log(
+					chalk.green(
+						`Redid change #${entry.id}: ${entry.operation} ${entry.details || ''}`.trim()
+					)
+				);
+				console.log(
+					chalk.gray(
+						'Run `task-master generate` to refresh the individual task files.'
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// log command
+	programInstance
+		.command('log')
+		.description(
+			'Show the audit log of task changes: who changed what, field by field'
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Only show changes to this task and its subtasks')
+		.option('--tag <tag>', 'Tag of the task list (defaults to the active tag)')
+		.option('-n, --limit <number>', 'Number of entries to show', '20')
+		.action(async (options) => {
+			try {
+				const limit = parseInt(options.limit, 10) || 20;
+				const auditLog = getAuditLog(options.file, {
+					id: options.id,
+					tag: options.tag,
+					limit
+				});
+				displayAuditLog(auditLog, { id: options.id });
+			} catch (error) {
+				console.error(chalk.red(`Error reading audit log: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
 	// init command
+	// migrate command
+	programInstance
+		.command('migrate')
+		.description(
+			'Upgrade the tasks file to the current schema version and validate it'
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--check', 'Only report the pending upgrade steps and invalid fields')
+		.action(async (options) => {
+			try {
+				const result = await migrateTasks(options.file, {
+					dryRun: options.check
+				});
+
+				if (result.applied.length === 0) {
+					console.log(
+						chalk.green(
+							`${options.file} is already at schema version ${result.toVersion}.`
+						)
+					);
+				} else {
+					console.log(
+						chalk.white.bold(
+							`${result.written ? 'Migrated' : 'Pending migration of'} ${options.file} from schema version ${result.fromVersion} to ${result.toVersion}:`
+						)
+					);
+					result.applied.forEach((step) =>
+						console.log(chalk.cyan(`  v${step.version}: ${step.description}`))
+					);
+				}
+
+				if (result.issues.length > 0) {
+					console.log(
+						chalk.red(`\n${result.issues.length} invalid field(s) found:`)
+					);
+					result.issues.forEach((issue) =>
+						console.log(chalk.red(`  - ${issue.path}: ${issue.message}`))
+					);
+					process.exit(1);
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// export command
+	programInstance
+		.command('export')
+		.description('Write all tags and tasks to a JSON file, whatever the storage backend')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.requiredOption('-o, --output <file>', 'File to write the exported tasks to')
+		.action(async (options) => {
+			try {
+				const result = exportTasks(options.file, options.output);
+				console.log(
+					chalk.green(
+						`Exported ${result.taskCount} task(s) in ${result.tagCount} tag(s) from ${result.storage} storage to ${result.outputPath}`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// import command
+	programInstance
+		.command('import')
+		.description('Replace all tasks with an exported file, stored in the backend configured in .taskmasterconfig')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --input <file>', 'Exported tasks file to import (default: move the current tasks to the configured backend)')
+		.action(async (options) => {
+			try {
+				const result = importTasks(options.file, { input: options.input });
+				console.log(
+					chalk.green(
+						`Imported ${result.taskCount} task(s) in ${result.tagCount} tag(s) into ${result.storage} storage (${result.location})`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
 	programInstance
 		.command('init')
 		.description('Initialize a new Task Master project structure')
@@ -1851,6 +2924,8 @@ function registerCommands(programInstance) {
 				console.error(chalk.red('Error: Could not determine project root.'));
 				process.exit(1);
 			}
+			// Provider plugins add their models to the lists below
+			await loadProviderPlugins(projectRoot);
 
 			if (options.setup) {
 				const setupCompleted = await runInteractiveSetup(projectRoot);
@@ -1861,7 +2936,7 @@ function registerCommands(programInstance) {
 				const configResult = await getModelConfiguration({ projectRoot });
 				if (configResult.success) {
 					displayModelConfiguration(configResult.data);
-					displayApiKeyStatus(await getApiKeyStatusReport(projectRoot));
+					displayApiKeyStatus((await getApiKeyStatusReport({ projectRoot })).data?.report);
 				} else {
 					console.error(chalk.red(`Error loading config after setup: ${configResult.error?.message || 'Unknown'}`));
 				}
@@ -1909,7 +2984,7 @@ function registerCommands(programInstance) {
 				const configResult = await getModelConfiguration({ projectRoot });
 				if (configResult.success) {
 					displayModelConfiguration(configResult.data);
-					displayApiKeyStatus(await getApiKeyStatusReport(projectRoot));
+					displayApiKeyStatus((await getApiKeyStatusReport({ projectRoot })).data?.report);
 				} else {
 					console.error(chalk.red(`Error loading model configuration: ${configResult.error?.message || 'Unknown'}`));
 					if (configResult.error?.code === 'CONFIG_MISSING') {
@@ -2054,12 +3129,19 @@ function displayUpgradeNotification(currentVersion, latestVersion) {
 	console.log(message);
 }
 
+// Commands that print data (not messages) to stdout
+const RAW_OUTPUT_COMMANDS = ['graph'];
+
 /**
  * Main function to run the CLI.
  * @param {string[]} argv - Command line arguments (defaults to process.argv)
  */
 async function runCLI(argv = process.argv) {
-	displayBanner(); // Display banner at the very start
+	// Display banner at the very start, except where the output is meant to
+	// be piped into another tool
+	if (!RAW_OUTPUT_COMMANDS.includes(argv[2])) {
+		displayBanner();
+	}
 
 	// Register all commands
 	registerCommands(program);
@@ -1,7 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { log, resolveEnvVariable, findProjectRoot } from './utils.js';
 
 // Calculate __dirname in ESM
@@ -32,6 +33,9 @@ const CONFIG_FILE_NAME = '.taskmasterconfig';
 // Define valid providers dynamically from the loaded MODEL_MAP
 const VALID_PROVIDERS = Object.keys(MODEL_MAP || {});
 
+// Providers shipped with Taskmaster; plugins cannot replace them
+const BUILT_IN_PROVIDERS = [...VALID_PROVIDERS, 'ollama'];
+
 // Default configuration values (used if .taskmasterconfig is missing or incomplete)
 const DEFAULTS = {
 	models: {
@@ -67,7 +71,29 @@ const DEFAULTS = {
 		defaultSubtasks: 5,
 		defaultPriority: 'medium',
 		projectName: 'Task Master',
-		ollamaBaseUrl: 'http://localhost:11434/api'
+		ollamaBaseUrl: 'http://localhost:11434/api',
+		lockTimeoutMs: 30000,
+		historyLimit: 50,
+		autoMigrate: true,
+		claimLeaseMinutes: 60
+	},
+	storage: {
+		type: 'json', // 'json' or 'sqlite'
+		sqlitePath: '.taskmaster/tasks.db'
+	},
+	customFields: [],
+	// Provider plugins: provider name -> module path (relative to the project root) or package name
+	providers: {},
+	nextTask: {
+		// Points per unit of each factor when ranking candidates for 'next'
+		weights: {
+			priority: 1,
+			dueDate: 1,
+			complexity: 0,
+			age: 0,
+			unblocks: 0,
+			parentAffinity: 10
+		}
 	}
 };
 
@@ -131,7 +157,25 @@ function _loadAndValidateConfig(explicitRoot = null) {
 							? { ...defaults.models.fallback, ...parsedConfig.models.fallback }
 							: { ...defaults.models.fallback }
 				},
-				global: { ...defaults.global, ...parsedConfig?.global }
+				global: { ...defaults.global, ...parsedConfig?.global },
+				storage: { ...defaults.storage, ...parsedConfig?.storage },
+				customFields: Array.isArray(parsedConfig?.customFields)
+					? parsedConfig.customFields
+					: defaults.customFields,
+				providers:
+					parsedConfig?.providers &&
+					typeof parsedConfig.providers === 'object' &&
+					!Array.isArray(parsedConfig.providers)
+						? parsedConfig.providers
+						: defaults.providers,
+				nextTask: {
+					...defaults.nextTask,
+					...parsedConfig?.nextTask,
+					weights: {
+						...defaults.nextTask.weights,
+						...parsedConfig?.nextTask?.weights
+					}
+				}
 			};
 
 				        // Apply environment variable overrides AFTER loading from file
@@ -141,8 +185,12 @@ function _loadAndValidateConfig(explicitRoot = null) {
 				        config.models.fallback.modelId = resolveEnvVariable('TASKMASTER_AI_MODEL', null, rootToUse) || config.models.fallback.modelId; // Fallback uses main AI model env var
 
 			// --- Validation (Warn if file content is invalid) ---
+			// Plugin providers count as valid before their modules are loaded
+			const isKnownProvider = (providerName) =>
+				validateProvider(providerName, rootToUse) ||
+				Object.prototype.hasOwnProperty.call(config.providers, providerName);
 			// Use log.warn for consistency
-			if (!validateProvider(config.models.main.provider)) {
+			if (!isKnownProvider(config.models.main.provider)) {
 				console.warn(
 					chalk.yellow(
 						`Warning: Invalid main provider "${config.models.main.provider}" in ${configPath}. Falling back to default.`
@@ -150,7 +198,7 @@ function _loadAndValidateConfig(explicitRoot = null) {
 				);
 				config.models.main = { ...defaults.models.main };
 			}
-			if (!validateProvider(config.models.research.provider)) {
+			if (!isKnownProvider(config.models.research.provider)) {
 				console.warn(
 					chalk.yellow(
 						`Warning: Invalid research provider "${config.models.research.provider}" in ${configPath}. Falling back to default.`
@@ -158,7 +206,7 @@ function _loadAndValidateConfig(explicitRoot = null) {
 				);
 				config.models.research = { ...defaults.models.research };
 			}
-			if (!validateProvider(config.models.search.provider)) {
+			if (!isKnownProvider(config.models.search.provider)) {
 				console.warn(
 					chalk.yellow(
 						`Warning: Invalid search provider "${config.models.search.provider}" in ${configPath}. Falling back to default.`
@@ -168,7 +216,7 @@ function _loadAndValidateConfig(explicitRoot = null) {
 			}
 			if (
 				config.models.fallback?.provider &&
-				!validateProvider(config.models.fallback.provider)
+				!isKnownProvider(config.models.fallback.provider)
 			) {
 				console.warn(
 					chalk.yellow(
@@ -243,12 +291,17 @@ function getConfig(explicitRoot = null, forceReload = false) {
 }
 
 /**
- * Validates if a provider name is in the list of supported providers.
+ * Validates if a provider name is in the list of supported providers or is a
+ * provider plugin loaded for the project.
  * @param {string} providerName The name of the provider.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
  * @returns {boolean} True if the provider is valid, false otherwise.
  */
-function validateProvider(providerName) {
-	return VALID_PROVIDERS.includes(providerName);
+function validateProvider(providerName, explicitRoot = null) {
+	return (
+		VALID_PROVIDERS.includes(providerName) ||
+		!!getProviderPlugin(providerName, explicitRoot)
+	);
 }
 
 /**
@@ -256,21 +309,202 @@ function validateProvider(providerName) {
  * This is a non-strict validation; an unknown model might still be valid.
  * @param {string} providerName The name of the provider.
  * @param {string} modelId The model ID.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
  * @returns {boolean} True if the modelId is in the map for the provider, false otherwise.
  */
-function validateProviderModelCombination(providerName, modelId) {
+function validateProviderModelCombination(
+	providerName,
+	modelId,
+	explicitRoot = null
+) {
+	const providerModels = getModelMap(explicitRoot)[providerName];
 	// If provider isn't even in our map, we can't validate the model
-	if (!MODEL_MAP[providerName]) {
+	if (!providerModels) {
 		return true; // Allow unknown providers or those without specific model lists
 	}
 	// If the provider is known, check if the model is in its list OR if the list is empty (meaning accept any)
 	return (
-		MODEL_MAP[providerName].length === 0 ||
+		providerModels.length === 0 ||
 		// Use .some() to check the 'id' property of objects in the array
-		MODEL_MAP[providerName].some((modelObj) => modelObj.id === modelId)
+		providerModels.some((modelObj) => modelObj.id === modelId)
 	);
 }
 
+// --- Provider Plugins ---
+
+const PLUGIN_FUNCTIONS = ['generateText', 'streamText', 'generateObject'];
+
+// project root -> { configMtimeMs, plugins: Map of name -> plugin, load: Promise }
+const projectPlugins = new Map();
+
+/**
+ * Checks a provider plugin module and brings it into the shape used by the
+ * unified AI service.
+ * @param {string} providerName - Name the plugin is registered under.
+ * @param {object} pluginModule - The imported module; its default export is used if it is an object.
+ * @returns {{ generateText: Function, streamText: Function, generateObject: Function, models: Array<object>, apiKeyEnvVar: string|null, baseUrlEnvVar: string|null }}
+ * @throws {ConfigurationError} If the module does not implement the plugin API.
+ */
+function validateProviderPlugin(providerName, pluginModule) {
+	const plugin =
+		pluginModule?.default && typeof pluginModule.default === 'object'
+			? pluginModule.default
+			: pluginModule;
+	const fail = (problem) => {
+		throw new ConfigurationError(
+			`Provider plugin "${providerName}" ${problem}`
+		);
+	};
+
+	if (!/^[a-z0-9][a-z0-9_-]*$/.test(providerName)) {
+		fail('needs a lowercase name (letters, digits, "-" and "_").');
+	}
+	if (BUILT_IN_PROVIDERS.includes(providerName)) {
+		fail('cannot replace a built-in provider; choose another name.');
+	}
+	PLUGIN_FUNCTIONS.forEach((fnName) => {
+		if (typeof plugin?.[fnName] !== 'function') {
+			fail(`must export a ${fnName} function.`);
+		}
+	});
+	if (!Array.isArray(plugin.models) || plugin.models.length === 0) {
+		fail('must export a non-empty models array.');
+	}
+	const models = plugin.models.map((model) => {
+		if (typeof model?.id !== 'string' || model.id.trim() === '') {
+			fail('has a model without an id.');
+		}
+		if (
+			model.allowed_roles !== undefined &&
+			!Array.isArray(model.allowed_roles)
+		) {
+			fail(`has non-array allowed_roles for model "${model.id}".`);
+		}
+		return {
+			swe_score: null,
+			cost_per_1m_tokens: { input: 0, output: 0 },
+			allowed_roles: ['main', 'fallback'],
+			...model
+		};
+	});
+	['apiKeyEnvVar', 'baseUrlEnvVar'].forEach((field) => {
+		if (plugin[field] !== undefined && typeof plugin[field] !== 'string') {
+			fail(`has a ${field} that is not an environment variable name.`);
+		}
+	});
+
+	return {
+		generateText: plugin.generateText,
+		streamText: plugin.streamText,
+		generateObject: plugin.generateObject,
+		models,
+		apiKeyEnvVar: plugin.apiKeyEnvVar || null,
+		baseUrlEnvVar: plugin.baseUrlEnvVar || null
+	};
+}
+
+// Paths are taken relative to the project root; anything else is a package,
+// looked up in the project's node_modules first
+function resolvePluginSpecifier(specifier, rootDir) {
+	if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+		return pathToFileURL(path.resolve(rootDir, specifier)).href;
+	}
+	try {
+		const projectRequire = createRequire(path.join(rootDir, 'package.json'));
+		return pathToFileURL(projectRequire.resolve(specifier)).href;
+	} catch (error) {
+		return specifier;
+	}
+}
+
+function getConfigMtime(rootDir) {
+	try {
+		return fs.statSync(path.join(rootDir, CONFIG_FILE_NAME)).mtimeMs;
+	} catch (error) {
+		return null;
+	}
+}
+
+async function _loadProviderPlugins(rootDir, plugins, reload) {
+	const declared = getConfig(rootDir, reload).providers || {};
+	const result = { loaded: [], errors: [] };
+
+	for (const [providerName, specifier] of Object.entries(declared)) {
+		try {
+			if (typeof specifier !== 'string' || specifier.trim() === '') {
+				throw new ConfigurationError(
+					`Provider plugin "${providerName}" needs a module path or package name.`
+				);
+			}
+			const plugin = validateProviderPlugin(
+				providerName,
+				await import(resolvePluginSpecifier(specifier.trim(), rootDir))
+			);
+			plugins.set(providerName, plugin);
+			result.loaded.push(providerName);
+		} catch (error) {
+			console.warn(
+				chalk.yellow(
+					`Warning: Could not load provider plugin "${providerName}" (${specifier}): ${error.message}`
+				)
+			);
+			result.errors.push({ provider: providerName, message: error.message });
+		}
+	}
+	return result;
+}
+
+/**
+ * Loads the provider plugins declared in the `providers` section of
+ * .taskmasterconfig. The plugins are kept per project root, so projects
+ * served by the same process do not see each other's providers. A plugin
+ * that fails to load or validate is skipped with a warning. A project is
+ * loaded again only when its .taskmasterconfig has changed since.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {Promise<{ loaded: string[], errors: Array<{ provider: string, message: string }> }>}
+ */
+function loadProviderPlugins(explicitRoot = null) {
+	const rootDir = explicitRoot || findProjectRoot();
+	if (!rootDir) {
+		return Promise.resolve({ loaded: [], errors: [] });
+	}
+	const configMtimeMs = getConfigMtime(rootDir);
+	const current = projectPlugins.get(rootDir);
+	if (current && current.configMtimeMs === configMtimeMs) {
+		return current.load;
+	}
+	const entry = { configMtimeMs, plugins: new Map() };
+	entry.load = _loadProviderPlugins(rootDir, entry.plugins, !!current);
+	projectPlugins.set(rootDir, entry);
+	return entry.load;
+}
+
+/**
+ * Gets a provider plugin loaded for a project.
+ * @param {string} providerName - The name of the provider.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {object|null} The plugin as returned by validateProviderPlugin, or null.
+ */
+function getProviderPlugin(providerName, explicitRoot = null) {
+	const rootDir = explicitRoot || findProjectRoot();
+	return projectPlugins.get(rootDir)?.plugins.get(providerName) || null;
+}
+
+/**
+ * Gets the models of every provider of a project: the built-in ones of
+ * MODEL_MAP and those of the provider plugins loaded for the project.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {Object<string, Array<object>>} Models by provider name.
+ */
+function getModelMap(explicitRoot = null) {
+	const rootDir = explicitRoot || findProjectRoot();
+	const modelMap = { ...MODEL_MAP };
+	projectPlugins.get(rootDir)?.plugins.forEach((plugin, providerName) => {
+		modelMap[providerName] = plugin.models;
+	});
+	return modelMap;
+}
+
 // --- Role-Specific Getters ---
 
 function getModelConfigForRole(role, explicitRoot = null) {
@@ -418,6 +652,61 @@ function getOllamaBaseUrl(explicitRoot = null) {
 	return getGlobalConfig(explicitRoot).ollamaBaseUrl;
 }
 
+function getLockTimeout(explicitRoot = null) {
+	// How long (ms) to wait for another process to release the tasks file lock
+	const val = getGlobalConfig(explicitRoot).lockTimeoutMs;
+	const parsedVal = parseInt(val, 10);
+	return isNaN(parsedVal) || parsedVal < 0
+		? DEFAULTS.global.lockTimeoutMs
+		: parsedVal;
+}
+
+function getHistoryLimit(explicitRoot = null) {
+	// Number of undoable changes kept in the .taskmaster/history journal
+	const val = getGlobalConfig(explicitRoot).historyLimit;
+	const parsedVal = parseInt(val, 10);
+	return isNaN(parsedVal) || parsedVal < 1
+		? DEFAULTS.global.historyLimit
+		: parsedVal;
+}
+
+function getClaimLeaseMinutes(explicitRoot = null) {
+	// How long a claim on a task lasts before others may take the task over
+	const val = getGlobalConfig(explicitRoot).claimLeaseMinutes;
+	const parsedVal = parseFloat(val);
+	return isNaN(parsedVal) || parsedVal <= 0
+		? DEFAULTS.global.claimLeaseMinutes
+		: parsedVal;
+}
+
+function getAutoMigrate(explicitRoot = null) {
+	// Whether tasks files written by older versions are upgraded when read
+	return getGlobalConfig(explicitRoot).autoMigrate !== false;
+}
+
+function getStorageConfig(explicitRoot = null) {
+	// Backend holding the tasks ('json' or 'sqlite') and the SQLite file location
+	const config = getConfig(explicitRoot);
+	return { ...DEFAULTS.storage, ...(config?.storage || {}) };
+}
+
+function getCustomFields(explicitRoot = null) {
+	// Project-specific task fields declared as [{ name, type, values?, default? }]
+	const config = getConfig(explicitRoot);
+	return Array.isArray(config?.customFields) ? config.customFields : [];
+}
+
+function getNextTaskWeights(explicitRoot = null) {
+	// Weights of the factors 'next' ranks candidates by; anything that is not a number keeps its default
+	const weights = getConfig(explicitRoot)?.nextTask?.weights || {};
+	return Object.fromEntries(
+		Object.entries(DEFAULTS.nextTask.weights).map(([factor, fallback]) => [
+			factor,
+			Number.isFinite(weights[factor]) ? weights[factor] : fallback
+		])
+	);
+}
+
 /**
  * Gets model parameters (maxTokens, temperature) for a specific role,
  * considering model-specific overrides from supported-models.json.
@@ -435,8 +724,8 @@ function getParametersForRole(role, explicitRoot = null) {
 	let effectiveMaxTokens = roleMaxTokens; // Start with the role's default
 
 	try {
-		// Find the model definition in MODEL_MAP
-		const providerModels = MODEL_MAP[providerName];
+		// Find the model definition in MODEL_MAP or the provider plugin
+		const providerModels = getModelMap(explicitRoot)[providerName];
 		if (providerModels && Array.isArray(providerModels)) {
 			const modelDefinition = providerModels.find((m) => m.id === modelId);
 
@@ -490,7 +779,7 @@ function getParametersForRole(role, explicitRoot = null) {
  */
 function isApiKeySet(providerName, session = null, projectRoot = null) {
 	// Define the expected environment variable name for each provider
-	if (providerName?.toLowerCase() === 'ollama') {
+	if (['ollama', 'mock'].includes(providerName?.toLowerCase())) {
 		return true; // Indicate key status is effectively "OK"
 	}
 
@@ -503,12 +792,16 @@ function isApiKeySet(providerName, session = null, projectRoot = null) {
 	};
 
 	const providerKey = providerName?.toLowerCase();
-	if (!providerKey || !keyMap[providerKey]) {
+	const plugin = getProviderPlugin(providerKey, projectRoot);
+	if (plugin && !plugin.apiKeyEnvVar) {
+		return true; // The plugin needs no key
+	}
+	const envVarName = plugin ? plugin.apiKeyEnvVar : keyMap[providerKey];
+	if (!providerKey || !envVarName) {
 		log('warn', `Unknown provider name: ${providerName} in isApiKeySet check.`);
 		return false;
 	}
 
-	const envVarName = keyMap[providerKey];
 	const apiKeyValue = resolveEnvVariable(envVarName, session, projectRoot);
 
 	// Check if the key exists, is not empty, and is not a placeholder
@@ -555,6 +848,15 @@ function getMcpApiKeyStatus(providerName, projectRoot = null) {
 		let apiKeyToCheck = null;
 		let placeholderValue = null;
 
+		const plugin = getProviderPlugin(providerName, rootDir);
+		if (plugin) {
+			if (!plugin.apiKeyEnvVar) {
+				return true; // The plugin needs no key
+			}
+			apiKeyToCheck = mcpEnv[plugin.apiKeyEnvVar];
+			return !!apiKeyToCheck && !/KEY_HERE$/.test(apiKeyToCheck);
+		}
+
 		switch (providerName) {
 			case 'openai':
 				apiKeyToCheck = mcpEnv.OPENAI_API_KEY;
@@ -565,6 +867,7 @@ function getMcpApiKeyStatus(providerName, projectRoot = null) {
 				placeholderValue = 'YOUR_XAI_API_KEY_HERE';
 				break;
 			case 'ollama':
+			case 'mock':
 				return true; // No key needed
 			case 'mistral':
 				apiKeyToCheck = mcpEnv.MISTRAL_API_KEY;
@@ -588,12 +891,14 @@ function getMcpApiKeyStatus(providerName, projectRoot = null) {
 }
 
 /**
- * Gets a list of available models based on the MODEL_MAP.
+ * Gets a list of available models based on the MODEL_MAP and the provider
+ * plugins of the project.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
  * @returns {Array<{id: string, name: string, provider: string, swe_score: number|null, cost_per_1m_tokens: {input: number|null, output: number|null}|null, allowed_roles: string[]}>}
  */
-function getAvailableModels() {
+function getAvailableModels(explicitRoot = null) {
 	const available = [];
-	for (const [provider, models] of Object.entries(MODEL_MAP)) {
+	for (const [provider, models] of Object.entries(getModelMap(explicitRoot))) {
 		if (models.length > 0) {
 			models.forEach((modelObj) => {
 				// Basic name generation - can be improved
@@ -730,11 +1035,13 @@ function getUserId(explicitRoot = null) {
 }
 
 /**
- * Gets a list of all provider names defined in the MODEL_MAP.
+ * Gets a list of all provider names defined in the MODEL_MAP, and of the
+ * provider plugins of the project.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
  * @returns {string[]} An array of provider names.
  */
-function getAllProviders() {
-	return Object.keys(MODEL_MAP || {});
+function getAllProviders(explicitRoot = null) {
+	return Object.keys(getModelMap(explicitRoot));
 }
 
 function getBaseUrlForRole(role, explicitRoot = null) {
@@ -756,8 +1063,14 @@ export {
 	validateProviderModelCombination,
 	VALID_PROVIDERS,
 	MODEL_MAP,
+	getModelMap,
 	getAvailableModels,
 
+	// Provider plugins
+	loadProviderPlugins,
+	getProviderPlugin,
+	validateProviderPlugin,
+
 	// Role-specific getters (No env var overrides)
 	getMainProvider,
 	getMainModelId,
@@ -785,6 +1098,13 @@ export {
 	getDefaultPriority,
 	getProjectName,
 	getOllamaBaseUrl,
+	getLockTimeout,
+	getHistoryLimit,
+	getClaimLeaseMinutes,
+	getAutoMigrate,
+	getStorageConfig,
+	getCustomFields,
+	getNextTaskWeights,
 	getParametersForRole,
 	getUserId,
 	// API Key Checkers (still relevant)
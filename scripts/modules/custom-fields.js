@@ -0,0 +1,262 @@
+/**
+ * custom-fields.js
+ * Project-specific task fields declared under `customFields` in
+ * .taskmasterconfig. Values are stored on each task in a `customFields`
+ * object and are validated against the declarations when they are set.
+ */
+
+import { getCustomFields } from './config-manager.js';
+
+const CUSTOM_FIELD_TYPES = ['string', 'number', 'enum', 'date', 'list'];
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converts a value to the type of a custom field
+ * @param {Object} definition - Field declaration
+ * @param {*} value - Raw value (strings from the command line, or typed values)
+ * @returns {string|number|Array<string>|null} Typed value; null clears the field
+ * @throws {Error} If the value does not fit the field
+ */
+function coerceFieldValue(definition, value) {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	const { name, type } = definition;
+	const fail = (expected) => {
+		throw new Error(
+			`Invalid value "${value}" for custom field "${name}": expected ${expected}`
+		);
+	};
+
+	switch (type) {
+		case 'number': {
+			const number = typeof value === 'number' ? value : Number(value);
+			return Number.isFinite(number) ? number : fail('a number');
+		}
+		case 'enum':
+			return definition.values.includes(String(value))
+				? String(value)
+				: fail(`one of ${definition.values.join(', ')}`);
+		case 'date': {
+			const date = String(value);
+			const parsed = new Date(`${date}T00:00:00Z`);
+			return DATE_PATTERN.test(date) &&
+				!isNaN(parsed) &&
+				parsed.toISOString().startsWith(date)
+				? date
+				: fail('a date like 2025-06-30');
+		}
+		case 'list':
+			return (Array.isArray(value) ? value : String(value).split(','))
+				.map((item) => String(item).trim())
+				.filter(Boolean);
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Reads and checks the custom field declarations of a project
+ * @param {string|null} [projectRoot=null] - Project root (defaults to the detected one)
+ * @returns {Array<Object>} Declarations ({ name, type, values?, default?, description? })
+ * @throws {Error} If a declaration is invalid
+ */
+function getCustomFieldDefinitions(projectRoot = null) {
+	const definitions = getCustomFields(projectRoot);
+	const names = new Set();
+
+	definitions.forEach((definition) => {
+		const { name, type = 'string', values } = definition || {};
+		const invalid = (reason) => {
+			throw new Error(
+				`Invalid custom field "${name}" in .taskmasterconfig: ${reason}`
+			);
+		};
+		if (!FIELD_NAME_PATTERN.test(name || '')) {
+			invalid('names use letters, numbers, hyphens and underscores');
+		}
+		if (names.has(name)) {
+			invalid('it is declared more than once');
+		}
+		if (!CUSTOM_FIELD_TYPES.includes(type)) {
+			invalid(`type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`);
+		}
+		if (type === 'enum' && (!Array.isArray(values) || values.length === 0)) {
+			invalid('enum fields need a non-empty "values" list');
+		}
+		names.add(name);
+	});
+
+	return definitions.map((definition) => {
+		const normalized = { type: 'string', ...definition };
+		if (normalized.type === 'enum') {
+			normalized.values = normalized.values.map(String);
+		}
+		if (normalized.default !== undefined) {
+			normalized.default = coerceFieldValue(normalized, normalized.default);
+		}
+		return normalized;
+	});
+}
+
+function findDefinition(definitions, name) {
+	const definition = definitions.find((d) => d.name === name);
+	if (!definition) {
+		throw new Error(
+			definitions.length > 0
+				? `Unknown custom field "${name}". Declared fields: ${definitions.map((d) => d.name).join(', ')}`
+				: `Unknown custom field "${name}". Declare it under "customFields" in .taskmasterconfig first.`
+		);
+	}
+	return definition;
+}
+
+/**
+ * Parses field assignments given as "key=value" strings (e.g. repeated
+ * --field options) or as an object of values
+ * @param {Array<string>|Object|null} assignments - Assignments to parse
+ * @returns {Object} Raw values by field name
+ * @throws {Error} If an assignment is not of the form key=value
+ */
+function parseFieldAssignments(assignments) {
+	if (!assignments) {
+		return {};
+	}
+	if (!Array.isArray(assignments)) {
+		return { ...assignments };
+	}
+	return Object.fromEntries(
+		assignments.map((assignment) => {
+			const separator = assignment.indexOf('=');
+			if (separator <= 0) {
+				throw new Error(
+					`Invalid field "${assignment}". Use the form key=value (an empty value clears the field).`
+				);
+			}
+			return [
+				assignment.slice(0, separator).trim(),
+				assignment.slice(separator + 1).trim()
+			];
+		})
+	);
+}
+
+/**
+ * Validates field values and applies them to a task's custom fields
+ * @param {Array<string>|Object|null} assignments - Values to set (see parseFieldAssignments)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.existing={}] - Current custom fields of the task
+ * @param {boolean} [options.applyDefaults=false] - Fill in declared defaults (for new tasks)
+ * @param {string|null} [options.projectRoot=null] - Project root for the declarations
+ * @returns {Object} The task's new custom fields
+ * @throws {Error} For unknown fields or invalid values
+ */
+function resolveCustomFields(assignments, options = {}) {
+	const { existing = {}, applyDefaults = false, projectRoot = null } = options;
+	const values = parseFieldAssignments(assignments);
+	if (Object.keys(values).length === 0 && !applyDefaults) {
+		return { ...existing };
+	}
+
+	const definitions = getCustomFieldDefinitions(projectRoot);
+	const fields = { ...existing };
+	if (applyDefaults) {
+		definitions
+			.filter((d) => d.default !== undefined && fields[d.name] === undefined)
+			.forEach((d) => (fields[d.name] = d.default));
+	}
+
+	Object.entries(values).forEach(([name, value]) => {
+		const typed = coerceFieldValue(findDefinition(definitions, name), value);
+		if (typed === null || (Array.isArray(typed) && typed.length === 0)) {
+			delete fields[name];
+		} else {
+			fields[name] = typed;
+		}
+	});
+	return fields;
+}
+
+/**
+ * Parses field filters for listing tasks
+ * @param {Array<string>|Object|null} assignments - Filters as key=value
+ * @param {string|null} [projectRoot=null] - Project root for the declarations
+ * @returns {Array<{ name: string, value: * }>} Typed filters
+ */
+function parseFieldFilters(assignments, projectRoot = null) {
+	const values = parseFieldAssignments(assignments);
+	if (Object.keys(values).length === 0) {
+		return [];
+	}
+	const definitions = getCustomFieldDefinitions(projectRoot);
+	return Object.entries(values).map(([name, value]) => {
+		const definition = findDefinition(definitions, name);
+		// A list filter matches tasks whose list contains the value
+		const filterDefinition =
+			definition.type === 'list'
+				? { ...definition, type: 'string' }
+				: definition;
+		return { name, value: coerceFieldValue(filterDefinition, value) };
+	});
+}
+
+/**
+ * Checks a task against field filters. An empty filter value matches tasks
+ * without a value for the field.
+ * @param {Object} task - Task to check
+ * @param {Array<{ name: string, value: * }>} filters - Filters from parseFieldFilters
+ * @returns {boolean} True if the task matches every filter
+ */
+function matchesFieldFilters(task, filters) {
+	return filters.every(({ name, value }) => {
+		const actual = task.customFields?.[name];
+		if (value === null) {
+			return actual === undefined;
+		}
+		return Array.isArray(actual) ? actual.includes(value) : actual === value;
+	});
+}
+
+/**
+ * Checks that custom fields can be shown as columns
+ * @param {Array<string>|string|null} columns - Field names (or a comma-separated string)
+ * @param {string|null} [projectRoot=null] - Project root for the declarations
+ * @returns {Array<string>} Field names
+ */
+function resolveFieldColumns(columns, projectRoot = null) {
+	const names = (
+		Array.isArray(columns) ? columns : String(columns || '').split(',')
+	)
+		.map((name) => name.trim())
+		.filter(Boolean);
+	if (names.length > 0) {
+		const definitions = getCustomFieldDefinitions(projectRoot);
+		names.forEach((name) => findDefinition(definitions, name));
+	}
+	return names;
+}
+
+/**
+ * Formats a custom field value for display
+ * @param {*} value - Stored value
+ * @returns {string} Display text (empty for missing values)
+ */
+function formatFieldValue(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+	return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+export {
+	CUSTOM_FIELD_TYPES,
+	getCustomFieldDefinitions,
+	coerceFieldValue,
+	parseFieldAssignments,
+	resolveCustomFields,
+	parseFieldFilters,
+	matchesFieldFilters,
+	resolveFieldColumns,
+	formatFieldValue
+};
@@ -12,10 +12,23 @@ import {
 	readJSON,
 	writeJSON,
 	taskExists,
-	formatTaskId,
-	findCycles,
+	parseTaskId,
+	compareTaskIds,
+	forEachSubtask,
+	resolveDependencyId,
+	getDependencyType,
+	isBlockingDependency,
+	createDependency,
 	isSilentMode
 } from './utils.js';
+import {
+	DEPENDENCY_TYPES,
+	isValidDependencyType
+} from '../../src/constants/dependency-types.js';
+import { withPathLock } from './file-lock.js';
+import { withHistory } from './history.js';
+import { getAuditLog } from './audit-log.js';
+import { findTaskByPath } from './storage/task-storage.js';
 
 import { displayBanner } from './ui.js';
 
@@ -26,11 +39,23 @@ import { generateTaskFiles } from './task-manager.js';
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number|string} taskId - ID of the task to add dependency to
  * @param {number|string} dependencyId - ID of the task to add as dependency
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list,
+ *   type of the dependency: 'blocks' by default, 'soft' or 'relates'). Adding an
+ *   existing dependency with another type changes its type.
  */
-async function addDependency(tasksPath, taskId, dependencyId) {
+async function addDependency(tasksPath, taskId, dependencyId, context = {}) {
+	const type = context.type || 'blocks';
 	log('info', `Adding dependency ${dependencyId} to task ${taskId}...`);
 
-	const data = readJSON(tasksPath);
+	if (!isValidDependencyType(type)) {
+		log(
+			'error',
+			`Invalid dependency type "${type}". Use one of: ${DEPENDENCY_TYPES.join(', ')}`
+		);
+		process.exit(1);
+	}
+
+	const data = readJSON(tasksPath, context.tag);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found in tasks.json');
 		process.exit(1);
@@ -42,27 +67,19 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 			? taskId
 			: parseInt(taskId, 10);
 
-	const formattedDependencyId = formatTaskId(dependencyId);
-
-	// Check if the dependency task or subtask actually exists
-	if (!taskExists(data.tasks, formattedDependencyId)) {
-		log(
-			'error',
-			`Dependency target ${formattedDependencyId} does not exist in tasks.json`
-		);
-		process.exit(1);
-	}
+	const formattedDependencyId =
+		typeof dependencyId === 'string' && dependencyId.includes('.')
+			? dependencyId
+			: parseInt(dependencyId, 10);
 
 	// Find the task to update
 	let targetTask = null;
-	let isSubtask = false;
+	let targetParentId = null;
 
 	if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-		// Handle dot notation for subtasks (e.g., "1.2")
-		const [parentId, subtaskId] = formattedTaskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		// Handle dot notation for subtasks (e.g., "1.2" or "1.2.1")
+		const { parentId, id: subtaskId } = parseTaskId(formattedTaskId);
+		const parentTask = findTaskByPath(data.tasks, parentId);
 
 		if (!parentTask) {
 			log('error', `Parent task ${parentId} not found.`);
@@ -75,7 +92,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		}
 
 		targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-		isSubtask = true;
+		targetParentId = parentId;
 
 		if (!targetTask) {
 			log('error', `Subtask ${formattedTaskId} not found.`);
@@ -91,79 +108,77 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		}
 	}
 
+	// A plain number added to a subtask names a sibling subtask
+	const dependencyFullId = resolveDependencyId(
+		formattedDependencyId,
+		targetParentId
+	);
+
+	// Check if the dependency task or subtask actually exists
+	if (!taskExists(data.tasks, dependencyFullId)) {
+		log(
+			'error',
+			`Dependency target ${dependencyFullId} does not exist in tasks.json`
+		);
+		process.exit(1);
+	}
+
 	// Initialize dependencies array if it doesn't exist
 	if (!targetTask.dependencies) {
 		targetTask.dependencies = [];
 	}
 
-	// Check if dependency already exists
-	if (
-		targetTask.dependencies.some((d) => {
-			// Convert both to strings for comparison to handle both numeric and string IDs
-			return String(d) === String(formattedDependencyId);
-		})
-	) {
+	// Check if dependency already exists, whichever form it was stored in
+	const existingIndex = targetTask.dependencies.findIndex(
+		(d) => resolveDependencyId(d, targetParentId) === dependencyFullId
+	);
+	const existing =
+		existingIndex === -1 ? null : targetTask.dependencies[existingIndex];
+	if (existing !== null && getDependencyType(existing) === type) {
 		log(
 			'warn',
-			`Dependency ${formattedDependencyId} already exists in task ${formattedTaskId}.`
+			`Dependency ${dependencyFullId} already exists in task ${formattedTaskId}.`
 		);
 		return;
 	}
 
 	// Check if the task is trying to depend on itself - compare full IDs (including subtask parts)
-	if (String(formattedTaskId) === String(formattedDependencyId)) {
+	if (String(formattedTaskId) === dependencyFullId) {
 		log('error', `Task ${formattedTaskId} cannot depend on itself.`);
 		process.exit(1);
 	}
 
-	// For subtasks of the same parent, we need to make sure we're not treating it as a self-dependency
-	// Check if we're dealing with subtasks with the same parent task
-	let isSelfDependency = false;
-
+	// Check for circular dependencies, which only blocking dependencies can
+	// create. The subtasks of a task (at any depth) wait on its dependencies
+	// too, so the dependency must not lead back to them either.
+	const waitingIds = [
+		String(formattedTaskId),
+		...getSubtaskIds(targetTask, formattedTaskId).filter(
+			(id) => id !== dependencyFullId && !id.startsWith(`${dependencyFullId}.`)
+		)
+	];
 	if (
-		typeof formattedTaskId === 'string' &&
-		typeof formattedDependencyId === 'string' &&
-		formattedTaskId.includes('.') &&
-		formattedDependencyId.includes('.')
+		type !== 'blocks' ||
+		!isCircularDependency(data.tasks, dependencyFullId, waitingIds)
 	) {
-		const [taskParentId] = formattedTaskId.split('.');
-		const [depParentId] = formattedDependencyId.split('.');
-
-		// Only treat it as a self-dependency if both the parent ID and subtask ID are identical
-		isSelfDependency = formattedTaskId === formattedDependencyId;
-
-		// Log for debugging
-		log(
-			'debug',
-			`Adding dependency between subtasks: ${formattedTaskId} depends on ${formattedDependencyId}`
-		);
-		log(
-			'debug',
-			`Parent IDs: ${taskParentId} and ${depParentId}, Self-dependency check: ${isSelfDependency}`
-		);
-	}
-
-	if (isSelfDependency) {
-		log('error', `Subtask ${formattedTaskId} cannot depend on itself.`);
-		process.exit(1);
-	}
-
-	// Check for circular dependencies
-	let dependencyChain = [formattedTaskId];
-	if (
-		!isCircularDependency(data.tasks, formattedDependencyId, dependencyChain)
-	) {
-		// Add the dependency
-		targetTask.dependencies.push(formattedDependencyId);
+		// Add the dependency, or change the type of the existing one
+		if (existing !== null) {
+			const storedId = typeof existing === 'object' ? existing.id : existing;
+			targetTask.dependencies[existingIndex] = createDependency(storedId, type);
+		} else {
+			targetTask.dependencies.push(
+				createDependency(formattedDependencyId, type)
+			);
+		}
 
-		// Sort dependencies numerically or by parent task ID first, then subtask ID
-		targetTask.dependencies.sort((a, b) => {
+		// Sort dependencies numerically or level by level for dotted IDs
+		targetTask.dependencies.sort((depA, depB) => {
+			const a = typeof depA === 'object' ? depA.id : depA;
+			const b = typeof depB === 'object' ? depB.id : depB;
 			if (typeof a === 'number' && typeof b === 'number') {
 				return a - b;
 			} else if (typeof a === 'string' && typeof b === 'string') {
-				const [aParent, aChild] = a.split('.').map(Number);
-				const [bParent, bChild] = b.split('.').map(Number);
-				return aParent !== bParent ? aParent - bParent : aChild - bChild;
+				return compareTaskIds(a, b);
 			} else if (typeof a === 'number') {
 				return -1; // Numbers come before strings
 			} else {
@@ -173,9 +188,10 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 
 		// Save changes
 		writeJSON(tasksPath, data);
+		const typeNote = type === 'blocks' ? '' : ` (${type})`;
 		log(
 			'success',
-			`Added dependency ${formattedDependencyId} to task ${formattedTaskId}`
+			`Added dependency ${dependencyFullId}${typeNote} to task ${formattedTaskId}`
 		);
 
 		// Display a more visually appealing success message
@@ -183,7 +199,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 			console.log(
 				boxen(
 					chalk.green(`Successfully added dependency:\n\n`) +
-						`Task ${chalk.bold(formattedTaskId)} now depends on ${chalk.bold(formattedDependencyId)}`,
+						`Task ${chalk.bold(formattedTaskId)} now depends on ${chalk.bold(dependencyFullId)}${typeNote}`,
 					{
 						padding: 1,
 						borderColor: 'green',
@@ -195,13 +211,15 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		}
 
 		// Generate updated task files
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+		await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+			tag: data.tag
+		});
 
 		log('info', 'Task files regenerated with updated dependencies.');
 	} else {
 		log(
 			'error',
-			`Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency.`
+			`Cannot add dependency ${dependencyFullId} to task ${formattedTaskId} as it would create a circular dependency.`
 		);
 		process.exit(1);
 	}
@@ -212,12 +230,13 @@ async function addDependency(tasksPath, taskId, dependencyId) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number|string} taskId - ID of the task to remove dependency from
  * @param {number|string} dependencyId - ID of the task to remove as dependency
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list)
  */
-async function removeDependency(tasksPath, taskId, dependencyId) {
+async function removeDependency(tasksPath, taskId, dependencyId, context = {}) {
 	log('info', `Removing dependency ${dependencyId} from task ${taskId}...`);
 
 	// Read tasks file
-	const data = readJSON(tasksPath);
+	const data = readJSON(tasksPath, context.tag);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
@@ -229,18 +248,16 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 			? taskId
 			: parseInt(taskId, 10);
 
-	const formattedDependencyId = formatTaskId(dependencyId);
+	const formattedDependencyId = String(dependencyId).trim();
 
 	// Find the task to update
 	let targetTask = null;
-	let isSubtask = false;
+	let targetParentId = null;
 
 	if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-		// Handle dot notation for subtasks (e.g., "1.2")
-		const [parentId, subtaskId] = formattedTaskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		// Handle dot notation for subtasks (e.g., "1.2" or "1.2.1")
+		const { parentId, id: subtaskId } = parseTaskId(formattedTaskId);
+		const parentTask = findTaskByPath(data.tasks, parentId);
 
 		if (!parentTask) {
 			log('error', `Parent task ${parentId} not found.`);
@@ -253,7 +270,7 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 		}
 
 		targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-		isSubtask = true;
+		targetParentId = parentId;
 
 		if (!targetTask) {
 			log('error', `Subtask ${formattedTaskId} not found.`);
@@ -278,29 +295,19 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 		return;
 	}
 
-	// Normalize the dependency ID for comparison to handle different formats
-	const normalizedDependencyId = String(formattedDependencyId);
-
-	// Check if the dependency exists by comparing string representations
-	const dependencyIndex = targetTask.dependencies.findIndex((dep) => {
-		// Convert both to strings for comparison
-		let depStr = String(dep);
-
-		// Special handling for numeric IDs that might be subtask references
-		if (typeof dep === 'number' && dep < 100 && isSubtask) {
-			// It's likely a reference to another subtask in the same parent task
-			// Convert to full format for comparison (e.g., 2 -> "1.2" for a subtask in task 1)
-			const [parentId] = formattedTaskId.split('.');
-			depStr = `${parentId}.${dep}`;
-		}
-
-		return depStr === normalizedDependencyId;
-	});
+	// Compare full IDs, so a sibling stored as 2 matches "1.2" for a subtask of task 1
+	const normalizedDependencyId = resolveDependencyId(
+		formattedDependencyId,
+		targetParentId
+	);
+	const dependencyIndex = targetTask.dependencies.findIndex(
+		(dep) => resolveDependencyId(dep, targetParentId) === normalizedDependencyId
+	);
 
 	if (dependencyIndex === -1) {
 		log(
 			'info',
-			`Task ${formattedTaskId} does not depend on ${formattedDependencyId}, no changes made.`
+			`Task ${formattedTaskId} does not depend on ${normalizedDependencyId}, no changes made.`
 		);
 		return;
 	}
@@ -314,7 +321,7 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 	// Success message
 	log(
 		'success',
-		`Removed dependency: Task ${formattedTaskId} no longer depends on ${formattedDependencyId}`
+		`Removed dependency: Task ${formattedTaskId} no longer depends on ${normalizedDependencyId}`
 	);
 
 	if (!isSilentMode()) {
@@ -322,7 +329,7 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 		console.log(
 			boxen(
 				chalk.green(`Successfully removed dependency:\n\n`) +
-					`Task ${chalk.bold(formattedTaskId)} no longer depends on ${chalk.bold(formattedDependencyId)}`,
+					`Task ${chalk.bold(formattedTaskId)} no longer depends on ${chalk.bold(normalizedDependencyId)}`,
 				{
 					padding: 1,
 					borderColor: 'green',
@@ -334,7 +341,61 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 	}
 
 	// Regenerate task files
-	await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+	await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+		tag: data.tag
+	});
+}
+
+/**
+ * Lists the full IDs of the subtasks of an item at any depth
+ * @param {Object} item - Task or subtask
+ * @param {number|string} itemId - Full ID of the item
+ * @returns {Array<string>} Full subtask IDs, parents before their subtasks
+ */
+function getSubtaskIds(item, itemId) {
+	return (item.subtasks || []).flatMap((subtask) => {
+		const subtaskId = `${itemId}.${subtask.id}`;
+		return [subtaskId, ...getSubtaskIds(subtask, subtaskId)];
+	});
+}
+
+/**
+ * Lists what every task and subtask waits on, by full ID. Besides its own
+ * dependencies, a task or subtask waits for its subtasks to be finished,
+ * and a subtask cannot start before the dependencies of its parent (and of
+ * their parents in turn) are met. A cycle can therefore run across levels:
+ * 3.2 -> 5.1 is circular when task 5 depends on task 3. Soft and relates
+ * dependencies do not make anything wait and are left out.
+ * @param {Array} tasks - Array of all tasks
+ * @returns {Map<string, Array<string>>} Full task or subtask ID to the full IDs it waits on
+ */
+function buildDependencyMap(tasks) {
+	const dependencyMap = new Map();
+	// inheritedDeps: what the item's parents wait on
+	const addItem = (item, itemId, parentId, inheritedDeps) => {
+		const ownDeps = (item.dependencies || [])
+			.filter(isBlockingDependency)
+			.map((depId) => resolveDependencyId(depId, parentId));
+		// A task may depend on one of its own subtasks, which that subtask
+		// (and anything below it) does not inherit
+		const inherited = inheritedDeps.filter(
+			(depId) => depId !== itemId && !depId.startsWith(`${itemId}.`)
+		);
+		const subtasks = item.subtasks || [];
+		dependencyMap.set(itemId, [
+			...new Set([
+				...ownDeps,
+				...inherited,
+				...subtasks.map((subtask) => `${itemId}.${subtask.id}`)
+			])
+		]);
+		const passedOn = [...new Set([...inheritedDeps, ...ownDeps])];
+		subtasks.forEach((subtask) =>
+			addItem(subtask, `${itemId}.${subtask.id}`, itemId, passedOn)
+		);
+	};
+	tasks.forEach((task) => addItem(task, String(task.id), null, []));
+	return dependencyMap;
 }
 
 /**
@@ -345,54 +406,218 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
  * @returns {boolean} True if circular dependency would be created
  */
 function isCircularDependency(tasks, taskId, chain = []) {
-	// Convert taskId to string for comparison
-	const taskIdStr = String(taskId);
-
-	// If we've seen this task before in the chain, we have a circular dependency
-	if (chain.some((id) => String(id) === taskIdStr)) {
-		return true;
-	}
+	const dependencyMap = buildDependencyMap(tasks);
+	const chainIds = new Set(chain.map(String));
+	const cleared = new Set();
+	const path = new Set();
+
+	// Depth-first walk: reaching the chain or the current path again is a cycle
+	const reachesCycle = (id) => {
+		if (chainIds.has(id) || path.has(id)) {
+			return true;
+		}
+		if (cleared.has(id)) {
+			return false;
+		}
+		path.add(id);
+		const found = (dependencyMap.get(id) || []).some(reachesCycle);
+		path.delete(id);
+		cleared.add(id);
+		return found;
+	};
 
-	// Find the task or subtask
-	let task = null;
-	let parentIdForSubtask = null;
+	return reachesCycle(String(taskId));
+}
 
-	// Check if this is a subtask reference (e.g., "1.2")
-	if (taskIdStr.includes('.')) {
-		const [parentId, subtaskId] = taskIdStr.split('.').map(Number);
-		const parentTask = tasks.find((t) => t.id === parentId);
-		parentIdForSubtask = parentId; // Store parent ID if it's a subtask
+/**
+ * Finds one dependency cycle
+ * @param {Map<string, Array<string>>} dependencyMap - Map from buildDependencyMap
+ * @returns {Array<string>|null} IDs along the cycle, each waiting on the next and the
+ *   last on the first, or null if there is none
+ */
+function findDependencyCycle(dependencyMap) {
+	const cleared = new Set();
+	const path = [];
+
+	const visit = (id) => {
+		const index = path.indexOf(id);
+		if (index !== -1) {
+			return path.slice(index);
+		}
+		if (cleared.has(id)) {
+			return null;
+		}
+		path.push(id);
+		for (const depId of dependencyMap.get(id) || []) {
+			const cycle = visit(depId);
+			if (cycle) {
+				return cycle;
+			}
+		}
+		path.pop();
+		cleared.add(id);
+		return null;
+	};
 
-		if (parentTask && parentTask.subtasks) {
-			task = parentTask.subtasks.find((st) => st.id === subtaskId);
+	for (const id of dependencyMap.keys()) {
+		const cycle = visit(id);
+		if (cycle) {
+			return cycle;
 		}
-	} else {
-		// Regular task
-		task = tasks.find((t) => String(t.id) === taskIdStr);
 	}
+	return null;
+}
 
-	if (!task) {
-		return false; // Task doesn't exist, can't create circular dependency
+/**
+ * Finds the dependency cycles of a task list. After each cycle is found its
+ * closing dependency is set aside, so every cycle returned has a dependency
+ * no other one has, and breaking one dependency in each cycle is enough to
+ * break them all if the cycles are disjoint.
+ * @param {Array} tasks - Array of all tasks
+ * @returns {Array<Array<string>>} Cycles as from findDependencyCycle
+ */
+function findDependencyCycles(tasks) {
+	const dependencyMap = buildDependencyMap(tasks);
+	const cycles = [];
+	let cycle = findDependencyCycle(dependencyMap);
+	while (cycle) {
+		cycles.push(cycle);
+		const last = cycle[cycle.length - 1];
+		dependencyMap.set(
+			last,
+			dependencyMap.get(last).filter((depId) => depId !== cycle[0])
+		);
+		cycle = findDependencyCycle(dependencyMap);
 	}
+	return cycles;
+}
 
-	// No dependencies, can't create circular dependency
-	if (!task.dependencies || task.dependencies.length === 0) {
-		return false;
+/**
+ * Finds where tasks.json holds the dependency of one item of a cycle on the
+ * next: in the item's own dependencies or, for a subtask, in those it
+ * inherits from its parents. A task or subtask waiting on its own subtask is
+ * implied and held nowhere.
+ * @param {Array} tasks - Array of all tasks
+ * @param {string} fromId - Full ID of the waiting task or subtask
+ * @param {string} toId - Full ID of what it waits on
+ * @returns {{ item: Object, id: string, parentId: number|string|null }|null} The task or
+ *   subtask holding the dependency, or null if it is implied
+ */
+function findCycleEdgeOwner(tasks, fromId, toId) {
+	// The item itself, then its parents up to the task
+	const owners = [];
+	for (let id = fromId; id !== null;) {
+		const { parentId } = parseTaskId(id);
+		owners.push({ item: findTaskByPath(tasks, id), id: String(id), parentId });
+		id = parentId === null ? null : String(parentId);
 	}
 
-	// Check each dependency recursively
-	const newChain = [...chain, taskIdStr]; // Use taskIdStr for consistency
-	return task.dependencies.some((depId) => {
-		let normalizedDepId = String(depId);
-		// Normalize relative subtask dependencies
-		if (typeof depId === 'number' && parentIdForSubtask !== null) {
-			// If the current task is a subtask AND the dependency is a number,
-			// assume it refers to a sibling subtask.
-			normalizedDepId = `${parentIdForSubtask}.${depId}`;
-		}
-		// Pass the normalized ID to the recursive call
-		return isCircularDependency(tasks, normalizedDepId, newChain);
+	return (
+		owners.find(({ item, parentId }) =>
+			(item.dependencies || []).some(
+				(depId) =>
+					isBlockingDependency(depId) &&
+					resolveDependencyId(depId, parentId) === toId
+			)
+		) || null
+	);
+}
+
+/**
+ * Reads from the audit log when dependencies were last added
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {string} [tag] - Tag of the task list
+ * @returns {Map<string, string>} "<holder ID>-><dependency ID>" to the timestamp
+ */
+function getDependencyAddedTimes(tasksPath, tag) {
+	const addedAt = new Map();
+	let entries = [];
+	try {
+		entries = getAuditLog(tasksPath, { tag }).entries;
+	} catch (error) {
+		log('warn', `Could not read the audit log: ${error.message}`);
+	}
+
+	// Entries come newest first, so the first addition seen is the latest
+	entries.forEach((entry) => {
+		entry.changes.forEach(({ taskId, fields }) => {
+			if (!fields.dependencies) {
+				return;
+			}
+			const { parentId } = parseTaskId(taskId);
+			const resolve = (deps) =>
+				(deps || []).map((depId) => resolveDependencyId(depId, parentId));
+			const before = new Set(resolve(fields.dependencies.before));
+			resolve(fields.dependencies.after)
+				.filter((depId) => !before.has(depId))
+				.forEach((depId) => {
+					const key = `${taskId}->${depId}`;
+					if (!addedAt.has(key)) {
+						addedAt.set(key, entry.timestamp);
+					}
+				});
+		});
 	});
+	return addedAt;
+}
+
+/**
+ * Describes the dependencies along a cycle
+ * @param {Array} tasks - Array of all tasks
+ * @param {Array<string>} cycle - Cycle from findDependencyCycle
+ * @param {Map<string, string>} [addedAt] - Times from getDependencyAddedTimes
+ * @returns {Array<Object>} One edge per item of the cycle: { from, to, fromTitle,
+ *   toTitle, toPriority, heldBy, addedAt }. heldBy is the ID of the task or
+ *   subtask whose dependencies hold the edge (the parent when inherited), null
+ *   when implied; addedAt is null when the audit log does not tell.
+ */
+function describeDependencyCycle(tasks, cycle, addedAt = new Map()) {
+	const itemOf = (id) => findTaskByPath(tasks, id);
+	return cycle.map((from, index) => {
+		const to = cycle[(index + 1) % cycle.length];
+		const owner = findCycleEdgeOwner(tasks, from, to);
+		// Subtasks without a priority of their own have their task's
+		const task = to.includes('.') ? itemOf(to.split('.')[0]) : null;
+		return {
+			from,
+			to,
+			fromTitle: itemOf(from)?.title || '',
+			toTitle: itemOf(to)?.title || '',
+			toPriority: itemOf(to)?.priority || task?.priority || 'medium',
+			heldBy: owner ? owner.id : null,
+			addedAt: owner ? addedAt.get(`${owner.id}->${to}`) || null : null
+		};
+	});
+}
+
+const CYCLE_FIX_STRATEGIES = ['auto', 'recent', 'priority'];
+const PRIORITY_RANKS = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Chooses the dependency to remove to break a cycle:
+ *  - auto: the last one along the cycle
+ *  - recent: the one added most recently according to the audit log; without
+ *    a record, dependencies held by newer (higher) IDs count as more recent
+ *  - priority: the one on the lowest-priority task, then the most recent
+ * @param {Array<Object>} edges - Edges from describeDependencyCycle
+ * @param {string} [strategy='auto'] - One of CYCLE_FIX_STRATEGIES
+ * @returns {Object|null} The edge, or null if every edge is implied
+ */
+function chooseCycleEdge(edges, strategy = 'auto') {
+	const candidates = edges.filter((edge) => edge.heldBy).reverse();
+	const byRecency = (a, b) =>
+		(b.addedAt || '').localeCompare(a.addedAt || '') ||
+		compareTaskIds(b.heldBy, a.heldBy);
+	if (strategy === 'recent') {
+		candidates.sort(byRecency);
+	} else if (strategy === 'priority') {
+		candidates.sort(
+			(a, b) =>
+				(PRIORITY_RANKS[a.toPriority] ?? 2) -
+					(PRIORITY_RANKS[b.toPriority] ?? 2) || byRecency(a, b)
+		);
+	}
+	return candidates[0] || null;
 }
 
 /**
@@ -410,8 +635,10 @@ function validateTaskDependencies(tasks) {
 		}
 
 		task.dependencies.forEach((depId) => {
+			const fullDepId = resolveDependencyId(depId);
+
 			// Check for self-dependencies
-			if (String(depId) === String(task.id)) {
+			if (fullDepId === String(task.id)) {
 				issues.push({
 					type: 'self',
 					taskId: task.id,
@@ -421,12 +648,12 @@ function validateTaskDependencies(tasks) {
 			}
 
 			// Check if dependency exists
-			if (!taskExists(tasks, depId)) {
+			if (!taskExists(tasks, fullDepId)) {
 				issues.push({
 					type: 'missing',
 					taskId: task.id,
 					dependencyId: depId,
-					message: `Task ${task.id} depends on non-existent task ${depId}`
+					message: `Task ${task.id} depends on non-existent task ${fullDepId}`
 				});
 			}
 		});
@@ -439,50 +666,48 @@ function validateTaskDependencies(tasks) {
 				message: `Task ${task.id} is part of a circular dependency chain`
 			});
 		}
+	});
 
-		// Check subtask dependencies if they exist
-		if (task.subtasks && task.subtasks.length > 0) {
-			task.subtasks.forEach((subtask) => {
-				if (!subtask.dependencies) {
-					return; // No dependencies to validate
-				}
+	// Check subtask dependencies at any depth, which may point to subtasks of
+	// any task
+	forEachSubtask(tasks, (subtask, parentId) => {
+		if (!subtask.dependencies) {
+			return; // No dependencies to validate
+		}
 
-				// Create a full subtask ID for reference
-				const fullSubtaskId = `${task.id}.${subtask.id}`;
-
-				subtask.dependencies.forEach((depId) => {
-					// Check for self-dependencies in subtasks
-					if (
-						String(depId) === String(fullSubtaskId) ||
-						(typeof depId === 'number' && depId === subtask.id)
-					) {
-						issues.push({
-							type: 'self',
-							taskId: fullSubtaskId,
-							message: `Subtask ${fullSubtaskId} depends on itself`
-						});
-						return;
-					}
+		// Create a full subtask ID for reference
+		const fullSubtaskId = `${parentId}.${subtask.id}`;
 
-					// Check if dependency exists
-					if (!taskExists(tasks, depId)) {
-						issues.push({
-							type: 'missing',
-							taskId: fullSubtaskId,
-							dependencyId: depId,
-							message: `Subtask ${fullSubtaskId} depends on non-existent task/subtask ${depId}`
-						});
-					}
+		subtask.dependencies.forEach((depId) => {
+			const fullDepId = resolveDependencyId(depId, parentId);
+
+			// Check for self-dependencies in subtasks
+			if (fullDepId === fullSubtaskId) {
+				issues.push({
+					type: 'self',
+					taskId: fullSubtaskId,
+					message: `Subtask ${fullSubtaskId} depends on itself`
 				});
+				return;
+			}
 
-				// Check for circular dependencies in subtasks
-				if (isCircularDependency(tasks, fullSubtaskId)) {
-					issues.push({
-						type: 'circular',
-						taskId: fullSubtaskId,
-						message: `Subtask ${fullSubtaskId} is part of a circular dependency chain`
-					});
-				}
+			// Check if dependency exists
+			if (!taskExists(tasks, fullDepId)) {
+				issues.push({
+					type: 'missing',
+					taskId: fullSubtaskId,
+					dependencyId: depId,
+					message: `Subtask ${fullSubtaskId} depends on non-existent task/subtask ${fullDepId}`
+				});
+			}
+		});
+
+		// Check for circular dependencies in subtasks
+		if (isCircularDependency(tasks, fullSubtaskId)) {
+			issues.push({
+				type: 'circular',
+				taskId: fullSubtaskId,
+				message: `Subtask ${fullSubtaskId} is part of a circular dependency chain`
 			});
 		}
 	});
@@ -504,8 +729,13 @@ function removeDuplicateDependencies(tasksData) {
 			return task;
 		}
 
-		// Convert to Set and back to array to remove duplicates
-		const uniqueDeps = [...new Set(task.dependencies)];
+		// Keep the first dependency on each task, whichever form it was stored in
+		const uniqueDeps = task.dependencies.filter(
+			(depId, index, deps) =>
+				deps.findIndex(
+					(other) => resolveDependencyId(other) === resolveDependencyId(depId)
+				) === index
+		);
 		return {
 			...task,
 			dependencies: uniqueDeps
@@ -529,27 +759,21 @@ function cleanupSubtaskDependencies(tasksData) {
 		if (task.dependencies) {
 			task.dependencies = task.dependencies.filter((depId) => {
 				// Keep only dependencies that exist
-				return taskExists(tasksData.tasks, depId);
+				return taskExists(tasksData.tasks, resolveDependencyId(depId));
 			});
 		}
 
-		// Handle subtask dependencies
-		if (task.subtasks) {
-			task.subtasks = task.subtasks.map((subtask) => {
-				if (!subtask.dependencies) {
-					return subtask;
-				}
-
-				// Filter out dependencies to non-existent subtasks
-				subtask.dependencies = subtask.dependencies.filter((depId) => {
-					return taskExists(tasksData.tasks, depId);
-				});
+		return task;
+	});
 
-				return subtask;
-			});
+	// Filter out dependencies of subtasks (at any depth) on non-existent
+	// tasks and subtasks
+	forEachSubtask(tasks, (subtask, parentId) => {
+		if (subtask.dependencies) {
+			subtask.dependencies = subtask.dependencies.filter((depId) =>
+				taskExists(tasksData.tasks, resolveDependencyId(depId, parentId))
+			);
 		}
-
-		return task;
 	});
 
 	return {
@@ -558,9 +782,56 @@ function cleanupSubtaskDependencies(tasksData) {
 	};
 }
 
+/**
+ * Prints each dependency cycle with the titles of its tasks
+ * @param {Array<Array<Object>>} cycles - Cycles from describeDependencyCycle
+ */
+function displayDependencyCycles(cycles) {
+	const lines = [
+		chalk.yellow.bold(
+			`${cycles.length} dependency cycle(s), each task waiting on the next:`
+		)
+	];
+	cycles.forEach((edges, index) => {
+		lines.push(
+			'',
+			`${chalk.cyan.bold(`Cycle ${index + 1}:`)} ${[...edges.map((edge) => edge.from), edges[0].from].join(' → ')}`
+		);
+		edges.forEach((edge) => {
+			let source = chalk.gray('(implied: a task waits on its subtasks)');
+			if (edge.heldBy && edge.heldBy !== edge.from) {
+				source = chalk.gray(`(inherited from task ${edge.heldBy})`);
+			} else if (edge.heldBy) {
+				source = '';
+			}
+			lines.push(
+				`  ${edge.from} ${edge.fromTitle} ${chalk.yellow('waits on')} ${edge.to} ${edge.toTitle} ${source}`.trimEnd()
+			);
+		});
+	});
+	lines.push(
+		'',
+		chalk.gray(
+			'Run task-master fix-dependencies --interactive to choose which dependency to remove.'
+		)
+	);
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: 1,
+			borderColor: 'yellow',
+			borderStyle: 'round',
+			margin: { bottom: 1 }
+		})
+	);
+}
+
 /**
  * Validate dependencies in task files
  * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options - Options object (tag to validate a tagged task list,
+ *   explain to print every dependency cycle)
+ * @returns {Promise<Object>} { valid, issues, cycles } with the cycles as from
+ *   describeDependencyCycle
  */
 async function validateDependenciesCommand(tasksPath, options = {}) {
 	// Only display banner if not in silent mode
@@ -571,7 +842,7 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 	log('info', 'Checking for invalid dependencies in task files...');
 
 	// Read tasks data
-	const data = readJSON(tasksPath);
+	const data = readJSON(tasksPath, options.tag);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found in tasks.json');
 		process.exit(1);
@@ -580,10 +851,8 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 	// Count of tasks and subtasks for reporting
 	const taskCount = data.tasks.length;
 	let subtaskCount = 0;
-	data.tasks.forEach((task) => {
-		if (task.subtasks && Array.isArray(task.subtasks)) {
-			subtaskCount += task.subtasks.length;
-		}
+	forEachSubtask(data.tasks, () => {
+		subtaskCount++;
 	});
 
 	log(
@@ -594,6 +863,9 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 	try {
 		// Directly call the validation function
 		const validationResult = validateTaskDependencies(data.tasks);
+		const cycles = findDependencyCycles(data.tasks).map((cycle) =>
+			describeDependencyCycle(data.tasks, cycle)
+		);
 
 		if (!validationResult.valid) {
 			log(
@@ -603,7 +875,7 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 			validationResult.issues.forEach((issue) => {
 				let errorMsg = `  [${issue.type.toUpperCase()}] Task ${issue.taskId}: ${issue.message}`;
 				if (issue.dependencyId) {
-					errorMsg += ` (Dependency: ${issue.dependencyId})`;
+					errorMsg += ` (Dependency: ${resolveDependencyId(issue.dependencyId)})`;
 				}
 				log('error', errorMsg); // Log each issue as an error
 			});
@@ -652,6 +924,11 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 				);
 			}
 		}
+
+		if (options.explain && cycles.length > 0 && !isSilentMode()) {
+			displayDependencyCycles(cycles);
+		}
+		return { ...validationResult, cycles };
 	} catch (error) {
 		log('error', 'Error validating dependencies:', error);
 		process.exit(1);
@@ -671,14 +948,12 @@ function countAllDependencies(tasks) {
 		if (task.dependencies && Array.isArray(task.dependencies)) {
 			count += task.dependencies.length;
 		}
+	});
 
-		// Count subtask dependencies
-		if (task.subtasks && Array.isArray(task.subtasks)) {
-			task.subtasks.forEach((subtask) => {
-				if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-					count += subtask.dependencies.length;
-				}
-			});
+	// Count subtask dependencies at any depth
+	forEachSubtask(tasks, (subtask) => {
+		if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+			count += subtask.dependencies.length;
 		}
 	});
 
@@ -689,8 +964,20 @@ function countAllDependencies(tasks) {
  * Fixes invalid dependencies in tasks.json
  * @param {string} tasksPath - Path to tasks.json
  * @param {Object} options - Options object
+ * @param {string} [options.tag] - Tag of the task list to fix
+ * @param {string} [options.strategy='auto'] - How to choose the dependency that
+ *   breaks a cycle, one of CYCLE_FIX_STRATEGIES (see chooseCycleEdge)
+ * @param {Function} [options.chooseEdge] - async (edges, suggested) => edge, to let
+ *   the user choose instead; returning null leaves the remaining cycles in place
  */
 async function fixDependenciesCommand(tasksPath, options = {}) {
+	const { strategy = 'auto' } = options;
+	if (!CYCLE_FIX_STRATEGIES.includes(strategy)) {
+		throw new Error(
+			`Invalid strategy "${strategy}". Use one of: ${CYCLE_FIX_STRATEGIES.join(', ')}`
+		);
+	}
+
 	// Only display banner if not in silent mode
 	if (!isSilentMode()) {
 		displayBanner();
@@ -700,7 +987,7 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 
 	try {
 		// Read tasks data
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, options.tag);
 		if (!data || !data.tasks) {
 			log('error', 'No valid tasks found in tasks.json');
 			process.exit(1);
@@ -725,11 +1012,11 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 				const uniqueDeps = new Set();
 				const originalLength = task.dependencies.length;
 				task.dependencies = task.dependencies.filter((depId) => {
-					const depIdStr = String(depId);
+					const depIdStr = resolveDependencyId(depId);
 					if (uniqueDeps.has(depIdStr)) {
 						log(
 							'info',
-							`Removing duplicate dependency from task ${task.id}: ${depId}`
+							`Removing duplicate dependency from task ${task.id}: ${depIdStr}`
 						);
 						stats.duplicateDependenciesRemoved++;
 						return false;
@@ -741,272 +1028,132 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 					stats.tasksFixed++;
 				}
 			}
-
-			// Check for duplicates in subtasks
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const uniqueDeps = new Set();
-						const originalLength = subtask.dependencies.length;
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							let depIdStr = String(depId);
-							if (typeof depId === 'number' && depId < 100) {
-								depIdStr = `${task.id}.${depId}`;
-							}
-							if (uniqueDeps.has(depIdStr)) {
-								log(
-									'info',
-									`Removing duplicate dependency from subtask ${task.id}.${subtask.id}: ${depId}`
-								);
-								stats.duplicateDependenciesRemoved++;
-								return false;
-							}
-							uniqueDeps.add(depIdStr);
-							return true;
-						});
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
-						}
-					}
-				});
-			}
 		});
 
-		// Create validity maps for tasks and subtasks
-		const validTaskIds = new Set(data.tasks.map((t) => t.id));
-		const validSubtaskIds = new Set();
-		data.tasks.forEach((task) => {
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					validSubtaskIds.add(`${task.id}.${subtask.id}`);
+		// Check for duplicates in subtasks at any depth
+		forEachSubtask(data.tasks, (subtask, parentId) => {
+			if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+				const uniqueDeps = new Set();
+				const originalLength = subtask.dependencies.length;
+				subtask.dependencies = subtask.dependencies.filter((depId) => {
+					const depIdStr = resolveDependencyId(depId, parentId);
+					if (uniqueDeps.has(depIdStr)) {
+						log(
+							'info',
+							`Removing duplicate dependency from subtask ${parentId}.${subtask.id}: ${depIdStr}`
+						);
+						stats.duplicateDependenciesRemoved++;
+						return false;
+					}
+					uniqueDeps.add(depIdStr);
+					return true;
 				});
+				if (subtask.dependencies.length < originalLength) {
+					stats.subtasksFixed++;
+				}
 			}
 		});
 
-		// Second phase: Remove invalid task dependencies (non-existent tasks)
+		// Second phase: Remove self-dependencies and dependencies on tasks or
+		// subtasks that do not exist
 		data.tasks.forEach((task) => {
 			if (task.dependencies && Array.isArray(task.dependencies)) {
 				const originalLength = task.dependencies.length;
 				task.dependencies = task.dependencies.filter((depId) => {
-					const isSubtask = typeof depId === 'string' && depId.includes('.');
-
-					if (isSubtask) {
-						// Check if the subtask exists
-						if (!validSubtaskIds.has(depId)) {
-							log(
-								'info',
-								`Removing invalid subtask dependency from task ${task.id}: ${depId} (subtask does not exist)`
-							);
-							stats.nonExistentDependenciesRemoved++;
-							return false;
-						}
-						return true;
-					} else {
-						// Check if the task exists
-						const numericId =
-							typeof depId === 'string' ? parseInt(depId, 10) : depId;
-						if (!validTaskIds.has(numericId)) {
-							log(
-								'info',
-								`Removing invalid task dependency from task ${task.id}: ${depId} (task does not exist)`
-							);
-							stats.nonExistentDependenciesRemoved++;
-							return false;
-						}
-						return true;
+					const fullDepId = resolveDependencyId(depId);
+					if (fullDepId === String(task.id)) {
+						log('info', `Removing self-dependency from task ${task.id}`);
+						stats.selfDependenciesRemoved++;
+						return false;
+					}
+					if (!taskExists(data.tasks, fullDepId)) {
+						log(
+							'info',
+							`Removing invalid dependency from task ${task.id}: ${fullDepId} (does not exist)`
+						);
+						stats.nonExistentDependenciesRemoved++;
+						return false;
 					}
+					return true;
 				});
 
 				if (task.dependencies.length < originalLength) {
 					stats.tasksFixed++;
 				}
 			}
+		});
 
-			// Check subtask dependencies for invalid references
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const originalLength = subtask.dependencies.length;
-						const subtaskId = `${task.id}.${subtask.id}`;
-
-						// First check for self-dependencies
-						const hasSelfDependency = subtask.dependencies.some((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								return depId === subtaskId;
-							} else if (typeof depId === 'number' && depId < 100) {
-								return depId === subtask.id;
-							}
-							return false;
-						});
-
-						if (hasSelfDependency) {
-							subtask.dependencies = subtask.dependencies.filter((depId) => {
-								const normalizedDepId =
-									typeof depId === 'number' && depId < 100
-										? `${task.id}.${depId}`
-										: String(depId);
-
-								if (normalizedDepId === subtaskId) {
-									log(
-										'info',
-										`Removing self-dependency from subtask ${subtaskId}`
-									);
-									stats.selfDependenciesRemoved++;
-									return false;
-								}
-								return true;
-							});
-						}
+		// Check subtask dependencies at any depth for invalid references
+		forEachSubtask(data.tasks, (subtask, parentId) => {
+			if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+				const originalLength = subtask.dependencies.length;
+				const subtaskId = `${parentId}.${subtask.id}`;
 
-						// Then check for non-existent dependencies
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								if (!validSubtaskIds.has(depId)) {
-									log(
-										'info',
-										`Removing invalid subtask dependency from subtask ${subtaskId}: ${depId} (subtask does not exist)`
-									);
-									stats.nonExistentDependenciesRemoved++;
-									return false;
-								}
-								return true;
-							}
-
-							// Handle numeric dependencies
-							const numericId =
-								typeof depId === 'number' ? depId : parseInt(depId, 10);
-
-							// Small numbers likely refer to subtasks in the same task
-							if (numericId < 100) {
-								const fullSubtaskId = `${task.id}.${numericId}`;
-
-								if (!validSubtaskIds.has(fullSubtaskId)) {
-									log(
-										'info',
-										`Removing invalid subtask dependency from subtask ${subtaskId}: ${numericId}`
-									);
-									stats.nonExistentDependenciesRemoved++;
-									return false;
-								}
-
-								return true;
-							}
-
-							// Otherwise it's a task reference
-							if (!validTaskIds.has(numericId)) {
-								log(
-									'info',
-									`Removing invalid task dependency from subtask ${subtaskId}: ${numericId}`
-								);
-								stats.nonExistentDependenciesRemoved++;
-								return false;
-							}
-
-							return true;
-						});
-
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
-						}
+				subtask.dependencies = subtask.dependencies.filter((depId) => {
+					const fullDepId = resolveDependencyId(depId, parentId);
+					if (fullDepId === subtaskId) {
+						log('info', `Removing self-dependency from subtask ${subtaskId}`);
+						stats.selfDependenciesRemoved++;
+						return false;
+					}
+					if (!taskExists(data.tasks, fullDepId)) {
+						log(
+							'info',
+							`Removing invalid dependency from subtask ${subtaskId}: ${fullDepId} (does not exist)`
+						);
+						stats.nonExistentDependenciesRemoved++;
+						return false;
 					}
+					return true;
 				});
+
+				if (subtask.dependencies.length < originalLength) {
+					stats.subtasksFixed++;
+				}
 			}
 		});
 
-		// Third phase: Check for circular dependencies
+		// Third phase: Break circular dependencies, across tasks and subtasks
 		log('info', 'Checking for circular dependencies...');
 
-		// Build the dependency map for subtasks
-		const subtaskDependencyMap = new Map();
-		data.tasks.forEach((task) => {
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					const subtaskId = `${task.id}.${subtask.id}`;
-
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const normalizedDeps = subtask.dependencies.map((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								return depId;
-							} else if (typeof depId === 'number' && depId < 100) {
-								return `${task.id}.${depId}`;
-							}
-							return String(depId);
-						});
-						subtaskDependencyMap.set(subtaskId, normalizedDeps);
-					} else {
-						subtaskDependencyMap.set(subtaskId, []);
-					}
-				});
+		const addedAt =
+			strategy === 'auto' && !options.chooseEdge
+				? new Map()
+				: getDependencyAddedTimes(tasksPath, data.tag);
+		let cycle = findDependencyCycle(buildDependencyMap(data.tasks));
+		while (cycle) {
+			// Only dependencies written in tasks.json can be removed: a task
+			// waiting on its subtasks is implied, and what a subtask inherits
+			// from its parent is removed from the parent
+			const edges = describeDependencyCycle(data.tasks, cycle, addedAt);
+			if (!edges.some((edge) => edge.heldBy)) {
+				break;
+			}
+			const edge = options.chooseEdge
+				? await options.chooseEdge(edges, chooseCycleEdge(edges, strategy))
+				: chooseCycleEdge(edges, strategy);
+			if (!edge) {
+				log('warn', 'Leaving the remaining circular dependencies in place');
+				break;
 			}
-		});
 
-		// Check for and fix circular dependencies
-		for (const [subtaskId, dependencies] of subtaskDependencyMap.entries()) {
-			const visited = new Set();
-			const recursionStack = new Set();
-
-			// Detect cycles
-			const cycleEdges = findCycles(
-				subtaskId,
-				subtaskDependencyMap,
-				visited,
-				recursionStack
+			const owner = findCycleEdgeOwner(data.tasks, edge.from, edge.to);
+			owner.item.dependencies = owner.item.dependencies.filter(
+				(depId) =>
+					!isBlockingDependency(depId) ||
+					resolveDependencyId(depId, owner.parentId) !== edge.to
 			);
-
-			if (cycleEdges.length > 0) {
-				const [taskId, subtaskNum] = subtaskId
-					.split('.')
-					.map((part) => Number(part));
-				const task = data.tasks.find((t) => t.id === taskId);
-
-				if (task && task.subtasks) {
-					const subtask = task.subtasks.find((st) => st.id === subtaskNum);
-
-					if (subtask && subtask.dependencies) {
-						const originalLength = subtask.dependencies.length;
-
-						const edgesToRemove = cycleEdges.map((edge) => {
-							if (edge.includes('.')) {
-								const [depTaskId, depSubtaskId] = edge
-									.split('.')
-									.map((part) => Number(part));
-
-								if (depTaskId === taskId) {
-									return depSubtaskId;
-								}
-
-								return edge;
-							}
-
-							return Number(edge);
-						});
-
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							const normalizedDepId =
-								typeof depId === 'number' && depId < 100
-									? `${taskId}.${depId}`
-									: String(depId);
-
-							if (
-								edgesToRemove.includes(depId) ||
-								edgesToRemove.includes(normalizedDepId)
-							) {
-								log(
-									'info',
-									`Breaking circular dependency: Removing ${normalizedDepId} from subtask ${subtaskId}`
-								);
-								stats.circularDependenciesFixed++;
-								return false;
-							}
-							return true;
-						});
-
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
-						}
-					}
-				}
+			log(
+				'info',
+				`Breaking circular dependency: Removing ${edge.to} from ${owner.parentId === null ? 'task' : 'subtask'} ${owner.id}`
+			);
+			stats.circularDependenciesFixed++;
+			if (owner.parentId === null) {
+				stats.tasksFixed++;
+			} else {
+				stats.subtasksFixed++;
 			}
+			cycle = findDependencyCycle(buildDependencyMap(data.tasks));
 		}
 
 		// Check if any changes were made by comparing with original data
@@ -1019,7 +1166,9 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 
 			// Regenerate task files
 			log('info', 'Regenerating task files to reflect dependency changes...');
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+				tag: data.tag
+			});
 		} else {
 			log('info', 'No changes needed to fix dependencies');
 		}
@@ -1091,7 +1240,8 @@ function ensureAtLeastOneIndependentSubtask(tasksData) {
 
 	let changesDetected = false;
 
-	tasksData.tasks.forEach((task) => {
+	// Tasks, and subtasks that have subtasks of their own
+	const ensureFor = (task, taskId) => {
 		if (
 			!task.subtasks ||
 			!Array.isArray(task.subtasks) ||
@@ -1100,27 +1250,33 @@ function ensureAtLeastOneIndependentSubtask(tasksData) {
 			return;
 		}
 
-		// Check if any subtask has no dependencies
+		// Check if any subtask has no blocking dependencies
 		const hasIndependentSubtask = task.subtasks.some(
 			(st) =>
 				!st.dependencies ||
 				!Array.isArray(st.dependencies) ||
-				st.dependencies.length === 0
+				!st.dependencies.some(isBlockingDependency)
 		);
 
 		if (!hasIndependentSubtask) {
-			// Find the first subtask and clear its dependencies
+			// Find the first subtask and clear its blocking dependencies
 			if (task.subtasks.length > 0) {
 				const firstSubtask = task.subtasks[0];
 				log(
 					'debug',
-					`Ensuring at least one independent subtask: Clearing dependencies for subtask ${task.id}.${firstSubtask.id}`
+					`Ensuring at least one independent subtask: Clearing dependencies for subtask ${taskId}.${firstSubtask.id}`
+				);
+				firstSubtask.dependencies = firstSubtask.dependencies.filter(
+					(depId) => !isBlockingDependency(depId)
 				);
-				firstSubtask.dependencies = [];
 				changesDetected = true;
 			}
 		}
-	});
+	};
+	tasksData.tasks.forEach((task) => ensureFor(task, task.id));
+	forEachSubtask(tasksData.tasks, (subtask, parentId) =>
+		ensureFor(subtask, `${parentId}.${subtask.id}`)
+	);
 
 	return changesDetected;
 }
@@ -1145,22 +1301,28 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 
 	// 1. Remove duplicate dependencies from tasks and subtasks
 	tasksData.tasks = tasksData.tasks.map((task) => {
+		// Keep the first dependency on each task or subtask
+		const unique = (deps, parentId = null) =>
+			deps.filter(
+				(depId, index) =>
+					deps.findIndex(
+						(other) =>
+							resolveDependencyId(other, parentId) ===
+							resolveDependencyId(depId, parentId)
+					) === index
+			);
+
 		// Handle task dependencies
 		if (task.dependencies) {
-			const uniqueDeps = [...new Set(task.dependencies)];
-			task.dependencies = uniqueDeps;
+			task.dependencies = unique(task.dependencies);
 		}
 
-		// Handle subtask dependencies
-		if (task.subtasks) {
-			task.subtasks = task.subtasks.map((subtask) => {
-				if (subtask.dependencies) {
-					const uniqueDeps = [...new Set(subtask.dependencies)];
-					subtask.dependencies = uniqueDeps;
-				}
-				return subtask;
-			});
-		}
+		// Handle subtask dependencies at any depth
+		forEachSubtask([task], (subtask, parentId) => {
+			if (subtask.dependencies) {
+				subtask.dependencies = unique(subtask.dependencies, parentId);
+			}
+		});
 		return task;
 	});
 
@@ -1169,45 +1331,44 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 		// Clean up task dependencies
 		if (task.dependencies) {
 			task.dependencies = task.dependencies.filter((depId) => {
+				const fullDepId = resolveDependencyId(depId);
 				// Remove self-dependencies
-				if (String(depId) === String(task.id)) {
+				if (fullDepId === String(task.id)) {
 					return false;
 				}
 				// Remove non-existent dependencies
-				return taskExists(tasksData.tasks, depId);
+				return taskExists(tasksData.tasks, fullDepId);
 			});
 		}
+	});
 
-		// Clean up subtask dependencies
-		if (task.subtasks) {
-			task.subtasks.forEach((subtask) => {
-				if (subtask.dependencies) {
-					subtask.dependencies = subtask.dependencies.filter((depId) => {
-						// Handle numeric subtask references
-						if (typeof depId === 'number' && depId < 100) {
-							const fullSubtaskId = `${task.id}.${depId}`;
-							return taskExists(tasksData.tasks, fullSubtaskId);
-						}
-						// Handle full task/subtask references
-						return taskExists(tasksData.tasks, depId);
-					});
-				}
-			});
+	// Clean up subtask dependencies at any depth
+	forEachSubtask(tasksData.tasks, (subtask, parentId) => {
+		if (subtask.dependencies) {
+			subtask.dependencies = subtask.dependencies.filter((depId) =>
+				// Sibling numbers and dotted IDs into any task alike
+				taskExists(tasksData.tasks, resolveDependencyId(depId, parentId))
+			);
 		}
 	});
 
-	// 3. Ensure at least one subtask has no dependencies in each task
-	tasksData.tasks.forEach((task) => {
+	// 3. Ensure at least one subtask has no dependencies in each task, and
+	// in each subtask that has subtasks
+	const items = [...tasksData.tasks];
+	forEachSubtask(tasksData.tasks, (subtask) => items.push(subtask));
+	items.forEach((task) => {
 		if (task.subtasks && task.subtasks.length > 0) {
 			const hasIndependentSubtask = task.subtasks.some(
 				(st) =>
 					!st.dependencies ||
 					!Array.isArray(st.dependencies) ||
-					st.dependencies.length === 0
+					!st.dependencies.some(isBlockingDependency)
 			);
 
 			if (!hasIndependentSubtask) {
-				task.subtasks[0].dependencies = [];
+				task.subtasks[0].dependencies = task.subtasks[0].dependencies.filter(
+					(depId) => !isBlockingDependency(depId)
+				);
 			}
 		}
 	});
@@ -1229,13 +1390,29 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 	return changesDetected;
 }
 
+// Entry points that rewrite tasks.json hold the tasks file lock while doing
+// so and record the change in the undo history
+const lockedAddDependency = withPathLock(
+	withHistory(addDependency, 'add-dependency')
+);
+const lockedRemoveDependency = withPathLock(
+	withHistory(removeDependency, 'remove-dependency')
+);
+const lockedFixDependenciesCommand = withPathLock(
+	withHistory(fixDependenciesCommand, 'fix-dependencies')
+);
+
 export {
-	addDependency,
-	removeDependency,
+	lockedAddDependency as addDependency,
+	lockedRemoveDependency as removeDependency,
 	isCircularDependency,
+	findDependencyCycles,
+	describeDependencyCycle,
+	chooseCycleEdge,
+	CYCLE_FIX_STRATEGIES,
 	validateTaskDependencies,
 	validateDependenciesCommand,
-	fixDependenciesCommand,
+	lockedFixDependenciesCommand as fixDependenciesCommand,
 	removeDuplicateDependencies,
 	cleanupSubtaskDependencies,
 	ensureAtLeastOneIndependentSubtask,
@@ -0,0 +1,319 @@
+/**
+ * file-lock.js
+ * Advisory file locking and atomic writes for files shared between Task
+ * Master processes (CLI runs, the MCP server and its concurrent tool calls)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getLockTimeout } from './config-manager.js';
+
+const LOCK_SUFFIX = '.lock';
+const LOCK_RETRY_INTERVAL_MS = 50;
+// A lock file that never got its owner written is considered abandoned after this
+const UNOWNED_LOCK_GRACE_MS = 2000;
+
+// Lock paths held by the current async call chain. Nested core calls
+// (e.g. expandAllTasks -> expandTask -> generateTaskFiles) re-enter the lock
+// instead of waiting on themselves, while concurrent calls still queue up.
+const heldLocks = new AsyncLocalStorage();
+
+// Locks owned by this process, released if the process exits while holding them
+const ownedLocks = new Map();
+let exitHandlerRegistered = false;
+
+/**
+ * Error thrown when a lock cannot be acquired in time
+ */
+class FileLockError extends Error {
+	constructor(message, details = {}) {
+		super(message);
+		this.name = 'FileLockError';
+		this.code = 'FILE_LOCKED';
+		this.filePath = details.filePath;
+		this.lockPath = details.lockPath;
+		this.holder = details.holder || null;
+	}
+}
+
+/**
+ * Gets the lock file path guarding a file
+ * @param {string} filepath - Path of the guarded file
+ * @returns {string} Absolute path of the lock file
+ */
+function getLockPath(filepath) {
+	return `${path.resolve(filepath)}${LOCK_SUFFIX}`;
+}
+
+function readLockHolder(lockPath) {
+	try {
+		return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+	} catch (error) {
+		return null;
+	}
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		// EPERM means the process exists but belongs to someone else
+		return error.code === 'EPERM';
+	}
+}
+
+/**
+ * Checks whether a lock was left behind by a process that no longer runs
+ * @param {string} lockPath - Lock file path
+ * @param {Object|null} holder - Parsed lock file contents
+ * @returns {boolean} True if the lock can safely be broken
+ */
+function isStaleLock(lockPath, holder) {
+	if (!holder) {
+		try {
+			return Date.now() - fs.statSync(lockPath).mtimeMs > UNOWNED_LOCK_GRACE_MS;
+		} catch (error) {
+			return false;
+		}
+	}
+	// Liveness can only be checked for processes on this machine
+	return (
+		holder.hostname === os.hostname() &&
+		holder.pid !== process.pid &&
+		!isProcessAlive(holder.pid)
+	);
+}
+
+function releaseOwnedLocksOnExit() {
+	for (const [lockPath, token] of ownedLocks) {
+		releaseLock(lockPath, token);
+	}
+}
+
+/**
+ * Attempts to create the lock file once
+ * @param {string} lockPath - Lock file path
+ * @param {string} token - Unique token identifying this acquisition
+ * @returns {boolean} True if the lock was acquired
+ */
+function tryAcquireLock(lockPath, token) {
+	fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+	try {
+		const fd = fs.openSync(lockPath, 'wx');
+		try {
+			fs.writeSync(
+				fd,
+				JSON.stringify({
+					pid: process.pid,
+					hostname: os.hostname(),
+					token,
+					acquiredAt: new Date().toISOString()
+				})
+			);
+		} finally {
+			fs.closeSync(fd);
+		}
+	} catch (error) {
+		if (error.code !== 'EEXIST') {
+			throw error;
+		}
+		if (!isStaleLock(lockPath, readLockHolder(lockPath))) {
+			return false;
+		}
+		// Move the stale lock aside first so two processes breaking it at the
+		// same time cannot delete each other's fresh lock
+		try {
+			const stalePath = `${lockPath}.${token}.stale`;
+			fs.renameSync(lockPath, stalePath);
+			fs.rmSync(stalePath, { force: true });
+		} catch (renameError) {
+			return false;
+		}
+		return tryAcquireLock(lockPath, token);
+	}
+
+	ownedLocks.set(lockPath, token);
+	if (!exitHandlerRegistered) {
+		process.on('exit', releaseOwnedLocksOnExit);
+		exitHandlerRegistered = true;
+	}
+	return true;
+}
+
+/**
+ * Removes the lock file if it is still owned by the given acquisition
+ * @param {string} lockPath - Lock file path
+ * @param {string} token - Token used when acquiring the lock
+ */
+function releaseLock(lockPath, token) {
+	ownedLocks.delete(lockPath);
+	const holder = readLockHolder(lockPath);
+	if (holder && holder.token === token) {
+		fs.rmSync(lockPath, { force: true });
+	}
+}
+
+function createLockHeldError(filepath, lockPath, timeout) {
+	const holder = readLockHolder(lockPath);
+	let heldBy = 'another operation';
+	if (holder) {
+		heldBy =
+			holder.pid === process.pid
+				? 'another operation in this process'
+				: `process ${holder.pid}${holder.hostname !== os.hostname() ? ` on ${holder.hostname}` : ''}`;
+		heldBy += ` since ${holder.acquiredAt}`;
+	}
+	return new FileLockError(
+		`Could not lock ${filepath} after ${timeout}ms: it is being modified by ${heldBy}. ` +
+			`Retry once that operation has finished, raise "lockTimeoutMs" in .taskmasterconfig, ` +
+			`or delete ${lockPath} if no other Task Master process is running.`,
+		{ filePath: filepath, lockPath, holder }
+	);
+}
+
+function sleepSync(ms) {
+	Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Runs an async read-modify-write operation while holding the file's lock.
+ * Waits for other holders up to the configured lock timeout.
+ * @param {string} filepath - File to lock
+ * @param {Function} fn - Operation to run while the lock is held
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Max time (ms) to wait, defaults to global.lockTimeoutMs
+ * @returns {Promise<*>} Result of fn
+ * @throws {FileLockError} If the lock is still held when the timeout expires
+ */
+async function withFileLock(filepath, fn, options = {}) {
+	const lockPath = getLockPath(filepath);
+	const held = heldLocks.getStore();
+	if (held?.has(lockPath)) {
+		return fn();
+	}
+
+	const timeout = options.timeout ?? getLockTimeout();
+	const deadline = Date.now() + timeout;
+	const token = crypto.randomUUID();
+	while (!tryAcquireLock(lockPath, token)) {
+		if (Date.now() >= deadline) {
+			throw createLockHeldError(filepath, lockPath, timeout);
+		}
+		await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+	}
+
+	try {
+		return await heldLocks.run(new Set(held).add(lockPath), fn);
+	} finally {
+		releaseLock(lockPath, token);
+	}
+}
+
+/**
+ * Synchronous variant of withFileLock for synchronous operations. Blocks
+ * while another process holds the lock; fails immediately if the holder is
+ * an in-flight operation of this process, since blocking would stop it from
+ * ever releasing the lock. Async code that may run alongside other
+ * operations of this process, like the MCP direct functions, therefore calls
+ * synchronous operations inside withFileLock: it waits its turn there, and
+ * the operation then re-enters the lock.
+ * @param {string} filepath - File to lock
+ * @param {Function} fn - Synchronous operation to run while the lock is held
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Max time (ms) to wait, defaults to global.lockTimeoutMs
+ * @returns {*} Result of fn
+ * @throws {FileLockError} If the lock cannot be acquired
+ */
+function withFileLockSync(filepath, fn, options = {}) {
+	const lockPath = getLockPath(filepath);
+	const held = heldLocks.getStore();
+	if (held?.has(lockPath)) {
+		return fn();
+	}
+
+	const timeout = options.timeout ?? getLockTimeout();
+	const deadline = Date.now() + timeout;
+	const token = crypto.randomUUID();
+	while (!tryAcquireLock(lockPath, token)) {
+		const holder = readLockHolder(lockPath);
+		if (Date.now() >= deadline || holder?.pid === process.pid) {
+			throw createLockHeldError(filepath, lockPath, timeout);
+		}
+		sleepSync(LOCK_RETRY_INTERVAL_MS);
+	}
+
+	try {
+		return heldLocks.run(new Set(held).add(lockPath), fn);
+	} finally {
+		releaseLock(lockPath, token);
+	}
+}
+
+/**
+ * Wraps an async core function so every call holds the lock of the file
+ * passed at the given argument position.
+ * @param {Function} fn - Async function to wrap
+ * @param {number} [pathArgIndex=0] - Index of the file path argument
+ * @returns {Function} Wrapped function with the same signature
+ */
+function withPathLock(fn, pathArgIndex = 0) {
+	return function (...args) {
+		const filepath = args[pathArgIndex];
+		return filepath
+			? withFileLock(filepath, () => fn.apply(this, args))
+			: fn.apply(this, args);
+	};
+}
+
+/**
+ * Synchronous variant of withPathLock
+ * @param {Function} fn - Synchronous function to wrap
+ * @param {number} [pathArgIndex=0] - Index of the file path argument
+ * @returns {Function} Wrapped function with the same signature
+ */
+function withPathLockSync(fn, pathArgIndex = 0) {
+	return function (...args) {
+		const filepath = args[pathArgIndex];
+		return filepath
+			? withFileLockSync(filepath, () => fn.apply(this, args))
+			: fn.apply(this, args);
+	};
+}
+
+/**
+ * Writes a file atomically: the contents go to a temporary file in the same
+ * directory, are flushed to disk, then renamed over the target. Readers see
+ * either the old or the new contents, never a partial write.
+ * @param {string} filepath - Target file path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filepath, contents) {
+	const tempPath = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+	try {
+		const fd = fs.openSync(tempPath, 'w');
+		try {
+			fs.writeFileSync(fd, contents, 'utf8');
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		fs.renameSync(tempPath, filepath);
+	} catch (error) {
+		fs.rmSync(tempPath, { force: true });
+		throw error;
+	}
+}
+
+export {
+	FileLockError,
+	getLockPath,
+	withFileLock,
+	withFileLockSync,
+	withPathLock,
+	withPathLockSync,
+	writeFileAtomic
+};
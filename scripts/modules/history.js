@@ -0,0 +1,415 @@
+/**
+ * history.js
+ * Undo/redo journal for changes made to tasks files. Every mutating core
+ * operation snapshots the tasks before and after it runs (all of them for
+ * JSON storage, only the tasks it wrote for SQLite); the snapshots are kept
+ * in .taskmaster/history next to a journal that undo/redo walk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { log, findProjectRoot, truncate } from './utils.js';
+import {
+	withFileLock,
+	withFileLockSync,
+	writeFileAtomic
+} from './file-lock.js';
+import { getHistoryLimit } from './config-manager.js';
+import { recordAuditEntry } from './audit-log.js';
+import { getTaskStorage } from './storage/index.js';
+
+const HISTORY_DIR = path.join('.taskmaster', 'history');
+const JOURNAL_FILE = 'journal.json';
+const SNAPSHOTS_DIR = 'snapshots';
+
+// Tasks files whose changes are already being recorded by an outer
+// operation in the current call chain (e.g. expandAllTasks -> expandTask)
+const recordingFiles = new AsyncLocalStorage();
+
+/**
+ * Resolves where the history of a tasks file is stored
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {{ historyDir: string, journalPath: string, file: string }}
+ */
+function getHistoryLocation(tasksPath) {
+	const absoluteTasksPath = path.resolve(tasksPath);
+	const tasksDir = path.dirname(absoluteTasksPath);
+	const projectRoot = findProjectRoot(tasksDir) || tasksDir;
+	const historyDir = path.join(projectRoot, HISTORY_DIR);
+	return {
+		historyDir,
+		journalPath: path.join(historyDir, JOURNAL_FILE),
+		file: path.relative(projectRoot, absoluteTasksPath)
+	};
+}
+
+function readFileContents(filepath) {
+	return fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : null;
+}
+
+/**
+ * Takes a snapshot of the tasks stored for a tasks file, whatever the
+ * storage backend (null if nothing is stored yet)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|null} [like] - Earlier snapshot whose part of the tasks to cover
+ * @returns {string|null} Snapshot contents
+ */
+function readTasksSnapshot(tasksPath, like = null) {
+	return getTaskStorage(tasksPath).serialize(like);
+}
+
+/**
+ * Starts recording the change an operation makes to a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {boolean} fullSnapshots - Snapshot all tasks even where the storage
+ *   can tell what was touched; needed when the operation may switch backends
+ * @returns {() => { before: string|null, after: string|null }} Ends the recording
+ */
+function trackTasksChange(tasksPath, fullSnapshots) {
+	if (fullSnapshots) {
+		const before = readTasksSnapshot(tasksPath);
+		return () => ({ before, after: readTasksSnapshot(tasksPath) });
+	}
+	const tracker = getTaskStorage(tasksPath).trackChanges();
+	return () => tracker.finish();
+}
+
+function readJournal(journalPath) {
+	const contents = readFileContents(journalPath);
+	return contents ? JSON.parse(contents) : { nextId: 1, entries: [] };
+}
+
+function getSnapshotPath(historyDir, entryId) {
+	return path.join(historyDir, SNAPSHOTS_DIR, `${entryId}.json`);
+}
+
+function readSnapshot(historyDir, entryId) {
+	const contents = readFileContents(getSnapshotPath(historyDir, entryId));
+	if (!contents) {
+		throw new Error(`History snapshot for change #${entryId} is missing`);
+	}
+	return JSON.parse(contents);
+}
+
+function deleteSnapshots(historyDir, entries) {
+	entries.forEach((entry) =>
+		fs.rmSync(getSnapshotPath(historyDir, entry.id), { force: true })
+	);
+}
+
+/**
+ * Restores a tasks file to recorded contents (null means it did not exist)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|null} contents - Contents to restore
+ */
+function restoreContents(tasksPath, contents) {
+	getTaskStorage(tasksPath).restore(contents);
+}
+
+/**
+ * Builds a short description of an operation from its primitive arguments
+ * @param {Array} args - Arguments the operation was called with
+ * @param {number} pathArgIndex - Index of the tasks file path argument
+ * @returns {string} Space separated summary
+ */
+function summarizeArgs(args, pathArgIndex) {
+	return args
+		.filter(
+			(arg, index) =>
+				index !== pathArgIndex &&
+				(typeof arg === 'string' || typeof arg === 'number')
+		)
+		.map((arg) => truncate(String(arg), 40))
+		.join(' ');
+}
+
+/**
+ * Appends a change to the journal if the tasks file actually changed.
+ * Recording a new change drops any undone (redo-able) changes of that file.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} operation - Name of the command that made the change
+ * @param {string} details - Short summary of the command arguments
+ * @param {{ before: string|null, after: string|null }} change - Snapshots
+ *   taken before and after the operation
+ * @returns {Object|null} The recorded journal entry, or null if nothing changed
+ */
+function recordChange(tasksPath, operation, details, { before, after }) {
+	if (after === before) {
+		return null;
+	}
+
+	const { historyDir, journalPath, file } = getHistoryLocation(tasksPath);
+	fs.mkdirSync(path.join(historyDir, SNAPSHOTS_DIR), { recursive: true });
+
+	return withFileLockSync(journalPath, () => {
+		const journal = readJournal(journalPath);
+
+		const redoBranch = journal.entries.filter(
+			(e) => e.file === file && e.undone
+		);
+		deleteSnapshots(historyDir, redoBranch);
+		journal.entries = journal.entries.filter((e) => !redoBranch.includes(e));
+
+		const entry = {
+			id: journal.nextId++,
+			operation,
+			details,
+			file,
+			timestamp: new Date().toISOString(),
+			undone: false
+		};
+		writeFileAtomic(
+			getSnapshotPath(historyDir, entry.id),
+			JSON.stringify({ before, after })
+		);
+		journal.entries.push(entry);
+
+		// Keep only the most recent changes of this file
+		const fileEntries = journal.entries.filter((e) => e.file === file);
+		const expired = fileEntries.slice(
+			0,
+			Math.max(0, fileEntries.length - getHistoryLimit())
+		);
+		deleteSnapshots(historyDir, expired);
+		journal.entries = journal.entries.filter((e) => !expired.includes(e));
+
+		writeFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+		return entry;
+	});
+}
+
+/**
+ * Appends a change to the audit log, logging rather than throwing on failure
+ */
+function auditChange(tasksPath, operation, details, before, after) {
+	try {
+		recordAuditEntry(tasksPath, operation, details, before, after);
+	} catch (error) {
+		log(
+			'warn',
+			`Could not record "${operation}" in the audit log: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Records the change made by one operation in the undo history and the audit
+ * log. Failures are logged rather than thrown so a journal problem never
+ * fails the command itself.
+ */
+function saveChange(tasksPath, operation, details, change) {
+	try {
+		recordChange(tasksPath, operation, details, change);
+	} catch (error) {
+		log('warn', `Could not record "${operation}" in history: ${error.message}`);
+	}
+	auditChange(tasksPath, operation, details, change.before, change.after);
+}
+
+function isRecording(tasksPath) {
+	return !!recordingFiles.getStore()?.has(path.resolve(tasksPath));
+}
+
+function recordingScope(tasksPath) {
+	return new Set(recordingFiles.getStore()).add(path.resolve(tasksPath));
+}
+
+/**
+ * Runs an async operation and records its change, unless an outer operation
+ * in the call chain is already recording the same tasks file
+ */
+async function runRecorded(tasksPath, operation, details, fn) {
+	if (isRecording(tasksPath)) {
+		return fn();
+	}
+
+	const finish = trackTasksChange(tasksPath, false);
+	try {
+		return await recordingFiles.run(recordingScope(tasksPath), fn);
+	} finally {
+		saveChange(tasksPath, operation, details, finish());
+	}
+}
+
+/**
+ * Wraps an async core function so each (outermost) call is recorded in the
+ * history journal. Expected to run inside the tasks file lock.
+ * @param {Function} fn - Async function that modifies a tasks file
+ * @param {string} operation - Command name shown in the history
+ * @param {number} [pathArgIndex=0] - Index of the tasks file path argument
+ * @returns {Function} Wrapped function with the same signature
+ */
+function withHistory(fn, operation, pathArgIndex = 0) {
+	return async function (...args) {
+		const tasksPath = args[pathArgIndex];
+		if (!tasksPath) {
+			return fn.apply(this, args);
+		}
+		return runRecorded(
+			tasksPath,
+			operation,
+			summarizeArgs(args, pathArgIndex),
+			() => fn.apply(this, args)
+		);
+	};
+}
+
+/**
+ * Runs the read-modify-write step of an operation under the tasks file lock
+ * and records it in the history. Operations that wait on the AI use this
+ * instead of withPathLock/withHistory so the file stays locked only while
+ * they re-read the tasks and merge in the result, not for the whole call.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} operation - Command name shown in the history
+ * @param {Array} args - Command arguments to summarize in the history (IDs, prompt)
+ * @param {Function} fn - Async function that reads, modifies and writes the tasks
+ * @returns {Promise<*>} Result of fn
+ */
+function withTasksChange(tasksPath, operation, args, fn) {
+	return withFileLock(tasksPath, () =>
+		runRecorded(tasksPath, operation, summarizeArgs(args, -1), fn)
+	);
+}
+
+/**
+ * Synchronous variant of withHistory
+ * @param {Function} fn - Synchronous function that modifies a tasks file
+ * @param {string} operation - Command name shown in the history
+ * @param {number} [pathArgIndex=0] - Index of the tasks file path argument
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fullSnapshots] - Snapshot all tasks, for
+ *   operations that may move them to another storage backend
+ * @returns {Function} Wrapped function with the same signature
+ */
+function withHistorySync(fn, operation, pathArgIndex = 0, options = {}) {
+	return function (...args) {
+		const tasksPath = args[pathArgIndex];
+		if (!tasksPath || isRecording(tasksPath)) {
+			return fn.apply(this, args);
+		}
+
+		const finish = trackTasksChange(tasksPath, !!options.fullSnapshots);
+		try {
+			return recordingFiles.run(recordingScope(tasksPath), () =>
+				fn.apply(this, args)
+			);
+		} finally {
+			saveChange(
+				tasksPath,
+				operation,
+				summarizeArgs(args, pathArgIndex),
+				finish()
+			);
+		}
+	};
+}
+
+/**
+ * Lists the recorded changes of a tasks file, newest first
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {{ file: string, entries: Array<Object>, canUndo: boolean, canRedo: boolean }}
+ */
+function getHistory(tasksPath, options = {}) {
+	const { journalPath, file } = getHistoryLocation(tasksPath);
+	const entries = readJournal(journalPath)
+		.entries.filter((e) => e.file === file)
+		.reverse();
+
+	return {
+		file,
+		entries: options.limit ? entries.slice(0, options.limit) : entries,
+		canUndo: entries.some((e) => !e.undone),
+		canRedo: entries.some((e) => e.undone)
+	};
+}
+
+/**
+ * Walks the journal one step (undo or redo) and restores the tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {'undo'|'redo'} direction - Which way to walk the journal
+ * @param {Object} options - Options (force)
+ * @returns {Promise<Object>} The journal entry that was undone or redone
+ */
+async function stepHistory(tasksPath, direction, options = {}) {
+	const { historyDir, journalPath, file } = getHistoryLocation(tasksPath);
+	const undoing = direction === 'undo';
+
+	return withFileLock(tasksPath, () =>
+		withFileLockSync(journalPath, () => {
+			const journal = readJournal(journalPath);
+			const fileEntries = journal.entries.filter((e) => e.file === file);
+			// Undone entries always form the tail of a file's history
+			const entry = undoing
+				? fileEntries.filter((e) => !e.undone).pop()
+				: fileEntries.find((e) => e.undone);
+
+			if (!entry) {
+				throw new Error(`Nothing to ${direction} for ${file}`);
+			}
+
+			const snapshot = readSnapshot(historyDir, entry.id);
+			const expected = undoing ? snapshot.after : snapshot.before;
+			const current = readTasksSnapshot(tasksPath, expected);
+			if (!options.force && current !== expected) {
+				throw new Error(
+					`${file} was modified outside of the recorded history since change #${entry.id} (${entry.operation}). ` +
+						`Re-run with --force to ${direction} anyway and discard those modifications.`
+				);
+			}
+
+			const restored = undoing ? snapshot.before : snapshot.after;
+			restoreContents(tasksPath, restored);
+			entry.undone = undoing;
+			writeFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+			auditChange(
+				tasksPath,
+				direction,
+				`#${entry.id} ${entry.operation}`,
+				current,
+				restored
+			);
+
+			log(
+				'info',
+				`${undoing ? 'Undid' : 'Redid'} change #${entry.id} (${entry.operation}) on ${file}`
+			);
+			return entry;
+		})
+	);
+}
+
+/**
+ * Reverts the most recent change to a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Undo even if the file changed outside the history
+ * @returns {Promise<Object>} The undone journal entry
+ */
+async function undoChange(tasksPath, options = {}) {
+	return stepHistory(tasksPath, 'undo', options);
+}
+
+/**
+ * Re-applies the most recently undone change to a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Redo even if the file changed outside the history
+ * @returns {Promise<Object>} The redone journal entry
+ */
+async function redoChange(tasksPath, options = {}) {
+	return stepHistory(tasksPath, 'redo', options);
+}
+
+export {
+	withHistory,
+	withHistorySync,
+	withTasksChange,
+	recordChange,
+	getHistory,
+	undoChange,
+	redoChange
+};
@@ -0,0 +1,95 @@
+/**
+ * storage/index.js
+ * Picks the storage backend of a tasks file. An existing tasks.json decides
+ * for itself (a SQLite manifest or regular JSON); a new one uses the backend
+ * configured under `storage` in .taskmasterconfig.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { getStorageConfig, isConfigFilePresent } from '../config-manager.js';
+import { findProjectRoot } from '../utils.js';
+import { createJsonStorage } from './json-storage.js';
+import {
+	createSqliteStorage,
+	readStorageManifest,
+	isStorageManifest
+} from './sqlite-storage.js';
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// SQLite storages keep their database connection, so they are reused
+const sqliteStorages = new Map();
+
+function getSqliteStorage(tasksPath, dbPath) {
+	const key = `${path.resolve(tasksPath)}:${path.resolve(dbPath)}`;
+	if (!sqliteStorages.has(key)) {
+		sqliteStorages.set(
+			key,
+			createSqliteStorage(path.resolve(tasksPath), path.resolve(dbPath))
+		);
+	}
+	return sqliteStorages.get(key);
+}
+
+/**
+ * Creates the storage configured for the project a tasks file belongs to,
+ * regardless of how the tasks are currently stored
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {import('./task-storage.js').TaskStorage}
+ * @throws {Error} If the configured storage type is unknown
+ */
+function getConfiguredTaskStorage(tasksPath) {
+	const tasksDir = path.dirname(path.resolve(tasksPath));
+	const projectRoot = findProjectRoot(tasksDir) || tasksDir;
+	// Projects without a config file keep their tasks in tasks.json
+	const { type, sqlitePath } = isConfigFilePresent(projectRoot)
+		? getStorageConfig(projectRoot)
+		: { type: 'json' };
+
+	switch (type) {
+		case 'json':
+			return createJsonStorage(tasksPath);
+		case 'sqlite':
+			return getSqliteStorage(tasksPath, path.resolve(projectRoot, sqlitePath));
+		default:
+			throw new Error(
+				`Unknown storage type "${type}" in .taskmasterconfig. Use one of: ${STORAGE_TYPES.join(', ')}`
+			);
+	}
+}
+
+/**
+ * Gets the storage holding the tasks of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {import('./task-storage.js').TaskStorage}
+ */
+function getTaskStorage(tasksPath) {
+	const manifest = readStorageManifest(tasksPath);
+	if (manifest) {
+		return getSqliteStorage(
+			tasksPath,
+			path.resolve(path.dirname(path.resolve(tasksPath)), manifest.path)
+		);
+	}
+	return fs.existsSync(tasksPath)
+		? createJsonStorage(tasksPath)
+		: getConfiguredTaskStorage(tasksPath);
+}
+
+/**
+ * Closes the database connections of all SQLite storages
+ */
+function closeTaskStorages() {
+	sqliteStorages.forEach((storage) => storage.close());
+	sqliteStorages.clear();
+}
+
+export {
+	STORAGE_TYPES,
+	getTaskStorage,
+	getConfiguredTaskStorage,
+	closeTaskStorages,
+	isStorageManifest
+};
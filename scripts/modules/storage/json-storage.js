@@ -0,0 +1,63 @@
+/**
+ * json-storage.js
+ * Stores all tags in the tasks.json file itself (the default backend)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { getAutoMigrate } from '../config-manager.js';
+import { withFileLockSync, writeFileAtomic } from '../file-lock.js';
+import { assertValidTasksData, loadTasksData } from '../tasks-schema.js';
+import { createTaskStorage, emptyTasksData } from './task-storage.js';
+
+/**
+ * Creates the JSON-file storage of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {import('./task-storage.js').TaskStorage}
+ */
+function createJsonStorage(tasksPath) {
+	const exists = () => fs.existsSync(tasksPath);
+	const readContents = () =>
+		exists() ? fs.readFileSync(tasksPath, 'utf8') : null;
+
+	return createTaskStorage({
+		type: 'json',
+		location: tasksPath,
+		exists,
+
+		// Callers that already parsed the file pass it as options.rawData
+		readData(options = {}) {
+			const rawData =
+				options.rawData ?? (exists() ? JSON.parse(readContents()) : null);
+			if (!rawData) {
+				return emptyTasksData();
+			}
+			return loadTasksData(rawData, tasksPath, {
+				autoMigrate: getAutoMigrate()
+			});
+		},
+
+		writeData(data) {
+			// Refuse to write anything the next read would reject
+			assertValidTasksData(data, tasksPath);
+			fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+			writeFileAtomic(tasksPath, JSON.stringify(data, null, 2));
+		},
+
+		// Re-entered if the caller already holds the file's lock
+		lock: (fn) => withFileLockSync(tasksPath, fn),
+
+		serialize: readContents,
+
+		restore(contents) {
+			if (contents === null) {
+				fs.rmSync(tasksPath, { force: true });
+			} else {
+				writeFileAtomic(tasksPath, contents);
+			}
+		}
+	});
+}
+
+export { createJsonStorage };
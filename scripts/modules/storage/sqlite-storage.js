@@ -0,0 +1,613 @@
+/**
+ * sqlite-storage.js
+ * Stores tags and tasks as rows of a local SQLite database, so reading one
+ * tag or task does not parse the whole project and writes only touch the
+ * tasks that changed. tasks.json is kept as a small manifest pointing at the
+ * database, which lets every command keep locating tasks through it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+import { getAutoMigrate, getLockTimeout } from '../config-manager.js';
+import { writeFileAtomic } from '../file-lock.js';
+import {
+	CURRENT_SCHEMA_VERSION,
+	assertValidTasksData,
+	loadTasksData
+} from '../tasks-schema.js';
+import { DEFAULT_TAG } from '../utils.js';
+import {
+	createTaskStorage,
+	emptyTasksData,
+	findTaskByPath,
+	missingTagError,
+	selectTag
+} from './task-storage.js';
+
+const require = createRequire(import.meta.url);
+
+// A manifest is a few hundred bytes; anything larger is a regular tasks file
+const MAX_MANIFEST_SIZE = 4096;
+
+const SCHEMA_SQL = `
+	CREATE TABLE IF NOT EXISTS meta (
+		key TEXT PRIMARY KEY,
+		value TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS tags (
+		name TEXT PRIMARY KEY,
+		position INTEGER NOT NULL,
+		metadata TEXT
+	);
+	CREATE TABLE IF NOT EXISTS tasks (
+		tag TEXT NOT NULL REFERENCES tags (name) ON DELETE CASCADE,
+		id INTEGER NOT NULL,
+		position INTEGER NOT NULL,
+		status TEXT NOT NULL,
+		priority TEXT,
+		data TEXT NOT NULL,
+		PRIMARY KEY (tag, id)
+	);
+	CREATE INDEX IF NOT EXISTS tasks_by_status ON tasks (tag, status);
+`;
+
+/**
+ * Reads the SQLite manifest stored in place of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {{ type: string, path: string }|null} Storage settings, or null for regular tasks files
+ */
+function readStorageManifest(tasksPath) {
+	try {
+		if (fs.statSync(tasksPath).size > MAX_MANIFEST_SIZE) {
+			return null;
+		}
+		const storage = JSON.parse(fs.readFileSync(tasksPath, 'utf8'))?.meta
+			?.storage;
+		return storage?.type === 'sqlite' && storage.path ? storage : null;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Checks whether parsed JSON is a SQLite manifest
+ * @param {Object} rawData - Parsed JSON content
+ * @returns {boolean} True for manifests
+ */
+function isStorageManifest(rawData) {
+	return rawData?.meta?.storage?.type === 'sqlite' && !rawData.tags;
+}
+
+function loadDriver() {
+	try {
+		return require('better-sqlite3');
+	} catch (error) {
+		throw new Error(
+			`SQLite storage needs the optional "better-sqlite3" package (${error.message}). ` +
+				'Install it with `npm install better-sqlite3`, or set storage.type to "json" in .taskmasterconfig.'
+		);
+	}
+}
+
+function toRow(tag, task, position) {
+	return {
+		tag,
+		id: task.id,
+		position,
+		status: task.status,
+		priority: task.priority ?? null,
+		data: JSON.stringify(task)
+	};
+}
+
+function toTagData(tasks, metadata) {
+	return metadata ? { tasks, metadata: JSON.parse(metadata) } : { tasks };
+}
+
+/**
+ * Creates the SQLite storage of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json manifest
+ * @param {string} dbPath - Path to the SQLite database
+ * @returns {import('./task-storage.js').TaskStorage}
+ */
+function createSqliteStorage(tasksPath, dbPath) {
+	let db = null;
+
+	function open() {
+		if (!db) {
+			const Database = loadDriver();
+			fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+			db = new Database(dbPath, { timeout: getLockTimeout() });
+			db.pragma('journal_mode = WAL');
+			db.pragma('foreign_keys = ON');
+			db.exec(SCHEMA_SQL);
+		}
+		return db;
+	}
+
+	const getMeta = (key) =>
+		open().prepare('SELECT value FROM meta WHERE key = ?').pluck().get(key);
+
+	const setMeta = (key, value) =>
+		open()
+			.prepare(
+				'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+			)
+			.run(key, value);
+
+	const tagNames = () =>
+		open().prepare('SELECT name FROM tags ORDER BY position').pluck().all();
+
+	const exists = () =>
+		fs.existsSync(tasksPath) &&
+		fs.existsSync(dbPath) &&
+		getMeta('currentTag') !== undefined;
+
+	// Stored data is validated on write, so reads only check the version
+	const isCurrentVersion = () =>
+		JSON.parse(getMeta('meta')).schemaVersion === CURRENT_SCHEMA_VERSION;
+
+	const resolveTagName = (tag) => tag || getMeta('currentTag') || DEFAULT_TAG;
+
+	// Resolves a tag that has to exist without reading its tasks
+	function resolveExistingTag(tag) {
+		if (!exists() || !isCurrentVersion()) {
+			return selectTag(storage.readData(), tag, dbPath).tag;
+		}
+		const resolvedTag = resolveTagName(tag);
+		if (!readTagRow(resolvedTag)) {
+			throw missingTagError(resolvedTag, tagNames(), dbPath);
+		}
+		return resolvedTag;
+	}
+
+	function writeManifest() {
+		if (!readStorageManifest(tasksPath)) {
+			const manifest = {
+				meta: {
+					schemaVersion: CURRENT_SCHEMA_VERSION,
+					storage: {
+						type: 'sqlite',
+						path: path.relative(path.dirname(path.resolve(tasksPath)), dbPath)
+					}
+				}
+			};
+			fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+			writeFileAtomic(tasksPath, JSON.stringify(manifest, null, 2));
+		}
+	}
+
+	// --- Row access ---
+	// Every write goes through these helpers so that running change trackers
+	// (see trackChanges) can remember each row before it is first modified.
+
+	const trackers = new Set();
+
+	const readTagRow = (name) =>
+		open()
+			.prepare('SELECT position, metadata FROM tags WHERE name = ?')
+			.get(name) || null;
+
+	const readTaskRow = (tag, id) =>
+		open()
+			.prepare('SELECT position, data FROM tasks WHERE tag = ? AND id = ?')
+			.get(tag, id) || null;
+
+	function rememberTag(name) {
+		trackers.forEach((tracker) => {
+			if (!tracker.tags.has(name)) {
+				tracker.tags.set(name, readTagRow(name));
+			}
+		});
+	}
+
+	function rememberTask(tag, id) {
+		trackers.forEach((tracker) => {
+			if (!tracker.tasks.has(tag)) {
+				tracker.tasks.set(tag, new Map());
+			}
+			if (!tracker.tasks.get(tag).has(id)) {
+				tracker.tasks.get(tag).set(id, readTaskRow(tag, id));
+			}
+		});
+	}
+
+	function writeTagRow(name, position, metadata) {
+		const value = metadata ? JSON.stringify(metadata) : null;
+		const current = readTagRow(name);
+		if (current?.position === position && current.metadata === value) {
+			return;
+		}
+		rememberTag(name);
+		open()
+			.prepare(
+				'INSERT INTO tags (name, position, metadata) VALUES (?, ?, ?) ON CONFLICT (name) DO UPDATE SET position = excluded.position, metadata = excluded.metadata'
+			)
+			.run(name, position, value);
+	}
+
+	// Deleting a tag cascades to its tasks, so those are remembered too
+	function deleteTagRow(name) {
+		open()
+			.prepare('SELECT id FROM tasks WHERE tag = ?')
+			.pluck()
+			.all(name)
+			.forEach((id) => rememberTask(name, id));
+		rememberTag(name);
+		open().prepare('DELETE FROM tags WHERE name = ?').run(name);
+	}
+
+	function upsertRow(row) {
+		rememberTask(row.tag, row.id);
+		open()
+			.prepare(
+				`INSERT INTO tasks (tag, id, position, status, priority, data)
+				VALUES (@tag, @id, @position, @status, @priority, @data)
+				ON CONFLICT (tag, id) DO UPDATE SET position = excluded.position,
+					status = excluded.status, priority = excluded.priority, data = excluded.data`
+			)
+			.run(row);
+	}
+
+	function deleteTaskRow(tag, id) {
+		rememberTask(tag, id);
+		return open()
+			.prepare('DELETE FROM tasks WHERE tag = ? AND id = ?')
+			.run(tag, id).changes;
+	}
+
+	function ensureTag(tag, metadata) {
+		const position =
+			readTagRow(tag)?.position ??
+			open()
+				.prepare('SELECT COALESCE(MAX(position) + 1, 0) FROM tags')
+				.pluck()
+				.get();
+		writeTagRow(tag, position, metadata);
+	}
+
+	// Rewrites only the rows of tasks that changed or moved
+	function syncTasks(tag, tasks) {
+		const existing = new Map(
+			open()
+				.prepare('SELECT id, position, data FROM tasks WHERE tag = ?')
+				.all(tag)
+				.map((row) => [row.id, row])
+		);
+		tasks.forEach((task, position) => {
+			const row = toRow(tag, task, position);
+			const current = existing.get(task.id);
+			if (
+				!current ||
+				current.data !== row.data ||
+				current.position !== position
+			) {
+				upsertRow(row);
+			}
+			existing.delete(task.id);
+		});
+		existing.forEach((row, id) => deleteTaskRow(tag, id));
+	}
+
+	/**
+	 * Builds a snapshot of some rows in the tagged tasks format, so the audit
+	 * log can diff it like a full one. `rows` lists the position of every
+	 * included tag and task row, null for rows that do not exist.
+	 */
+	function buildSnapshot(keys, meta, getTagRow, getTaskRow) {
+		const tags = {};
+		const rows = { tags: {}, tasks: {} };
+		[...keys.tags].sort().forEach((name) => {
+			const row = getTagRow(name);
+			rows.tags[name] = row ? row.position : null;
+			if (row) {
+				tags[name] = toTagData([], row.metadata);
+			}
+		});
+		[...keys.tasks.keys()].sort().forEach((tag) => {
+			rows.tasks[tag] = {};
+			[...keys.tasks.get(tag)]
+				.sort((a, b) => a - b)
+				.forEach((id) => {
+					const row = getTaskRow(tag, id);
+					rows.tasks[tag][id] = row ? row.position : null;
+					if (row) {
+						tags[tag] = tags[tag] || { tasks: [] };
+						tags[tag].tasks.push(JSON.parse(row.data));
+					}
+				});
+		});
+		return JSON.stringify(
+			{
+				meta: JSON.parse(meta.meta),
+				currentTag: meta.currentTag,
+				tags,
+				rows
+			},
+			null,
+			2
+		);
+	}
+
+	const readMetaRows = () => ({
+		meta: getMeta('meta'),
+		currentTag: getMeta('currentTag')
+	});
+
+	const storage = createTaskStorage({
+		type: 'sqlite',
+		location: dbPath,
+		exists,
+
+		readData() {
+			if (!exists()) {
+				return emptyTasksData();
+			}
+			const tasksByTag = {};
+			open()
+				.prepare('SELECT tag, data FROM tasks ORDER BY tag, position')
+				.all()
+				.forEach(({ tag, data }) => {
+					tasksByTag[tag] = tasksByTag[tag] || [];
+					tasksByTag[tag].push(JSON.parse(data));
+				});
+			const tags = {};
+			open()
+				.prepare('SELECT name, metadata FROM tags ORDER BY position')
+				.all()
+				.forEach(({ name, metadata }) => {
+					tags[name] = toTagData(tasksByTag[name] || [], metadata);
+				});
+
+			const data = {
+				meta: JSON.parse(getMeta('meta')),
+				currentTag: getMeta('currentTag'),
+				tags
+			};
+			return isCurrentVersion()
+				? data
+				: loadTasksData(data, dbPath, { autoMigrate: getAutoMigrate() });
+		},
+
+		// Tags and tasks that did not change are left as they are
+		writeData(data) {
+			assertValidTasksData(data, dbPath);
+			storage.transaction(() => {
+				setMeta('meta', JSON.stringify(data.meta));
+				setMeta('currentTag', data.currentTag);
+				tagNames()
+					.filter((name) => !data.tags[name])
+					.forEach(deleteTagRow);
+				Object.entries(data.tags).forEach(
+					([tag, { tasks, metadata }], position) => {
+						writeTagRow(tag, position, metadata);
+						syncTasks(tag, tasks);
+					}
+				);
+			});
+			writeManifest();
+		},
+
+		readTag(tag = null) {
+			if (!exists() || !isCurrentVersion()) {
+				return selectTag(storage.readData(), tag, dbPath);
+			}
+			const resolvedTag = resolveTagName(tag);
+			const tagRow = open()
+				.prepare('SELECT metadata FROM tags WHERE name = ?')
+				.get(resolvedTag);
+			if (!tagRow) {
+				throw missingTagError(resolvedTag, tagNames(), dbPath);
+			}
+			const tasks = open()
+				.prepare('SELECT data FROM tasks WHERE tag = ? ORDER BY position')
+				.pluck()
+				.all(resolvedTag)
+				.map((data) => JSON.parse(data));
+			return { ...toTagData(tasks, tagRow.metadata), tag: resolvedTag };
+		},
+
+		writeTag(tagData, tag = null) {
+			storage.transaction(() => {
+				const isNew = !exists();
+				const targetTag = isNew ? tag || DEFAULT_TAG : resolveTagName(tag);
+				assertValidTasksData(
+					{
+						meta: { schemaVersion: CURRENT_SCHEMA_VERSION },
+						currentTag: targetTag,
+						tags: { [targetTag]: tagData }
+					},
+					dbPath
+				);
+				if (isNew) {
+					setMeta('meta', JSON.stringify(emptyTasksData().meta));
+					setMeta('currentTag', targetTag);
+				}
+				ensureTag(targetTag, tagData.metadata);
+				syncTasks(targetTag, tagData.tasks);
+			});
+			writeManifest();
+		},
+
+		getTask(id, options = {}) {
+			const tag = resolveExistingTag(options.tag);
+			const data = open()
+				.prepare('SELECT data FROM tasks WHERE tag = ? AND id = ?')
+				.pluck()
+				.get(tag, parseInt(String(id).split('.')[0], 10));
+			return data ? findTaskByPath([JSON.parse(data)], id) : null;
+		},
+
+		listTasks(options = {}) {
+			const tag = resolveExistingTag(options.tag);
+			const conditions = ['tag = @tag'];
+			const params = { tag };
+			if (options.status) {
+				const statuses = [].concat(options.status);
+				statuses.forEach((status, i) => (params[`status${i}`] = status));
+				conditions.push(
+					`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`
+				);
+			}
+			if (options.priority) {
+				params.priority = options.priority;
+				conditions.push('priority = @priority');
+			}
+			return open()
+				.prepare(
+					`SELECT data FROM tasks WHERE ${conditions.join(' AND ')} ORDER BY position`
+				)
+				.pluck()
+				.all(params)
+				.map((data) => JSON.parse(data));
+		},
+
+		upsertTask(task, options = {}) {
+			return storage.transaction(() => {
+				const tag = resolveExistingTag(options.tag);
+				assertValidTasksData(
+					{
+						meta: { schemaVersion: CURRENT_SCHEMA_VERSION },
+						currentTag: tag,
+						tags: { [tag]: { tasks: [task] } }
+					},
+					dbPath
+				);
+				const position =
+					readTaskRow(tag, task.id)?.position ??
+					open()
+						.prepare(
+							'SELECT COALESCE(MAX(position) + 1, 0) FROM tasks WHERE tag = ?'
+						)
+						.pluck()
+						.get(tag);
+				upsertRow(toRow(tag, task, position));
+				return task;
+			});
+		},
+
+		deleteTask(id, options = {}) {
+			return storage.transaction(() => {
+				const tag = resolveExistingTag(options.tag);
+				return deleteTaskRow(tag, Number(id)) > 0;
+			});
+		},
+
+		// Nested transactions become savepoints of the outer one
+		transaction(fn) {
+			return open().transaction(() => fn(storage))();
+		},
+
+		// Tracks the rows written until finish is called, which returns
+		// snapshots of just those rows rather than of the whole database
+		trackChanges() {
+			if (!exists()) {
+				return {
+					finish: () => ({ before: null, after: storage.serialize() })
+				};
+			}
+			const tracker = {
+				meta: readMetaRows(),
+				tags: new Map(),
+				tasks: new Map()
+			};
+			trackers.add(tracker);
+			return {
+				finish() {
+					trackers.delete(tracker);
+					const keys = {
+						tags: [...tracker.tags.keys()],
+						tasks: new Map(
+							[...tracker.tasks].map(([tag, rows]) => [tag, [...rows.keys()]])
+						)
+					};
+					return {
+						before: buildSnapshot(
+							keys,
+							tracker.meta,
+							(name) => tracker.tags.get(name),
+							(tag, id) => tracker.tasks.get(tag).get(id)
+						),
+						after: exists()
+							? buildSnapshot(keys, readMetaRows(), readTagRow, readTaskRow)
+							: null
+					};
+				}
+			};
+		},
+
+		// Given a snapshot of some rows, serializes the current state of the
+		// same rows so the two can be compared
+		serialize(like = null) {
+			if (!exists()) {
+				return null;
+			}
+			const rows = like && JSON.parse(like).rows;
+			if (!rows) {
+				return JSON.stringify(storage.readData(), null, 2);
+			}
+			const keys = {
+				tags: Object.keys(rows.tags),
+				tasks: new Map(
+					Object.entries(rows.tasks).map(([tag, ids]) => [
+						tag,
+						Object.keys(ids).map(Number)
+					])
+				)
+			};
+			return buildSnapshot(keys, readMetaRows(), readTagRow, readTaskRow);
+		},
+
+		// Full snapshots may predate the switch to SQLite, so they are
+		// upgraded first; snapshots of some rows only rewrite those rows
+		restore(contents) {
+			if (contents === null) {
+				open().exec('DELETE FROM tasks; DELETE FROM tags; DELETE FROM meta;');
+				fs.rmSync(tasksPath, { force: true });
+				return;
+			}
+			const snapshot = JSON.parse(contents);
+			if (!snapshot.rows) {
+				storage.writeData(
+					loadTasksData(snapshot, dbPath, { autoMigrate: true })
+				);
+				return;
+			}
+			storage.transaction(() => {
+				setMeta('meta', JSON.stringify(snapshot.meta));
+				setMeta('currentTag', snapshot.currentTag);
+				Object.entries(snapshot.rows.tags).forEach(([name, position]) => {
+					if (position === null) {
+						deleteTagRow(name);
+					} else {
+						writeTagRow(name, position, snapshot.tags[name].metadata);
+					}
+				});
+				Object.entries(snapshot.rows.tasks).forEach(([tag, ids]) =>
+					Object.entries(ids).forEach(([id, position]) => {
+						if (position === null) {
+							deleteTaskRow(tag, Number(id));
+						} else {
+							const task = snapshot.tags[tag].tasks.find(
+								(t) => t.id === Number(id)
+							);
+							upsertRow(toRow(tag, task, position));
+						}
+					})
+				);
+			});
+			writeManifest();
+		},
+
+		close() {
+			db?.close();
+			db = null;
+		}
+	});
+
+	return storage;
+}
+
+export { createSqliteStorage, readStorageManifest, isStorageManifest };
@@ -0,0 +1,217 @@
+/**
+ * task-storage.js
+ * The storage interface behind the task-manager modules. A backend only has
+ * to read and write the whole tagged structure; createTaskStorage derives the
+ * task-level operations from that, and backends with a cheaper way to reach
+ * a single task or tag (e.g. SQLite) override them.
+ */
+
+import { DEFAULT_TAG, resolveTag } from '../utils.js';
+import {
+	CURRENT_SCHEMA_VERSION,
+	assertValidTasksData
+} from '../tasks-schema.js';
+
+/**
+ * @typedef {Object} TaskStorage
+ * @property {string} type - Backend name ('json' or 'sqlite')
+ * @property {string} location - File the tasks are stored in
+ * @property {() => boolean} exists - Whether anything has been stored yet
+ * @property {(options?: Object) => Object} readData - Full tagged structure ({ meta, currentTag, tags })
+ * @property {(data: Object) => void} writeData - Replaces everything with a full tagged structure
+ * @property {(tag?: string|null, options?: Object) => Object} readTag - Task list of a tag ({ tasks, metadata, tag })
+ * @property {(tagData: Object, tag?: string|null) => void} writeTag - Replaces the task list of one tag
+ * @property {(id: number|string, options?: { tag?: string }) => Object|null} getTask - Task (or dotted subtask) by ID
+ * @property {(options?: { tag?: string, status?: string|string[], priority?: string }) => Array<Object>} listTasks - Top-level tasks matching the filters
+ * @property {(task: Object, options?: { tag?: string }) => Object} upsertTask - Adds or replaces a top-level task
+ * @property {(id: number|string, options?: { tag?: string }) => boolean} deleteTask - Removes a top-level task
+ * @property {(fn: (storage: TaskStorage) => *) => *} transaction - Runs fn so that all or none of its writes are stored
+ * @property {(like?: string|null) => string|null} serialize - Snapshot of the stored data for the undo history; given an earlier snapshot, covers the same part of the data
+ * @property {(contents: string|null) => void} restore - Restores a snapshot taken by serialize or trackChanges
+ * @property {() => { finish: () => { before: string|null, after: string|null } }} trackChanges - Starts recording a change; finish returns snapshots of the data it touched
+ */
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Builds an empty tagged structure
+ * @param {string} [currentTag] - Tag to mark as active
+ * @returns {Object} Tagged tasks data without tags
+ */
+function emptyTasksData(currentTag = DEFAULT_TAG) {
+	return {
+		meta: { schemaVersion: CURRENT_SCHEMA_VERSION },
+		currentTag,
+		tags: {}
+	};
+}
+
+/**
+ * Builds the error thrown when a requested tag does not exist
+ * @param {string} tag - Requested tag
+ * @param {Array<string>} available - Existing tags
+ * @param {string} location - Where the tasks are stored
+ * @returns {Error}
+ */
+function missingTagError(tag, available, location) {
+	return new Error(
+		`Tag "${tag}" does not exist in ${location}. Available tags: ${available.join(', ') || 'none'}`
+	);
+}
+
+/**
+ * Returns the task list of a tag with a `tag` property naming it
+ * @param {Object} data - Tagged tasks data
+ * @param {string|null} tag - Requested tag (defaults to the active tag)
+ * @param {string} location - Where the data is stored, for the error message
+ * @returns {Object} { tasks, metadata, tag }
+ */
+function selectTag(data, tag, location) {
+	const resolvedTag = resolveTag(data, tag);
+	if (!data.tags[resolvedTag]) {
+		throw missingTagError(resolvedTag, Object.keys(data.tags), location);
+	}
+	return { ...data.tags[resolvedTag], tag: resolvedTag };
+}
+
+/**
+ * Finds a task, or a subtask by its dotted ID (e.g. "3.1")
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @param {number|string} id - Task ID
+ * @returns {Object|null} The task, or null if it does not exist
+ */
+function findTaskByPath(tasks, id) {
+	const [first, ...rest] = String(id).split('.').map(Number);
+	let task = tasks.find((t) => t.id === first) || null;
+	for (const subtaskId of rest) {
+		task = task?.subtasks?.find((s) => s.id === subtaskId) || null;
+	}
+	return task;
+}
+
+/**
+ * Checks a task against list filters
+ * @param {Object} task - Task to check
+ * @param {Object} filters - { status, priority }
+ * @returns {boolean} True if the task matches every filter given
+ */
+function matchesFilters(task, { status, priority }) {
+	const statuses = status ? [].concat(status) : null;
+	return (
+		(!statuses || statuses.includes(task.status)) &&
+		(!priority || task.priority === priority)
+	);
+}
+
+/**
+ * Completes a storage backend with the task-level operations of the
+ * interface. The backend must provide type, location, exists, readData,
+ * writeData, serialize and restore, and may override anything else.
+ * Backends without their own transaction support pass `lock`, a function
+ * running a callback while holding exclusive access to the store.
+ * @param {Object} backend - Backend methods
+ * @returns {TaskStorage} Storage implementing the full interface
+ */
+function createTaskStorage(backend) {
+	const { lock = (fn) => fn(), ...methods } = backend;
+
+	const storage = {
+		readTag(tag = null, options = {}) {
+			return selectTag(storage.readData(options), tag, storage.location);
+		},
+
+		writeTag(tagData, tag = null) {
+			storage.transaction((tx) => {
+				const data = tx.exists()
+					? tx.readData()
+					: emptyTasksData(tag || DEFAULT_TAG);
+				data.tags[resolveTag(data, tag)] = tagData;
+				tx.writeData(data);
+			});
+		},
+
+		getTask(id, options = {}) {
+			return findTaskByPath(storage.readTag(options.tag).tasks, id);
+		},
+
+		listTasks(options = {}) {
+			return storage
+				.readTag(options.tag)
+				.tasks.filter((task) => matchesFilters(task, options));
+		},
+
+		upsertTask(task, options = {}) {
+			return storage.transaction((tx) => {
+				const { tag, ...tagData } = tx.readTag(options.tag);
+				const index = tagData.tasks.findIndex((t) => t.id === task.id);
+				if (index === -1) {
+					tagData.tasks.push(task);
+				} else {
+					tagData.tasks[index] = task;
+				}
+				tx.writeTag(tagData, tag);
+				return task;
+			});
+		},
+
+		deleteTask(id, options = {}) {
+			return storage.transaction((tx) => {
+				const { tag, ...tagData } = tx.readTag(options.tag);
+				const remaining = tagData.tasks.filter((t) => t.id !== Number(id));
+				if (remaining.length === tagData.tasks.length) {
+					return false;
+				}
+				tx.writeTag({ ...tagData, tasks: remaining }, tag);
+				return true;
+			});
+		},
+
+		// Stages writes in memory and stores them once fn returns, so a
+		// failing fn leaves the store untouched
+		transaction(fn) {
+			return lock(() => {
+				let working = null;
+				let dirty = false;
+				const staged = createTaskStorage({
+					type: storage.type,
+					location: storage.location,
+					exists: () => dirty || storage.exists(),
+					readData: () => clone(working ?? (working = storage.readData())),
+					writeData: (data) => {
+						assertValidTasksData(data, storage.location);
+						working = clone(data);
+						dirty = true;
+					},
+					serialize: storage.serialize,
+					restore: storage.restore
+				});
+				staged.transaction = (inner) => inner(staged);
+
+				const result = fn(staged);
+				if (dirty) {
+					storage.writeData(working);
+				}
+				return result;
+			});
+		},
+
+		// Backends that can't tell what a change touched snapshot everything
+		trackChanges() {
+			const before = storage.serialize();
+			return { finish: () => ({ before, after: storage.serialize() }) };
+		},
+
+		...methods
+	};
+
+	return storage;
+}
+
+export {
+	createTaskStorage,
+	emptyTasksData,
+	missingTagError,
+	selectTag,
+	findTaskByPath,
+	matchesFilters
+};
@@ -0,0 +1,65 @@
+/**
+ * stream-progress.js
+ * Live progress of streamed AI responses. Items of a response (generated
+ * tasks, subtasks) are reported as soon as their title is complete: printed
+ * in the terminal for the CLI, and sent as log messages and progress
+ * notifications to MCP callers.
+ */
+
+import chalk from 'chalk';
+
+import { isSilentMode } from './utils.js';
+
+/**
+ * Creates the onPartial handler of streamJsonService for a list of items
+ * @param {Object} options
+ * @param {function(*): Array<Object>} options.getItems - Picks the items from a partial response
+ * @param {function(Object, number): string} options.describe - Describes an item, e.g. "Task 3: Set up the repository"
+ * @param {number} [options.total] - Expected number of items, if known
+ * @param {Object} [options.mcpLog] - MCP logger; items are reported to MCP instead of the terminal
+ * @param {Function} [options.reportProgress] - MCP progress callback, called with { progress, total }
+ * @param {Object} [options.spinner] - ora spinner to keep below the printed items
+ * @returns {function(*): Promise<void>} The onPartial handler
+ */
+function createStreamProgress({
+	getItems,
+	describe,
+	total,
+	mcpLog,
+	reportProgress,
+	spinner
+}) {
+	let reported = 0;
+
+	return async (partial) => {
+		const items = getItems(partial) || [];
+		// Items arrive in order, so only the next one can have become reportable
+		while (typeof items[reported]?.title === 'string') {
+			const message = describe(items[reported], reported);
+			reported++;
+
+			if (mcpLog) {
+				mcpLog.info(message);
+				if (typeof reportProgress === 'function') {
+					try {
+						await reportProgress({
+							progress: reported,
+							...(total && { total: Math.max(total, reported) })
+						});
+					} catch (error) {
+						// Progress is best effort; the call itself goes on
+						mcpLog.debug?.(`Could not report progress: ${error.message}`);
+					}
+				}
+			} else if (!isSilentMode()) {
+				// Keep a running spinner below the printed items
+				const redraw = !!spinner?.isSpinning;
+				if (redraw) spinner.clear();
+				console.log(`${chalk.green('  ✓')} ${message}`);
+				if (redraw) spinner.render();
+			}
+		}
+	};
+}
+
+export { createStreamProgress };
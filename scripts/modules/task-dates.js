@@ -0,0 +1,166 @@
+/**
+ * task-dates.js
+ * Start and due dates of tasks. Dates are calendar days stored as
+ * YYYY-MM-DD and compared with the local date, so a task is overdue from
+ * the day after its due date.
+ */
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(T.*)?$/;
+const CLOSED_STATUSES = ['done', 'completed', 'cancelled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string} The local calendar day
+ */
+function formatLocalDate(date = new Date()) {
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses a task date given as an ISO date (2025-06-30) or date-time
+ * (2025-06-30T17:00:00Z, of which only the day is kept)
+ * @param {*} value - Value to parse
+ * @param {string} [label='date'] - Name of the field, for error messages
+ * @returns {string|null} The day as YYYY-MM-DD; null for an empty value
+ * @throws {Error} If the value is not an ISO date
+ */
+function parseTaskDate(value, label = 'date') {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	const text = String(value).trim();
+	const match = DATE_PATTERN.exec(text);
+	const day = match && new Date(`${match[1]}T00:00:00Z`);
+	if (
+		!match ||
+		isNaN(day) ||
+		!day.toISOString().startsWith(match[1]) ||
+		(match[2] && isNaN(Date.parse(text)))
+	) {
+		throw new Error(
+			`Invalid ${label} "${value}". Use an ISO date like 2025-06-30.`
+		);
+	}
+	return match[1];
+}
+
+/**
+ * Validates date changes and merges them with a task's current dates
+ * @param {Object} changes - { dueDate, startDate }; undefined keeps a date, null or '' clears it
+ * @param {Object} [existing={}] - Task with the current dates
+ * @returns {{ dueDate: string|null, startDate: string|null }} The task's new dates
+ * @throws {Error} If a date is invalid or the start date is after the due date
+ */
+function resolveTaskDates(changes, existing = {}) {
+	const pick = (key, label) =>
+		changes[key] === undefined
+			? existing[key] || null
+			: parseTaskDate(changes[key], label);
+	const dates = {
+		dueDate: pick('dueDate', 'due date'),
+		startDate: pick('startDate', 'start date')
+	};
+	if (dates.dueDate && dates.startDate && dates.startDate > dates.dueDate) {
+		throw new Error(
+			`Start date ${dates.startDate} is after the due date ${dates.dueDate}`
+		);
+	}
+	return dates;
+}
+
+/**
+ * Checks whether date changes were given at all
+ * @param {Object} changes - { dueDate, startDate }
+ * @returns {boolean} True if either date is set or cleared
+ */
+function hasDateChanges(changes) {
+	return changes.dueDate !== undefined || changes.startDate !== undefined;
+}
+
+/**
+ * Returns a copy of a task with the given dates (dropping cleared ones)
+ * @param {Object} task - Task or subtask
+ * @param {{ dueDate: string|null, startDate: string|null }} dates - Dates from resolveTaskDates
+ * @returns {Object} Updated task
+ */
+function withTaskDates(task, dates) {
+	const { dueDate, startDate, ...rest } = task;
+	return {
+		...rest,
+		...(dates.startDate ? { startDate: dates.startDate } : {}),
+		...(dates.dueDate ? { dueDate: dates.dueDate } : {})
+	};
+}
+
+/**
+ * Days from today until a date (negative when the date has passed)
+ * @param {string} date - Day as YYYY-MM-DD
+ * @param {string} [today=formatLocalDate()] - Today as YYYY-MM-DD
+ * @returns {number} Whole days
+ */
+function daysUntil(date, today = formatLocalDate()) {
+	return Math.round(
+		(Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) /
+			DAY_MS
+	);
+}
+
+/**
+ * Checks whether a task is past its due date and still open
+ * @param {Object} task - Task or subtask
+ * @param {string} [today=formatLocalDate()] - Today as YYYY-MM-DD
+ * @returns {boolean} True if overdue
+ */
+function isOverdue(task, today = formatLocalDate()) {
+	return (
+		!!task.dueDate &&
+		!CLOSED_STATUSES.includes(task.status) &&
+		task.dueDate < today
+	);
+}
+
+/**
+ * Checks whether a task's start date is still ahead
+ * @param {Object} task - Task or subtask
+ * @param {string} [today=formatLocalDate()] - Today as YYYY-MM-DD
+ * @returns {boolean} True if the task should not be started yet
+ */
+function isNotStarted(task, today = formatLocalDate()) {
+	return !!task.startDate && task.startDate > today;
+}
+
+/**
+ * Scores how pressing a due date is, on the scale of priority levels
+ * (high = 3, medium = 2, low = 1): an overdue task gains 2 levels, one due
+ * within a day 1.5, within 3 days 1 and within a week 0.5.
+ * @param {string|undefined} dueDate - Day as YYYY-MM-DD
+ * @param {string} [today=formatLocalDate()] - Today as YYYY-MM-DD
+ * @returns {number} Urgency bonus
+ */
+function getDueUrgency(dueDate, today = formatLocalDate()) {
+	if (!dueDate) {
+		return 0;
+	}
+	const days = daysUntil(dueDate, today);
+	if (days < 0) return 2;
+	if (days <= 1) return 1.5;
+	if (days <= 3) return 1;
+	if (days <= 7) return 0.5;
+	return 0;
+}
+
+export {
+	CLOSED_STATUSES,
+	formatLocalDate,
+	parseTaskDate,
+	resolveTaskDates,
+	hasDateChanges,
+	withTaskDates,
+	daysUntil,
+	isOverdue,
+	isNotStarted,
+	getDueUrgency
+};
@@ -16,13 +16,49 @@ import expandAllTasks from './task-manager/expand-all-tasks.js';
 import clearSubtasks from './task-manager/clear-subtasks.js';
 import addTask from './task-manager/add-task.js';
 import analyzeTaskComplexity from './task-manager/analyze-task-complexity.js';
-import findNextTask from './task-manager/find-next-task.js';
+import findNextTask, {
+	explainNextTask
+} from './task-manager/find-next-task.js';
+import getReadyTasks from './task-manager/ready-tasks.js';
+import getAgenda from './task-manager/agenda.js';
+import getTimeReport from './task-manager/time-report.js';
+import getExecutionPlan from './task-manager/execution-plan.js';
+import exportDependencyGraph from './task-manager/dependency-graph.js';
+import getTaskImpact from './task-manager/task-impact.js';
 import addSubtask from './task-manager/add-subtask.js';
 import removeSubtask from './task-manager/remove-subtask.js';
 import updateSubtaskById from './task-manager/update-subtask-by-id.js';
 import removeTask from './task-manager/remove-task.js';
 import taskExists from './task-manager/task-exists.js';
 import isTaskDependentOn from './task-manager/is-task-dependent.js';
+import migrateTasks from './task-manager/migrate-tasks.js';
+import { exportTasks, importTasks } from './task-manager/transfer-tasks.js';
+import {
+	createTag,
+	copyTag,
+	deleteTag,
+	useTag,
+	listTags
+} from './task-manager/tag-management.js';
+import {
+	assignTask,
+	unassignTask,
+	claimTask
+} from './task-manager/assign-task.js';
+import {
+	addMilestone,
+	addTasksToMilestone,
+	removeTasksFromMilestone,
+	deleteMilestone,
+	listMilestones,
+	getMilestone,
+	findMilestone
+} from './task-manager/milestones.js';
+import {
+	setEstimate,
+	startTimer,
+	stopTimer
+} from './task-manager/time-tracking.js';
 import { readComplexityReport } from './utils.js';
 // Export task manager functions
 export {
@@ -41,10 +77,38 @@ export {
 	addSubtask,
 	removeSubtask,
 	findNextTask,
+	explainNextTask,
+	getReadyTasks,
+	getAgenda,
+	getTimeReport,
+	getExecutionPlan,
+	exportDependencyGraph,
+	getTaskImpact,
 	analyzeTaskComplexity,
 	removeTask,
 	findTaskById,
 	taskExists,
 	isTaskDependentOn,
-	readComplexityReport
+	migrateTasks,
+	exportTasks,
+	importTasks,
+	readComplexityReport,
+	createTag,
+	copyTag,
+	deleteTag,
+	useTag,
+	listTags,
+	assignTask,
+	unassignTask,
+	claimTask,
+	addMilestone,
+	addTasksToMilestone,
+	removeTasksFromMilestone,
+	deleteMilestone,
+	listMilestones,
+	getMilestone,
+	findMilestone,
+	setEstimate,
+	startTimer,
+	stopTimer
 };
@@ -1,6 +1,8 @@
 import path from 'path';
 
 import { log, readJSON, writeJSON } from '../utils.js';
+import { withPathLock } from '../file-lock.js';
+import { withHistory } from '../history.js';
 import { isTaskDependentOn } from '../task-manager.js';
 import generateTaskFiles from './generate-task-files.js';
 
@@ -11,6 +13,7 @@ import generateTaskFiles from './generate-task-files.js';
  * @param {number|string|null} existingTaskId - ID of an existing task to convert to subtask (optional)
  * @param {Object} newSubtaskData - Data for creating a new subtask (used if existingTaskId is null)
  * @param {boolean} generateFiles - Whether to regenerate task files after adding the subtask
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list)
  * @returns {Object} The newly created or converted subtask
  */
 async function addSubtask(
@@ -18,13 +21,14 @@ async function addSubtask(
 	parentId,
 	existingTaskId = null,
 	newSubtaskData = null,
-	generateFiles = true
+	generateFiles = true,
+	context = {}
 ) {
 	try {
 		log('info', `Adding subtask to parent task ${parentId}...`);
 
 		// Read the existing tasks
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, context.tag);
 		if (!data || !data.tasks) {
 			throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
 		}
@@ -140,7 +144,9 @@ async function addSubtask(
 		// Generate task files if requested
 		if (generateFiles) {
 			log('info', 'Regenerating task files...');
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+				tag: data.tag
+			});
 		}
 
 		return newSubtask;
@@ -150,4 +156,4 @@ async function addSubtask(
 	}
 }
 
-export default addSubtask;
+export default withPathLock(withHistory(addSubtask, 'add-subtask'));
@@ -13,8 +13,11 @@ import {
 	displayAiUsageSummary
 } from '../ui.js';
 import { readJSON, writeJSON, log as consoleLog, truncate, ensureDirectoryExists } from '../utils.js';
+import { withTasksChange } from '../history.js';
 import { generateObjectService } from '../ai-services-unified.js';
 import { getDefaultPriority } from '../config-manager.js';
+import { resolveCustomFields, formatFieldValue } from '../custom-fields.js';
+import { resolveTaskDates } from '../task-dates.js';
 import generateTaskFiles from './generate-task-files.js';
 
 // Define Zod schema for the expected AI output object
@@ -48,6 +51,10 @@ const AiTaskDataSchema = z.object({
  * @param {string} [context.projectRoot] - Project root path (for MCP/env fallback)
  * @param {string} [context.commandName] - The name of the command being executed (for telemetry)
  * @param {string} [context.outputType] - The output type ('cli' or 'mcp', for telemetry)
+ * @param {string} [context.tag] - Tag of the task list to add the task to
+ * @param {Array<string>|Object} [context.customFields] - Custom field values ("key=value" strings or an object)
+ * @param {string} [context.dueDate] - Due date (ISO date)
+ * @param {string} [context.startDate] - Date work on the task may start (ISO date)
  * @returns {Promise<object>} An object containing newTaskId and telemetryData
  */
 async function addTask(
@@ -60,7 +67,17 @@ async function addTask(
 	manualTaskData = null,
 	useResearch = false
 ) {
-	const { session, mcpLog, projectRoot, commandName, outputType } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot,
+		commandName,
+		outputType,
+		tag,
+		customFields,
+		dueDate,
+		startDate
+	} = context;
 	const isMCP = !!mcpLog;
 
 	// Create a consistent logFn object regardless of context
@@ -76,6 +93,12 @@ async function addTask(
 			};
 
 	const effectivePriority = priority || getDefaultPriority(projectRoot);
+	// Validated up front so a bad value fails before any AI call
+	const fieldValues = resolveCustomFields(customFields, {
+		applyDefaults: true,
+		projectRoot
+	});
+	const dates = resolveTaskDates({ dueDate, startDate });
 
 	logFn.info(
 		`Adding new task with prompt: "${prompt}", Priority: ${effectivePriority}, Dependencies: ${dependencies.join(', ') || 'None'}, Research: ${useResearch}, ProjectRoot: ${projectRoot}`
@@ -100,16 +123,16 @@ const tasksDirectory = path.dirname(tasksPath);
 			throw error;
 		}
 
-	try {
-		// Read the existing tasks
+	// Read the existing tasks
+	const readTasksData = () => {
 		let data;
 		try {
-			data = readJSON(tasksPath);
+			data = readJSON(tasksPath, tag);
 		} catch (error) {
-			// If readJSON throws an error (e.g., file not found or malformed JSON),
-			// initialize with empty tasks and proceed.
+			// If readJSON throws an error (e.g., file not found, malformed JSON or
+			// a tag that doesn't exist yet), initialize with empty tasks and proceed.
 			report(`Error reading tasks.json: ${error.message}. Initializing with empty tasks array.`, 'warn');
-			data = { tasks: [] };
+			data = null;
 		}
 
 		if (!data || !data.tasks) {
@@ -117,23 +140,20 @@ const tasksDirectory = path.dirname(tasksPath);
 				'tasks.json is missing, empty, or invalid. Initializing with empty tasks array.',
 				'warn'
 			);
-			data = { tasks: [] };
-			try {
-				writeJSON(tasksPath, data);
-				report('Successfully initialized tasks.json.', 'info');
-			} catch (writeError) {
-				report(
-					`Error writing initial tasks.json ${tasksPath}: ${writeError.message}`,
-					'error'
-				);
-				throw writeError; // Re-throw the error from utils.js
-			}
+			data = tag ? { tasks: [], tag } : { tasks: [] };
 		}
+		return data;
+	};
+
+	// Find the highest task ID to determine the next ID
+	const getNextTaskId = (tasks) =>
+		(tasks.length > 0 ? Math.max(...tasks.map((t) => t.id)) : 0) + 1;
 
-		// Find the highest task ID to determine the next ID
-		const highestId =
-			data.tasks.length > 0 ? Math.max(...data.tasks.map((t) => t.id)) : 0;
-		const newTaskId = highestId + 1;
+	try {
+		const data = readTasksData();
+		// The ID is final once the task is written: tasks added by others
+		// during the AI call take the IDs before it
+		let newTaskId = getNextTaskId(data.tasks);
 
 		// Only show UI box for CLI mode
 		if (outputFormat === 'text') {
@@ -321,21 +341,43 @@ const tasksDirectory = path.dirname(tasksPath);
 			priority: effectivePriority,
 			subtasks: [] // Initialize with empty subtasks array
 		};
+		if (dates.startDate) {
+			newTask.startDate = dates.startDate;
+		}
+		if (dates.dueDate) {
+			newTask.dueDate = dates.dueDate;
+		}
+		if (Object.keys(fieldValues).length > 0) {
+			newTask.customFields = fieldValues;
+		}
 
-		// Add the task to the tasks array
-		data.tasks.push(newTask);
-
-		report('DEBUG: Writing tasks.json...', 'debug');
-		// Write the updated tasks to the file
-		writeJSON(tasksPath, data);
-		report('DEBUG: tasks.json written.', 'debug');
-
-		// Generate markdown task files
-		report('Generating task files...', 'info');
-		report('DEBUG: Calling generateTaskFiles...', 'debug');
-		// Pass mcpLog if available to generateTaskFiles
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath), { mcpLog });
-		report('DEBUG: generateTaskFiles finished.', 'debug');
+		newTaskId = await withTasksChange(
+			tasksPath,
+			'add-task',
+			[prompt || newTask.title],
+			async () => {
+				// Add the task to the tasks as they are now
+				const currentData = readTasksData();
+				newTask.id = getNextTaskId(currentData.tasks);
+				currentData.tasks.push(newTask);
+
+				report('DEBUG: Writing tasks.json...', 'debug');
+				// Write the updated tasks to the file
+				writeJSON(tasksPath, currentData);
+				report('DEBUG: tasks.json written.', 'debug');
+
+				// Generate markdown task files
+				report('Generating task files...', 'info');
+				report('DEBUG: Calling generateTaskFiles...', 'debug');
+				// Pass mcpLog if available to generateTaskFiles
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+					mcpLog,
+					tag: currentData.tag
+				});
+				report('DEBUG: generateTaskFiles finished.', 'debug');
+				return newTask.id;
+			}
+		);
 
 		// Show success message - only for text output (CLI)
 		if (outputFormat === 'text') {
@@ -387,6 +429,18 @@ const tasksDirectory = path.dirname(tasksPath);
 							? chalk.white(`Dependencies: ${numericDependencies.join(', ')}`) +
 								'\n'
 							: '') +
+						(newTask.startDate
+							? chalk.white(`Start: ${newTask.startDate}`) + '\n'
+							: '') +
+						(newTask.dueDate
+							? chalk.white(`Due: ${newTask.dueDate}`) + '\n'
+							: '') +
+						Object.entries(newTask.customFields || {})
+							.map(
+								([name, value]) =>
+									chalk.white(`${name}: ${formatFieldValue(value)}`) + '\n'
+							)
+							.join('') +
 						'\n' +
 						chalk.white.bold('Next Steps:') +
 						'\n' +
@@ -0,0 +1,108 @@
+/**
+ * agenda.js
+ * Deadline overview of a task list: what is overdue, what is due soon and
+ * which of those deadlines are held up by unfinished dependencies.
+ */
+
+import fs from 'fs';
+
+import {
+	readJSON,
+	forEachSubtask,
+	isBlockingDependency,
+	resolveDependencyId
+} from '../utils.js';
+import { CLOSED_STATUSES, daysUntil, formatLocalDate } from '../task-dates.js';
+
+/**
+ * Lists tasks and subtasks at any depth with the fields the agenda shows
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @returns {Array<Object>} Flattened items with full IDs ("3", "3.1" or "3.1.2"), whose
+ *   blockers are the full IDs of their blocking dependencies
+ */
+function flattenItems(tasks) {
+	const blockersOf = (item, parentId = null) =>
+		(item.dependencies || [])
+			.filter(isBlockingDependency)
+			.map((dep) => resolveDependencyId(dep, parentId));
+	const items = tasks.map((task) => ({
+		...task,
+		id: String(task.id),
+		blockers: blockersOf(task)
+	}));
+	forEachSubtask(tasks, (subtask, parentId) =>
+		items.push({
+			...subtask,
+			id: `${parentId}.${subtask.id}`,
+			parentId,
+			blockers: blockersOf(subtask, parentId)
+		})
+	);
+	return items;
+}
+
+/**
+ * Build the agenda of a task list
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {string} [options.tag] - Tag of the task list to use
+ * @param {number} [options.days=7] - How many days ahead count as due soon
+ * @param {string} [options.today] - Today as YYYY-MM-DD (defaults to the local date)
+ * @returns {{ today: string, until: string, overdue: Array<Object>, dueSoon: Array<Object>, blocked: Array<Object> }}
+ *   Items are { id, title, status, priority, dueDate, daysUntilDue, assignee?, blockedBy }.
+ *   blocked holds the overdue and due-soon items waiting on unfinished dependencies.
+ */
+function getAgenda(tasksPath, options = {}) {
+	const { tag, days = 7 } = options;
+	const today = options.today || formatLocalDate();
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+	if (!Number.isInteger(days) || days < 0) {
+		throw new Error(`Invalid number of days: ${days}`);
+	}
+
+	const data = readJSON(tasksPath, tag);
+	const items = flattenItems(data.tasks || []);
+	const statusById = new Map(items.map((item) => [item.id, item.status]));
+	const isClosed = (status) => CLOSED_STATUSES.includes(status);
+
+	const dated = items
+		.filter((item) => item.dueDate && !isClosed(item.status))
+		.map((item) => ({
+			id: item.id,
+			title: item.title,
+			status: item.status,
+			priority: item.priority,
+			dueDate: item.dueDate,
+			daysUntilDue: daysUntil(item.dueDate, today),
+			...(item.assignee ? { assignee: item.assignee } : {}),
+			blockedBy: item.blockers.filter(
+				(dep) => statusById.has(dep) && !isClosed(statusById.get(dep))
+			)
+		}))
+		.sort(
+			(a, b) =>
+				a.daysUntilDue - b.daysUntilDue ||
+				a.id.localeCompare(b.id, undefined, { numeric: true })
+		);
+
+	const overdue = dated.filter((item) => item.daysUntilDue < 0);
+	const dueSoon = dated.filter(
+		(item) => item.daysUntilDue >= 0 && item.daysUntilDue <= days
+	);
+
+	return {
+		today,
+		until: formatLocalDate(
+			new Date(Date.parse(`${today}T12:00:00`) + days * 24 * 60 * 60 * 1000)
+		),
+		overdue,
+		dueSoon,
+		blocked: [...overdue, ...dueSoon].filter(
+			(item) => item.blockedBy.length > 0
+		)
+	};
+}
+
+export default getAgenda;
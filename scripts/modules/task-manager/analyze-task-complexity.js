@@ -51,6 +51,7 @@ Do not include any explanatory text, markdown formatting, or code block markers
  * @param {string|number} [options.threshold] - Complexity threshold
  * @param {boolean} [options.research] - Use research role
  * @param {string} [options.projectRoot] - Project root path (for MCP/env fallback).
+ * @param {string} [options.tag] - Tag of the task list to analyze
  * @param {Object} [options._filteredTasksData] - Pre-filtered task data (internal use)
  * @param {number} [options._originalTaskCount] - Original task count (internal use)
  * @param {Object} context - Context object, potentially containing session and mcpLog
@@ -65,6 +66,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 	const thresholdScore = parseFloat(options.threshold || '5');
 	const useResearch = options.research || false;
 	const projectRoot = options.projectRoot;
+	const tag = options.tag;
 
 	const outputFormat = mcpLog ? 'json' : 'text';
 
@@ -94,7 +96,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 			originalTaskCount = options._originalTaskCount || tasksData.tasks.length;
 			if (!options._originalTaskCount) {
 				try {
-					const originalData = readJSON(tasksPath);
+					const originalData = readJSON(tasksPath, tag);
 					if (originalData && originalData.tasks) {
 						originalTaskCount = originalData.tasks.length;
 					}
@@ -103,7 +105,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 				}
 			}
 		} else {
-			tasksData = readJSON(tasksPath);
+			tasksData = readJSON(tasksPath, tag);
 			if (
 				!tasksData ||
 				!tasksData.tasks ||
@@ -144,7 +146,8 @@ async function analyzeTaskComplexity(options, context = {}) {
 					tasksAnalyzed: 0,
 					thresholdScore: thresholdScore,
 					projectName: getProjectName(session),
-					usedResearch: useResearch
+					usedResearch: useResearch,
+					tag: tasksData.tag || tag
 				},
 				complexityAnalysis: []
 			};
@@ -332,7 +335,8 @@ async function analyzeTaskComplexity(options, context = {}) {
 					tasksAnalyzed: tasksData.tasks.length,
 					thresholdScore: thresholdScore,
 					projectName: getProjectName(session),
-					usedResearch: useResearch
+					usedResearch: useResearch,
+					tag: tasksData.tag || tag
 				},
 				complexityAnalysis: complexityAnalysis
 			};
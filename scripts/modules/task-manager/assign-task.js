@@ -0,0 +1,195 @@
+/**
+ * assign-task.js
+ * Task ownership: permanent assignments and claims. A claim is an
+ * assignment with a lease; once the lease runs out the task is free again,
+ * so work held by a crashed agent does not stay blocked.
+ */
+
+import { updateStoredTasks } from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import { getClaimLeaseMinutes } from '../config-manager.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+
+/**
+ * Gets who currently owns a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {Date} [now=new Date()] - Time to check a claim's lease against
+ * @returns {string|null} The assignee, or null if unassigned or the claim lapsed
+ */
+function getActiveAssignee(item, now = new Date()) {
+	if (!item?.assignee) {
+		return null;
+	}
+	if (item.claimExpiresAt && new Date(item.claimExpiresAt) <= now) {
+		return null;
+	}
+	return item.assignee;
+}
+
+/**
+ * Gets who owns a subtask, which is its own assignee or else the assignee of
+ * its parent (claiming a task reserves its subtasks)
+ * @param {Object} parent - Parent task
+ * @param {Object} subtask - Subtask
+ * @param {Date} [now=new Date()] - Time to check leases against
+ * @returns {string|null} The assignee, or null if nobody owns the subtask
+ */
+function getSubtaskAssignee(parent, subtask, now = new Date()) {
+	return getActiveAssignee(subtask, now) || getActiveAssignee(parent, now);
+}
+
+function parseIds(taskIds) {
+	return String(taskIds)
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+}
+
+function getItem(tasks, id) {
+	const item = /^\d+(\.\d+)*$/.test(id) ? findTaskByPath(tasks, id) : null;
+	if (!item) {
+		throw new Error(`Task ${id} not found`);
+	}
+	return item;
+}
+
+/**
+ * Puts a claim on a task or subtask, with a lease from now. A permanent
+ * assignment to the claimer stays permanent.
+ * @param {Object} item - Task or subtask
+ * @param {string} assignee - Who claims the item
+ * @param {number} leaseMinutes - Lease length
+ * @param {Date} [now=new Date()] - Start of the lease
+ * @returns {string|null} When the claim lapses, or null for a permanent assignment
+ */
+function setClaim(item, assignee, leaseMinutes, now = new Date()) {
+	if (item.assignee === assignee && !item.claimExpiresAt) {
+		return null;
+	}
+	item.assignee = assignee;
+	item.claimExpiresAt = new Date(
+		now.getTime() + leaseMinutes * 60 * 1000
+	).toISOString();
+	return item.claimExpiresAt;
+}
+
+function assertAssigneeName(assignee) {
+	if (typeof assignee !== 'string' || assignee.trim() === '') {
+		throw new Error('An assignee name is required');
+	}
+	return assignee.trim();
+}
+
+/**
+ * Assign tasks or subtasks to someone, without a lease
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskIds - Task ID(s), comma-separated (e.g. "3,4.1")
+ * @param {string} assignee - Who the tasks are assigned to
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {{ assignee: string, taskIds: Array<string> }}
+ */
+function assignTask(tasksPath, taskIds, assignee, context = {}) {
+	const name = assertAssigneeName(assignee);
+	const ids = parseIds(taskIds);
+
+	updateStoredTasks(tasksPath, ids, context.tag, (tasks) =>
+		ids.forEach((id) => {
+			const item = getItem(tasks, id);
+			item.assignee = name;
+			delete item.claimExpiresAt;
+		})
+	);
+
+	return { assignee: name, taskIds: ids };
+}
+
+/**
+ * Remove the assignee (or claim) of tasks or subtasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskIds - Task ID(s), comma-separated
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {{ taskIds: Array<string>, previousAssignees: Object }} Previous assignee by ID
+ */
+function unassignTask(tasksPath, taskIds, context = {}) {
+	const ids = parseIds(taskIds);
+	const previousAssignees = {};
+
+	updateStoredTasks(tasksPath, ids, context.tag, (tasks) =>
+		ids.forEach((id) => {
+			const item = getItem(tasks, id);
+			previousAssignees[id] = item.assignee || null;
+			delete item.assignee;
+			delete item.claimExpiresAt;
+		})
+	);
+
+	return { taskIds: ids, previousAssignees };
+}
+
+/**
+ * Claim a task or subtask for a limited time. Claiming is atomic: it fails
+ * if someone else owns the item (or, for a subtask, its parent), unless the
+ * claim has lapsed. Claiming an item again renews the lease.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task or subtask ID
+ * @param {string} assignee - Who claims the item
+ * @param {Object} [context={}] - Context
+ * @param {string} [context.tag] - Tag of the task list to use
+ * @param {number} [context.leaseMinutes] - Lease length (defaults to global.claimLeaseMinutes)
+ * @param {string} [context.projectRoot] - Project root for the configured lease
+ * @returns {{ taskId: string, assignee: string, claimExpiresAt: string|null }}
+ *   claimExpiresAt is null when the item was already assigned to the claimer without a lease
+ */
+function claimTask(tasksPath, taskId, assignee, context = {}) {
+	const name = assertAssigneeName(assignee);
+	const leaseMinutes =
+		context.leaseMinutes ?? getClaimLeaseMinutes(context.projectRoot);
+	if (!(leaseMinutes > 0)) {
+		throw new Error(`Invalid lease: ${leaseMinutes}. Use a number of minutes.`);
+	}
+
+	const id = String(taskId).trim();
+	return updateStoredTasks(tasksPath, [id], context.tag, (tasks) => {
+		const item = getItem(tasks, id);
+		if (item.status === 'done' || item.status === 'completed') {
+			throw new Error(`Task ${id} is already ${item.status}`);
+		}
+
+		const now = new Date();
+		// The item's own assignee, or else the nearest ancestor's (claiming a
+		// task reserves its subtasks at any depth)
+		const owner = id
+			.split('.')
+			.map((_, i, parts) => getItem(tasks, parts.slice(0, i + 1).join('.')))
+			.reduce(
+				(ancestorOwner, ancestor) =>
+					getActiveAssignee(ancestor, now) || ancestorOwner,
+				null
+			);
+		if (owner && owner !== name) {
+			const until = item.claimExpiresAt ? ` until ${item.claimExpiresAt}` : '';
+			throw new Error(`Task ${id} is already claimed by ${owner}${until}`);
+		}
+
+		const claimExpiresAt = setClaim(item, name, leaseMinutes, now);
+		return { taskId: id, assignee: name, claimExpiresAt };
+	});
+}
+
+const lockedAssignTask = withPathLockSync(
+	withHistorySync(assignTask, 'assign')
+);
+const lockedUnassignTask = withPathLockSync(
+	withHistorySync(unassignTask, 'unassign')
+);
+const lockedClaimTask = withPathLockSync(withHistorySync(claimTask, 'claim'));
+
+export {
+	lockedAssignTask as assignTask,
+	lockedUnassignTask as unassignTask,
+	lockedClaimTask as claimTask,
+	getActiveAssignee,
+	getSubtaskAssignee,
+	setClaim
+};
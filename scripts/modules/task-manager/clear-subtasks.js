@@ -4,6 +4,8 @@ import boxen from 'boxen';
 import Table from 'cli-table3';
 
 import { log, readJSON, writeJSON, truncate, isSilentMode } from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
 import { displayBanner } from '../ui.js';
 import generateTaskFiles from './generate-task-files.js';
 
@@ -11,12 +13,13 @@ import generateTaskFiles from './generate-task-files.js';
  * Clear subtasks from specified tasks
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIds - Task IDs to clear subtasks from
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list)
  */
-function clearSubtasks(tasksPath, taskIds) {
+function clearSubtasks(tasksPath, taskIds, context = {}) {
 	displayBanner();
 
 	log('info', `Reading tasks from ${tasksPath}...`);
-	const data = readJSON(tasksPath);
+	const data = readJSON(tasksPath, context.tag);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
@@ -101,7 +104,7 @@ function clearSubtasks(tasksPath, taskIds) {
 
 		// Regenerate task files to reflect changes
 		log('info', 'Regenerating task files...');
-		generateTaskFiles(tasksPath, path.dirname(tasksPath));
+		generateTaskFiles(tasksPath, path.dirname(tasksPath), { tag: data.tag });
 
 		// Success message
 		if (!isSilentMode()) {
@@ -149,4 +152,6 @@ function clearSubtasks(tasksPath, taskIds) {
 	}
 }
 
-export default clearSubtasks;
+export default withPathLockSync(
+	withHistorySync(clearSubtasks, 'clear-subtasks')
+);
@@ -0,0 +1,312 @@
+/**
+ * dependency-graph.js
+ * Exports the dependency graph of a task list as Mermaid, Graphviz DOT or
+ * JSON. Edges point from a dependency to the task that waits on it, nodes
+ * are colored by status and subtasks are grouped in a cluster with their
+ * parent task. Soft dependencies are drawn dashed and relates dependencies
+ * dotted without an arrowhead.
+ */
+
+import fs from 'fs';
+
+import {
+	readJSON,
+	forEachSubtask,
+	resolveDependencyId,
+	getDependencyType
+} from '../utils.js';
+import { STATUS_COLORS } from '../ui.js';
+
+const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+const GRAPH_DIRECTIONS = ['dependencies', 'dependents', 'both'];
+const DEFAULT_COLOR = 'red';
+
+/**
+ * Lists the nodes and edges of a task list
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @returns {{ nodes: Array<Object>, edges: Array<Object>, missing: Array<Object> }}
+ *   Nodes are { id, title, status, priority, parent, parentTitle? }, parent
+ *   being the full ID of the task or subtask a subtask belongs to; edges
+ *   { from, to, type } with the dependency type. missing lists dependencies on
+ *   tasks that do not exist ({ from, to, type }).
+ */
+function collectGraph(tasks) {
+	const toDep = (dep, parentId) => ({
+		id: resolveDependencyId(dep, parentId),
+		type: getDependencyType(dep)
+	});
+	const nodes = tasks.flatMap((task) => {
+		const taskNodes = [
+			{
+				id: String(task.id),
+				title: task.title,
+				status: task.status,
+				priority: task.priority || 'medium',
+				parent: null,
+				deps: (task.dependencies || []).map((dep) => toDep(dep))
+			}
+		];
+		forEachSubtask([task], (subtask, parentId, parent) => {
+			const parentNode = taskNodes.find((node) => node.id === String(parentId));
+			taskNodes.push({
+				id: `${parentId}.${subtask.id}`,
+				title: subtask.title,
+				status: subtask.status,
+				priority: subtask.priority || parentNode.priority,
+				parent: String(parentId),
+				parentTitle: parent.title,
+				deps: (subtask.dependencies || []).map((dep) => toDep(dep, parentId))
+			});
+		});
+		return taskNodes;
+	});
+
+	const ids = new Set(nodes.map((node) => node.id));
+	const edges = [];
+	const missing = [];
+	nodes.forEach(({ id, deps }) => {
+		deps.forEach((dep) => {
+			(ids.has(dep.id) ? edges : missing).push({
+				from: dep.id,
+				to: id,
+				type: dep.type
+			});
+		});
+	});
+
+	return {
+		nodes: nodes.map(({ deps, ...node }) => node),
+		edges,
+		missing
+	};
+}
+
+/**
+ * Finds the nodes reachable from a task, following edges in a direction.
+ * Starting from a task includes its subtasks at any depth.
+ * @param {Object} graph - Graph from collectGraph
+ * @param {string} rootId - Task or subtask ID to start from
+ * @param {string} direction - 'dependencies', 'dependents' or 'both'
+ * @returns {Set<string>} IDs of the reachable nodes, the root included
+ */
+function findReachable(graph, rootId, direction) {
+	const upstream = direction !== 'dependents';
+	const downstream = direction !== 'dependencies';
+	const reached = new Set();
+	const queue = [
+		rootId,
+		...graph.nodes
+			.filter((node) => node.id.startsWith(`${rootId}.`))
+			.map((node) => node.id)
+	];
+
+	while (queue.length > 0) {
+		const id = queue.shift();
+		if (reached.has(id)) {
+			continue;
+		}
+		reached.add(id);
+		graph.edges.forEach(({ from, to }) => {
+			if (upstream && to === id) queue.push(from);
+			if (downstream && from === id) queue.push(to);
+		});
+	}
+	return reached;
+}
+
+/**
+ * Builds the dependency graph of a task list
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @param {Object} [options] - Filters
+ * @param {Array<string>} [options.statuses] - Only keep nodes with these statuses
+ * @param {string} [options.from] - Only keep the subgraph reachable from this task or subtask
+ * @param {string} [options.direction='dependencies'] - What to follow from options.from:
+ *   'dependencies' (what the task waits on), 'dependents' (what waits on it) or 'both'
+ * @returns {{ nodes: Array<Object>, edges: Array<Object>, missing: Array<Object> }}
+ * @throws {Error} If options.from is not a task or subtask
+ */
+function buildDependencyGraph(tasks, options = {}) {
+	const { statuses, from, direction = 'dependencies' } = options;
+	if (!GRAPH_DIRECTIONS.includes(direction)) {
+		throw new Error(
+			`Invalid direction "${direction}". Use one of: ${GRAPH_DIRECTIONS.join(', ')}`
+		);
+	}
+
+	const graph = collectGraph(tasks);
+	let keep = new Set(graph.nodes.map((node) => node.id));
+	if (from !== undefined && from !== null) {
+		const rootId = String(from).trim();
+		if (!keep.has(rootId)) {
+			throw new Error(`Task ${rootId} not found`);
+		}
+		keep = findReachable(graph, rootId, direction);
+	}
+	if (statuses && statuses.length > 0) {
+		graph.nodes
+			.filter((node) => !statuses.includes(node.status))
+			.forEach((node) => keep.delete(node.id));
+	}
+
+	return {
+		nodes: graph.nodes.filter((node) => keep.has(node.id)),
+		edges: graph.edges.filter(
+			(edge) => keep.has(edge.from) && keep.has(edge.to)
+		),
+		missing: graph.missing.filter((edge) => keep.has(edge.to))
+	};
+}
+
+const nodeKey = (id) => `t${String(id).replace(/\./g, '_')}`;
+const statusColor = (status) => STATUS_COLORS[status] || DEFAULT_COLOR;
+
+/**
+ * Groups nodes into top-level nodes and clusters of a task with all of its
+ * subtasks, nested ones included
+ * @param {Array<Object>} nodes - Graph nodes
+ * @returns {{ loose: Array<Object>, clusters: Array<{ id: string, title: string, nodes: Array<Object> }> }}
+ */
+function groupNodes(nodes) {
+	const taskIdOf = (node) => node.id.split('.')[0];
+	const clusterIds = new Set(nodes.filter((node) => node.parent).map(taskIdOf));
+	const clusters = [...clusterIds].map((id) => ({
+		id,
+		title:
+			nodes.find((node) => node.id === id)?.title ??
+			nodes.find((node) => node.parent === id)?.parentTitle ??
+			'',
+		nodes: nodes.filter((node) => taskIdOf(node) === id)
+	}));
+	return {
+		loose: nodes.filter((node) => !clusterIds.has(taskIdOf(node))),
+		clusters
+	};
+}
+
+function renderMermaid(graph) {
+	const escape = (text) => String(text).replace(/"/g, '#quot;');
+	const label = (node) =>
+		`${nodeKey(node.id)}["${node.id}: ${escape(node.title)}"]`;
+	const { loose, clusters } = groupNodes(graph.nodes);
+	const lines = ['flowchart TD'];
+
+	loose.forEach((node) => lines.push(`    ${label(node)}`));
+	clusters.forEach((cluster) => {
+		lines.push(
+			`    subgraph ${nodeKey(cluster.id)}_group["${cluster.id}: ${escape(cluster.title)}"]`
+		);
+		cluster.nodes.forEach((node) => lines.push(`        ${label(node)}`));
+		lines.push('    end');
+	});
+	const arrows = { blocks: '-->', soft: '-.->', relates: '-.-' };
+	graph.edges.forEach(({ from, to, type }) =>
+		lines.push(`    ${nodeKey(from)} ${arrows[type]} ${nodeKey(to)}`)
+	);
+
+	const statuses = [...new Set(graph.nodes.map((node) => node.status))];
+	statuses.forEach((status) => {
+		const className = `status_${String(status).replace(/\W/g, '_')}`;
+		lines.push(
+			`    classDef ${className} fill:${statusColor(status)},stroke:#333,color:#000`
+		);
+		const members = graph.nodes
+			.filter((node) => node.status === status)
+			.map((node) => nodeKey(node.id));
+		lines.push(`    class ${members.join(',')} ${className}`);
+	});
+
+	return `${lines.join('\n')}\n`;
+}
+
+function renderDot(graph) {
+	const escape = (text) =>
+		String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+	const node = (n) =>
+		`${nodeKey(n.id)} [label="${n.id}: ${escape(n.title)}", fillcolor="${statusColor(n.status)}"];`;
+	const { loose, clusters } = groupNodes(graph.nodes);
+	const lines = [
+		'digraph tasks {',
+		'    rankdir=TB;',
+		'    node [shape=box, style="rounded,filled", fontcolor="black"];'
+	];
+
+	loose.forEach((n) => lines.push(`    ${node(n)}`));
+	clusters.forEach((cluster) => {
+		lines.push(`    subgraph cluster_${nodeKey(cluster.id)} {`);
+		lines.push(`        label="${cluster.id}: ${escape(cluster.title)}";`);
+		lines.push('        style="rounded,dashed";');
+		cluster.nodes.forEach((n) => lines.push(`        ${node(n)}`));
+		lines.push('    }');
+	});
+	const edgeStyles = {
+		blocks: '',
+		soft: ' [style=dashed]',
+		relates: ' [style=dotted, dir=none]'
+	};
+	graph.edges.forEach(({ from, to, type }) =>
+		lines.push(`    ${nodeKey(from)} -> ${nodeKey(to)}${edgeStyles[type]};`)
+	);
+	lines.push('}');
+
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a dependency graph
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} format - 'mermaid', 'dot' or 'json'
+ * @returns {string} The rendered graph
+ */
+function renderDependencyGraph(graph, format) {
+	if (format === 'mermaid') {
+		return renderMermaid(graph);
+	}
+	if (format === 'dot') {
+		return renderDot(graph);
+	}
+	if (format === 'json') {
+		const colored = {
+			...graph,
+			nodes: graph.nodes.map((n) => ({ ...n, color: statusColor(n.status) }))
+		};
+		return `${JSON.stringify(colored, null, 2)}\n`;
+	}
+	throw new Error(
+		`Invalid format "${format}". Use one of: ${GRAPH_FORMATS.join(', ')}`
+	);
+}
+
+/**
+ * Export the dependency graph of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='mermaid'] - 'mermaid', 'dot' or 'json'
+ * @param {string} [options.tag] - Tag of the task list to use
+ * @param {Array<string>} [options.statuses] - Only keep tasks with these statuses
+ * @param {string} [options.from] - Only keep the subgraph reachable from this task
+ * @param {string} [options.direction] - Direction to follow from options.from
+ * @returns {{ format: string, output: string, graph: Object }}
+ */
+function exportDependencyGraph(tasksPath, options = {}) {
+	const { format = 'mermaid', tag } = options;
+	if (!GRAPH_FORMATS.includes(format)) {
+		throw new Error(
+			`Invalid format "${format}". Use one of: ${GRAPH_FORMATS.join(', ')}`
+		);
+	}
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+
+	const data = readJSON(tasksPath, tag);
+	const graph = buildDependencyGraph(data.tasks || [], options);
+	return { format, output: renderDependencyGraph(graph, format), graph };
+}
+
+export default exportDependencyGraph;
+export {
+	GRAPH_FORMATS,
+	GRAPH_DIRECTIONS,
+	buildDependencyGraph,
+	renderDependencyGraph
+};
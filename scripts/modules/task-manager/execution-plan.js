@@ -0,0 +1,252 @@
+/**
+ * execution-plan.js
+ * Orders the open work of a task list by its dependencies: waves of items
+ * that can run in parallel, and the critical path through them with the
+ * slack every other item has.
+ *
+ * The plan is made of work items: open subtasks, and open tasks without
+ * open subtasks. A task that still has open subtasks stands for those
+ * subtasks, so its dependencies apply to each of them and depending on it
+ * means waiting for all of them. Closed items, dependencies on them and
+ * dependencies that do not block (soft, relates) are left out.
+ */
+
+import fs from 'fs';
+
+import {
+	readJSON,
+	readComplexityReport,
+	resolveDependencyId,
+	isBlockingDependency
+} from '../utils.js';
+import { CLOSED_STATUSES } from '../task-dates.js';
+
+const WEIGHT_OPTIONS = ['auto', 'estimate', 'complexity', 'count'];
+
+const isOpen = (item) => !CLOSED_STATUSES.includes(item.status);
+
+/**
+ * Lists the work items of a task list with their direct dependencies
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @returns {Array<Object>} Items { id, title, status, priority, estimate, parent, deps }
+ *   where deps holds the full IDs of the blocking dependencies
+ */
+function collectWorkItems(tasks) {
+	const blockingDeps = (item, parentId = null) =>
+		(item.dependencies || [])
+			.filter(isBlockingDependency)
+			.map((dep) => resolveDependencyId(dep, parentId));
+	return tasks.filter(isOpen).flatMap((task) => {
+		const openSubtasks = (task.subtasks || []).filter(isOpen);
+		const taskDeps = blockingDeps(task);
+		if (openSubtasks.length === 0) {
+			return [{ ...task, id: String(task.id), parent: null, deps: taskDeps }];
+		}
+		return openSubtasks.map((subtask) => ({
+			...subtask,
+			id: `${task.id}.${subtask.id}`,
+			parent: task,
+			deps: [...taskDeps, ...blockingDeps(subtask, task.id)]
+		}));
+	});
+}
+
+/**
+ * Chooses the weight of every work item
+ * @param {Array<Object>} items - Work items
+ * @param {string} weightBy - One of WEIGHT_OPTIONS
+ * @param {Object|null} complexityReport - Parsed complexity report
+ * @returns {{ weightBy: string, unit: string }} The weighting used ('auto' resolved);
+ *   each item gets a weight, 1 where it has no estimate or score
+ */
+function assignWeights(items, weightBy, complexityReport) {
+	const scores = new Map(
+		(complexityReport?.complexityAnalysis || []).map((analysis) => [
+			String(analysis.taskId),
+			analysis.complexityScore
+		])
+	);
+	const scoreOf = (task) => task.complexityScore ?? scores.get(String(task.id));
+	// A task's score is shared out among its open subtasks
+	const complexityOf = (item) => {
+		if (!item.parent) {
+			return scoreOf(item);
+		}
+		const score = scoreOf(item.parent);
+		const share = items.filter((other) => other.parent === item.parent).length;
+		return score === undefined ? undefined : score / share;
+	};
+
+	let resolved = weightBy;
+	if (weightBy === 'auto') {
+		if (items.some((item) => item.estimate)) {
+			resolved = 'estimate';
+		} else if (items.some((item) => complexityOf(item) !== undefined)) {
+			resolved = 'complexity';
+		} else {
+			resolved = 'count';
+		}
+	}
+
+	items.forEach((item) => {
+		if (resolved === 'estimate') {
+			item.weight = item.estimate?.value ?? 1;
+		} else if (resolved === 'complexity') {
+			item.weight = complexityOf(item) ?? 1;
+		} else {
+			item.weight = 1;
+		}
+	});
+
+	let unit = resolved === 'complexity' ? 'points of complexity' : 'items';
+	if (resolved === 'estimate') {
+		const units = new Set(
+			items.filter((item) => item.estimate).map((item) => item.estimate.unit)
+		);
+		unit = units.size === 1 ? [...units][0] : 'estimated hours or points';
+	}
+	return { weightBy: resolved, unit };
+}
+
+/**
+ * Build the execution plan of a task list
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {string} [options.tag] - Tag of the task list to use
+ * @param {string} [options.weight='auto'] - What an item weighs: 'estimate', 'complexity'
+ *   (task complexityScore or the complexity report), 'count' (1 each), or 'auto' for
+ *   estimates if any item has one, else complexity scores if any, else count
+ * @param {string} [options.complexityReportPath] - Path to the complexity report
+ * @returns {Object} { weightBy, unit, length, maxParallel, waves, criticalPath, items }.
+ *   waves is a list of item ID lists; criticalPath lists the IDs of the longest chain,
+ *   whose total weight is length. Items are { id, title, status, priority, weight,
+ *   wave, dependsOn, earliestStart, earliestFinish, latestStart, slack, critical }.
+ * @throws {Error} If the open items depend on each other in a cycle
+ */
+function getExecutionPlan(tasksPath, options = {}) {
+	const { tag, weight = 'auto' } = options;
+	if (!WEIGHT_OPTIONS.includes(weight)) {
+		throw new Error(
+			`Invalid weight "${weight}". Use one of: ${WEIGHT_OPTIONS.join(', ')}`
+		);
+	}
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+
+	const data = readJSON(tasksPath, tag);
+	const items = collectWorkItems(data.tasks || []);
+	const byId = new Map(items.map((item) => [item.id, item]));
+	const complexityReport =
+		weight === 'auto' || weight === 'complexity'
+			? readComplexityReport(options.complexityReportPath)
+			: null;
+	const { weightBy, unit } = assignWeights(items, weight, complexityReport);
+
+	// Resolve dependencies to work items: a task with open subtasks stands
+	// for them, anything closed or unknown is already satisfied
+	items.forEach((item) => {
+		const resolved = item.deps
+			// A subtask waiting on its own parent would wait on itself
+			.filter((dep) => !item.parent || dep !== String(item.parent.id))
+			.flatMap((dep) =>
+				byId.has(dep)
+					? [dep]
+					: items
+							.filter(
+								(other) => other.parent && String(other.parent.id) === dep
+							)
+							.map((other) => other.id)
+			);
+		item.dependsOn = [...new Set(resolved)].filter((dep) => dep !== item.id);
+	});
+
+	// Kahn's algorithm, one wave at a time
+	const waves = [];
+	const placed = new Set();
+	let remaining = items;
+	while (remaining.length > 0) {
+		const wave = remaining.filter((item) =>
+			item.dependsOn.every((dep) => placed.has(dep))
+		);
+		if (wave.length === 0) {
+			throw new Error(
+				`Circular dependency among tasks ${remaining.map((item) => item.id).join(', ')}. Run task-master validate-dependencies to find the cycle.`
+			);
+		}
+		wave.forEach((item) => {
+			item.wave = waves.length + 1;
+			placed.add(item.id);
+		});
+		waves.push(wave);
+		remaining = remaining.filter((item) => !placed.has(item.id));
+	}
+
+	// Forward pass: earliest start and finish in plan order
+	const ordered = waves.flat();
+	ordered.forEach((item) => {
+		item.earliestStart = Math.max(
+			0,
+			...item.dependsOn.map((dep) => byId.get(dep).earliestFinish)
+		);
+		item.earliestFinish = item.earliestStart + item.weight;
+	});
+	const length = Math.max(0, ...ordered.map((item) => item.earliestFinish));
+
+	// Backward pass: latest start without delaying the whole plan
+	const successors = new Map(items.map((item) => [item.id, []]));
+	items.forEach((item) =>
+		item.dependsOn.forEach((dep) => successors.get(dep).push(item))
+	);
+	[...ordered].reverse().forEach((item) => {
+		const latestFinish = Math.min(
+			length,
+			...successors.get(item.id).map((next) => next.latestStart)
+		);
+		item.latestStart = latestFinish - item.weight;
+		item.slack = item.latestStart - item.earliestStart;
+		item.critical = Math.abs(item.slack) < 1e-9;
+	});
+
+	// Walk one critical chain from its start to the end of the plan
+	const criticalPath = [];
+	let current = ordered.find(
+		(item) => item.critical && item.dependsOn.length === 0
+	);
+	while (current) {
+		criticalPath.push(current.id);
+		const { earliestFinish } = current;
+		current = successors
+			.get(current.id)
+			.find(
+				(next) =>
+					next.critical && Math.abs(next.earliestStart - earliestFinish) < 1e-9
+			);
+	}
+
+	return {
+		weightBy,
+		unit,
+		length,
+		maxParallel: Math.max(0, ...waves.map((wave) => wave.length)),
+		waves: waves.map((wave) => wave.map((item) => item.id)),
+		criticalPath,
+		items: ordered.map((item) => ({
+			id: item.id,
+			title: item.title,
+			status: item.status,
+			priority: item.priority || 'medium',
+			weight: item.weight,
+			wave: item.wave,
+			dependsOn: item.dependsOn,
+			earliestStart: item.earliestStart,
+			earliestFinish: item.earliestFinish,
+			latestStart: item.latestStart,
+			slack: item.slack,
+			critical: item.critical
+		}))
+	};
+}
+
+export default getExecutionPlan;
+export { WEIGHT_OPTIONS };
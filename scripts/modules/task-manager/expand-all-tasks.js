@@ -12,6 +12,8 @@ import boxen from 'boxen';
 
 /**
  * Expand all eligible pending or in-progress tasks using the expandTask function.
+ * Each task's subtasks are saved, and recorded in the history, as soon as they
+ * are generated, so other commands can change the tasks between expansions.
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} [numSubtasks] - Optional: Target number of subtasks per task.
  * @param {boolean} [useResearch=false] - Whether to use the research AI role.
@@ -20,6 +22,7 @@ import boxen from 'boxen';
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {string} [context.tag] - Tag of the task list to expand.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json'). MCP calls should use 'json'.
  * @returns {Promise<{success: boolean, expandedCount: number, failedCount: number, skippedCount: number, tasksToExpand: number, telemetryData: Array<Object>}>} - Result summary.
  */
@@ -69,7 +72,7 @@ async function expandAllTasks(
 
 	try {
 		logger.info(`Reading tasks from ${tasksPath}`);
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, context.tag);
 		if (!data || !data.tasks) {
 			throw new Error(`Invalid tasks data in ${tasksPath}`);
 		}
@@ -119,7 +122,7 @@ async function expandAllTasks(
 					numSubtasks,
 					useResearch,
 					additionalContext,
-					context, // Pass the whole context object { session, mcpLog }
+					{ ...context, tag: data.tag }, // Pass the whole context object { session, mcpLog, tag }
 					force
 				);
 				expandedCount++;
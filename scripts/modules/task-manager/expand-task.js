@@ -2,7 +2,15 @@ import fs from 'fs';
 import path from 'path';
 import { z } from 'zod';
 
-import { log, readJSON, writeJSON, isSilentMode } from '../utils.js';
+import {
+	log,
+	readJSON,
+	writeJSON,
+	isSilentMode,
+	parseTaskId
+} from '../utils.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import { withTasksChange } from '../history.js';
 
 import {
 	startLoadingIndicator,
@@ -10,7 +18,11 @@ import {
 	displayAiUsageSummary
 } from '../ui.js';
 
-import { generateTextService } from '../ai-services-unified.js';
+import {
+	generateTextService,
+	streamJsonService
+} from '../ai-services-unified.js';
+import { createStreamProgress } from '../stream-progress.js';
 
 import { getDefaultSubtasks, getDebugFlag } from '../config-manager.js';
 import generateTaskFiles from './generate-task-files.js';
@@ -176,7 +188,7 @@ Do not include ANY explanatory text, markdown, or code block markers. Just the J
  * @param {string} text - Response text from AI.
  * @param {number} startId - Starting subtask ID expected.
  * @param {number} expectedCount - Expected number of subtasks.
- * @param {number} parentTaskId - Parent task ID for context.
+ * @param {number|string} parentTaskId - ID of the task being expanded, for context.
  * @param {Object} logger - Logging object (mcpLog or console log).
  * @returns {Array} Parsed and potentially corrected subtasks array.
  * @throws {Error} If parsing fails or JSON is invalid/malformed.
@@ -385,21 +397,41 @@ function parseSubtasksFromText(
 	return validatedSubtasks.slice(0, expectedCount || validatedSubtasks.length);
 }
 
+/**
+ * Shifts the IDs of generated subtasks, and their dependencies on each other,
+ * so they follow the subtasks the task has now
+ * @param {Array<Object>} subtasks - Subtasks as parsed from the AI response
+ * @param {number} offset - Amount to add to every ID
+ * @returns {Array<Object>} Renumbered subtasks
+ */
+function renumberSubtasks(subtasks, offset) {
+	if (offset === 0) return subtasks;
+	return subtasks.map((subtask) => ({
+		...subtask,
+		id: subtask.id + offset,
+		dependencies: subtask.dependencies.map((depId) => depId + offset)
+	}));
+}
+
 /**
  * Expand a task into subtasks using the unified AI service (generateTextService).
  * Appends new subtasks by default. Replaces existing subtasks if force=true.
  * Integrates complexity report to determine subtask count and prompt if available,
  * unless numSubtasks is explicitly provided.
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {number} taskId - Task ID to expand
+ * @param {number|string} taskId - ID of the task to expand, or the dotted ID of a
+ *   subtask at any depth (e.g. "5.2"), whose new subtasks become 5.2.1, 5.2.2, ...
  * @param {number | null | undefined} [numSubtasks] - Optional: Explicit target number of subtasks. If null/undefined, check complexity report or config default.
  * @param {boolean} [useResearch=false] - Whether to use the research AI role.
  * @param {string} [additionalContext=''] - Optional additional context.
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {string} [context.tag] - Tag of the task list containing the task.
+ * @param {boolean} [context.stream] - Stream the AI response and report each subtask as it is generated.
+ * @param {Function} [context.reportProgress] - MCP progress callback, used when streaming.
  * @param {boolean} [force=false] - If true, replace existing subtasks; otherwise, append.
- * @returns {Promise<Object>} The updated parent task object with new subtasks.
+ * @returns {Promise<Object>} The updated task (or subtask) object with new subtasks.
  * @throws {Error} If task not found, AI service fails, or parsing fails.
  */
 async function expandTask(
@@ -411,7 +443,13 @@ async function expandTask(
 	context = {},
 	force = false
 ) {
-	const { session, mcpLog, projectRoot: contextProjectRoot } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot: contextProjectRoot,
+		stream = false,
+		reportProgress
+	} = context;
 	const outputFormat = mcpLog ? 'json' : 'text';
 
 	// Determine projectRoot: Use from context if available, otherwise derive from tasksPath
@@ -434,16 +472,23 @@ async function expandTask(
 	try {
 		// --- Task Loading/Filtering (Unchanged) ---
 		logger.info(`Reading tasks from ${tasksPath}`);
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, context.tag);
 		if (!data || !data.tasks)
 			throw new Error(`Invalid tasks data in ${tasksPath}`);
-		const taskIndex = data.tasks.findIndex(
-			(t) => t.id === parseInt(taskId, 10)
-		);
-		if (taskIndex === -1) throw new Error(`Task ${taskId} not found`);
-		const task = data.tasks[taskIndex];
+		const fullTaskId = String(taskId).trim();
+		const task = /^\d+(\.\d+)*$/.test(fullTaskId)
+			? findTaskByPath(data.tasks, fullTaskId)
+			: null;
+		if (!task) throw new Error(`Task ${taskId} not found`);
+		// A subtask is broken down with its parent in view
+		const { parentId } = parseTaskId(fullTaskId);
+		const parentTask =
+			parentId !== null ? findTaskByPath(data.tasks, parentId) : null;
+		const parentContext = parentTask
+			? `This is subtask ${fullTaskId} of task ${parentId}: ${parentTask.title}${parentTask.description ? ` - ${parentTask.description}` : ''}\n`
+			: '';
 		logger.info(
-			`Expanding task ${taskId}: ${task.title}${useResearch ? ' with research' : ''}`
+			`Expanding task ${fullTaskId}: ${task.title}${useResearch ? ' with research' : ''}`
 		);
 		// --- End Task Loading/Filtering ---
 
@@ -469,7 +514,12 @@ async function expandTask(
 		let taskAnalysis = null;
 
 		try {
-			if (fs.existsSync(complexityReportPath)) {
+			// The report only analyses top-level tasks
+			if (parentTask) {
+				logger.info(
+					`Task ${fullTaskId} is a subtask. Skipping complexity check.`
+				);
+			} else if (fs.existsSync(complexityReportPath)) {
 				const complexityReport = readJSON(complexityReportPath);
 				taskAnalysis = complexityReport?.complexityAnalysis?.find(
 					(a) => a.taskId === task.id
@@ -522,6 +572,8 @@ async function expandTask(
 
 		// Determine prompt content AND system prompt
 		const nextSubtaskId = (task.subtasks?.length || 0) + 1;
+		// The prompts name the task by its full ID
+		const promptTask = { ...task, id: fullTaskId };
 
 		if (taskAnalysis?.expansionPrompt) {
 			// Use prompt from complexity report
@@ -539,10 +591,10 @@ async function expandTask(
 		} else {
 			// Use standard prompt generation
 			const combinedAdditionalContext =
-				`${additionalContext}${complexityReasoningContext}`.trim();
+				`${parentContext}${additionalContext}${complexityReasoningContext}`.trim();
 			if (useResearch) {
 				promptContent = generateResearchUserPrompt(
-					task,
+					promptTask,
 					finalSubtaskCount,
 					combinedAdditionalContext,
 					nextSubtaskId
@@ -551,7 +603,7 @@ async function expandTask(
 				systemPrompt = `You are an AI assistant that responds ONLY with valid JSON objects as requested. The object should contain a 'subtasks' array.`; // Or keep generateResearchSystemPrompt if it exists
 			} else {
 				promptContent = generateMainUserPrompt(
-					task,
+					promptTask,
 					finalSubtaskCount,
 					combinedAdditionalContext,
 					nextSubtaskId
@@ -559,7 +611,7 @@ async function expandTask(
 				// Use the original detailed system prompt for standard generation
 				systemPrompt = generateMainSystemPrompt(finalSubtaskCount);
 			}
-			logger.info(`Using standard prompt generation for task ${task.id}.`);
+			logger.info(`Using standard prompt generation for task ${fullTaskId}.`);
 		}
 		// --- End Complexity Report / Prompt Logic ---
 
@@ -579,7 +631,7 @@ async function expandTask(
 			const role = useResearch ? 'research' : 'main';
 
 			// Call generateTextService with the determined prompts and telemetry params
-			aiServiceResponse = await generateTextService({
+			const serviceParams = {
 				prompt: promptContent,
 				systemPrompt: systemPrompt,
 				role,
@@ -587,7 +639,23 @@ async function expandTask(
 				projectRoot,
 				commandName: 'expand-task',
 				outputType: outputFormat
-			});
+			};
+			aiServiceResponse = stream
+				? await streamJsonService({
+						...serviceParams,
+						schema: subtaskWrapperSchema,
+						objectName: 'subtasks',
+						onPartial: createStreamProgress({
+							getItems: (partial) => partial?.subtasks,
+							describe: (subtask, index) =>
+								`Subtask ${fullTaskId}.${nextSubtaskId + index}: ${subtask.title}`,
+							total: finalSubtaskCount,
+							mcpLog,
+							reportProgress,
+							spinner: loadingIndicator
+						})
+					})
+				: await generateTextService(serviceParams);
 			responseText = aiServiceResponse.mainResult;
 
 			// Parse Subtasks
@@ -595,7 +663,7 @@ async function expandTask(
 				responseText,
 				nextSubtaskId,
 				finalSubtaskCount,
-				task.id,
+				fullTaskId,
 				logger
 			);
 			logger.info(
@@ -620,17 +688,41 @@ async function expandTask(
 		}
 
 		// --- Task Update & File Writing ---
-		// Ensure task.subtasks is an array before appending
-		if (!Array.isArray(task.subtasks)) {
-			task.subtasks = [];
-		}
-		// Append the newly generated and validated subtasks
-		task.subtasks.push(...generatedSubtasks);
-		// --- End Change: Append instead of replace ---
+		// The tasks were read before the AI call and may have changed since, so
+		// the subtasks are added to the task as it is now
+		const updatedTask = await withTasksChange(
+			tasksPath,
+			'expand',
+			[fullTaskId, additionalContext],
+			async () => {
+				const currentData = readJSON(tasksPath, data.tag);
+				const currentTask = findTaskByPath(
+					currentData?.tasks || [],
+					fullTaskId
+				);
+				if (!currentTask)
+					throw new Error(
+						`Task ${fullTaskId} was removed while its subtasks were being generated`
+					);
+				if (force || !Array.isArray(currentTask.subtasks)) {
+					currentTask.subtasks = [];
+				}
+				// Append the newly generated and validated subtasks
+				currentTask.subtasks.push(
+					...renumberSubtasks(
+						generatedSubtasks,
+						currentTask.subtasks.length + 1 - nextSubtaskId
+					)
+				);
+				// --- End Change: Append instead of replace ---
 
-		data.tasks[taskIndex] = task; // Assign the modified task back
-		writeJSON(tasksPath, data);
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+				writeJSON(tasksPath, currentData);
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+					tag: currentData.tag
+				});
+				return currentTask;
+			}
+		);
 
 		// Display AI Usage Summary for CLI
 		if (
@@ -643,7 +735,7 @@ async function expandTask(
 
 		// Return the updated task object AND telemetry data
 		return {
-			task,
+			task: updatedTask,
 			telemetryData: aiServiceResponse?.telemetryData
 		};
 	} catch (error) {
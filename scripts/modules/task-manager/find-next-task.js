@@ -1,38 +1,118 @@
 import { log } from '../utils.js';
-import { addComplexityToTask } from '../utils.js';
+import {
+	addComplexityToTask,
+	compareTaskIds,
+	createDependency,
+	findTaskInComplexityReport,
+	forEachSubtask,
+	getDependencyType,
+	isBlockingDependency,
+	resolveDependencyId
+} from '../utils.js';
+import { getNextTaskWeights } from '../config-manager.js';
+import { getActiveAssignee } from './assign-task.js';
+import {
+	CLOSED_STATUSES,
+	formatLocalDate,
+	getDueUrgency,
+	isNotStarted
+} from '../task-dates.js';
 
 /**
- * Return the next work item:
- *   •  Prefer an eligible SUBTASK that belongs to any parent task
- *      whose own status is `in-progress`.
- *   •  If no such subtask exists, fall back to the best top-level task
- *      (previous behaviour).
+ * Factors a candidate is scored on. Each factor's value is multiplied by
+ * its weight (nextTask.weights in .taskmasterconfig) and the points add up
+ * to the score:
+ *  ─ priority        →  3 for high, 2 for medium, 1 for low
+ *  ─ dueDate         →  urgency of the due date (see getDueUrgency), 0 without one
+ *  ─ complexity      →  complexity score (1-10), 0 when unknown; a negative
+ *                       weight prefers simpler work
+ *  ─ age             →  from 1 for the oldest candidate to 0 for the newest;
+ *                       IDs are given out in creation order, so this is the
+ *                       rank of the ID among the candidates
+ *  ─ unblocks        →  number of open tasks and subtasks waiting directly on it
+ *  ─ parentAffinity  →  1 for a subtask of a task already in progress
+ */
+const NEXT_TASK_FACTORS = [
+	'priority',
+	'dueDate',
+	'complexity',
+	'age',
+	'unblocks',
+	'parentAffinity'
+];
+
+const PRIORITY_VALUES = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Rank the work items that could be done next, best first.
  *
- * The function still exports the same name (`findNextTask`) so callers
- * don't need to change.  It now always returns an object with
- *  ─ id            →  number  (task)  or  "parentId.subId"  (subtask)
- *  ─ title         →  string
- *  ─ status        →  string
- *  ─ priority      →  string  ("high" | "medium" | "low")
- *  ─ dependencies  →  array   (all IDs expressed in the same dotted form)
- *  ─ parentId      →  number  (present only when it's a subtask)
+ * Candidates are the eligible SUBTASKS of parent tasks whose own status is
+ * `in-progress`, and the eligible top-level tasks, except in-progress tasks
+ * that have eligible subtasks (their work goes through the subtasks). The
+ * same holds one level down: an in-progress subtask with subtasks of its
+ * own hands its work to them, at any depth. An
+ * item is eligible when it is pending or in progress, its start date has
+ * arrived and its `blocks` dependencies are done; soft and relates
+ * dependencies never hold an item back.
+ *
+ * Candidates are ordered by score (see NEXT_TASK_FACTORS), then by the
+ * number of blocking dependencies and by ID. The default weights score
+ * priority and due date urgency, so an overdue medium-priority item comes
+ * before a high-priority one without deadline, and give subtasks of tasks
+ * in progress enough points to come before any top-level task.
+ *
+ * With `options.assignee`, items owned by someone else (through an
+ * assignment or an unexpired claim) are skipped, and items owned by the
+ * given assignee come first whatever their score. A task or subtask nobody
+ * owns counts as owned by others when all of its open subtasks are, since
+ * working on it would mean doing their work. With `options.claim` as well,
+ * one open subtask owned by someone else is enough, since claiming the item
+ * would reserve that subtask too.
+ *
+ * With `options.taskIds` (e.g. the tasks of a milestone), only those
+ * top-level tasks and their subtasks are candidates. Their dependencies on
+ * tasks outside the list still have to be done.
  *
  * @param {Object[]} tasks  – full array of top-level tasks, each may contain .subtasks[]
  * @param {Object} [complexityReport=null] - Optional complexity report object
- * @returns {Object|null}   – next work item or null if nothing is eligible
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.assignee] - Who the next item is for
+ * @param {boolean} [options.claim] - The items are going to be claimed for the assignee
+ * @param {string} [options.today] - Today as YYYY-MM-DD (defaults to the local date)
+ * @param {Array<number>} [options.taskIds] - Only consider these top-level tasks and their subtasks
+ * @param {Object} [options.weights] - Weight per factor (defaults to the configured weights)
+ * @param {string} [options.projectRoot] - Project root to read the configured weights from
+ * @returns {Array<{ item: Object, score: number, breakdown: Object }>} Ranked candidates.
+ *   item is the task, or for a subtask an object shaped like findNextTask's result;
+ *   breakdown has { value, weight, points } for every factor.
  */
-function findNextTask(tasks, complexityReport = null) {
+function rankNextTasks(tasks, complexityReport = null, options = {}) {
 	// ---------- helpers ----------------------------------------------------
-	const priorityValues = { high: 3, medium: 2, low: 1 };
-
-	const toFullSubId = (parentId, maybeDotId) => {
-		//  "12.3"  ->  "12.3"
-		//        4 ->  "12.4"   (numeric / short form)
-		if (typeof maybeDotId === 'string' && maybeDotId.includes('.')) {
-			return maybeDotId;
-		}
-		return `${parentId}.${maybeDotId}`;
+	const now = new Date();
+	const today = options.today || formatLocalDate(now);
+	const weights = options.weights || getNextTaskWeights(options.projectRoot);
+	const forAssignee = options.assignee || null;
+	const inFocus = (task) =>
+		!options.taskIds || options.taskIds.includes(task.id);
+	// Owned by someone else, directly or through all of its open subtasks;
+	// when claiming, through any of them
+	const isHeldByOthers = (item, inheritedOwner = null) => {
+		if (!forAssignee) return false;
+		const owner = getActiveAssignee(item, now) || inheritedOwner;
+		if (owner) return owner !== forAssignee;
+		const open = (item.subtasks || []).filter(
+			(st) => !CLOSED_STATUSES.includes(st.status)
+		);
+		const heldByOthers = (st) => isHeldByOthers(st);
+		return (
+			open.length > 0 &&
+			(options.claim ? open.some(heldByOthers) : open.every(heldByOthers))
+		);
 	};
+	// 1 for items owned by the requested assignee, so they sort first
+	const ownedRank = (owner) => (forAssignee && owner === forAssignee ? 1 : 0);
+	const blockingCount = (item) =>
+		(item.dependencies ?? []).filter(isBlockingDependency).length;
 
 	// ---------- build completed-ID set (tasks *and* subtasks) --------------
 	const completedIds = new Set();
@@ -40,99 +120,257 @@ function findNextTask(tasks, complexityReport = null) {
 		if (t.status === 'done' || t.status === 'completed') {
 			completedIds.add(String(t.id));
 		}
-		if (Array.isArray(t.subtasks)) {
-			t.subtasks.forEach((st) => {
-				if (st.status === 'done' || st.status === 'completed') {
-					completedIds.add(`${t.id}.${st.id}`);
-				}
-			});
+	});
+	forEachSubtask(tasks, (st, parentId) => {
+		if (st.status === 'done' || st.status === 'completed') {
+			completedIds.add(`${parentId}.${st.id}`);
 		}
 	});
 
-	// ---------- 1) look for eligible subtasks ------------------------------
-	const candidateSubtasks = [];
+	// ---------- count what waits on each task and subtask ------------------
+	const dependentCounts = new Map();
+	const countDependents = (item, parentId = null) => {
+		if (CLOSED_STATUSES.includes(item.status)) return;
+		(item.dependencies || []).filter(isBlockingDependency).forEach((dep) => {
+			const depId = resolveDependencyId(dep, parentId);
+			dependentCounts.set(depId, (dependentCounts.get(depId) || 0) + 1);
+		});
+	};
+	tasks.forEach((t) => countDependents(t));
+	forEachSubtask(tasks, countDependents);
 
-	tasks
-		.filter((t) => t.status === 'in-progress' && Array.isArray(t.subtasks))
-		.forEach((parent) => {
-			parent.subtasks.forEach((st) => {
-				const stStatus = (st.status || 'pending').toLowerCase();
-				if (stStatus !== 'pending' && stStatus !== 'in-progress') return;
-
-				const fullDeps =
-					st.dependencies?.map((d) => toFullSubId(parent.id, d)) ?? [];
-
-				const depsSatisfied =
-					fullDeps.length === 0 ||
-					fullDeps.every((depId) => completedIds.has(String(depId)));
-
-				if (depsSatisfied) {
-					candidateSubtasks.push({
-						id: `${parent.id}.${st.id}`,
+	// ---------- 1) eligible subtasks of tasks in progress ------------------
+	const candidates = [];
+
+	// `inherited` carries what subtasks take from their ancestors when they
+	// do not set it themselves
+	const addSubtaskCandidates = (parent, parentId, inherited) => {
+		parent.subtasks.forEach((st) => {
+			const stStatus = (st.status || 'pending').toLowerCase();
+			if (stStatus !== 'pending' && stStatus !== 'in-progress') return;
+
+			const id = `${parentId}.${st.id}`;
+			const owner = getActiveAssignee(st, now) || inherited.owner;
+			if (isHeldByOthers(st, inherited.owner) || isNotStarted(st, today)) {
+				return;
+			}
+			const dueDate = st.dueDate || inherited.dueDate;
+			const priority = st.priority || inherited.priority;
+			const complexityScore = st.complexityScore ?? inherited.complexityScore;
+
+			// Numeric deps are siblings; dotted deps may point into any task
+			const fullDeps =
+				st.dependencies?.map((d) =>
+					createDependency(
+						resolveDependencyId(d, parentId),
+						getDependencyType(d)
+					)
+				) ?? [];
+
+			const depsSatisfied = fullDeps
+				.filter(isBlockingDependency)
+				.every((depId) => completedIds.has(depId));
+
+			if (depsSatisfied) {
+				candidates.push({
+					item: {
+						id,
 						title: st.title || `Subtask ${st.id}`,
 						status: st.status || 'pending',
-						priority: st.priority || parent.priority || 'medium',
+						priority: priority || 'medium',
 						dependencies: fullDeps,
-						parentId: parent.id
-					});
-				}
-			});
+						parentId,
+						...(owner ? { assignee: owner } : {}),
+						...(dueDate ? { dueDate } : {})
+					},
+					owner,
+					complexityScore,
+					reportId: inherited.reportId,
+					isSubtask: true
+				});
+			}
+			if (stStatus === 'in-progress' && Array.isArray(st.subtasks)) {
+				addSubtaskCandidates(st, id, {
+					...inherited,
+					owner,
+					dueDate,
+					priority,
+					complexityScore
+				});
+			}
 		});
+	};
 
-	if (candidateSubtasks.length > 0) {
-		// sort by priority → dep-count → parent-id → sub-id
-		candidateSubtasks.sort((a, b) => {
-			const pa = priorityValues[a.priority] ?? 2;
-			const pb = priorityValues[b.priority] ?? 2;
-			if (pb !== pa) return pb - pa;
-
-			if (a.dependencies.length !== b.dependencies.length)
-				return a.dependencies.length - b.dependencies.length;
-
-			// compare parent then sub-id numerically
-			const [aPar, aSub] = a.id.split('.').map(Number);
-			const [bPar, bSub] = b.id.split('.').map(Number);
-			if (aPar !== bPar) return aPar - bPar;
-			return aSub - bSub;
-		});
-		const nextTask = candidateSubtasks[0];
+	tasks
+		.filter(
+			(t) =>
+				t.status === 'in-progress' && Array.isArray(t.subtasks) && inFocus(t)
+		)
+		.forEach((parent) =>
+			addSubtaskCandidates(parent, parent.id, {
+				owner: getActiveAssignee(parent, now),
+				dueDate: parent.dueDate,
+				priority: parent.priority,
+				complexityScore: parent.complexityScore,
+				reportId: parent.id
+			})
+		);
 
-		// Add complexity to the task before returning
-		if (nextTask && complexityReport) {
-			addComplexityToTask(nextTask, complexityReport);
+	// ---------- 2) eligible top-level tasks -------------------------------
+	const withSubtaskCandidates = new Set(
+		candidates.map((candidate) => String(candidate.item.parentId))
+	);
+	// In-progress subtasks whose work goes through their own subtasks
+	for (let i = candidates.length - 1; i >= 0; i--) {
+		if (withSubtaskCandidates.has(candidates[i].item.id)) {
+			candidates.splice(i, 1);
 		}
-
-		return nextTask;
 	}
+	tasks
+		.filter((task) => {
+			const status = (task.status || 'pending').toLowerCase();
+			if (status !== 'pending' && status !== 'in-progress') return false;
+			if (!inFocus(task)) return false;
+			if (withSubtaskCandidates.has(String(task.id))) return false;
+			if (isHeldByOthers(task)) return false;
+			if (isNotStarted(task, today)) return false;
+			const deps = (task.dependencies ?? []).filter(isBlockingDependency);
+			return deps.every((depId) =>
+				completedIds.has(resolveDependencyId(depId))
+			);
+		})
+		.forEach((task) => {
+			candidates.push({
+				item: task,
+				owner: getActiveAssignee(task, now),
+				complexityScore: task.complexityScore,
+				reportId: task.id,
+				isSubtask: false
+			});
+		});
+
+	// ---------- score -----------------------------------------------------
+	const byAge = candidates
+		.map((candidate) => String(candidate.item.id))
+		.sort(compareTaskIds);
+	const ageOf = (id) =>
+		byAge.length > 1 ? 1 - byAge.indexOf(String(id)) / (byAge.length - 1) : 1;
 
-	// ---------- 2) fall back to top-level tasks (original logic) ------------
-	const eligibleTasks = tasks.filter((task) => {
-		const status = (task.status || 'pending').toLowerCase();
-		if (status !== 'pending' && status !== 'in-progress') return false;
-		const deps = task.dependencies ?? [];
-		return deps.every((depId) => completedIds.has(String(depId)));
+	const ranked = candidates.map((candidate) => {
+		const { item } = candidate;
+		const values = {
+			priority: PRIORITY_VALUES[item.priority || 'medium'] ?? 2,
+			dueDate: getDueUrgency(item.dueDate, today),
+			complexity:
+				candidate.complexityScore ??
+				findTaskInComplexityReport(complexityReport, candidate.reportId)
+					?.complexityScore ??
+				0,
+			age: ageOf(item.id),
+			unblocks: dependentCounts.get(String(item.id)) || 0,
+			parentAffinity: candidate.isSubtask ? 1 : 0
+		};
+		const breakdown = {};
+		let score = 0;
+		NEXT_TASK_FACTORS.forEach((factor) => {
+			const weight = weights[factor] ?? 0;
+			const points = values[factor] * weight;
+			breakdown[factor] = { value: values[factor], weight, points };
+			score += points;
+		});
+		return { item, owner: candidate.owner, score, breakdown };
 	});
 
-	if (eligibleTasks.length === 0) return null;
+	// sort by owner → score → dep-count → id
+	ranked.sort((a, b) => {
+		const oa = ownedRank(a.owner);
+		const ob = ownedRank(b.owner);
+		if (ob !== oa) return ob - oa;
 
-	const nextTask = eligibleTasks.sort((a, b) => {
-		const pa = priorityValues[a.priority || 'medium'] ?? 2;
-		const pb = priorityValues[b.priority || 'medium'] ?? 2;
-		if (pb !== pa) return pb - pa;
+		if (Math.abs(b.score - a.score) > 1e-9) return b.score - a.score;
 
-		const da = (a.dependencies ?? []).length;
-		const db = (b.dependencies ?? []).length;
+		const da = blockingCount(a.item);
+		const db = blockingCount(b.item);
 		if (da !== db) return da - db;
 
-		return a.id - b.id;
-	})[0];
+		return compareTaskIds(a.item.id, b.item.id);
+	});
+
+	return ranked.map(({ item, score, breakdown }) => ({
+		item,
+		score,
+		breakdown
+	}));
+}
+
+/**
+ * Return the next work item: the best candidate of rankNextTasks.
+ *
+ * The function still exports the same name (`findNextTask`) so callers
+ * don't need to change.  It always returns an object with
+ *  ─ id            →  number  (task)  or  "parentId.subId"  (subtask, where
+ *                     parentId may be dotted itself, e.g. "5.2.1")
+ *  ─ title         →  string
+ *  ─ status        →  string
+ *  ─ priority      →  string  ("high" | "medium" | "low")
+ *  ─ dependencies  →  array   (all IDs expressed in the same dotted form,
+ *                              soft and relates ones as { id, type })
+ *  ─ parentId      →  number, or the dotted ID of a parent subtask
+ *                     (present only when it's a subtask)
+ *  ─ assignee      →  string  (present only when someone owns the subtask)
+ *  ─ dueDate       →  string  (subtask's or parent's due date, if any)
+ *
+ * @param {Object[]} tasks  – full array of top-level tasks, each may contain .subtasks[]
+ * @param {Object} [complexityReport=null] - Optional complexity report object
+ * @param {Object} [options={}] - Options of rankNextTasks
+ * @returns {Object|null}   – next work item or null if nothing is eligible
+ */
+function findNextTask(tasks, complexityReport = null, options = {}) {
+	const [best] = rankNextTasks(tasks, complexityReport, options);
+	if (!best) {
+		return null;
+	}
+	const nextTask = best.item;
 
 	// Add complexity to the task before returning
-	if (nextTask && complexityReport) {
+	if (complexityReport) {
 		addComplexityToTask(nextTask, complexityReport);
 	}
 
 	return nextTask;
 }
 
+/**
+ * Explain the choice of the next work item
+ * @param {Object[]} tasks - Full array of top-level tasks
+ * @param {Object} [complexityReport=null] - Optional complexity report object
+ * @param {Object} [options={}] - Options of rankNextTasks, and:
+ * @param {number} [options.candidates=5] - How many of the best candidates to explain
+ * @returns {{ weights: Object, total: number, candidates: Array<Object> }} The weights
+ *   used, the number of candidates and the best ones as
+ *   { id, title, status, priority, score, breakdown }
+ */
+function explainNextTask(tasks, complexityReport = null, options = {}) {
+	const weights = options.weights || getNextTaskWeights(options.projectRoot);
+	const ranked = rankNextTasks(tasks, complexityReport, {
+		...options,
+		weights
+	});
+	return {
+		weights,
+		total: ranked.length,
+		candidates: ranked
+			.slice(0, options.candidates ?? 5)
+			.map(({ item, score, breakdown }) => ({
+				id: item.id,
+				title: item.title,
+				status: item.status,
+				priority: item.priority || 'medium',
+				score: Math.round(score * 100) / 100,
+				breakdown
+			}))
+	};
+}
+
 export default findNextTask;
+export { NEXT_TASK_FACTORS, rankNextTasks, explainNextTask };
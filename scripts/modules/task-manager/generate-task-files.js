@@ -2,16 +2,23 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 
-import { log, readJSON } from '../utils.js';
-import { formatDependenciesWithStatus } from '../ui.js';
+import { log, readJSON, getTaskFileName, DEFAULT_TAG } from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import {
+	formatDependenciesWithStatus,
+	formatSubtaskDependencies
+} from '../ui.js';
 import { validateAndFixDependencies } from '../dependency-manager.js';
 import { getDebugFlag } from '../config-manager.js';
+import { formatFieldValue } from '../custom-fields.js';
+import { formatEstimate } from '../task-time.js';
 
 /**
  * Generate individual task files from tasks.json
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
- * @param {Object} options - Additional options (mcpLog for MCP mode)
+ * @param {Object} options - Additional options (mcpLog for MCP mode, tag to select a tagged task list)
  * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
  */
 function generateTaskFiles(tasksPath, outputDir, options = {}) {
@@ -19,7 +26,7 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 		// Determine if we're in MCP mode by checking for mcpLog
 		const isMcpMode = !!options?.mcpLog;
 
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, options.tag);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
@@ -38,13 +45,13 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 		// Generate task files
 		log('info', 'Generating individual task files...');
 		data.tasks.forEach((task) => {
-			const taskPath = path.join(
-				outputDir,
-				`task_${task.id.toString().padStart(3, '0')}.txt`
-			);
+			const taskPath = path.join(outputDir, getTaskFileName(task.id, data.tag));
 
 			// Format the content
 			let content = `# Task ID: ${task.id}\n`;
+			if (data.tag && data.tag !== DEFAULT_TAG) {
+				content += `# Tag: ${data.tag}\n`;
+			}
 			content += `# Title: ${task.title}\n`;
 			content += `# Status: ${task.status || 'pending'}\n`;
 
@@ -56,7 +63,19 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 			}
 
 			content += `# Priority: ${task.priority || 'medium'}\n`;
+			if (task.startDate) {
+				content += `# Start Date: ${task.startDate}\n`;
+			}
+			if (task.dueDate) {
+				content += `# Due Date: ${task.dueDate}\n`;
+			}
+			if (task.estimate) {
+				content += `# Estimate: ${formatEstimate(task.estimate)}\n`;
+			}
 			content += `# Description: ${task.description || ''}\n`;
+			Object.entries(task.customFields || {}).forEach(([name, value]) => {
+				content += `# ${name}: ${formatFieldValue(value)}\n`;
+			});
 
 			// Add more detailed sections
 			content += '# Details:\n';
@@ -77,40 +96,44 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 			if (task.subtasks && task.subtasks.length > 0) {
 				content += '\n# Subtasks:\n';
 
-				task.subtasks.forEach((subtask) => {
-					content += `## ${subtask.id}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
-
-					if (subtask.dependencies && subtask.dependencies.length > 0) {
-						// Format subtask dependencies
-						let subtaskDeps = subtask.dependencies
-							.map((depId) => {
-								if (typeof depId === 'number') {
-									// Handle numeric dependencies to other subtasks
-									const foundSubtask = task.subtasks.find(
-										(st) => st.id === depId
-									);
-									if (foundSubtask) {
-										// Just return the plain ID format without any color formatting
-										return `${task.id}.${depId}`;
-									}
-								}
-								return depId.toString();
-							})
-							.join(', ');
-
-						content += `### Dependencies: ${subtaskDeps}\n`;
-					} else {
-						content += '### Dependencies: None\n';
-					}
-
-					content += `### Description: ${subtask.description || ''}\n`;
-					content += '### Details:\n';
-					content += (subtask.details || '')
-						.split('\n')
-						.map((line) => line)
-						.join('\n');
-					content += '\n\n';
-				});
+				// Nested subtasks follow their parent, numbered from the task
+				// (e.g. "## 2.1." for subtask 5.2.1 in the file of task 5)
+				const appendSubtasks = (parent, parentId, prefix) => {
+					parent.subtasks.forEach((subtask) => {
+						const number = `${prefix}${subtask.id}`;
+						content += `## ${number}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
+
+						if (subtask.dependencies && subtask.dependencies.length > 0) {
+							// Format subtask dependencies
+							const subtaskDeps = formatSubtaskDependencies(
+								subtask,
+								parentId,
+								data.tasks
+							);
+
+							content += `### Dependencies: ${subtaskDeps}\n`;
+						} else {
+							content += '### Dependencies: None\n';
+						}
+
+						content += `### Description: ${subtask.description || ''}\n`;
+						content += '### Details:\n';
+						content += (subtask.details || '')
+							.split('\n')
+							.map((line) => line)
+							.join('\n');
+						content += '\n\n';
+
+						if (subtask.subtasks && subtask.subtasks.length > 0) {
+							appendSubtasks(
+								subtask,
+								`${parentId}.${subtask.id}`,
+								`${number}.`
+							);
+						}
+					});
+				};
+				appendSubtasks(task, task.id, '');
 			}
 
 			// Write the file
@@ -151,4 +174,4 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 	}
 }
 
-export default generateTaskFiles;
+export default withPathLockSync(withHistorySync(generateTaskFiles, 'generate'));
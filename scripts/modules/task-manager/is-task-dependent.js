@@ -1,3 +1,5 @@
+import { isBlockingDependency } from '../utils.js';
+
 /**
  * Check if a task is dependent on another task (directly or indirectly)
  * Used to prevent circular dependencies
@@ -12,18 +14,19 @@ function isTaskDependentOn(allTasks, task, targetTaskId) {
 		return true;
 	}
 
+	// Only blocking dependencies can make a cycle
+	const dependencies = (task.dependencies || []).filter(isBlockingDependency);
+
 	// Check direct dependencies
-	if (task.dependencies && task.dependencies.includes(targetTaskId)) {
+	if (dependencies.includes(targetTaskId)) {
 		return true;
 	}
 
 	// Check dependencies of dependencies (recursive)
-	if (task.dependencies) {
-		for (const depId of task.dependencies) {
-			const depTask = allTasks.find((t) => t.id === depId);
-			if (depTask && isTaskDependentOn(allTasks, depTask, targetTaskId)) {
-				return true;
-			}
+	for (const depId of dependencies) {
+		const depTask = allTasks.find((t) => t.id === depId);
+		if (depTask && isTaskDependentOn(allTasks, depTask, targetTaskId)) {
+			return true;
 		}
 	}
 
@@ -4,20 +4,32 @@ import Table from 'cli-table3';
 
 import {
 	log,
-	readJSON,
 	truncate,
 	readComplexityReport,
-	addComplexityToTask
+	addComplexityToTask,
+	isBlockingDependency,
+	forEachSubtask
 } from '../utils.js';
+import { getTaskStorage } from '../storage/index.js';
 import findNextTask from './find-next-task.js';
+import { findMilestone } from './milestones.js';
+import {
+	parseFieldFilters,
+	matchesFieldFilters,
+	resolveFieldColumns,
+	formatFieldValue
+} from '../custom-fields.js';
 
 import {
 	displayBanner,
 	getStatusWithColor,
 	formatDependenciesWithStatus,
+	formatSubtaskDependencies,
 	getComplexityWithColor,
-	createProgressBar
+	createProgressBar,
+	formatDueDate
 } from '../ui.js';
+import { isOverdue } from '../task-dates.js';
 
 /**
  * List all tasks
@@ -26,6 +38,11 @@ import {
  * @param {string} reportPath - Path to the complexity report
  * @param {boolean} withSubtasks - Whether to show subtasks
  * @param {string} outputFormat - Output format (text or json)
+ * @param {Object} [context={}] - Context object (tag to list a tagged task list)
+ * @param {Array<string>|Object} [context.fields] - Custom field filters ("key=value" strings or an object)
+ * @param {Array<string>|string} [context.columns] - Custom fields to show as extra columns
+ * @param {string} [context.projectRoot] - Project root for the custom field declarations
+ * @param {number|string} [context.milestone] - Only list, count and pick the next task among the tasks of this milestone
  * @returns {Object} - Task list result for json format
  */
 function listTasks(
@@ -33,7 +50,8 @@ function listTasks(
 	statusFilter,
 	reportPath = null,
 	withSubtasks = false,
-	outputFormat = 'text'
+	outputFormat = 'text',
+	context = {}
 ) {
 	try {
 		// Only display banner for text output
@@ -41,10 +59,12 @@ function listTasks(
 			displayBanner();
 		}
 
-		const data = readJSON(tasksPath); // Reads the whole tasks.json
-		if (!data || !data.tasks) {
+		// Statistics need every task of the tag, so the whole tag is read
+		const storage = getTaskStorage(tasksPath);
+		if (!storage.exists()) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
+		const data = storage.readTag(context.tag); // Task list of the active (or given) tag
 
 		// Add complexity scores to tasks if report exists
 		const complexityReport = readComplexityReport(reportPath);
@@ -53,19 +73,38 @@ function listTasks(
 			data.tasks.forEach((task) => addComplexityToTask(task, complexityReport));
 		}
 
+		// Statistics and the list cover the milestone's tasks; dependencies are
+		// still looked up among all tasks
+		const milestone = context.milestone
+			? findMilestone(data, context.milestone)
+			: null;
+		const scopedTasks = milestone
+			? data.tasks.filter((task) => milestone.taskIds.includes(task.id))
+			: data.tasks;
+
 		// Filter tasks by status if specified
-		const filteredTasks =
+		const fieldFilters = parseFieldFilters(context.fields, context.projectRoot);
+		const fieldColumns = resolveFieldColumns(
+			context.columns,
+			context.projectRoot
+		);
+		const filteredTasks = (
 			statusFilter && statusFilter.toLowerCase() !== 'all' // <-- Added check for 'all'
-				? data.tasks.filter(
+				? scopedTasks.filter(
 						(task) =>
 							task.status &&
 							task.status.toLowerCase() === statusFilter.toLowerCase()
 					)
-				: data.tasks; // Default to all tasks if no filter or filter is 'all'
+				: scopedTasks
+		) // Default to all tasks if no filter or filter is 'all'
+			.filter((task) => matchesFieldFilters(task, fieldFilters));
+		const fieldFilterText = fieldFilters
+			.map(({ name, value }) => `${name}=${formatFieldValue(value)}`)
+			.join(', ');
 
 		// Calculate completion statistics
-		const totalTasks = data.tasks.length;
-		const completedTasks = data.tasks.filter(
+		const totalTasks = scopedTasks.length;
+		const completedTasks = scopedTasks.filter(
 			(task) => task.status === 'done' || task.status === 'completed'
 		).length;
 		const completionPercentage =
@@ -73,19 +112,19 @@ function listTasks(
 
 		// Count statuses for tasks
 		const doneCount = completedTasks;
-		const inProgressCount = data.tasks.filter(
+		const inProgressCount = scopedTasks.filter(
 			(task) => task.status === 'in-progress'
 		).length;
-		const pendingCount = data.tasks.filter(
+		const pendingCount = scopedTasks.filter(
 			(task) => task.status === 'pending'
 		).length;
-		const blockedCount = data.tasks.filter(
+		const blockedCount = scopedTasks.filter(
 			(task) => task.status === 'blocked'
 		).length;
-		const deferredCount = data.tasks.filter(
+		const deferredCount = scopedTasks.filter(
 			(task) => task.status === 'deferred'
 		).length;
-		const cancelledCount = data.tasks.filter(
+		const cancelledCount = scopedTasks.filter(
 			(task) => task.status === 'cancelled'
 		).length;
 
@@ -98,27 +137,21 @@ function listTasks(
 		let deferredSubtasks = 0;
 		let cancelledSubtasks = 0;
 
-		data.tasks.forEach((task) => {
-			if (task.subtasks && task.subtasks.length > 0) {
-				totalSubtasks += task.subtasks.length;
-				completedSubtasks += task.subtasks.filter(
-					(st) => st.status === 'done' || st.status === 'completed'
-				).length;
-				inProgressSubtasks += task.subtasks.filter(
-					(st) => st.status === 'in-progress'
-				).length;
-				pendingSubtasks += task.subtasks.filter(
-					(st) => st.status === 'pending'
-				).length;
-				blockedSubtasks += task.subtasks.filter(
-					(st) => st.status === 'blocked'
-				).length;
-				deferredSubtasks += task.subtasks.filter(
-					(st) => st.status === 'deferred'
-				).length;
-				cancelledSubtasks += task.subtasks.filter(
-					(st) => st.status === 'cancelled'
-				).length;
+		// Subtasks of subtasks count too
+		forEachSubtask(scopedTasks, (st) => {
+			totalSubtasks++;
+			if (st.status === 'done' || st.status === 'completed') {
+				completedSubtasks++;
+			} else if (st.status === 'in-progress') {
+				inProgressSubtasks++;
+			} else if (st.status === 'pending') {
+				pendingSubtasks++;
+			} else if (st.status === 'blocked') {
+				blockedSubtasks++;
+			} else if (st.status === 'deferred') {
+				deferredSubtasks++;
+			} else if (st.status === 'cancelled') {
+				cancelledSubtasks++;
 			}
 		});
 
@@ -133,12 +166,17 @@ function listTasks(
 				// Omit 'details' from the parent task
 				const { details, ...taskRest } = task;
 
-				// If subtasks exist, omit 'details' from them too
-				if (taskRest.subtasks && Array.isArray(taskRest.subtasks)) {
-					taskRest.subtasks = taskRest.subtasks.map((subtask) => {
+				// If subtasks exist, omit 'details' from them too, at any depth
+				const withoutDetails = (subtasks) =>
+					subtasks.map((subtask) => {
 						const { details: subtaskDetails, ...subtaskRest } = subtask;
+						if (Array.isArray(subtaskRest.subtasks)) {
+							subtaskRest.subtasks = withoutDetails(subtaskRest.subtasks);
+						}
 						return subtaskRest;
 					});
+				if (taskRest.subtasks && Array.isArray(taskRest.subtasks)) {
+					taskRest.subtasks = withoutDetails(taskRest.subtasks);
 				}
 				return taskRest;
 			});
@@ -146,7 +184,14 @@ function listTasks(
 
 			return {
 				tasks: tasksWithoutDetails, // <--- THIS IS THE ARRAY BEING RETURNED
+				tag: data.tag,
+				...(milestone
+					? { milestone: { id: milestone.id, title: milestone.title } }
+					: {}),
 				filter: statusFilter || 'all', // Return the actual filter used
+				fieldFilters: Object.fromEntries(
+					fieldFilters.map(({ name, value }) => [name, value])
+				),
 				stats: {
 					total: totalTasks,
 					completed: doneCount,
@@ -211,29 +256,31 @@ function listTasks(
 				.map((t) => t.id)
 		);
 
-		const tasksWithNoDeps = data.tasks.filter(
+		// Soft and relates dependencies do not hold a task back
+		const blockingDeps = (t) =>
+			(t.dependencies || []).filter(isBlockingDependency);
+
+		const tasksWithNoDeps = scopedTasks.filter(
 			(t) =>
 				t.status !== 'done' &&
 				t.status !== 'completed' &&
-				(!t.dependencies || t.dependencies.length === 0)
+				blockingDeps(t).length === 0
 		).length;
 
-		const tasksWithAllDepsSatisfied = data.tasks.filter(
+		const tasksWithAllDepsSatisfied = scopedTasks.filter(
 			(t) =>
 				t.status !== 'done' &&
 				t.status !== 'completed' &&
-				t.dependencies &&
-				t.dependencies.length > 0 &&
-				t.dependencies.every((depId) => completedTaskIds.has(depId))
+				blockingDeps(t).length > 0 &&
+				blockingDeps(t).every((depId) => completedTaskIds.has(depId))
 		).length;
 
-		const tasksWithUnsatisfiedDeps = data.tasks.filter(
+		const tasksWithUnsatisfiedDeps = scopedTasks.filter(
 			(t) =>
 				t.status !== 'done' &&
 				t.status !== 'completed' &&
-				t.dependencies &&
-				t.dependencies.length > 0 &&
-				!t.dependencies.every((depId) => completedTaskIds.has(depId))
+				blockingDeps(t).length > 0 &&
+				!blockingDeps(t).every((depId) => completedTaskIds.has(depId))
 		).length;
 
 		// Calculate total tasks ready to work on (no deps + satisfied deps)
@@ -241,12 +288,10 @@ function listTasks(
 
 		// Calculate most depended-on tasks
 		const dependencyCount = {};
-		data.tasks.forEach((task) => {
-			if (task.dependencies && task.dependencies.length > 0) {
-				task.dependencies.forEach((depId) => {
-					dependencyCount[depId] = (dependencyCount[depId] || 0) + 1;
-				});
-			}
+		scopedTasks.forEach((task) => {
+			blockingDeps(task).forEach((depId) => {
+				dependencyCount[depId] = (dependencyCount[depId] || 0) + 1;
+			});
 		});
 
 		// Find the most depended-on task
@@ -267,14 +312,18 @@ function listTasks(
 				: null;
 
 		// Calculate average dependencies per task
-		const totalDependencies = data.tasks.reduce(
+		const totalDependencies = scopedTasks.reduce(
 			(sum, task) => sum + (task.dependencies ? task.dependencies.length : 0),
 			0
 		);
-		const avgDependenciesPerTask = totalDependencies / data.tasks.length;
+		const avgDependenciesPerTask = totalDependencies / scopedTasks.length;
 
 		// Find next task to work on, passing the complexity report
-		const nextItem = findNextTask(data.tasks, complexityReport);
+		const nextItem = findNextTask(
+			data.tasks,
+			complexityReport,
+			milestone ? { taskIds: milestone.taskIds } : {}
+		);
 
 		// Get terminal width - more reliable method
 		let terminalWidth;
@@ -294,6 +343,10 @@ function listTasks(
 		// Create dashboard content
 		const projectDashboardContent =
 			chalk.white.bold('Project Dashboard') +
+			(data.tag ? chalk.gray(` (tag: ${data.tag})`) : '') +
+			(milestone
+				? chalk.gray(` (${milestone.type} ${milestone.id}: ${milestone.title})`)
+				: '') +
 			'\n' +
 			`Tasks Progress: ${chalk.greenBright(taskProgressBar)} ${completionPercentage.toFixed(0)}%\n` +
 			`Done: ${chalk.green(doneCount)}  In Progress: ${chalk.blue(inProgressCount)}  Pending: ${chalk.yellow(pendingCount)}  Blocked: ${chalk.red(blockedCount)}  Deferred: ${chalk.gray(deferredCount)}  Cancelled: ${chalk.gray(cancelledCount)}\n\n` +
@@ -301,9 +354,9 @@ function listTasks(
 			`Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  In Progress: ${chalk.blue(inProgressSubtasks)}  Pending: ${chalk.yellow(pendingSubtasks)}  Blocked: ${chalk.red(blockedSubtasks)}  Deferred: ${chalk.gray(deferredSubtasks)}  Cancelled: ${chalk.gray(cancelledSubtasks)}\n\n` +
 			chalk.cyan.bold('Priority Breakdown:') +
 			'\n' +
-			`${chalk.red('•')} ${chalk.white('High priority:')} ${data.tasks.filter((t) => t.priority === 'high').length}\n` +
-			`${chalk.yellow('•')} ${chalk.white('Medium priority:')} ${data.tasks.filter((t) => t.priority === 'medium').length}\n` +
-			`${chalk.green('•')} ${chalk.white('Low priority:')} ${data.tasks.filter((t) => t.priority === 'low').length}`;
+			`${chalk.red('•')} ${chalk.white('High priority:')} ${scopedTasks.filter((t) => t.priority === 'high').length}\n` +
+			`${chalk.yellow('•')} ${chalk.white('Medium priority:')} ${scopedTasks.filter((t) => t.priority === 'medium').length}\n` +
+			`${chalk.green('•')} ${chalk.white('Low priority:')} ${scopedTasks.filter((t) => t.priority === 'low').length}`;
 
 		const dependencyDashboardContent =
 			chalk.white.bold('Dependency Status & Next Task') +
@@ -406,8 +459,15 @@ function listTasks(
 		if (filteredTasks.length === 0) {
 			console.log(
 				boxen(
-					statusFilter
-						? chalk.yellow(`No tasks with status '${statusFilter}' found`)
+					statusFilter || fieldFilterText
+						? chalk.yellow(
+								`No tasks ${[
+									statusFilter && `with status '${statusFilter}'`,
+									fieldFilterText && `matching ${fieldFilterText}`
+								]
+									.filter(Boolean)
+									.join(' ')} found`
+							)
 						: chalk.yellow('No tasks found'),
 					{ padding: 1, borderColor: 'yellow', borderStyle: 'round' }
 				)
@@ -433,6 +493,18 @@ function listTasks(
 
 		const complexityWidthPct = 10;
 
+		// Custom field columns share the space left for the title
+		const fieldWidthPct =
+			fieldColumns.length > 0 ? 24 / fieldColumns.length : 0;
+
+		// The due date column is only shown when a listed item has one
+		const shownItems = [...filteredTasks];
+		if (withSubtasks) {
+			forEachSubtask(filteredTasks, (subtask) => shownItems.push(subtask));
+		}
+		const showDueDates = shownItems.some((item) => item.dueDate);
+		const dueWidthPct = showDueDates ? 10 : 0;
+
 		// Calculate title/description width as remaining space (+20% from dependencies reduction)
 		const titleWidthPct =
 			100 -
@@ -440,7 +512,9 @@ function listTasks(
 			statusWidthPct -
 			priorityWidthPct -
 			depsWidthPct -
-			complexityWidthPct;
+			complexityWidthPct -
+			dueWidthPct -
+			fieldWidthPct * fieldColumns.length;
 
 		// Allow 10 characters for borders and padding
 		const availableWidth = terminalWidth - 10;
@@ -454,6 +528,16 @@ function listTasks(
 			availableWidth * (complexityWidthPct / 100)
 		);
 		const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
+		const fieldWidth = Math.floor(availableWidth * (fieldWidthPct / 100));
+		// Wide enough for a whole date
+		const dueWidth = showDueDates
+			? Math.max(12, Math.floor(availableWidth * (dueWidthPct / 100)))
+			: 0;
+		const dueCells = (item) => (showDueDates ? [formatDueDate(item)] : []);
+		const fieldCells = (item) =>
+			fieldColumns.map((name) =>
+				truncate(formatFieldValue(item.customFields?.[name]), fieldWidth - 3)
+			);
 
 		// Create a table with correct borders and spacing
 		const table = new Table({
@@ -463,7 +547,9 @@ function listTasks(
 				chalk.cyan.bold('Status'),
 				chalk.cyan.bold('Priority'),
 				chalk.cyan.bold('Dependencies'),
-				chalk.cyan.bold('Complexity')
+				chalk.cyan.bold('Complexity'),
+				...(showDueDates ? [chalk.cyan.bold('Due')] : []),
+				...fieldColumns.map((name) => chalk.cyan.bold(name))
 			],
 			colWidths: [
 				idWidth,
@@ -471,7 +557,9 @@ function listTasks(
 				statusWidth,
 				priorityWidth,
 				depsWidth,
-				complexityWidth // Added complexity column width
+				complexityWidth, // Added complexity column width
+				...(showDueDates ? [dueWidth] : []),
+				...fieldColumns.map(() => fieldWidth)
 			],
 			style: {
 				head: [], // No special styling for header
@@ -521,73 +609,38 @@ function listTasks(
 				depText,
 				task.complexityScore
 					? getComplexityWithColor(task.complexityScore)
-					: chalk.gray('N/A')
+					: chalk.gray('N/A'),
+				...dueCells(task),
+				...fieldCells(task)
 			]);
 
 			// Add subtasks if requested
 			if (withSubtasks && task.subtasks && task.subtasks.length > 0) {
-				task.subtasks.forEach((subtask) => {
+				// Subtasks of subtasks are indented under their parent
+				forEachSubtask([task], (subtask, parentId) => {
+					const indent = '   '.repeat(String(parentId).split('.').length - 1);
 					// Format subtask dependencies with status indicators
-					let subtaskDepText = 'None';
-					if (subtask.dependencies && subtask.dependencies.length > 0) {
-						// Handle both subtask-to-subtask and subtask-to-task dependencies
-						const formattedDeps = subtask.dependencies
-							.map((depId) => {
-								// Check if it's a dependency on another subtask
-								if (typeof depId === 'number' && depId < 100) {
-									const foundSubtask = task.subtasks.find(
-										(st) => st.id === depId
-									);
-									if (foundSubtask) {
-										const isDone =
-											foundSubtask.status === 'done' ||
-											foundSubtask.status === 'completed';
-										const isInProgress = foundSubtask.status === 'in-progress';
-
-										// Use consistent color formatting instead of emojis
-										if (isDone) {
-											return chalk.green.bold(`${task.id}.${depId}`);
-										} else if (isInProgress) {
-											return chalk.hex('#FFA500').bold(`${task.id}.${depId}`);
-										} else {
-											return chalk.red.bold(`${task.id}.${depId}`);
-										}
-									}
-								}
-								// Default to regular task dependency
-								const depTask = data.tasks.find((t) => t.id === depId);
-								if (depTask) {
-									// Add complexity to depTask before checking status
-									addComplexityToTask(depTask, complexityReport);
-									const isDone =
-										depTask.status === 'done' || depTask.status === 'completed';
-									const isInProgress = depTask.status === 'in-progress';
-									// Use the same color scheme as in formatDependenciesWithStatus
-									if (isDone) {
-										return chalk.green.bold(`${depId}`);
-									} else if (isInProgress) {
-										return chalk.hex('#FFA500').bold(`${depId}`);
-									} else {
-										return chalk.red.bold(`${depId}`);
-									}
-								}
-								return chalk.cyan(depId.toString());
-							})
-							.join(', ');
-
-						subtaskDepText = formattedDeps || chalk.gray('None');
-					}
+					const subtaskDepText = formatSubtaskDependencies(
+						subtask,
+						parentId,
+						data.tasks,
+						true
+					);
 
 					// Add the subtask row without truncating dependencies
 					table.push([
-						`${task.id}.${subtask.id}`,
-						chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5)}`),
+						`${parentId}.${subtask.id}`,
+						chalk.dim(
+							`${indent}└─ ${truncate(subtask.title, titleWidth - 5 - indent.length)}`
+						),
 						getStatusWithColor(subtask.status, true),
 						chalk.dim('-'),
 						subtaskDepText,
 						subtask.complexityScore
 							? chalk.gray(`${subtask.complexityScore}`)
-							: chalk.gray('N/A')
+							: chalk.gray('N/A'),
+						...dueCells(subtask),
+						...fieldCells(subtask).map((cell) => chalk.dim(cell))
 					]);
 				});
 			}
@@ -612,9 +665,27 @@ function listTasks(
 			});
 		}
 
+		const overdueCount = shownItems.filter((item) => isOverdue(item)).length;
+		if (overdueCount > 0) {
+			console.log(
+				chalk.red.bold(
+					`\n${overdueCount} overdue ${overdueCount === 1 ? 'item' : 'items'} listed. Run task-master agenda for deadlines.`
+				)
+			);
+		}
+
 		// Show filter info if applied
 		if (statusFilter) {
 			console.log(chalk.yellow(`\nFiltered by status: ${statusFilter}`));
+		}
+		if (fieldFilterText) {
+			console.log(
+				chalk.yellow(
+					`${statusFilter ? '' : '\n'}Filtered by fields: ${fieldFilterText}`
+				)
+			);
+		}
+		if (statusFilter || fieldFilterText) {
 			console.log(
 				chalk.yellow(`Showing ${filteredTasks.length} of ${totalTasks} tasks`)
 			);
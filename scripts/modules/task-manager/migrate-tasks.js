@@ -0,0 +1,58 @@
+import fs from 'fs';
+
+import { log } from '../utils.js';
+import { withPathLock, writeFileAtomic } from '../file-lock.js';
+import { withHistory } from '../history.js';
+import { getTaskStorage } from '../storage/index.js';
+import {
+	upgradeTasksData,
+	validateTasksData,
+	formatIssues,
+	TasksSchemaError
+} from '../tasks-schema.js';
+
+/**
+ * Upgrade a tasks file to the current schema version
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Promise<Object>} { fromVersion, toVersion, applied, issues, written }
+ * @throws {TasksSchemaError} If the upgraded file is still invalid (unless dryRun)
+ */
+async function migrateTasks(tasksPath, options = {}) {
+	const { dryRun = false } = options;
+
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+
+	// SQLite storage only ever holds data of the current version
+	const storage = getTaskStorage(tasksPath);
+	const rawData =
+		storage.type === 'json'
+			? JSON.parse(fs.readFileSync(tasksPath, 'utf8'))
+			: storage.readData();
+	const { data, fromVersion, toVersion, applied } = upgradeTasksData(rawData);
+	const { issues } = validateTasksData(data);
+
+	const result = { fromVersion, toVersion, applied, issues, written: false };
+	if (dryRun || applied.length === 0) {
+		return result;
+	}
+
+	if (issues.length > 0) {
+		throw new TasksSchemaError(
+			`${tasksPath} cannot be migrated until these fields are fixed:\n${formatIssues(issues)}`,
+			{ issues, schemaVersion: toVersion }
+		);
+	}
+
+	writeFileAtomic(tasksPath, JSON.stringify(data, null, 2));
+	log(
+		'success',
+		`Migrated ${tasksPath} from schema version ${fromVersion} to ${toVersion}`
+	);
+	return { ...result, written: true };
+}
+
+export default withPathLock(withHistory(migrateTasks, 'migrate'));
@@ -0,0 +1,343 @@
+/**
+ * milestones.js
+ * Milestones and epics: named groups of top-level tasks with an optional
+ * target date, kept in the metadata of their tag. Their progress is worked
+ * out from the status of the member tasks and their subtasks, the same way
+ * `list` does for a whole tag.
+ */
+
+import fs from 'fs';
+
+import { forEachSubtask, readJSON, writeJSON } from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import { daysUntil, formatLocalDate, parseTaskDate } from '../task-dates.js';
+import {
+	MILESTONE_TYPES,
+	isValidMilestoneType
+} from '../../../src/constants/milestone-types.js';
+
+const FINISHED_STATUSES = ['done', 'completed'];
+// Statuses the progress bar shows next to the finished part
+const BREAKDOWN_STATUSES = [
+	'in-progress',
+	'pending',
+	'blocked',
+	'deferred',
+	'cancelled'
+];
+
+function loadTasks(tasksPath, tag) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+	return readJSON(tasksPath, tag);
+}
+
+function assertTasksExist(tasks, ids) {
+	ids.forEach((id) => {
+		if (!tasks.some((task) => task.id === id)) {
+			throw new Error(`Task ${id} not found`);
+		}
+	});
+}
+
+function parseTaskIds(taskIds) {
+	const ids = Array.isArray(taskIds) ? taskIds : String(taskIds).split(',');
+	return ids
+		.map((id) => String(id).trim())
+		.filter(Boolean)
+		.map((id) => {
+			if (!/^\d+$/.test(id)) {
+				throw new Error(
+					`Invalid task ID "${id}". Milestones hold top-level tasks, e.g. 3,4,7.`
+				);
+			}
+			return parseInt(id, 10);
+		});
+}
+
+/**
+ * Finds a milestone of a task list
+ * @param {Object} tagData - Task list as returned by readJSON
+ * @param {number|string} milestoneId - Milestone ID
+ * @returns {Object} The milestone
+ * @throws {Error} If there is no such milestone
+ */
+function findMilestone(tagData, milestoneId) {
+	const milestone = (tagData.metadata?.milestones || []).find(
+		(m) => m.id === Number(milestoneId)
+	);
+	if (!milestone) {
+		throw new Error(`Milestone ${milestoneId} not found`);
+	}
+	return milestone;
+}
+
+/**
+ * Works out the progress of a milestone
+ * @param {Array<Object>} tasks - Top-level tasks of the tag
+ * @param {Object} milestone - The milestone
+ * @returns {Object} { total, done, percent, counts, statusBreakdown, subtasks,
+ *   missingTaskIds }. counts holds the number of tasks per status and
+ *   statusBreakdown the percentage of the other statuses, as createProgressBar
+ *   takes it; subtasks has the same figures for the subtasks of the members,
+ *   at any depth.
+ */
+function getMilestoneProgress(tasks, milestone) {
+	const members = tasks.filter((task) => milestone.taskIds.includes(task.id));
+	const subtasks = [];
+	forEachSubtask(members, (subtask) => subtasks.push(subtask));
+	const summarize = (items) => {
+		const counts = {};
+		items.forEach((item) => {
+			const status = item.status || 'pending';
+			counts[status] = (counts[status] || 0) + 1;
+		});
+		const share = (count) =>
+			items.length > 0 ? (count / items.length) * 100 : 0;
+		const done = FINISHED_STATUSES.reduce(
+			(sum, status) => sum + (counts[status] || 0),
+			0
+		);
+		return {
+			total: items.length,
+			done,
+			percent: share(done),
+			counts,
+			statusBreakdown: Object.fromEntries(
+				BREAKDOWN_STATUSES.map((status) => [status, share(counts[status] || 0)])
+			)
+		};
+	};
+
+	return {
+		...summarize(members),
+		subtasks: summarize(subtasks),
+		missingTaskIds: milestone.taskIds.filter(
+			(id) => !tasks.some((task) => task.id === id)
+		)
+	};
+}
+
+/**
+ * Adds progress and time left to a milestone
+ * @param {Array<Object>} tasks - Top-level tasks of the tag
+ * @param {Object} milestone - The milestone
+ * @param {string} [today=formatLocalDate()] - Today as YYYY-MM-DD
+ * @returns {Object} The milestone with progress, daysLeft (null without a target
+ *   date) and overdue (past the target date and not finished)
+ */
+function summarizeMilestone(tasks, milestone, today = formatLocalDate()) {
+	const progress = getMilestoneProgress(tasks, milestone);
+	const daysLeft = milestone.targetDate
+		? daysUntil(milestone.targetDate, today)
+		: null;
+	return {
+		...milestone,
+		progress,
+		daysLeft,
+		overdue: daysLeft !== null && daysLeft < 0 && progress.done < progress.total
+	};
+}
+
+/**
+ * Add a milestone or epic to a task list
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} fields - The milestone
+ * @param {string} fields.title - Title
+ * @param {string} [fields.type='milestone'] - One of MILESTONE_TYPES
+ * @param {string} [fields.description] - Description
+ * @param {string} [fields.targetDate] - Target date (ISO date)
+ * @param {Array<number|string>|string} [fields.taskIds] - Member task IDs, an array or comma-separated
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {Object} The new milestone
+ */
+function addMilestone(tasksPath, fields, context = {}) {
+	const { title, description, taskIds = [], type = 'milestone' } = fields;
+	if (typeof title !== 'string' || title.trim() === '') {
+		throw new Error('A milestone title is required');
+	}
+	if (!isValidMilestoneType(type)) {
+		throw new Error(
+			`Invalid milestone type "${type}". Use one of: ${MILESTONE_TYPES.join(', ')}`
+		);
+	}
+	const targetDate = parseTaskDate(fields.targetDate, 'target date');
+	const ids = [...new Set(parseTaskIds(taskIds))];
+
+	const data = loadTasks(tasksPath, context.tag);
+	assertTasksExist(data.tasks, ids);
+
+	const milestones = data.metadata?.milestones || [];
+	const milestone = {
+		id: Math.max(0, ...milestones.map((m) => m.id)) + 1,
+		title: title.trim(),
+		type,
+		...(description ? { description } : {}),
+		...(targetDate ? { targetDate } : {}),
+		taskIds: ids
+	};
+	data.metadata = { ...data.metadata, milestones: [...milestones, milestone] };
+	writeJSON(tasksPath, data);
+
+	return milestone;
+}
+
+/**
+ * Replaces a milestone of a task list, or removes it, and saves the list
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} data - Task list as returned by readJSON
+ * @param {Object} milestone - The milestone as found by findMilestone
+ * @param {Object|null} replacement - The new milestone, or null to remove it
+ */
+function saveMilestone(tasksPath, data, milestone, replacement) {
+	const milestones = data.metadata.milestones
+		.map((m) => (m === milestone ? replacement : m))
+		.filter(Boolean);
+	data.metadata = { ...data.metadata, milestones };
+	writeJSON(tasksPath, data);
+}
+
+/**
+ * Add tasks to a milestone or epic. Tasks it already holds are left as they are.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} milestoneId - Milestone ID
+ * @param {Array<number|string>|string} taskIds - Task IDs, an array or comma-separated
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {{ milestone: Object, added: Array<number> }} The updated milestone
+ *   and the IDs that were not in it before
+ */
+function addTasksToMilestone(tasksPath, milestoneId, taskIds, context = {}) {
+	const ids = [...new Set(parseTaskIds(taskIds))];
+	if (ids.length === 0) {
+		throw new Error('At least one task ID is required');
+	}
+
+	const data = loadTasks(tasksPath, context.tag);
+	const milestone = findMilestone(data, milestoneId);
+	assertTasksExist(data.tasks, ids);
+
+	const added = ids.filter((id) => !milestone.taskIds.includes(id));
+	const updated = { ...milestone, taskIds: [...milestone.taskIds, ...added] };
+	if (added.length > 0) {
+		saveMilestone(tasksPath, data, milestone, updated);
+	}
+	return { milestone: updated, added };
+}
+
+/**
+ * Remove tasks from a milestone or epic. The tasks themselves are kept.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} milestoneId - Milestone ID
+ * @param {Array<number|string>|string} taskIds - Task IDs, an array or comma-separated
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {Object} The updated milestone
+ * @throws {Error} If a task is not in the milestone
+ */
+function removeTasksFromMilestone(
+	tasksPath,
+	milestoneId,
+	taskIds,
+	context = {}
+) {
+	const ids = [...new Set(parseTaskIds(taskIds))];
+	if (ids.length === 0) {
+		throw new Error('At least one task ID is required');
+	}
+
+	const data = loadTasks(tasksPath, context.tag);
+	const milestone = findMilestone(data, milestoneId);
+	ids.forEach((id) => {
+		if (!milestone.taskIds.includes(id)) {
+			throw new Error(`Task ${id} is not in milestone ${milestone.id}`);
+		}
+	});
+
+	const updated = {
+		...milestone,
+		taskIds: milestone.taskIds.filter((id) => !ids.includes(id))
+	};
+	saveMilestone(tasksPath, data, milestone, updated);
+	return updated;
+}
+
+/**
+ * Delete a milestone or epic. Its tasks are kept.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} milestoneId - Milestone ID
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {Object} The deleted milestone
+ */
+function deleteMilestone(tasksPath, milestoneId, context = {}) {
+	const data = loadTasks(tasksPath, context.tag);
+	const milestone = findMilestone(data, milestoneId);
+	saveMilestone(tasksPath, data, milestone, null);
+	return milestone;
+}
+
+/**
+ * List the milestones of a task list with their progress
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [context={}] - Context (tag to select a tagged task list, today as YYYY-MM-DD)
+ * @returns {{ tag: string, milestones: Array<Object> }} Milestones as from summarizeMilestone
+ */
+function listMilestones(tasksPath, context = {}) {
+	const data = loadTasks(tasksPath, context.tag);
+	return {
+		tag: data.tag,
+		milestones: (data.metadata?.milestones || []).map((milestone) =>
+			summarizeMilestone(data.tasks, milestone, context.today)
+		)
+	};
+}
+
+/**
+ * Get a milestone with its tasks and progress
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} milestoneId - Milestone ID
+ * @param {Object} [context={}] - Context (tag to select a tagged task list, today as YYYY-MM-DD)
+ * @returns {Object} The milestone as from summarizeMilestone, with tasks
+ *   ({ id, title, status, priority, dueDate? } for each member that exists)
+ */
+function getMilestone(tasksPath, milestoneId, context = {}) {
+	const data = loadTasks(tasksPath, context.tag);
+	const milestone = findMilestone(data, milestoneId);
+	return {
+		...summarizeMilestone(data.tasks, milestone, context.today),
+		tag: data.tag,
+		tasks: data.tasks
+			.filter((task) => milestone.taskIds.includes(task.id))
+			.map((task) => ({
+				id: task.id,
+				title: task.title,
+				status: task.status,
+				priority: task.priority || 'medium',
+				...(task.dueDate ? { dueDate: task.dueDate } : {})
+			}))
+	};
+}
+
+const lockedAddMilestone = withPathLockSync(
+	withHistorySync(addMilestone, 'add-milestone')
+);
+const lockedAddTasksToMilestone = withPathLockSync(
+	withHistorySync(addTasksToMilestone, 'add-to-milestone')
+);
+const lockedRemoveTasksFromMilestone = withPathLockSync(
+	withHistorySync(removeTasksFromMilestone, 'remove-from-milestone')
+);
+const lockedDeleteMilestone = withPathLockSync(
+	withHistorySync(deleteMilestone, 'delete-milestone')
+);
+
+export {
+	lockedAddMilestone as addMilestone,
+	lockedAddTasksToMilestone as addTasksToMilestone,
+	lockedRemoveTasksFromMilestone as removeTasksFromMilestone,
+	lockedDeleteMilestone as deleteMilestone,
+	listMilestones,
+	getMilestone,
+	findMilestone,
+	getMilestoneProgress
+};
@@ -8,17 +8,20 @@ import fs from 'fs';
 import {
 	getMainModelId,
 	getResearchModelId,
+	getSearchModelId,
 	getFallbackModelId,
 	getAvailableModels,
 	getMainProvider,
 	getResearchProvider,
+	getSearchProvider,
 	getFallbackProvider,
 	isApiKeySet,
 	getMcpApiKeyStatus,
 	getConfig,
 	writeConfig,
 	isConfigFilePresent,
-	getAllProviders
+	getAllProviders,
+	loadProviderPlugins
 } from '../config-manager.js';
 
 
@@ -103,6 +106,7 @@ async function getModelConfiguration(options = {}) {
 			: true;
 
 		// Get available models to find detailed info
+		await loadProviderPlugins(projectRoot);
 		const availableModels = getAvailableModels(projectRoot);
 
 		// Find model details
@@ -231,6 +235,7 @@ async function getAvailableModelsList(options = {}) {
 
 	try {
 		// Get all available models
+		await loadProviderPlugins(projectRoot);
 		const allAvailableModels = getAvailableModels(projectRoot);
 
 		if (!allAvailableModels || allAvailableModels.length === 0) {
@@ -356,6 +361,7 @@ async function setModel(role, modelId, options = {}) {
 	}
 
 	try {
+		await loadProviderPlugins(projectRoot);
 		const availableModels = getAvailableModels(projectRoot);
 		const currentConfig = getConfig(projectRoot);
 		let determinedProvider = null; // Initialize provider
@@ -481,9 +487,10 @@ async function getApiKeyStatusReport(options = {}) {
 	};
 
 	try {
-		const providers = getAllProviders();
+		await loadProviderPlugins(projectRoot);
+		const providers = getAllProviders(projectRoot);
 		const providersToCheck = providers.filter(
-			(p) => p.toLowerCase() !== 'ollama'
+			(p) => !['ollama', 'mock'].includes(p.toLowerCase())
 		); // Ollama is not a provider, it's a service, doesn't need an api key usually
 		const statusReport = providersToCheck.map((provider) => {
 			// Use provided projectRoot for MCP status check
@@ -12,13 +12,20 @@ import {
 	disableSilentMode,
 	isSilentMode,
 	readJSON,
-	findTaskById
+	findTaskById,
+	readTaggedTasksFile,
+	resolveTag
 } from '../utils.js';
+import { withTasksChange } from '../history.js';
 
-import { generateObjectService } from '../ai-services-unified.js';
+import {
+	generateObjectService,
+	streamJsonService
+} from '../ai-services-unified.js';
 import { getDebugFlag } from '../config-manager.js';
 import generateTaskFiles from './generate-task-files.js';
 import { displayAiUsageSummary } from '../ui.js';
+import { createStreamProgress } from '../stream-progress.js';
 
 // Define the Zod schema for a SINGLE task object
 const prdSingleTaskSchema = z.object({
@@ -43,6 +50,37 @@ const prdResponseSchema = z.object({
 	})
 });
 
+/**
+ * Parses the tasks of a streamed PRD response. Unlike generateObjectService,
+ * streamed text is not validated by the AI SDK, so it is validated here.
+ * @param {string} text - The full response text
+ * @returns {{ tasks: Array<Object> }} The validated tasks
+ * @throws {Error} If the text holds no valid tasks object
+ */
+function parseStreamedTasks(text) {
+	const start = text.indexOf('{');
+	const end = text.lastIndexOf('}');
+	if (start === -1 || end <= start) {
+		throw new Error('AI response did not contain a JSON object.');
+	}
+
+	let parsed;
+	try {
+		parsed = JSON.parse(text.slice(start, end + 1));
+	} catch (error) {
+		throw new Error(
+			`Could not parse the streamed AI response: ${error.message}`
+		);
+	}
+	const result = prdResponseSchema.pick({ tasks: true }).safeParse(parsed);
+	if (!result.success) {
+		throw new Error(
+			`AI response did not match the expected tasks structure: ${result.error.message}`
+		);
+	}
+	return result.data;
+}
+
 /**
  * Parse a PRD file and generate tasks
  * @param {string} prdPath - Path to the PRD file
@@ -51,10 +89,12 @@ const prdResponseSchema = z.object({
  * @param {Object} options - Additional options
  * @param {boolean} [options.force=false] - Whether to overwrite existing tasks.json.
  * @param {boolean} [options.append=false] - Append to existing tasks file.
- * @param {Object} [options.reportProgress] - Function to report progress (optional, likely unused).
+ * @param {boolean} [options.stream=false] - Stream the AI response and report each task as it is generated.
+ * @param {Function} [options.reportProgress] - MCP progress callback, used when streaming.
  * @param {Object} [options.mcpLog] - MCP logger object (optional).
  * @param {Object} [options.session] - Session object from MCP server (optional).
  * @param {string} [options.projectRoot] - Project root path (for MCP/env fallback).
+ * @param {string} [options.tag] - Tag of the task list to generate into (defaults to the active tag).
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
 /**
  * Recursively cleans a JSON schema object by removing unsupported keywords.
@@ -100,7 +140,9 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 		session,
 		projectRoot,
 		force = false,
-		append = false
+		append = false,
+		stream = false,
+		tag
 	} = options;
 	const isMCP = !!mcpLog;
 	const outputFormat = isMCP ? 'json' : 'text';
@@ -134,14 +176,21 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 	let aiServiceResponse = null;
 
 	try {
-		// Handle file existence and overwrite/append logic
-		if (fs.existsSync(tasksPath)) {
+		// Handle existing task list overwrite/append logic. Only the target tag
+		// counts: generating into a new tag never touches the other tags.
+		const targetListExists =
+			fs.existsSync(tasksPath) &&
+			(() => {
+				const taggedData = readTaggedTasksFile(tasksPath);
+				return !!taggedData.tags[resolveTag(taggedData, tag)];
+			})();
+		if (targetListExists) {
 			if (append) {
 				report(
 					`Append mode enabled. Reading existing tasks from ${tasksPath}`,
 					'info'
 				);
-				const existingData = readJSON(tasksPath); // Use readJSON utility
+				const existingData = readJSON(tasksPath, tag); // Use readJSON utility
 				if (existingData && Array.isArray(existingData.tasks)) {
 					existingTasks = existingData.tasks;
 					if (existingTasks.length > 0) {
@@ -250,18 +299,40 @@ Guidelines:
 		// Call the unified AI service
 		report('Calling AI service to generate tasks from PRD...', 'info');
 
-		// Call generateObjectService with the CORRECT schema and additional telemetry params
-		aiServiceResponse = await generateObjectService({
-			role: 'main',
-			session: session,
-			projectRoot: projectRoot,
-			schema: cleanedJsonSchema, // Pass the original Zod schema
-			objectName: 'tasks_data',
-			systemPrompt: systemPrompt,
-			prompt: userPrompt,
-			commandName: 'parse-prd',
-			outputType: isMCP ? 'mcp' : 'cli'
-		});
+		if (stream) {
+			// Tasks are reported as soon as their titles are complete
+			aiServiceResponse = await streamJsonService({
+				role: 'main',
+				session: session,
+				projectRoot: projectRoot,
+				systemPrompt: systemPrompt,
+				prompt: userPrompt,
+				commandName: 'parse-prd',
+				outputType: isMCP ? 'mcp' : 'cli',
+				schema: cleanedJsonSchema,
+				objectName: 'tasks_data',
+				onPartial: createStreamProgress({
+					getItems: (partial) => partial?.tasks,
+					describe: (task, index) => `Task ${nextId + index}: ${task.title}`,
+					total: numTasks,
+					mcpLog,
+					reportProgress
+				})
+			});
+		} else {
+			// Call generateObjectService with the CORRECT schema and additional telemetry params
+			aiServiceResponse = await generateObjectService({
+				role: 'main',
+				session: session,
+				projectRoot: projectRoot,
+				schema: cleanedJsonSchema, // Pass the original Zod schema
+				objectName: 'tasks_data',
+				systemPrompt: systemPrompt,
+				prompt: userPrompt,
+				commandName: 'parse-prd',
+				outputType: isMCP ? 'mcp' : 'cli'
+			});
+		}
 
 		// Create the directory if it doesn't exist
 		const tasksDir = path.dirname(tasksPath);
@@ -275,7 +346,9 @@ Guidelines:
 
 		// Robustly get the actual AI-generated object
 		let generatedData = null;
-		if (aiServiceResponse?.mainResult) {
+		if (stream) {
+			generatedData = parseStreamedTasks(aiServiceResponse.mainResult);
+		} else if (aiServiceResponse?.mainResult) {
 			if (
 				typeof aiServiceResponse.mainResult === 'object' &&
 				aiServiceResponse.mainResult !== null &&
@@ -317,34 +390,59 @@ Guidelines:
 			};
 		});
 
-		// Remap dependencies for the NEWLY processed tasks
+		// Map old AI IDs to new sequential IDs
 		processedNewTasks.forEach((task) => {
 			task.dependencies = task.dependencies
-				.map((depId) => taskMap.get(depId)) // Map old AI ID to new sequential ID
-				.filter(
-					(newDepId) =>
-						newDepId != null && // Must exist
-						newDepId < task.id && // Must be a lower ID (could be existing or newly generated)
-						(findTaskById(existingTasks, newDepId) || // Check if it exists in old tasks OR
-							processedNewTasks.some((t) => t.id === newDepId)) // check if it exists in new tasks
-				);
+				.map((depId) => taskMap.get(depId))
+				.filter((newDepId) => newDepId != null);
 		});
 
-		const finalTasks = append
-			? [...existingTasks, ...processedNewTasks]
-			: processedNewTasks;
-		const outputData = { tasks: finalTasks };
+		const finalTasks = await withTasksChange(
+			tasksPath,
+			'parse-prd',
+			[prdPath, numTasks],
+			async () => {
+				// Tasks appended by others while the AI was working push the new IDs up
+				const currentTasks =
+					append && targetListExists
+						? readJSON(tasksPath, tag)?.tasks || []
+						: existingTasks;
+				const idOffset = Math.max(
+					0,
+					Math.max(0, ...currentTasks.map((t) => t.id || 0)) + 1 - nextId
+				);
+				processedNewTasks.forEach((task) => {
+					task.id += idOffset;
+					task.dependencies = task.dependencies
+						.map((depId) => (depId >= nextId ? depId + idOffset : depId))
+						.filter(
+							(newDepId) =>
+								newDepId < task.id && // Must be a lower ID (could be existing or newly generated)
+								(findTaskById(currentTasks, newDepId) || // Check if it exists in old tasks OR
+									processedNewTasks.some((t) => t.id === newDepId)) // check if it exists in new tasks
+						);
+				});
+
+				const tasks = append
+					? [...currentTasks, ...processedNewTasks]
+					: processedNewTasks;
+
+				// Write the final tasks to the file (only the target tag is replaced)
+				writeJSON(tasksPath, { tasks }, tag);
 
-		// Write the final tasks to the file
-		writeJSON(tasksPath, outputData);
+				// Generate markdown task files after writing tasks.json
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+					mcpLog,
+					tag
+				});
+				return tasks;
+			}
+		);
 		report(
 			`Successfully ${append ? 'appended' : 'generated'} ${processedNewTasks.length} tasks in ${tasksPath}`,
 			'success'
 		);
 
-		// Generate markdown task files after writing tasks.json
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath), { mcpLog });
-
 		// Handle CLI output (e.g., success message)
 		if (outputFormat === 'text') {
 			console.log(
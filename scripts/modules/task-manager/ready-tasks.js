@@ -0,0 +1,191 @@
+/**
+ * ready-tasks.js
+ * Hands out several eligible work items at once, for agents working in
+ * parallel. Items are taken in next-task order and skipped when they
+ * conflict with one already handed out: two subtasks of the same task, or
+ * items declaring the same file or component in the `files` or `component`
+ * custom fields. Optionally claims the items in the same locked write, so
+ * agents asking at the same time never get the same work.
+ */
+
+import fs from 'fs';
+
+import {
+	readJSON,
+	writeJSON,
+	readComplexityReport,
+	addComplexityToTask
+} from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import { getClaimLeaseMinutes } from '../config-manager.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import { rankNextTasks } from './find-next-task.js';
+import { setClaim } from './assign-task.js';
+import { findMilestone } from './milestones.js';
+
+// Custom fields whose values two items worked on at once must not share
+const CONFLICT_FIELDS = ['files', 'component'];
+
+/**
+ * Lists what an item would conflict on: its parent task, and the declared
+ * files and components of the item and of its parent
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @param {Object} item - Work item from rankNextTasks
+ * @returns {Array<{ key: string, label: string }>}
+ */
+function getConflictKeys(tasks, item) {
+	const parent = item.parentId
+		? findTaskByPath(tasks, String(item.parentId))
+		: null;
+	const source = parent ? findTaskByPath(tasks, String(item.id)) : item;
+	const keys = parent
+		? [{ key: `parent:${parent.id}`, label: `subtask of task ${parent.id}` }]
+		: [];
+
+	CONFLICT_FIELDS.forEach((field) => {
+		[source, parent].forEach((owner) => {
+			const value = owner?.customFields?.[field];
+			const values = Array.isArray(value)
+				? value
+				: value === undefined || value === null
+					? []
+					: [value];
+			values.forEach((v) =>
+				keys.push({ key: `${field}:${v}`, label: `${field} ${v}` })
+			);
+		});
+	});
+	return keys;
+}
+
+/**
+ * Picks up to `count` eligible items that can be worked on at the same time
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @param {Object} [complexityReport=null] - Complexity report
+ * @param {Object} [options={}] - Options of rankNextTasks, and:
+ * @param {number} [options.count=1] - How many items to pick
+ * @returns {{ tasks: Array<Object>, skipped: Array<Object> }} The picked items,
+ *   shaped like findNextTask's result with their score, and the better-ranked
+ *   items left out as { id, title, conflictsWith, reason }
+ */
+function selectReadyTasks(tasks, complexityReport = null, options = {}) {
+	const count = options.count ?? 1;
+	if (!Number.isInteger(count) || count <= 0) {
+		throw new Error(`Invalid count: ${count}. Use a positive whole number.`);
+	}
+
+	const picked = [];
+	const skipped = [];
+	const taken = new Map();
+	for (const { item, score } of rankNextTasks(
+		tasks,
+		complexityReport,
+		options
+	)) {
+		if (picked.length >= count) {
+			break;
+		}
+		const keys = getConflictKeys(tasks, item);
+		const conflict = keys.find(({ key }) => taken.has(key));
+		if (conflict) {
+			skipped.push({
+				id: item.id,
+				title: item.title,
+				conflictsWith: taken.get(conflict.key),
+				reason: conflict.label
+			});
+			continue;
+		}
+		keys.forEach(({ key }) => taken.set(key, item.id));
+		// A copy, so the report's score is not written back when claiming
+		const readyItem = { ...item, score: Math.round(score * 100) / 100 };
+		if (complexityReport) {
+			addComplexityToTask(readyItem, complexityReport);
+		}
+		picked.push(readyItem);
+	}
+
+	return { tasks: picked, skipped };
+}
+
+/**
+ * Get the items of a tasks file that agents can work on in parallel,
+ * optionally claiming them
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.count=1] - How many items to return
+ * @param {string} [options.tag] - Tag of the task list to use
+ * @param {string} [options.assignee] - Who the items are for; items owned by others are skipped
+ * @param {number|string} [options.milestone] - Only hand out the tasks of this milestone
+ * @param {boolean} [options.claim=false] - Claim the items for the assignee
+ * @param {number} [options.leaseMinutes] - Lease of the claims (defaults to global.claimLeaseMinutes)
+ * @param {string} [options.complexityReportPath] - Path to the complexity report
+ * @param {string} [options.projectRoot] - Project root for the configuration
+ * @returns {{ tasks: Array<Object>, skipped: Array<Object>, claimedBy: string|null }}
+ *   Claimed items carry their claimExpiresAt (null for a permanent assignment)
+ */
+function getReadyTasks(tasksPath, options = {}) {
+	if (options.claim && !options.assignee?.trim()) {
+		throw new Error('An assignee is required to claim tasks');
+	}
+	const leaseMinutes = options.claim
+		? (options.leaseMinutes ?? getClaimLeaseMinutes(options.projectRoot))
+		: null;
+	if (options.claim && !(leaseMinutes > 0)) {
+		throw new Error(`Invalid lease: ${leaseMinutes}. Use a number of minutes.`);
+	}
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+
+	const data = readJSON(tasksPath, options.tag);
+	const assignee = options.assignee?.trim();
+	const taskIds = options.milestone
+		? findMilestone(data, options.milestone).taskIds
+		: undefined;
+	const result = selectReadyTasks(
+		data.tasks || [],
+		readComplexityReport(options.complexityReportPath),
+		{ ...options, assignee, taskIds }
+	);
+	if (!options.claim) {
+		return { ...result, claimedBy: null };
+	}
+
+	const now = new Date();
+	result.tasks.forEach((item) => {
+		const claimExpiresAt = setClaim(
+			findTaskByPath(data.tasks, String(item.id)),
+			assignee,
+			leaseMinutes,
+			now
+		);
+		item.assignee = assignee;
+		item.claimExpiresAt = claimExpiresAt;
+	});
+	if (result.tasks.length > 0) {
+		writeJSON(tasksPath, data);
+	}
+	return { ...result, claimedBy: assignee };
+}
+
+const lockedGetReadyTasks = withPathLockSync(
+	withHistorySync(getReadyTasks, 'claim')
+);
+
+/**
+ * Get ready tasks; claiming takes the tasks file lock and is recorded in the
+ * history like `claim`
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options={}] - Options of getReadyTasks
+ * @returns {Object} Result of getReadyTasks
+ */
+function readyTasks(tasksPath, options = {}) {
+	return options.claim
+		? lockedGetReadyTasks(tasksPath, options)
+		: getReadyTasks(tasksPath, options);
+}
+
+export default readyTasks;
+export { CONFLICT_FIELDS, selectReadyTasks };
@@ -1,26 +1,38 @@
 import path from 'path';
-import { log, readJSON, writeJSON } from '../utils.js';
+import {
+	log,
+	readJSON,
+	writeJSON,
+	parseTaskId,
+	resolveDependencyId
+} from '../utils.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import { withPathLock } from '../file-lock.js';
+import { withHistory } from '../history.js';
 import generateTaskFiles from './generate-task-files.js';
 
 /**
  * Remove a subtask from its parent task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId"
+ * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId", where
+ *   parentId may itself be a subtask ID (e.g. "5.2.1")
  * @param {boolean} convertToTask - Whether to convert the subtask to a standalone task
  * @param {boolean} generateFiles - Whether to regenerate task files after removing the subtask
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list)
  * @returns {Object|null} The removed subtask if convertToTask is true, otherwise null
  */
 async function removeSubtask(
 	tasksPath,
 	subtaskId,
 	convertToTask = false,
-	generateFiles = true
+	generateFiles = true,
+	context = {}
 ) {
 	try {
 		log('info', `Removing subtask ${subtaskId}...`);
 
 		// Read the existing tasks
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, context.tag);
 		if (!data || !data.tasks) {
 			throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
 		}
@@ -32,12 +44,10 @@ async function removeSubtask(
 			);
 		}
 
-		const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-		const parentId = parseInt(parentIdStr, 10);
-		const subtaskIdNum = parseInt(subtaskIdStr, 10);
+		const { parentId, id: subtaskIdNum } = parseTaskId(subtaskId);
 
-		// Find the parent task
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		// Find the parent task (or parent subtask)
+		const parentTask = findTaskByPath(data.tasks, parentId);
 		if (!parentTask) {
 			throw new Error(`Parent task with ID ${parentId} not found`);
 		}
@@ -76,15 +86,29 @@ async function removeSubtask(
 			const highestId = Math.max(...data.tasks.map((t) => t.id));
 			const newTaskId = highestId + 1;
 
-			// Create the new task from the subtask
+			// Create the new task from the subtask. Its dependencies on sibling
+			// subtasks become full IDs, as plain numbers would name tasks now.
+			const topLevelTask = findTaskByPath(
+				data.tasks,
+				String(parentId).split('.')[0]
+			);
 			convertedTask = {
 				id: newTaskId,
 				title: removedSubtask.title,
 				description: removedSubtask.description || '',
 				details: removedSubtask.details || '',
 				status: removedSubtask.status || 'pending',
-				dependencies: removedSubtask.dependencies || [],
-				priority: parentTask.priority || 'medium' // Inherit priority from parent
+				dependencies: (removedSubtask.dependencies || []).map((dep) => {
+					const fullId = resolveDependencyId(dep, parentId);
+					return dep !== null && typeof dep === 'object'
+						? { ...dep, id: fullId }
+						: fullId;
+				}),
+				// Inherit priority from parent, or from the task it belongs to
+				priority: parentTask.priority || topLevelTask.priority || 'medium',
+				...(removedSubtask.subtasks
+					? { subtasks: removedSubtask.subtasks }
+					: {})
 			};
 
 			// Add the parent task as a dependency if not already present
@@ -106,7 +130,9 @@ async function removeSubtask(
 		// Generate task files if requested
 		if (generateFiles) {
 			log('info', 'Regenerating task files...');
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+				tag: data.tag
+			});
 		}
 
 		return convertedTask;
@@ -116,4 +142,4 @@ async function removeSubtask(
 	}
 }
 
-export default removeSubtask;
+export default withPathLock(withHistory(removeSubtask, 'remove-subtask'));
@@ -1,7 +1,18 @@
 import fs from 'fs';
 import path from 'path';
 
-import { log, readJSON, writeJSON } from '../utils.js';
+import {
+	log,
+	readJSON,
+	writeJSON,
+	getTaskFileName,
+	resolveDependencyId,
+	parseTaskId,
+	forEachSubtask
+} from '../utils.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import { withPathLock } from '../file-lock.js';
+import { withHistory } from '../history.js';
 import generateTaskFiles from './generate-task-files.js';
 import taskExists from './task-exists.js';
 
@@ -9,9 +20,10 @@ import taskExists from './task-exists.js';
  * Removes one or more tasks or subtasks from the tasks file
  * @param {string} tasksPath - Path to the tasks file
  * @param {string} taskIds - Comma-separated string of task/subtask IDs to remove (e.g., '5,6.1,7')
+ * @param {Object} [context={}] - Context object (tag to target a tagged task list)
  * @returns {Object} Result object with success status, messages, and removed task info
  */
-async function removeTask(tasksPath, taskIds) {
+async function removeTask(tasksPath, taskIds, context = {}) {
 	const results = {
 		success: true,
 		messages: [],
@@ -31,7 +43,7 @@ async function removeTask(tasksPath, taskIds) {
 
 	try {
 		// Read the tasks file ONCE before the loop
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, context.tag);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
@@ -48,14 +60,12 @@ async function removeTask(tasksPath, taskIds) {
 			}
 
 			try {
-				// Handle subtask removal (e.g., '5.2')
+				// Handle subtask removal (e.g., '5.2' or '5.2.1')
 				if (typeof taskId === 'string' && taskId.includes('.')) {
-					const [parentTaskId, subtaskId] = taskId
-						.split('.')
-						.map((id) => parseInt(id, 10));
+					const { parentId: parentTaskId, id: subtaskId } = parseTaskId(taskId);
 
 					// Find the parent task
-					const parentTask = data.tasks.find((t) => t.id === parentTaskId);
+					const parentTask = findTaskByPath(data.tasks, parentTaskId);
 					if (!parentTask || !parentTask.subtasks) {
 						throw new Error(
 							`Parent task ${parentTaskId} or its subtasks not found for subtask ${taskId}`
@@ -119,29 +129,31 @@ async function removeTask(tasksPath, taskIds) {
 		if (results.removedTasks.length > 0) {
 			// Remove all references AFTER all tasks/subtasks are removed
 			const allRemovedIds = new Set(
-				taskIdsToRemove.map((id) =>
-					typeof id === 'string' && id.includes('.') ? id : parseInt(id, 10)
-				)
+				taskIdsToRemove.map((id) => String(id).trim())
 			);
+			// A removed task or subtask takes its own subtasks along, wherever
+			// they are referenced
+			const isRemoved = (fullId) =>
+				fullId
+					.split('.')
+					.some((_, i, parts) =>
+						allRemovedIds.has(parts.slice(0, i + 1).join('.'))
+					);
 
 			data.tasks.forEach((task) => {
 				// Clean dependencies in main tasks
 				if (task.dependencies) {
 					task.dependencies = task.dependencies.filter(
-						(depId) => !allRemovedIds.has(depId)
+						(depId) => !isRemoved(resolveDependencyId(depId))
 					);
 				}
-				// Clean dependencies in remaining subtasks
-				if (task.subtasks) {
-					task.subtasks.forEach((subtask) => {
-						if (subtask.dependencies) {
-							subtask.dependencies = subtask.dependencies.filter(
-								(depId) =>
-									!allRemovedIds.has(`${task.id}.${depId}`) &&
-									!allRemovedIds.has(depId) // check both subtask and main task refs
-							);
-						}
-					});
+			});
+			// Clean dependencies in remaining subtasks
+			forEachSubtask(data.tasks, (subtask, parentId) => {
+				if (subtask.dependencies) {
+					subtask.dependencies = subtask.dependencies.filter(
+						(depId) => !isRemoved(resolveDependencyId(depId, parentId))
+					);
 				}
 			});
 
@@ -152,7 +164,7 @@ async function removeTask(tasksPath, taskIds) {
 			for (const taskIdNum of tasksToDeleteFiles) {
 				const taskFileName = path.join(
 					path.dirname(tasksPath),
-					`task_${taskIdNum.toString().padStart(3, '0')}.txt`
+					getTaskFileName(taskIdNum, data.tag)
 				);
 				if (fs.existsSync(taskFileName)) {
 					try {
@@ -169,7 +181,9 @@ async function removeTask(tasksPath, taskIds) {
 
 			// Generate updated task files ONCE
 			try {
-				await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+					tag: data.tag
+				});
 				results.messages.push('Task files regenerated successfully.');
 			} catch (genError) {
 				const genErrMsg = `Failed to regenerate task files: ${genError.message}`;
@@ -204,4 +218,4 @@ async function removeTask(tasksPath, taskIds) {
 	}
 }
 
-export default removeTask;
+export default withPathLock(withHistory(removeTask, 'remove-task'));
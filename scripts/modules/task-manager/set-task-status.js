@@ -2,10 +2,12 @@ import path from 'path';
 import chalk from 'chalk';
 import boxen from 'boxen';
 
-import { log, readJSON, writeJSON, findTaskById } from '../utils.js';
+import { log, findTaskById } from '../utils.js';
+import { withPathLock } from '../file-lock.js';
+import { withHistory } from '../history.js';
 import { displayBanner } from '../ui.js';
-import { validateTaskDependencies } from '../dependency-manager.js';
 import { getDebugFlag } from '../config-manager.js';
+import { getTaskStorage } from '../storage/index.js';
 import updateSingleTaskStatus from './update-single-task-status.js';
 import generateTaskFiles from './generate-task-files.js';
 import {
@@ -18,7 +20,7 @@ import {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIdInput - Task ID(s) to update
  * @param {string} newStatus - New status
- * @param {Object} options - Additional options (mcpLog for MCP mode)
+ * @param {Object} options - Additional options (mcpLog for MCP mode, tag to target a tagged task list)
  * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
  */
 async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
@@ -45,8 +47,8 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 		}
 
 		log('info', `Reading tasks from ${tasksPath}...`);
-		const data = readJSON(tasksPath);
-		if (!data || !data.tasks) {
+		const storage = getTaskStorage(tasksPath);
+		if (!storage.exists()) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
 
@@ -54,23 +56,32 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 		const taskIds = taskIdInput.split(',').map((id) => id.trim());
 		const updatedTasks = [];
 
+		// A status change stays within its top-level task, so only the tasks
+		// holding the given IDs are read and stored back
+		const topLevelIds = new Set(
+			taskIds.map((id) => parseInt(id.split('.')[0], 10))
+		);
+		const data = {
+			tasks: [...topLevelIds]
+				.map((id) => storage.getTask(id, { tag: options.tag }))
+				.filter(Boolean)
+		};
+
 		// Update each task
 		for (const id of taskIds) {
 			await updateSingleTaskStatus(tasksPath, id, newStatus, data, !isMcpMode);
 			updatedTasks.push(id);
 		}
 
-		// Write the updated tasks to the file
-		writeJSON(tasksPath, data);
-
-		// Validate dependencies after status update
-		log('info', 'Validating dependencies after status update...');
-		validateTaskDependencies(data.tasks);
+		storage.transaction((tx) =>
+			data.tasks.forEach((task) => tx.upsertTask(task, { tag: options.tag }))
+		);
 
 		// Generate individual task files
 		log('info', 'Regenerating task files...');
 		await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
-			mcpLog: options.mcpLog
+			mcpLog: options.mcpLog,
+			tag: options.tag
 		});
 
 		// Display success message - only in CLI mode
@@ -120,4 +131,4 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 	}
 }
 
-export default setTaskStatus;
+export default withPathLock(withHistory(setTaskStatus, 'set-status'));
@@ -0,0 +1,216 @@
+/**
+ * tag-management.js
+ * Core functionality for managing tagged task lists (independent task
+ * contexts stored side by side in one tasks.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	log,
+	writeJSON,
+	getTaskFileName,
+	readTaggedTasksFile,
+	isValidTagName,
+	DEFAULT_TAG
+} from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+
+/**
+ * Reads the tagged structure of an existing tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Object} Tagged tasks data
+ */
+function loadTaggedData(tasksPath) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+	return readTaggedTasksFile(tasksPath);
+}
+
+/**
+ * Throws if a tag name is not usable
+ * @param {string} tagName - Tag name to validate
+ */
+function assertValidTagName(tagName) {
+	if (!isValidTagName(tagName)) {
+		throw new Error(
+			`Invalid tag name "${tagName}". Use letters, numbers, hyphens and underscores, starting with a letter or number.`
+		);
+	}
+}
+
+/**
+ * Create a new, empty tag (or a copy of an existing one)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} tagName - Name of the tag to create
+ * @param {Object} [options] - Additional options
+ * @param {string} [options.copyFrom] - Existing tag whose tasks should be copied
+ * @param {string} [options.description] - Optional description of the tag
+ * @returns {Object} The created tag summary ({ name, taskCount })
+ */
+function createTag(tasksPath, tagName, options = {}) {
+	const { copyFrom, description } = options;
+	assertValidTagName(tagName);
+
+	const data = loadTaggedData(tasksPath);
+	if (data.tags[tagName]) {
+		throw new Error(`Tag "${tagName}" already exists`);
+	}
+	if (copyFrom && !data.tags[copyFrom]) {
+		throw new Error(`Source tag "${copyFrom}" does not exist`);
+	}
+
+	const tasks = copyFrom
+		? JSON.parse(JSON.stringify(data.tags[copyFrom].tasks || []))
+		: [];
+
+	data.tags[tagName] = {
+		tasks,
+		metadata: {
+			created: new Date().toISOString(),
+			...(description ? { description } : {}),
+			...(copyFrom ? { copiedFrom: copyFrom } : {})
+		}
+	};
+
+	writeJSON(tasksPath, data);
+	log(
+		'info',
+		`Created tag "${tagName}"${copyFrom ? ` from "${copyFrom}"` : ''} with ${tasks.length} tasks`
+	);
+
+	return { name: tagName, taskCount: tasks.length };
+}
+
+/**
+ * Copy an existing tag to a new tag
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} sourceTag - Tag to copy
+ * @param {string} targetTag - Name of the new tag
+ * @param {Object} [options] - Additional options (description)
+ * @returns {Object} The created tag summary ({ name, taskCount })
+ */
+function copyTag(tasksPath, sourceTag, targetTag, options = {}) {
+	return createTag(tasksPath, targetTag, { ...options, copyFrom: sourceTag });
+}
+
+/**
+ * Delete a tag and all of its tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} tagName - Tag to delete
+ * @returns {Object} Summary of the deletion ({ name, removedTaskCount, currentTag })
+ */
+function deleteTag(tasksPath, tagName) {
+	if (tagName === DEFAULT_TAG) {
+		throw new Error(`The default tag "${DEFAULT_TAG}" cannot be deleted`);
+	}
+
+	const data = loadTaggedData(tasksPath);
+	if (!data.tags[tagName]) {
+		throw new Error(`Tag "${tagName}" does not exist`);
+	}
+
+	const removedTasks = data.tags[tagName].tasks || [];
+	delete data.tags[tagName];
+
+	// Fall back to the default tag if the active tag was removed
+	if (data.currentTag === tagName) {
+		data.currentTag = DEFAULT_TAG;
+		if (!data.tags[DEFAULT_TAG]) {
+			data.tags[DEFAULT_TAG] = { tasks: [] };
+		}
+	}
+
+	writeJSON(tasksPath, data);
+	log(
+		'info',
+		`Deleted tag "${tagName}" (${removedTasks.length} tasks removed)`
+	);
+
+	// Generated task files of the tag live next to tasks.json
+	removedTasks.forEach((task) => {
+		const taskFile = path.join(
+			path.dirname(tasksPath),
+			getTaskFileName(task.id, tagName)
+		);
+		if (fs.existsSync(taskFile)) {
+			fs.unlinkSync(taskFile);
+		}
+	});
+
+	return {
+		name: tagName,
+		removedTaskCount: removedTasks.length,
+		currentTag: data.currentTag
+	};
+}
+
+/**
+ * Switch the active tag used when no tag is given explicitly
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} tagName - Tag to activate
+ * @returns {Object} The new active tag summary ({ name, previousTag, taskCount })
+ */
+function useTag(tasksPath, tagName) {
+	const data = loadTaggedData(tasksPath);
+	if (!data.tags[tagName]) {
+		throw new Error(
+			`Tag "${tagName}" does not exist. Available tags: ${Object.keys(data.tags).join(', ')}`
+		);
+	}
+
+	const previousTag = data.currentTag || DEFAULT_TAG;
+	data.currentTag = tagName;
+	writeJSON(tasksPath, data);
+	log('info', `Switched active tag from "${previousTag}" to "${tagName}"`);
+
+	return {
+		name: tagName,
+		previousTag,
+		taskCount: (data.tags[tagName].tasks || []).length
+	};
+}
+
+/**
+ * List all tags with task counts
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Object} { currentTag, tags: Array<{ name, isCurrent, taskCount, completedCount, description, created }> }
+ */
+function listTags(tasksPath) {
+	const data = loadTaggedData(tasksPath);
+	const currentTag = data.currentTag || DEFAULT_TAG;
+
+	const tags = Object.entries(data.tags).map(([name, tagData]) => {
+		const tasks = tagData.tasks || [];
+		return {
+			name,
+			isCurrent: name === currentTag,
+			taskCount: tasks.length,
+			completedCount: tasks.filter(
+				(t) => t.status === 'done' || t.status === 'completed'
+			).length,
+			description: tagData.metadata?.description || '',
+			created: tagData.metadata?.created || null
+		};
+	});
+
+	return { currentTag, tags };
+}
+
+const lockedCreateTag = withPathLockSync(withHistorySync(createTag, 'add-tag'));
+const lockedCopyTag = withPathLockSync(withHistorySync(copyTag, 'copy-tag'));
+const lockedDeleteTag = withPathLockSync(
+	withHistorySync(deleteTag, 'delete-tag')
+);
+const lockedUseTag = withPathLockSync(withHistorySync(useTag, 'use-tag'));
+
+export {
+	lockedCreateTag as createTag,
+	lockedCopyTag as copyTag,
+	lockedDeleteTag as deleteTag,
+	lockedUseTag as useTag,
+	listTags
+};
@@ -0,0 +1,128 @@
+/**
+ * task-impact.js
+ * Impact analysis: everything downstream of tasks that are about to be
+ * removed, deferred or cancelled.
+ */
+
+import fs from 'fs';
+
+import { readJSON } from '../utils.js';
+import { buildDependencyGraph } from './dependency-graph.js';
+
+const FINISHED_STATUSES = ['done', 'completed'];
+const CLOSED_STATUSES = [...FINISHED_STATUSES, 'cancelled'];
+
+/**
+ * Analyzes what depends on tasks or subtasks, directly or transitively.
+ * The subtasks of a task, at any depth, count as part of it, both for the
+ * tasks analyzed and for the tasks affected. Only blocking dependencies are followed.
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @param {string|number|Array<string|number>} taskIds - Task or subtask ID(s); a string may be comma-separated
+ * @returns {Object} { taskIds, dependents, direct, unblockedOnRemoval, blockedIfAbandoned, atRisk }:
+ *   - dependents: downstream items { id, title, status, depth }, depth 1 being direct dependents
+ *   - direct: IDs of the direct dependents
+ *   - unblockedOnRemoval: IDs of open direct dependents that would have no unfinished
+ *     dependency left once the tasks are removed (remove-task drops the references)
+ *   - blockedIfAbandoned: IDs of open downstream items that could never start if the
+ *     tasks were deferred or cancelled instead
+ *   - atRisk: { items, total, percent } open items (analyzed and downstream) out of all
+ *     tasks and subtasks, i.e. the share of the project that cannot be completed
+ * @throws {Error} If a task does not exist
+ */
+function analyzeTaskImpact(tasks, taskIds) {
+	const ids = (Array.isArray(taskIds) ? taskIds : String(taskIds).split(','))
+		.map((id) => String(id).trim())
+		.filter(Boolean);
+	const graph = buildDependencyGraph(tasks);
+	const { nodes } = graph;
+	const edges = graph.edges.filter((edge) => edge.type === 'blocks');
+	const byId = new Map(nodes.map((node) => [node.id, node]));
+	const subtasksOf = (id) =>
+		nodes.filter((node) => node.id.startsWith(`${id}.`));
+	const isOpen = (node) => !CLOSED_STATUSES.includes(node.status);
+
+	const targets = new Set();
+	ids.forEach((id) => {
+		if (!byId.has(id)) {
+			throw new Error(`Task ${id} not found`);
+		}
+		targets.add(id);
+		subtasksOf(id).forEach((subtask) => targets.add(subtask.id));
+	});
+
+	// Breadth-first along the edges to dependents
+	const depths = new Map();
+	let frontier = [...targets];
+	for (let depth = 1; frontier.length > 0; depth++) {
+		const next = [];
+		edges
+			.filter((edge) => frontier.includes(edge.from))
+			.forEach(({ to }) => {
+				[to, ...subtasksOf(to).map((subtask) => subtask.id)].forEach((id) => {
+					if (!targets.has(id) && !depths.has(id)) {
+						depths.set(id, depth);
+						next.push(id);
+					}
+				});
+			});
+		frontier = next;
+	}
+
+	const dependents = [...depths.entries()].map(([id, depth]) => {
+		const { title, status } = byId.get(id);
+		return { id, title, status, depth };
+	});
+	const direct = dependents.filter((item) => item.depth === 1);
+
+	const unfinishedDeps = (id) =>
+		edges
+			.filter((edge) => edge.to === id)
+			.map((edge) => byId.get(edge.from))
+			.filter((dep) => !FINISHED_STATUSES.includes(dep.status));
+	const unblockedOnRemoval = direct
+		.filter(
+			(item) =>
+				isOpen(item) &&
+				unfinishedDeps(item.id).length > 0 &&
+				unfinishedDeps(item.id).every((dep) => targets.has(dep.id))
+		)
+		.map((item) => item.id);
+
+	const openTargets = [...targets].filter((id) => isOpen(byId.get(id)));
+	const openDependents = dependents.filter(isOpen);
+	const atRiskItems = openTargets.length + openDependents.length;
+
+	return {
+		taskIds: ids,
+		dependents,
+		direct: direct.map((item) => item.id),
+		unblockedOnRemoval,
+		blockedIfAbandoned: openDependents.map((item) => item.id),
+		atRisk: {
+			items: atRiskItems,
+			total: nodes.length,
+			percent:
+				nodes.length > 0
+					? Math.round((atRiskItems / nodes.length) * 1000) / 10
+					: 0
+		}
+	};
+}
+
+/**
+ * Analyze the impact of removing, deferring or cancelling tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskIds - Task or subtask ID(s), comma-separated
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {Object} Result of analyzeTaskImpact
+ */
+function getTaskImpact(tasksPath, taskIds, context = {}) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+	const data = readJSON(tasksPath, context.tag);
+	return analyzeTaskImpact(data.tasks || [], taskIds);
+}
+
+export default getTaskImpact;
+export { analyzeTaskImpact };
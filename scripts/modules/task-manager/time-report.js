@@ -0,0 +1,165 @@
+/**
+ * time-report.js
+ * Aggregates tracked time by task, status and tag, and sets it against the
+ * estimates and the complexity scores of analyze-complexity.
+ */
+
+import fs from 'fs';
+
+import {
+	forEachSubtask,
+	readComplexityReport,
+	readTaggedTasksFile
+} from '../utils.js';
+import { getTrackedMinutes } from '../task-time.js';
+
+const addTo = (totals, key, minutes) => {
+	totals[key] = (totals[key] || 0) + minutes;
+};
+
+/**
+ * Build the time report of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {string} [options.tag] - Only report this tag (defaults to all tags)
+ * @param {string} [options.complexityReportPath] - Complexity report to compare with
+ *   (scripts/task-complexity-report.json by default). Its scores are matched to
+ *   the tasks of the active tag, which is the list analyze-complexity scores.
+ * @param {Date} [options.now=new Date()] - End of timers still running
+ * @returns {Object} { tasks, byStatus, byTag, totalMinutes, complexity }. Task rows are
+ *   { tag, id, title, status, estimate, trackedMinutes, running, complexityScore,
+ *   hoursPerPoint }, where trackedMinutes includes the subtasks at any depth. Each
+ *   estimated subtask follows its task with a row of its own, whose ID is the full
+ *   subtask ID and whose trackedMinutes includes its own subtasks; it has no
+ *   complexity. byStatus counts each task and subtask under its own status.
+ *   complexity is null without a report, else { reportPath, scoredTasks,
+ *   hoursPerPoint } over the scored tasks with tracked time.
+ */
+function getTimeReport(tasksPath, options = {}) {
+	const { tag, now = new Date() } = options;
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+
+	const data = readTaggedTasksFile(tasksPath);
+	if (tag && !data.tags[tag]) {
+		throw new Error(`Tag "${tag}" does not exist`);
+	}
+	const tagNames = tag ? [tag] : Object.keys(data.tags);
+
+	const complexityReportPath =
+		options.complexityReportPath || 'scripts/task-complexity-report.json';
+	const complexityReport = tagNames.includes(data.currentTag)
+		? readComplexityReport(complexityReportPath)
+		: null;
+	const scores = new Map(
+		(complexityReport?.complexityAnalysis || []).map((analysis) => [
+			analysis.taskId,
+			analysis.complexityScore
+		])
+	);
+
+	// A task or subtask with its subtasks at any depth
+	const withSubtasks = (item) => {
+		const items = [item];
+		forEachSubtask([item], (subtask) => items.push(subtask));
+		return items;
+	};
+	const isRunning = (items) =>
+		items.some((item) => (item.timeEntries || []).some((entry) => !entry.end));
+
+	const rows = [];
+	const byStatus = {};
+	const byTag = {};
+	tagNames.forEach((tagName) => {
+		byTag[tagName] = 0;
+		(data.tags[tagName].tasks || []).forEach((task) => {
+			const items = withSubtasks(task);
+			let trackedMinutes = 0;
+			items.forEach((item) => {
+				const minutes = getTrackedMinutes(item, now);
+				trackedMinutes += minutes;
+				if (minutes > 0) {
+					addTo(byStatus, item.status || 'pending', minutes);
+				}
+			});
+			byTag[tagName] += trackedMinutes;
+
+			const subtaskRows = [];
+			forEachSubtask([task], (subtask, parentId) => {
+				if (!subtask.estimate) {
+					return;
+				}
+				const subtaskItems = withSubtasks(subtask);
+				subtaskRows.push({
+					tag: tagName,
+					id: `${parentId}.${subtask.id}`,
+					title: subtask.title,
+					status: subtask.status,
+					estimate: subtask.estimate,
+					trackedMinutes: subtaskItems.reduce(
+						(sum, item) => sum + getTrackedMinutes(item, now),
+						0
+					),
+					running: isRunning(subtaskItems),
+					complexityScore: null,
+					hoursPerPoint: null
+				});
+			});
+
+			const complexityScore =
+				tagName === data.currentTag ? scores.get(task.id) : undefined;
+			if (
+				!trackedMinutes &&
+				!task.estimate &&
+				complexityScore === undefined &&
+				subtaskRows.length === 0
+			) {
+				return;
+			}
+			rows.push(
+				{
+					tag: tagName,
+					id: task.id,
+					title: task.title,
+					status: task.status,
+					estimate: task.estimate || null,
+					trackedMinutes,
+					running: isRunning(items),
+					complexityScore: complexityScore ?? null,
+					hoursPerPoint:
+						complexityScore && trackedMinutes
+							? trackedMinutes / 60 / complexityScore
+							: null
+				},
+				...subtaskRows
+			);
+		});
+	});
+
+	const scored = rows.filter((row) => row.hoursPerPoint !== null);
+	const scoredMinutes = scored.reduce(
+		(sum, row) => sum + row.trackedMinutes,
+		0
+	);
+	const scoredPoints = scored.reduce(
+		(sum, row) => sum + row.complexityScore,
+		0
+	);
+
+	return {
+		tasks: rows,
+		byStatus,
+		byTag,
+		totalMinutes: Object.values(byTag).reduce((sum, m) => sum + m, 0),
+		complexity: complexityReport
+			? {
+					reportPath: complexityReportPath,
+					scoredTasks: scored.length,
+					hoursPerPoint: scoredPoints ? scoredMinutes / 60 / scoredPoints : null
+				}
+			: null
+	};
+}
+
+export default getTimeReport;
@@ -0,0 +1,169 @@
+/**
+ * time-tracking.js
+ * Estimates and work sessions of tasks and subtasks. A person runs one timer
+ * at a time per task list; starting work on another task means stopping the
+ * current timer first.
+ */
+
+import { forEachSubtask, updateStoredTasks } from '../utils.js';
+import { withPathLockSync } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import { getCurrentActor } from '../audit-log.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import {
+	parseEstimate,
+	getRunningSession,
+	getTrackedMinutes
+} from '../task-time.js';
+
+function getItem(tasks, id) {
+	const item = /^\d+(\.\d+)*$/.test(id) ? findTaskByPath(tasks, id) : null;
+	if (!item) {
+		throw new Error(`Task ${id} not found`);
+	}
+	return item;
+}
+
+/**
+ * Lists every task and subtask, at any depth, with its full ID
+ * @param {Array<Object>} tasks - Top-level tasks
+ * @returns {Array<{ id: string, item: Object, task: Object }>} task is the
+ *   top-level task holding the item
+ */
+function listItems(tasks) {
+	return tasks.flatMap((task) => {
+		const items = [{ id: String(task.id), item: task, task }];
+		forEachSubtask([task], (subtask, parentId) =>
+			items.push({ id: `${parentId}.${subtask.id}`, item: subtask, task })
+		);
+		return items;
+	});
+}
+
+// Timers run one at a time per person, so every task of the tag is checked
+function findRunningItem(storage, tag, by) {
+	return listItems(storage.listTasks({ tag })).find(({ item }) =>
+		getRunningSession(item, by)
+	);
+}
+
+/**
+ * Set or clear the estimate of tasks or subtasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskIds - Task ID(s), comma-separated (e.g. "3,4.1")
+ * @param {string|null} estimate - Estimate like "3h" or "5pt"; null or '' clears it
+ * @param {Object} [context={}] - Context (tag to select a tagged task list)
+ * @returns {{ taskIds: Array<string>, estimate: Object|null }}
+ */
+function setEstimate(tasksPath, taskIds, estimate, context = {}) {
+	const parsed = parseEstimate(estimate);
+	const ids = String(taskIds)
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+
+	updateStoredTasks(tasksPath, ids, context.tag, (tasks) =>
+		ids.forEach((id) => {
+			const item = getItem(tasks, id);
+			if (parsed) {
+				item.estimate = parsed;
+			} else {
+				delete item.estimate;
+			}
+		})
+	);
+
+	return { taskIds: ids, estimate: parsed };
+}
+
+/**
+ * Start a timer on a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task or subtask ID
+ * @param {Object} [context={}] - Context
+ * @param {string} [context.tag] - Tag of the task list to use
+ * @param {string} [context.by] - Who is working (defaults to the current actor)
+ * @returns {{ taskId: string, by: string, start: string }}
+ */
+function startTimer(tasksPath, taskId, context = {}) {
+	const by = context.by || getCurrentActor().name;
+	const id = String(taskId).trim();
+
+	return updateStoredTasks(tasksPath, [id], context.tag, (tasks, storage) => {
+		const item = getItem(tasks, id);
+		if (['done', 'completed', 'cancelled'].includes(item.status)) {
+			throw new Error(`Task ${id} is already ${item.status}`);
+		}
+
+		const running = findRunningItem(storage, context.tag, by);
+		if (running) {
+			const { start } = getRunningSession(running.item, by);
+			throw new Error(
+				`${by} already has a timer running on task ${running.id} since ${start}. Stop it first.`
+			);
+		}
+
+		const start = new Date().toISOString();
+		item.timeEntries = [...(item.timeEntries || []), { start, by }];
+		return { taskId: id, by, start };
+	});
+}
+
+/**
+ * Stop a running timer
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number|null} taskId - Task or subtask ID; null stops whichever timer the person runs
+ * @param {Object} [context={}] - Context
+ * @param {string} [context.tag] - Tag of the task list to use
+ * @param {string} [context.by] - Whose timer to stop (defaults to the current actor)
+ * @returns {{ taskId: string, by: string, start: string, end: string, minutes: number, totalMinutes: number }}
+ *   minutes is the length of the session, totalMinutes the time tracked on the item so far
+ */
+function stopTimer(tasksPath, taskId, context = {}) {
+	const by = context.by || getCurrentActor().name;
+	const hasTaskId = taskId !== null && taskId !== undefined && taskId !== '';
+	const ids = hasTaskId ? [String(taskId).trim()] : [];
+
+	return updateStoredTasks(tasksPath, ids, context.tag, (tasks, storage) => {
+		let id;
+		let item;
+		if (hasTaskId) {
+			id = ids[0];
+			item = getItem(tasks, id);
+			if (!getRunningSession(item, by)) {
+				throw new Error(`${by} has no timer running on task ${id}`);
+			}
+		} else {
+			const running = findRunningItem(storage, context.tag, by);
+			if (!running) {
+				throw new Error(`${by} has no timer running`);
+			}
+			({ id, item } = running);
+			tasks.push(running.task);
+		}
+
+		const session = getRunningSession(item, by);
+		session.end = new Date().toISOString();
+
+		return {
+			taskId: id,
+			by,
+			start: session.start,
+			end: session.end,
+			minutes: getTrackedMinutes({ timeEntries: [session] }),
+			totalMinutes: getTrackedMinutes(item)
+		};
+	});
+}
+
+const lockedSetEstimate = withPathLockSync(
+	withHistorySync(setEstimate, 'estimate')
+);
+const lockedStartTimer = withPathLockSync(withHistorySync(startTimer, 'start'));
+const lockedStopTimer = withPathLockSync(withHistorySync(stopTimer, 'stop'));
+
+export {
+	lockedSetEstimate as setEstimate,
+	lockedStartTimer as startTimer,
+	lockedStopTimer as stopTimer
+};
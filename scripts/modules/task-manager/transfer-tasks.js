@@ -0,0 +1,93 @@
+/**
+ * transfer-tasks.js
+ * Export of all tags to a standalone JSON file, and import of such a file
+ * into the storage backend configured in .taskmasterconfig. Together they
+ * convert a project between JSON and SQLite storage.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { log, isTasksFileData, readTaggedTasksFile } from '../utils.js';
+import { withPathLockSync, writeFileAtomic } from '../file-lock.js';
+import { withHistorySync } from '../history.js';
+import { getAutoMigrate } from '../config-manager.js';
+import { loadTasksData } from '../tasks-schema.js';
+import { getConfiguredTaskStorage, getTaskStorage } from '../storage/index.js';
+
+function summarize(data) {
+	const tags = Object.values(data.tags);
+	return {
+		tagCount: tags.length,
+		taskCount: tags.reduce((sum, tagData) => sum + tagData.tasks.length, 0)
+	};
+}
+
+/**
+ * Write every tag of a project to a JSON file in the tasks.json format
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} outputPath - File to write
+ * @returns {Object} { outputPath, storage, tagCount, taskCount }
+ */
+function exportTasks(tasksPath, outputPath) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at path: ${tasksPath}`);
+	}
+	if (path.resolve(outputPath) === path.resolve(tasksPath)) {
+		throw new Error('Choose an output file other than the tasks file itself');
+	}
+
+	const storage = getTaskStorage(tasksPath);
+	const data = readTaggedTasksFile(tasksPath);
+	fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+	writeFileAtomic(outputPath, JSON.stringify(data, null, 2));
+
+	log('success', `Exported ${storage.type} storage to ${outputPath}`);
+	return { outputPath, storage: storage.type, ...summarize(data) };
+}
+
+/**
+ * Replace all tasks of a project with the contents of a JSON tasks file,
+ * stored in the backend configured in .taskmasterconfig. Without an input
+ * file the project's current tasks are moved to the configured backend.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} [options] - Options
+ * @param {string} [options.input] - JSON tasks file to import (any schema version)
+ * @returns {Object} { storage, location, tagCount, taskCount }
+ */
+function importTasks(tasksPath, options = {}) {
+	const { input } = options;
+
+	let data;
+	if (input) {
+		if (!fs.existsSync(input)) {
+			throw new Error(`Import file not found at path: ${input}`);
+		}
+		const rawData = JSON.parse(fs.readFileSync(input, 'utf8'));
+		if (!isTasksFileData(rawData)) {
+			throw new Error(`${input} does not contain exported tasks`);
+		}
+		data = loadTasksData(rawData, input, { autoMigrate: getAutoMigrate() });
+	} else {
+		if (!fs.existsSync(tasksPath)) {
+			throw new Error(`Tasks file not found at path: ${tasksPath}`);
+		}
+		data = readTaggedTasksFile(tasksPath);
+	}
+
+	const target = getConfiguredTaskStorage(tasksPath);
+	target.writeData(data);
+
+	log('success', `Imported tasks into ${target.type} storage`);
+	return {
+		storage: target.type,
+		location: target.location,
+		...summarize(data)
+	};
+}
+
+const lockedImportTasks = withPathLockSync(
+	withHistorySync(importTasks, 'import', 0, { fullSnapshots: true })
+);
+
+export { exportTasks, lockedImportTasks as importTasks };
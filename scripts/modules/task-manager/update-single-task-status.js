@@ -1,12 +1,32 @@
 import chalk from 'chalk';
 
-import { log } from '../utils.js';
+import { log, parseTaskId } from '../utils.js';
+import { findTaskByPath } from '../storage/task-storage.js';
 import { isValidTaskStatus } from '../../../src/constants/task-status.js';
 
+/**
+ * Gives the subtasks of an item, at any depth, a finished status unless they
+ * are finished already
+ * @param {Object} item - Task or subtask
+ * @param {string} newStatus - The finished status to set
+ * @returns {number} Number of subtasks updated
+ */
+function finishDescendants(item, newStatus) {
+	let count = 0;
+	(item.subtasks || []).forEach((subtask) => {
+		if (subtask.status !== 'done' && subtask.status !== 'completed') {
+			subtask.status = newStatus;
+			count++;
+		}
+		count += finishDescendants(subtask, newStatus);
+	});
+	return count;
+}
+
 /**
  * Update the status of a single task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} taskIdInput - Task ID to update
+ * @param {string} taskIdInput - Task ID to update, dotted at any depth for subtasks (e.g. "1.2.1")
  * @param {string} newStatus - New status
  * @param {Object} data - Tasks data
  * @param {boolean} showUi - Whether to show UI elements
@@ -24,14 +44,16 @@ async function updateSingleTaskStatus(
 		);
 	}
 
-	// Check if it's a subtask (e.g., "1.2")
+	const isFinished =
+		newStatus.toLowerCase() === 'done' ||
+		newStatus.toLowerCase() === 'completed';
+
+	// Check if it's a subtask (e.g., "1.2" or "1.2.1")
 	if (taskIdInput.includes('.')) {
-		const [parentId, subtaskId] = taskIdInput
-			.split('.')
-			.map((id) => parseInt(id, 10));
+		const { parentId, id: subtaskId } = parseTaskId(taskIdInput);
 
 		// Find the parent task
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		const parentTask = findTaskByPath(data.tasks, parentId);
 		if (!parentTask) {
 			throw new Error(`Parent task ${parentId} not found`);
 		}
@@ -58,10 +80,13 @@ async function updateSingleTaskStatus(
 		);
 
 		// Check if all subtasks are done (if setting to 'done')
-		if (
-			newStatus.toLowerCase() === 'done' ||
-			newStatus.toLowerCase() === 'completed'
-		) {
+		if (isFinished) {
+			// A finished subtask finishes its own subtasks, like a task does
+			const finishedCount = finishDescendants(subtask, newStatus);
+			if (finishedCount > 0) {
+				log('info', `Also marking ${finishedCount} subtasks as '${newStatus}'`);
+			}
+
 			const allSubtasksDone = parentTask.subtasks.every(
 				(st) => st.status === 'done' || st.status === 'completed'
 			);
@@ -105,26 +130,11 @@ async function updateSingleTaskStatus(
 			`Updated task ${taskId} status from '${oldStatus}' to '${newStatus}'`
 		);
 
-		// If marking as done, also mark all subtasks as done
-		if (
-			(newStatus.toLowerCase() === 'done' ||
-				newStatus.toLowerCase() === 'completed') &&
-			task.subtasks &&
-			task.subtasks.length > 0
-		) {
-			const pendingSubtasks = task.subtasks.filter(
-				(st) => st.status !== 'done' && st.status !== 'completed'
-			);
-
-			if (pendingSubtasks.length > 0) {
-				log(
-					'info',
-					`Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`
-				);
-
-				pendingSubtasks.forEach((subtask) => {
-					subtask.status = newStatus;
-				});
+		// If marking as done, also mark all subtasks (at any depth) as done
+		if (isFinished) {
+			const finishedCount = finishDescendants(task, newStatus);
+			if (finishedCount > 0) {
+				log('info', `Also marking ${finishedCount} subtasks as '${newStatus}'`);
 			}
 		}
 	}
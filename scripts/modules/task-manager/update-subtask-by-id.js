@@ -12,11 +12,14 @@ import {
 } from '../ui.js';
 import {
 	log as consoleLog,
-	readJSON,
-	writeJSON,
 	truncate,
-	isSilentMode
+	isSilentMode,
+	parseTaskId
 } from '../utils.js';
+import { findTaskByPath } from '../storage/task-storage.js';
+import { getTaskStorage } from '../storage/index.js';
+import { withPathLock } from '../file-lock.js';
+import { withHistory } from '../history.js';
 import { generateTextService } from '../ai-services-unified.js';
 import { getDebugFlag } from '../config-manager.js';
 import generateTaskFiles from './generate-task-files.js';
@@ -24,13 +27,15 @@ import generateTaskFiles from './generate-task-files.js';
 /**
  * Update a subtask by appending additional timestamped information using the unified AI service.
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} subtaskId - ID of the subtask to update in format "parentId.subtaskId"
+ * @param {string} subtaskId - ID of the subtask to update in format "parentId.subtaskId", where
+ *   parentId may itself be a subtask ID (e.g. "5.2.1")
  * @param {string} prompt - Prompt for generating additional information
  * @param {boolean} [useResearch=false] - Whether to use the research AI role.
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
  * @param {string} [context.projectRoot] - Project root path (needed for AI service key resolution).
+ * @param {string} [context.tag] - Tag of the task list containing the subtask.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json'). Automatically 'json' if mcpLog is present.
  * @returns {Promise<Object|null>} - The updated subtask or null if update failed.
  */
@@ -42,7 +47,7 @@ async function updateSubtaskById(
 	context = {},
 	outputFormat = context.mcpLog ? 'json' : 'text'
 ) {
-	const { session, mcpLog, projectRoot } = context;
+	const { session, mcpLog, projectRoot, tag } = context;
 	const logFn = mcpLog || consoleLog;
 	const isMCP = !!mcpLog;
 
@@ -81,29 +86,23 @@ async function updateSubtaskById(
 			throw new Error(`Tasks file not found at path: ${tasksPath}`);
 		}
 
-		const data = readJSON(tasksPath);
-		if (!data || !data.tasks) {
-			throw new Error(
-				`No valid tasks found in ${tasksPath}. The file may be corrupted or have an invalid format.`
-			);
-		}
-
-		const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-		const parentId = parseInt(parentIdStr, 10);
-		const subtaskIdNum = parseInt(subtaskIdStr, 10);
+		// Only the top-level task holding the subtask is read and stored back
+		const storage = getTaskStorage(tasksPath);
+		const topLevelTask = storage.getTask(
+			parseInt(subtaskId.split('.')[0], 10),
+			{ tag }
+		);
+		const data = { tasks: topLevelTask ? [topLevelTask] : [] };
 
-		if (
-			isNaN(parentId) ||
-			parentId <= 0 ||
-			isNaN(subtaskIdNum) ||
-			subtaskIdNum <= 0
-		) {
+		if (!/^\d+(\.\d+)+$/.test(subtaskId.trim())) {
 			throw new Error(
 				`Invalid subtask ID format: ${subtaskId}. Both parent ID and subtask ID must be positive integers.`
 			);
 		}
+		// The parent may itself be a subtask (e.g. "5.2" for "5.2.1")
+		const { parentId, id: subtaskIdNum } = parseTaskId(subtaskId);
 
-		const parentTask = data.tasks.find((task) => task.id === parentId);
+		const parentTask = findTaskByPath(data.tasks, parentId);
 		if (!parentTask) {
 			throw new Error(
 				`Parent task with ID ${parentId} not found. Please verify the task ID and try again.`
@@ -161,13 +160,13 @@ async function updateSubtaskById(
 
 		try {
 			const parentContext = {
-				id: parentTask.id,
+				id: parentId,
 				title: parentTask.title
 			};
 			const prevSubtask =
 				subtaskIndex > 0
 					? {
-							id: `${parentTask.id}.${parentTask.subtasks[subtaskIndex - 1].id}`,
+							id: `${parentId}.${parentTask.subtasks[subtaskIndex - 1].id}`,
 							title: parentTask.subtasks[subtaskIndex - 1].title,
 							status: parentTask.subtasks[subtaskIndex - 1].status
 						}
@@ -175,7 +174,7 @@ async function updateSubtaskById(
 			const nextSubtask =
 				subtaskIndex < parentTask.subtasks.length - 1
 					? {
-							id: `${parentTask.id}.${parentTask.subtasks[subtaskIndex + 1].id}`,
+							id: `${parentId}.${parentTask.subtasks[subtaskIndex + 1].id}`,
 							title: parentTask.subtasks[subtaskIndex + 1].title,
 							status: parentTask.subtasks[subtaskIndex + 1].status
 						}
@@ -287,15 +286,15 @@ Output Requirements:
 		}
 
 		if (outputFormat === 'text' && getDebugFlag(session)) {
-			console.log('>>> DEBUG: About to call writeJSON with updated data...');
+			console.log('>>> DEBUG: About to save the updated task...');
 		}
-		writeJSON(tasksPath, data);
+		storage.upsertTask(topLevelTask, { tag });
 		if (outputFormat === 'text' && getDebugFlag(session)) {
-			console.log('>>> DEBUG: writeJSON call completed.');
+			console.log('>>> DEBUG: Saving the task completed.');
 		}
 
 		report('success', `Successfully updated subtask ${subtaskId}`);
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+		await generateTaskFiles(tasksPath, path.dirname(tasksPath), { tag });
 
 		if (outputFormat === 'text') {
 			if (loadingIndicator) {
@@ -383,4 +382,4 @@ Output Requirements:
 	}
 }
 
-export default updateSubtaskById;
+export default withPathLock(withHistory(updateSubtaskById, 'update-subtask'));
@@ -7,11 +7,13 @@ import { z } from 'zod'; // Keep Zod for post-parse validation
 
 import {
 	log as consoleLog,
-	readJSON,
-	writeJSON,
+	updateStoredTasks,
 	truncate,
-	isSilentMode
+	isSilentMode,
+	keepCommandManagedFields
 } from '../utils.js';
+import { withTasksChange } from '../history.js';
+import { getTaskStorage } from '../storage/index.js';
 
 import {
 	getStatusWithColor,
@@ -20,11 +22,24 @@ import {
 	displayAiUsageSummary
 } from '../ui.js';
 
-import { generateTextService } from '../ai-services-unified.js';
+import {
+	generateTextService,
+	streamJsonService
+} from '../ai-services-unified.js';
+import { createStreamProgress } from '../stream-progress.js';
 import {
 	getDebugFlag
 } from '../config-manager.js';
 import generateTaskFiles from './generate-task-files.js';
+import {
+	parseFieldAssignments,
+	resolveCustomFields
+} from '../custom-fields.js';
+import {
+	hasDateChanges,
+	resolveTaskDates,
+	withTaskDates
+} from '../task-dates.js';
 
 // Zod schema for post-parsing validation of the updated task object
 const updatedTaskSchema = z
@@ -33,7 +48,16 @@ const updatedTaskSchema = z
 		title: z.string(), // Title should be preserved, but check it exists
 		description: z.string(),
 		status: z.string(),
-		dependencies: z.array(z.union([z.number().int(), z.string()])),
+		dependencies: z.array(
+			z.union([
+				z.number().int(),
+				z.string(),
+				z.object({
+					id: z.union([z.number().int(), z.string()]),
+					type: z.string()
+				})
+			])
+		),
 		priority: z.string().optional(),
 		details: z.string().optional(),
 		testStrategy: z.string().optional(),
@@ -195,8 +219,24 @@ function parseUpdatedTaskFromText(text, expectedTaskId, logFn, isMCP) {
 	return validationResult.data; // Return the validated task data
 }
 
+/**
+ * Returns a copy of a task with the given custom fields (dropping the
+ * customFields object when it is empty)
+ * @param {Object} task - Task to update
+ * @param {Object} fields - Custom field values
+ * @returns {Object} Updated task
+ */
+function withCustomFields(task, fields) {
+	const { customFields, ...rest } = task;
+	return Object.keys(fields).length > 0
+		? { ...rest, customFields: fields }
+		: rest;
+}
+
 /**
  * Update a single task by ID using the unified AI service.
+ * Custom field values and dates are applied as given; when only those are
+ * passed (no prompt) the task is updated without calling the AI.
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} taskId - Task ID to update
  * @param {string} prompt - Prompt with new context
@@ -204,6 +244,12 @@ function parseUpdatedTaskFromText(text, expectedTaskId, logFn, isMCP) {
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {string} [context.tag] - Tag of the task list to update.
+ * @param {Array<string>|Object} [context.customFields] - Custom field values to set ("key=value" strings or an object).
+ * @param {string|null} [context.dueDate] - New due date (ISO date; null or '' clears it).
+ * @param {string|null} [context.startDate] - New start date (ISO date; null or '' clears it).
+ * @param {boolean} [context.stream] - Stream the AI response and report the task and its subtasks as they are generated.
+ * @param {Function} [context.reportProgress] - MCP progress callback, used when streaming.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  * @returns {Promise<Object|null>} - Updated task data or null if task wasn't updated/found.
  */
@@ -215,7 +261,19 @@ async function updateTaskById(
 	context = {},
 	outputFormat = 'text'
 ) {
-	const { session, mcpLog, projectRoot } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot,
+		tag,
+		customFields,
+		stream = false,
+		reportProgress
+	} = context;
+	const dateChanges = {
+		dueDate: context.dueDate,
+		startDate: context.startDate
+	};
 	const logFn = mcpLog || consoleLog;
 	const isMCP = !!mcpLog;
 
@@ -230,14 +288,26 @@ async function updateTaskById(
 	};
 
 	try {
-		report('info', `Updating single task ${taskId} with prompt: "${prompt}"`);
+		const fieldsOnly =
+			(!prompt || prompt.trim() === '') &&
+			(Object.keys(parseFieldAssignments(customFields)).length > 0 ||
+				hasDateChanges(dateChanges));
+		report(
+			'info',
+			fieldsOnly
+				? `Updating fields of task ${taskId}`
+				: `Updating single task ${taskId} with prompt: "${prompt}"`
+		);
 
 		// --- Input Validations (Keep existing) ---
 		if (!Number.isInteger(taskId) || taskId <= 0)
 			throw new Error(
 				`Invalid task ID: ${taskId}. Task ID must be a positive integer.`
 			);
-		if (!prompt || typeof prompt !== 'string' || prompt.trim() === '')
+		if (
+			!fieldsOnly &&
+			(!prompt || typeof prompt !== 'string' || prompt.trim() === '')
+		)
 			throw new Error('Prompt cannot be empty.');
 		// Removed the perplexity API key check as all AI requests are now redirected to OpenAI.
 		if (!fs.existsSync(tasksPath))
@@ -245,12 +315,46 @@ async function updateTaskById(
 		// --- End Input Validations ---
 
 		// --- Task Loading and Status Check (Keep existing) ---
-		const data = readJSON(tasksPath);
-		if (!data || !data.tasks)
-			throw new Error(`No valid tasks found in ${tasksPath}.`);
-		const taskIndex = data.tasks.findIndex((task) => task.id === taskId);
-		if (taskIndex === -1) throw new Error(`Task with ID ${taskId} not found.`);
-		const taskToUpdate = data.tasks[taskIndex];
+		const taskToUpdate = getTaskStorage(tasksPath).getTask(taskId, { tag });
+		if (!taskToUpdate) throw new Error(`Task with ID ${taskId} not found.`);
+		const fieldValues = resolveCustomFields(customFields, {
+			existing: taskToUpdate.customFields,
+			projectRoot
+		});
+		const dates = resolveTaskDates(dateChanges, taskToUpdate);
+		const applyFieldChanges = (task) =>
+			withTaskDates(withCustomFields(task, fieldValues), dates);
+
+		/**
+		 * Re-reads the task under the tasks file lock and replaces it with the
+		 * result of applying the update to its current version
+		 */
+		const saveTask = (applyUpdate) =>
+			withTasksChange(tasksPath, 'update-task', [taskId, prompt], async () => {
+				const savedTask = updateStoredTasks(
+					tasksPath,
+					[taskId],
+					tag,
+					(tasks) => {
+						if (tasks.length === 0)
+							throw new Error(
+								`Task with ID ${taskId} was removed while it was being updated.`
+							);
+						tasks[0] = applyUpdate(tasks[0]);
+						return tasks[0];
+					}
+				);
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath), { tag });
+				return savedTask;
+			});
+
+		// Setting fields alone needs no AI call and is allowed on completed tasks
+		if (fieldsOnly) {
+			const updatedTask = await saveTask(applyFieldChanges);
+			report('success', `Successfully updated fields of task ${taskId}`);
+			return { updatedTask, telemetryData: null };
+		}
+
 		if (taskToUpdate.status === 'done' || taskToUpdate.status === 'completed') {
 			report(
 				'warn',
@@ -373,7 +477,7 @@ The changes described in the prompt should be thoughtfully applied to make the t
 
 		try {
 			const serviceRole = useResearch ? 'research' : 'main';
-			aiServiceResponse = await generateTextService({
+			const serviceParams = {
 				role: serviceRole,
 				session: session,
 				projectRoot: projectRoot,
@@ -381,7 +485,33 @@ The changes described in the prompt should be thoughtfully applied to make the t
 				prompt: userPrompt,
 				commandName: 'update-task',
 				outputType: isMCP ? 'mcp' : 'cli'
-			});
+			};
+			aiServiceResponse = stream
+				? await streamJsonService({
+						...serviceParams,
+						schema: updatedTaskSchema,
+						objectName: 'updated_task',
+						// The task first, then its subtasks as they come in
+						onPartial: createStreamProgress({
+							getItems: (partial) =>
+								partial && typeof partial === 'object'
+									? [
+											partial,
+											...(Array.isArray(partial.subtasks)
+												? partial.subtasks
+												: [])
+										]
+									: [],
+							describe: (item, index) =>
+								index === 0
+									? `Task ${taskId}: ${item.title}`
+									: `Subtask ${taskId}.${item.id ?? index}: ${item.title}`,
+							mcpLog,
+							reportProgress,
+							spinner: loadingIndicator
+						})
+					})
+				: await generateTextService(serviceParams);
 
 			if (loadingIndicator)
 				stopLoadingIndicator(loadingIndicator, 'AI update complete.');
@@ -404,72 +534,74 @@ The changes described in the prompt should be thoughtfully applied to make the t
 				report('warn', `AI changed task ID. Restoring original ID ${taskId}.`);
 				updatedTask.id = taskId;
 			}
-			// Preserve status if AI changed it
-			if (
-				updatedTask.status !== taskToUpdate.status &&
-				!prompt.toLowerCase().includes('status')
-			) {
-				report(
-					'warn',
-					`AI changed task status. Restoring original status '${taskToUpdate.status}'.`
-				);
-				updatedTask.status = taskToUpdate.status;
-			}
-			// Preserve completed subtasks (Keep existing logic)
-			if (taskToUpdate.subtasks?.length > 0) {
-				if (!updatedTask.subtasks) {
+			// --- End Task Validation/Correction ---
+
+			// --- Update Task Data ---
+			// The task may have changed during the AI call, so the checks below
+			// run against its current version
+			const savedTask = await saveTask((currentTask) => {
+				// Preserve status if AI changed it
+				if (
+					updatedTask.status !== currentTask.status &&
+					!prompt.toLowerCase().includes('status')
+				) {
 					report(
 						'warn',
-						'Subtasks removed by AI. Restoring original subtasks.'
-					);
-					updatedTask.subtasks = taskToUpdate.subtasks;
-				} else {
-					const completedOriginal = taskToUpdate.subtasks.filter(
-						(st) => st.status === 'done' || st.status === 'completed'
+						`AI changed task status. Restoring original status '${currentTask.status}'.`
 					);
-					completedOriginal.forEach((compSub) => {
-						const updatedSub = updatedTask.subtasks.find(
-							(st) => st.id === compSub.id
+					updatedTask.status = currentTask.status;
+				}
+				// Preserve completed subtasks (Keep existing logic)
+				if (currentTask.subtasks?.length > 0) {
+					if (!updatedTask.subtasks) {
+						report(
+							'warn',
+							'Subtasks removed by AI. Restoring original subtasks.'
 						);
-						if (
-							!updatedSub ||
-							JSON.stringify(updatedSub) !== JSON.stringify(compSub)
-						) {
-							report(
-								'warn',
-								`Completed subtask ${compSub.id} was modified or removed. Restoring.`
-							);
-							// Remove potentially modified version
-							updatedTask.subtasks = updatedTask.subtasks.filter(
-								(st) => st.id !== compSub.id
+						updatedTask.subtasks = currentTask.subtasks;
+					} else {
+						const completedOriginal = currentTask.subtasks.filter(
+							(st) => st.status === 'done' || st.status === 'completed'
+						);
+						completedOriginal.forEach((compSub) => {
+							const updatedSub = updatedTask.subtasks.find(
+								(st) => st.id === compSub.id
 							);
-							// Add back original
-							updatedTask.subtasks.push(compSub);
-						}
-					});
-					// Deduplicate just in case
-					const subtaskIds = new Set();
-					updatedTask.subtasks = updatedTask.subtasks.filter((st) => {
-						if (!subtaskIds.has(st.id)) {
-							subtaskIds.add(st.id);
-							return true;
-						}
-						report('warn', `Duplicate subtask ID ${st.id} removed.`);
-						return false;
-					});
+							if (
+								!updatedSub ||
+								JSON.stringify(updatedSub) !== JSON.stringify(compSub)
+							) {
+								report(
+									'warn',
+									`Completed subtask ${compSub.id} was modified or removed. Restoring.`
+								);
+								// Remove potentially modified version
+								updatedTask.subtasks = updatedTask.subtasks.filter(
+									(st) => st.id !== compSub.id
+								);
+								// Add back original
+								updatedTask.subtasks.push(compSub);
+							}
+						});
+						// Deduplicate just in case
+						const subtaskIds = new Set();
+						updatedTask.subtasks = updatedTask.subtasks.filter((st) => {
+							if (!subtaskIds.has(st.id)) {
+								subtaskIds.add(st.id);
+								return true;
+							}
+							report('warn', `Duplicate subtask ID ${st.id} removed.`);
+							return false;
+						});
+					}
 				}
-			}
-			// --- End Task Validation/Correction ---
-
-			// --- Update Task Data (Keep existing) ---
-			data.tasks[taskIndex] = updatedTask;
-			// --- End Update Task Data ---
-
-			// --- Write File and Generate (Unchanged) ---
-			writeJSON(tasksPath, data);
+				// Parsing the AI response drops the fields set through commands
+				return applyFieldChanges(
+					keepCommandManagedFields(updatedTask, currentTask)
+				);
+			});
 			report('success', `Successfully updated task ${taskId}`);
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-			// --- End Write File ---
+			// --- End Update Task Data ---
 
 			// --- Display CLI Telemetry ---
 			if (outputFormat === 'text' && aiServiceResponse.telemetryData) {
@@ -478,7 +610,7 @@ The changes described in the prompt should be thoughtfully applied to make the t
 
 			// --- Return Success with Telemetry ---
 			return {
-				updatedTask: updatedTask, // Return the updated task object
+				updatedTask: savedTask, // Return the updated task object
 				telemetryData: aiServiceResponse.telemetryData // <<< ADD telemetryData
 			};
 		} catch (error) {
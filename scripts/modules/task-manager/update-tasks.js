@@ -9,8 +9,10 @@ import {
 	readJSON,
 	writeJSON,
 	truncate,
-	isSilentMode
+	isSilentMode,
+	keepCommandManagedFields
 } from '../utils.js';
+import { withTasksChange } from '../history.js';
 
 import {
 	getStatusWithColor,
@@ -31,7 +33,16 @@ const updatedTaskSchema = z
 		title: z.string(),
 		description: z.string(),
 		status: z.string(),
-		dependencies: z.array(z.union([z.number().int(), z.string()])),
+		dependencies: z.array(
+			z.union([
+				z.number().int(),
+				z.string(),
+				z.object({
+					id: z.union([z.number().int(), z.string()]),
+					type: z.string()
+				})
+			])
+		),
 		priority: z.string().optional(),
 		details: z.string().optional(),
 		testStrategy: z.string().optional(),
@@ -218,6 +229,7 @@ function parseUpdatedTasksFromText(text, expectedCount, logFn, isMCP) {
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {string} [context.tag] - Tag of the task list to update.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  */
 async function updateTasks(
@@ -228,7 +240,7 @@ async function updateTasks(
 	context = {},
 	outputFormat = 'text' // Default to text for CLI
 ) {
-	const { session, mcpLog, projectRoot } = context;
+	const { session, mcpLog, projectRoot, tag } = context;
 	// Use mcpLog if available, otherwise use the imported consoleLog function
 	const logFn = mcpLog || consoleLog;
 	// Flag to easily check which logger type we have
@@ -247,7 +259,7 @@ async function updateTasks(
 			);
 
 		// --- Task Loading/Filtering (Unchanged) ---
-		const data = readJSON(tasksPath);
+		const data = readJSON(tasksPath, tag);
 		if (!data || !data.tasks)
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		const tasksToUpdate = data.tasks.filter(
@@ -402,25 +414,42 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
 				parsedUpdatedTasks.map((task) => [task.id, task])
 			);
 
-			let actualUpdateCount = 0;
-			data.tasks.forEach((task, index) => {
-				if (updatedTasksMap.has(task.id)) {
-					// Only update if the task was part of the set sent to AI
-					data.tasks[index] = updatedTasksMap.get(task.id);
-					actualUpdateCount++;
+			// Merge into the tasks as they are now: they may have changed (or been
+			// removed) while the AI was working
+			const actualUpdateCount = await withTasksChange(
+				tasksPath,
+				'update',
+				[fromId, prompt],
+				async () => {
+					const currentData = readJSON(tasksPath, data.tag);
+					let updateCount = 0;
+					currentData.tasks.forEach((task, index) => {
+						if (updatedTasksMap.has(task.id)) {
+							// Only update if the task was part of the set sent to AI
+							currentData.tasks[index] = keepCommandManagedFields(
+								updatedTasksMap.get(task.id),
+								task
+							);
+							updateCount++;
+						}
+					});
+					if (isMCP)
+						logFn.info(
+							`Applied updates to ${updateCount} tasks in the dataset.`
+						);
+					else
+						logFn(
+							'info',
+							`Applied updates to ${updateCount} tasks in the dataset.`
+						);
+
+					writeJSON(tasksPath, currentData);
+					await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
+						tag: currentData.tag
+					});
+					return updateCount;
 				}
-			});
-			if (isMCP)
-				logFn.info(
-					`Applied updates to ${actualUpdateCount} tasks in the dataset.`
-				);
-			else
-				logFn(
-					'info',
-					`Applied updates to ${actualUpdateCount} tasks in the dataset.`
-				);
-
-			writeJSON(tasksPath, data);
+			);
 			if (isMCP)
 				logFn.info(
 					`Successfully updated ${actualUpdateCount} tasks in ${tasksPath}`
@@ -430,7 +459,6 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
 					'success',
 					`Successfully updated ${actualUpdateCount} tasks in ${tasksPath}`
 				);
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
 			if (outputFormat === 'text' && aiServiceResponse.telemetryData) {
 				displayAiUsageSummary(aiServiceResponse.telemetryData, 'cli');
@@ -0,0 +1,97 @@
+/**
+ * task-time.js
+ * Effort estimates and tracked time of tasks. An estimate is a number of
+ * hours or story points; tracked time is a list of work sessions
+ * ({ start, end, by }) recorded by the start and stop commands, where the
+ * session still running has no end.
+ */
+
+const ESTIMATE_UNITS = ['hours', 'points'];
+const ESTIMATE_PATTERN = /^(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|p|pts?|points?)?$/i;
+
+/**
+ * Parses an estimate such as "3h", "2.5 hours", "5pt" or "8 points". A bare
+ * number counts as hours.
+ * @param {*} value - Value to parse
+ * @returns {{ value: number, unit: string }|null} The estimate; null for an empty value
+ * @throws {Error} If the value is not a positive amount of hours or points
+ */
+function parseEstimate(value) {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	const match = ESTIMATE_PATTERN.exec(String(value).trim());
+	const amount = match && parseFloat(match[1]);
+	if (!match || !(amount > 0)) {
+		throw new Error(
+			`Invalid estimate "${value}". Use hours like 3h or points like 5pt.`
+		);
+	}
+	const unit = match[2] && /^p/i.test(match[2]) ? 'points' : 'hours';
+	return { value: amount, unit };
+}
+
+/**
+ * Formats an estimate for display
+ * @param {{ value: number, unit: string }|undefined} estimate - Estimate of a task
+ * @returns {string|null} Text like "3h" or "5 pts", or null without an estimate
+ */
+function formatEstimate(estimate) {
+	if (!estimate) {
+		return null;
+	}
+	return estimate.unit === 'points'
+		? `${estimate.value} ${estimate.value === 1 ? 'pt' : 'pts'}`
+		: `${estimate.value}h`;
+}
+
+/**
+ * Finds the session still running on a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string} [by] - Only a session started by this person
+ * @returns {Object|undefined} The open session
+ */
+function getRunningSession(item, by) {
+	return (item.timeEntries || []).find(
+		(entry) => !entry.end && (by === undefined || entry.by === by)
+	);
+}
+
+/**
+ * Adds up the time tracked on a task or subtask (not its subtasks)
+ * @param {Object} item - Task or subtask
+ * @param {Date} [now=new Date()] - End of sessions still running
+ * @returns {number} Whole minutes
+ */
+function getTrackedMinutes(item, now = new Date()) {
+	const ms = (item.timeEntries || []).reduce(
+		(sum, entry) =>
+			sum +
+			Math.max(
+				0,
+				(entry.end ? new Date(entry.end) : now) - new Date(entry.start)
+			),
+		0
+	);
+	return Math.round(ms / 60000);
+}
+
+/**
+ * Formats minutes as hours and minutes
+ * @param {number} minutes - Whole minutes
+ * @returns {string} Text like "2h 05m" or "40m"
+ */
+function formatDuration(minutes) {
+	const hours = Math.floor(minutes / 60);
+	const rest = String(minutes % 60).padStart(hours ? 2 : 1, '0');
+	return hours ? `${hours}h ${rest}m` : `${rest}m`;
+}
+
+export {
+	ESTIMATE_UNITS,
+	parseEstimate,
+	formatEstimate,
+	getRunningSession,
+	getTrackedMinutes,
+	formatDuration
+};
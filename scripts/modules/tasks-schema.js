@@ -0,0 +1,387 @@
+/**
+ * tasks-schema.js
+ * Schema of the tasks.json file and the ordered upgrade steps that bring
+ * files written by older versions of Task Master to the current format.
+ *
+ * Schema versions:
+ *   1 - legacy layout: { tasks, metadata }
+ *   2 - tagged layout: { currentTag, tags: { <tag>: { tasks, metadata } } }
+ *   3 - tagged layout with meta.schemaVersion and normalized task fields
+ */
+
+import { z } from 'zod';
+
+import { TASK_STATUS_OPTIONS } from '../../src/constants/task-status.js';
+import { DEPENDENCY_TYPES } from '../../src/constants/dependency-types.js';
+import { MILESTONE_TYPES } from '../../src/constants/milestone-types.js';
+import { isTaggedTasksData, migrateToTaggedFormat } from './utils.js';
+import { ESTIMATE_UNITS } from './task-time.js';
+
+const CURRENT_SCHEMA_VERSION = 3;
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+const MAX_REPORTED_ISSUES = 10;
+
+/**
+ * Error thrown when a tasks file cannot be used as-is: it fails validation,
+ * was written by a newer version, or needs a migration that is disabled
+ */
+class TasksSchemaError extends Error {
+	constructor(message, details = {}) {
+		super(message);
+		this.name = 'TasksSchemaError';
+		this.code = details.code || 'INVALID_TASKS_FILE';
+		this.issues = details.issues || [];
+		this.schemaVersion = details.schemaVersion ?? null;
+	}
+}
+
+// --- Schema ---
+
+const taskIdSchema = z.number().int().positive();
+
+const dependencyIdSchema = z.union([
+	taskIdSchema,
+	z
+		.string()
+		.regex(
+			/^\d+(\.\d+)*$/,
+			'Expected a task ID like 3 or a subtask ID like 3.1'
+		)
+]);
+
+// A plain ID blocks its task; other types are stored as { id, type }
+const dependencySchema = z.union([
+	dependencyIdSchema,
+	z.object({ id: dependencyIdSchema, type: z.enum(DEPENDENCY_TYPES) }).strict()
+]);
+
+const calendarDateSchema = z
+	.string()
+	.regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date like 2025-06-30');
+
+// Subtasks share the task shape; a subtask converted from a task keeps its
+// fields and remembers its parent in parentTaskId
+const taskSchema = z.lazy(() =>
+	z
+		.object({
+			id: taskIdSchema,
+			title: z.string().min(1),
+			description: z.string().optional(),
+			status: z.enum(TASK_STATUS_OPTIONS),
+			dependencies: z.array(dependencySchema).optional(),
+			priority: z.enum(TASK_PRIORITIES).optional(),
+			details: z.string().optional(),
+			testStrategy: z.string().optional(),
+			complexityScore: z.number().optional(),
+			parentTaskId: taskIdSchema.optional(),
+			startDate: calendarDateSchema.optional(),
+			dueDate: calendarDateSchema.optional(),
+			assignee: z.string().min(1).optional(),
+			// Set for claims, which lapse at this time (see assign-task.js)
+			claimExpiresAt: z.string().datetime().optional(),
+			estimate: z
+				.object({
+					value: z.number().positive(),
+					unit: z.enum(ESTIMATE_UNITS)
+				})
+				.strict()
+				.optional(),
+			// Work sessions; the one still running has no end (see task-time.js)
+			timeEntries: z
+				.array(
+					z
+						.object({
+							start: z.string().datetime(),
+							end: z.string().datetime().optional(),
+							by: z.string().optional()
+						})
+						.strict()
+				)
+				.optional(),
+			// Values of the project's custom fields (see custom-fields.js)
+			customFields: z
+				.record(z.union([z.string(), z.number(), z.array(z.string())]))
+				.optional(),
+			subtasks: z.array(taskSchema).optional()
+		})
+		.strict()
+);
+
+// Milestones and epics group top-level tasks (see milestones.js)
+const milestoneSchema = z
+	.object({
+		id: z.number().int().positive(),
+		title: z.string().min(1),
+		type: z.enum(MILESTONE_TYPES),
+		description: z.string().optional(),
+		targetDate: calendarDateSchema.optional(),
+		taskIds: z.array(taskIdSchema)
+	})
+	.strict();
+
+const tagSchema = z
+	.object({
+		tasks: z.array(taskSchema),
+		metadata: z
+			.object({ milestones: z.array(milestoneSchema).optional() })
+			.passthrough()
+			.optional()
+	})
+	.strict();
+
+const tasksFileSchema = z
+	.object({
+		meta: z
+			.object({ schemaVersion: z.literal(CURRENT_SCHEMA_VERSION) })
+			.passthrough(),
+		currentTag: z.string().min(1),
+		tags: z.record(tagSchema)
+	})
+	.strict();
+
+// --- Migrations ---
+
+function mapTasksDeep(tasks, fn) {
+	return (tasks || []).map((task) => {
+		const mapped = fn(task);
+		return Array.isArray(mapped.subtasks)
+			? { ...mapped, subtasks: mapTasksDeep(mapped.subtasks, fn) }
+			: mapped;
+	});
+}
+
+function toNumericId(value) {
+	return typeof value === 'string' && /^\d+$/.test(value)
+		? parseInt(value, 10)
+		: value;
+}
+
+/**
+ * Normalizes fields older versions wrote inconsistently: numeric IDs stored
+ * as strings, missing dependency lists and statuses, and null text fields
+ */
+function normalizeTask(task) {
+	const normalized = { ...task, id: toNumericId(task.id) };
+	normalized.dependencies = (task.dependencies || []).map(toNumericId);
+	normalized.status = task.status || 'pending';
+	if (task.parentTaskId !== undefined) {
+		normalized.parentTaskId = toNumericId(task.parentTaskId);
+	}
+	['description', 'details', 'testStrategy', 'priority'].forEach((field) => {
+		if (normalized[field] === null) {
+			delete normalized[field];
+		}
+	});
+	return normalized;
+}
+
+// Ordered upgrade steps; each one takes data of the previous version
+const MIGRATIONS = [
+	{
+		version: 2,
+		description: 'Move the task list into the tagged layout (tags.master)',
+		up: (data) => migrateToTaggedFormat(data)
+	},
+	{
+		version: 3,
+		description:
+			'Normalize task IDs, dependencies and statuses, and record meta.schemaVersion',
+		up: (data) => ({
+			...data,
+			tags: Object.fromEntries(
+				Object.entries(data.tags).map(([tag, tagData]) => [
+					tag,
+					{ ...tagData, tasks: mapTasksDeep(tagData.tasks, normalizeTask) }
+				])
+			)
+		})
+	}
+];
+
+/**
+ * Determines the schema version of raw tasks file data
+ * @param {Object} rawData - Parsed JSON content of a tasks file
+ * @returns {number} Schema version
+ */
+function getSchemaVersion(rawData) {
+	if (rawData?.meta?.schemaVersion !== undefined) {
+		return rawData.meta.schemaVersion;
+	}
+	return isTaggedTasksData(rawData) ? 2 : 1;
+}
+
+/**
+ * Runs the upgrade steps needed to bring tasks data to the current version
+ * @param {Object} rawData - Parsed JSON content of a tasks file
+ * @returns {{ data: Object, fromVersion: number, toVersion: number, applied: Array<{ version: number, description: string }> }}
+ * @throws {TasksSchemaError} If the data was written by a newer version
+ */
+function upgradeTasksData(rawData) {
+	const fromVersion = getSchemaVersion(rawData);
+	if (!Number.isInteger(fromVersion) || fromVersion > CURRENT_SCHEMA_VERSION) {
+		throw new TasksSchemaError(
+			`This tasks file uses schema version ${fromVersion}, but this version of Task Master only supports up to version ${CURRENT_SCHEMA_VERSION}. Update Task Master to use it.`,
+			{ code: 'UNSUPPORTED_SCHEMA_VERSION', schemaVersion: fromVersion }
+		);
+	}
+
+	let data = rawData;
+	const applied = [];
+	MIGRATIONS.filter((step) => step.version > fromVersion).forEach((step) => {
+		const { meta, ...rest } = step.up(data);
+		// Keep meta as the first key so the version is visible at the top of the file
+		data = { meta: { ...meta, schemaVersion: step.version }, ...rest };
+		applied.push({ version: step.version, description: step.description });
+	});
+
+	return { data, fromVersion, toVersion: CURRENT_SCHEMA_VERSION, applied };
+}
+
+// --- Validation ---
+
+/**
+ * Turns a Zod issue path into a readable location, naming the task it is in
+ * (e.g. "tags.master.tasks[2].subtasks[0].status (task 3.1)")
+ * @param {Array<string|number>} issuePath - Path of the issue
+ * @param {Object} data - The validated data
+ * @returns {string} Readable location
+ */
+function describeIssuePath(issuePath, data) {
+	let location = '';
+	let node = data;
+	const taskIds = [];
+	issuePath.forEach((segment, index) => {
+		location +=
+			typeof segment === 'number'
+				? `[${segment}]`
+				: `${location ? '.' : ''}${segment}`;
+		node = node?.[segment];
+		const parentKey = issuePath[index - 1];
+		if (
+			typeof segment === 'number' &&
+			(parentKey === 'tasks' || parentKey === 'subtasks') &&
+			node?.id !== undefined
+		) {
+			taskIds.push(node.id);
+		}
+	});
+	return taskIds.length > 0
+		? `${location} (task ${taskIds.join('.')})`
+		: location || '(root)';
+}
+
+/**
+ * Finds tasks sharing an ID with an earlier sibling. Done outside of Zod so
+ * duplicates are reported together with any other invalid field.
+ * @param {Array} tasks - Tasks (or subtasks) to check
+ * @param {Array<string|number>} listPath - Path of the list
+ * @param {Array} [issues] - Issues found so far
+ * @returns {Array<{ path: Array<string|number>, message: string }>}
+ */
+function findDuplicateIds(tasks, listPath, issues = []) {
+	if (!Array.isArray(tasks)) {
+		return issues;
+	}
+	const seen = new Set();
+	tasks.forEach((task, index) => {
+		if (seen.has(task?.id)) {
+			issues.push({
+				path: [...listPath, index, 'id'],
+				message: `Duplicate ID ${task.id}`
+			});
+		}
+		seen.add(task?.id);
+		findDuplicateIds(task?.subtasks, [...listPath, index, 'subtasks'], issues);
+	});
+	return issues;
+}
+
+/**
+ * Validates tasks data against the current schema
+ * @param {Object} data - Tasks data in the current format
+ * @returns {{ success: boolean, issues: Array<{ path: string, message: string }> }}
+ */
+function validateTasksData(data) {
+	const result = tasksFileSchema.safeParse(data);
+	const rawIssues = result.success ? [] : [...result.error.issues];
+	Object.entries(data?.tags || {}).forEach(([tag, tagData]) =>
+		findDuplicateIds(tagData?.tasks, ['tags', tag, 'tasks'], rawIssues)
+	);
+
+	return {
+		success: rawIssues.length === 0,
+		issues: rawIssues.map((issue) => ({
+			path: describeIssuePath(issue.path, data),
+			message: issue.message
+		}))
+	};
+}
+
+/**
+ * Formats validation issues for an error message
+ * @param {Array<{ path: string, message: string }>} issues - Validation issues
+ * @returns {string} One issue per line
+ */
+function formatIssues(issues) {
+	const lines = issues
+		.slice(0, MAX_REPORTED_ISSUES)
+		.map((issue) => `  - ${issue.path}: ${issue.message}`);
+	if (issues.length > MAX_REPORTED_ISSUES) {
+		lines.push(`  ... and ${issues.length - MAX_REPORTED_ISSUES} more`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Throws if tasks data does not match the current schema
+ * @param {Object} data - Tasks data in the current format
+ * @param {string} source - File the data belongs to, for the error message
+ * @throws {TasksSchemaError} Listing every invalid or unknown field
+ */
+function assertValidTasksData(data, source) {
+	const { success, issues } = validateTasksData(data);
+	if (!success) {
+		throw new TasksSchemaError(
+			`Invalid tasks file ${source}:\n${formatIssues(issues)}`,
+			{ issues, schemaVersion: CURRENT_SCHEMA_VERSION }
+		);
+	}
+}
+
+/**
+ * Brings raw tasks file data to the current version and validates it
+ * @param {Object} rawData - Parsed JSON content of a tasks file
+ * @param {string} source - File the data was read from, for error messages
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.autoMigrate=true] - Upgrade old data instead of refusing it
+ * @returns {Object} Valid tasks data in the current format
+ * @throws {TasksSchemaError} If the data is invalid or cannot be upgraded
+ */
+function loadTasksData(rawData, source, options = {}) {
+	const { autoMigrate = true } = options;
+	const version = getSchemaVersion(rawData);
+	if (version < CURRENT_SCHEMA_VERSION && !autoMigrate) {
+		throw new TasksSchemaError(
+			`${source} uses schema version ${version} (current is ${CURRENT_SCHEMA_VERSION}). Run \`task-master migrate\` to upgrade it.`,
+			{ code: 'MIGRATION_REQUIRED', schemaVersion: version }
+		);
+	}
+
+	const { data } = upgradeTasksData(rawData);
+	assertValidTasksData(data, source);
+	return data;
+}
+
+export {
+	CURRENT_SCHEMA_VERSION,
+	MIGRATIONS,
+	TasksSchemaError,
+	tasksFileSchema,
+	taskSchema,
+	getSchemaVersion,
+	upgradeTasksData,
+	validateTasksData,
+	formatIssues,
+	assertValidTasksData,
+	loadTasksData
+};
@@ -12,18 +12,35 @@ import gradient from 'gradient-string';
 import {
 	log,
 	findTaskById,
-	readJSON,
+	readTaskWithDependencies,
 	truncate,
-	isSilentMode
+	isSilentMode,
+	resolveDependencyId,
+	getDependencyType
 } from './utils.js';
 import fs from 'fs';
 import {
 	findNextTask,
+	explainNextTask,
+	findMilestone,
 	analyzeTaskComplexity,
 	readComplexityReport
 } from './task-manager.js';
 import { getProjectName, getDefaultSubtasks } from './config-manager.js';
+import { getTaskStorage } from './storage/index.js';
 import { TASK_STATUS_OPTIONS } from '../../src/constants/task-status.js';
+import {
+	CLOSED_STATUSES,
+	daysUntil,
+	formatLocalDate,
+	isOverdue
+} from './task-dates.js';
+import {
+	formatEstimate,
+	formatDuration,
+	getTrackedMinutes
+} from './task-time.js';
+import { findTaskByPath } from './storage/task-storage.js';
 import { getTaskMasterVersion } from '../../src/utils/getVersion.js';
 
 // Create a color gradient for the banner
@@ -49,7 +66,7 @@ function displayBanner() {
 	console.log(
 		chalk.dim('by ') + chalk.cyan.underline('https://x.com/eyaltoledano')
 	);
-console.log(chalk.dim('Patched by daoch4n'));
+	console.log(chalk.dim('Patched by daoch4n'));
 
 	// Read version directly from package.json
 	const version = getTaskMasterVersion();
@@ -217,6 +234,19 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 	return `${completedSection}${deferredCancelledSection}${remainingSection} ${percentTextColor(`${effectivePercent.toFixed(0)}%`)}`;
 }
 
+// Colors of task statuses, as chalk color names or hex codes. Graph exports
+// use them too, so they must also be valid CSS and Graphviz colors.
+const STATUS_COLORS = {
+	done: 'green',
+	completed: 'green',
+	pending: 'yellow',
+	'in-progress': '#FFA500',
+	deferred: 'gray',
+	blocked: 'red',
+	review: 'magenta',
+	cancelled: 'gray'
+};
+
 /**
  * Get a colored status string based on the status value
  * @param {string} status - Task status (e.g., "done", "pending", "in-progress")
@@ -228,15 +258,41 @@ function getStatusWithColor(status, forTable = false) {
 		return chalk.gray('❓ unknown');
 	}
 
+	const color = (name) =>
+		name.startsWith('#') ? chalk.hex(name) : chalk[name];
 	const statusConfig = {
-		done: { color: chalk.green, icon: '✅', tableIcon: '✓' },
-		completed: { color: chalk.green, icon: '✅', tableIcon: '✓' },
-		pending: { color: chalk.yellow, icon: '⏱️', tableIcon: '⏱' },
-		'in-progress': { color: chalk.hex('#FFA500'), icon: '🔄', tableIcon: '►' },
-		deferred: { color: chalk.gray, icon: '⏱️', tableIcon: '⏱' },
-		blocked: { color: chalk.red, icon: '❌', tableIcon: '✗' },
-		review: { color: chalk.magenta, icon: '👀', tableIcon: '👁' },
-		cancelled: { color: chalk.gray, icon: '❌', tableIcon: '✗' }
+		done: { color: color(STATUS_COLORS.done), icon: '✅', tableIcon: '✓' },
+		completed: {
+			color: color(STATUS_COLORS.completed),
+			icon: '✅',
+			tableIcon: '✓'
+		},
+		pending: {
+			color: color(STATUS_COLORS.pending),
+			icon: '⏱️',
+			tableIcon: '⏱'
+		},
+		'in-progress': {
+			color: color(STATUS_COLORS['in-progress']),
+			icon: '🔄',
+			tableIcon: '►'
+		},
+		deferred: {
+			color: color(STATUS_COLORS.deferred),
+			icon: '⏱️',
+			tableIcon: '⏱'
+		},
+		blocked: {
+			color: color(STATUS_COLORS.blocked),
+			icon: '❌',
+			tableIcon: '✗'
+		},
+		review: { color: color(STATUS_COLORS.review), icon: '👀', tableIcon: '👁' },
+		cancelled: {
+			color: color(STATUS_COLORS.cancelled),
+			icon: '❌',
+			tableIcon: '✗'
+		}
 	};
 
 	const config = statusConfig[status.toLowerCase()] || {
@@ -265,8 +321,9 @@ function getStatusWithColor(status, forTable = false) {
 }
 
 /**
- * Format dependencies list with status indicators
- * @param {Array} dependencies - Array of dependency IDs
+ * Format dependencies list with status indicators. Soft and relates
+ * dependencies are followed by their type.
+ * @param {Array} dependencies - Array of dependency IDs, or { id, type } entries
  * @param {Array} allTasks - Array of all tasks
  * @param {boolean} forConsole - Whether the output is for console display
  * @param {Object|null} complexityReport - Optional pre-loaded complexity report
@@ -286,25 +343,13 @@ function formatDependenciesWithStatus(
 		return forConsole ? chalk.gray('None') : 'None';
 	}
 
-	const formattedDeps = dependencies.map((depId) => {
+	const formatDependencyId = (depId) => {
 		const depIdStr = depId.toString(); // Ensure string format for display
 
-		// Check if it's already a fully qualified subtask ID (like "22.1")
+		// Check if it's already a fully qualified subtask ID (like "22.1" or "22.1.3")
 		if (depIdStr.includes('.')) {
-			const [parentId, subtaskId] = depIdStr
-				.split('.')
-				.map((id) => parseInt(id, 10));
-
-			// Find the parent task
-			const parentTask = allTasks.find((t) => t.id === parentId);
-			if (!parentTask || !parentTask.subtasks) {
-				return forConsole
-					? chalk.red(`${depIdStr} (Not found)`)
-					: `${depIdStr} (Not found)`;
-			}
-
-			// Find the subtask
-			const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
+			// Find the subtask, at any depth
+			const subtask = findTaskByPath(allTasks, depIdStr);
 			if (!subtask) {
 				return forConsole
 					? chalk.red(`${depIdStr} (Not found)`)
@@ -371,11 +416,47 @@ function formatDependenciesWithStatus(
 
 		// For plain text output (task files), return just the ID without any formatting or emoji
 		return depIdStr;
+	};
+
+	const formattedDeps = dependencies.map((dependency) => {
+		const formatted = formatDependencyId(resolveDependencyId(dependency));
+		const type = getDependencyType(dependency);
+		if (type === 'blocks') {
+			return formatted;
+		}
+		return forConsole
+			? `${formatted}${chalk.gray(` (${type})`)}`
+			: `${formatted} (${type})`;
 	});
 
 	return formattedDeps.join(', ');
 }
 
+/**
+ * Format the dependencies of a subtask with status indicators. Plain numbers
+ * are sibling subtasks; dotted IDs may point to subtasks of any task.
+ * @param {Object} subtask - The subtask
+ * @param {number|string} parentId - ID of its parent task
+ * @param {Array} allTasks - Array of all tasks
+ * @param {boolean} forConsole - Whether the output is for console display
+ * @returns {string} Formatted dependencies string
+ */
+function formatSubtaskDependencies(
+	subtask,
+	parentId,
+	allTasks,
+	forConsole = false
+) {
+	return formatDependenciesWithStatus(
+		(subtask.dependencies || []).map((depId) => {
+			const fullId = resolveDependencyId(depId, parentId);
+			return typeof depId === 'object' ? { ...depId, id: fullId } : fullId;
+		}),
+		allTasks,
+		forConsole
+	);
+}
+
 /**
  * Display a comprehensive help guide
  */
@@ -430,6 +511,21 @@ function displayHelp() {
 					args: '<model_id>',
 					desc: 'Set the model for research-backed subtask generation/task updates operations'
 				},
+				{
+					name: 'migrate',
+					args: '[--check]',
+					desc: 'Upgrade tasks.json to the current schema version'
+				},
+				{
+					name: 'export',
+					args: '--output=<file>',
+					desc: 'Write all tags and tasks to a JSON file'
+				},
+				{
+					name: 'import',
+					args: '[--input=<file>]',
+					desc: 'Load tasks into the storage backend set in .taskmasterconfig'
+				}
 			]
 		},
 		{
@@ -438,7 +534,7 @@ function displayHelp() {
 			commands: [
 				{
 					name: 'parse-prd',
-					args: '--input=<file.txt> [--num-tasks=10]',
+					args: '--input=<file.txt> [--num-tasks=10] [--stream]',
 					desc: 'Generate tasks from a PRD document'
 				},
 				{
@@ -454,7 +550,7 @@ function displayHelp() {
 			commands: [
 				{
 					name: 'list',
-					args: '[--status=<status>] [--with-subtasks]',
+					args: '[--status=<status>] [--with-subtasks] [--milestone=<id>]',
 					desc: 'List all tasks with their status'
 				},
 				{
@@ -469,7 +565,7 @@ function displayHelp() {
 				},
 				{
 					name: 'update-task',
-					args: '--id=<id> --prompt="<context>"',
+					args: '--id=<id> --prompt="<context>" [--stream]',
 					desc: 'Update a single specific task with new information'
 				},
 				{
@@ -536,8 +632,8 @@ function displayHelp() {
 				},
 				{
 					name: 'expand',
-					args: '--id=<id> [--num=5] [--research] [--prompt="<context>"]',
-					desc: 'Break down tasks into detailed subtasks'
+					args: '--id=<id> [--num=5] [--research] [--prompt="<context>"] [--stream]',
+					desc: 'Break down tasks, or subtasks such as 5.2, into detailed subtasks'
 				},
 				{
 					name: 'expand --all',
@@ -555,6 +651,41 @@ function displayHelp() {
 					args: '',
 					desc: 'Show the next task to work on based on dependencies'
 				},
+				{
+					name: 'next',
+					args: '--for=<name>',
+					desc: 'Show the next task not held by someone else'
+				},
+				{
+					name: 'next',
+					args: '--count=<n> [--claim --for=<name>]',
+					desc: 'Show (and claim) tasks that can be worked on in parallel'
+				},
+				{
+					name: 'next',
+					args: '--milestone=<id>',
+					desc: 'Show the next task of a milestone or epic'
+				},
+				{
+					name: 'agenda',
+					args: '[--days=<n>]',
+					desc: 'Show overdue tasks, tasks due soon and blocked deadlines'
+				},
+				{
+					name: 'plan',
+					args: '[--weight=<auto|estimate|complexity|count>]',
+					desc: 'Show parallel waves, the critical path and slack of open tasks'
+				},
+				{
+					name: 'impact',
+					args: '--id=<id>',
+					desc: 'Show everything downstream of a task and the completion at risk'
+				},
+				{
+					name: 'graph',
+					args: '[--format=<mermaid|dot|json>] [--from=<id>] [-o <file>]',
+					desc: 'Export the dependency graph, colored by status'
+				},
 				{
 					name: 'show',
 					args: '<id>',
@@ -562,13 +693,96 @@ function displayHelp() {
 				}
 			]
 		},
+		{
+			title: 'Ownership',
+			color: 'magenta',
+			commands: [
+				{
+					name: 'assign',
+					args: '--id=<ids> --assignee=<name>',
+					desc: 'Assign tasks or subtasks to someone'
+				},
+				{
+					name: 'unassign',
+					args: '--id=<ids>',
+					desc: 'Remove the assignee or claim of tasks'
+				},
+				{
+					name: 'claim',
+					args: '--id=<id> [--assignee=<name>] [--lease=<minutes>]',
+					desc: 'Claim a task for a limited time (fails if held by someone else)'
+				}
+			]
+		},
+		{
+			title: 'Time Tracking',
+			color: 'yellow',
+			commands: [
+				{
+					name: 'estimate',
+					args: '--id=<ids> --estimate=<3h|5pt>',
+					desc: 'Set the effort estimate of tasks in hours or points'
+				},
+				{
+					name: 'start',
+					args: '--id=<id>',
+					desc: 'Start a timer on a task'
+				},
+				{
+					name: 'stop',
+					args: '[--id=<id>]',
+					desc: 'Stop your running timer and record the session'
+				},
+				{
+					name: 'time-report',
+					args: '[--tag=<tag>]',
+					desc: 'Show tracked time by task, status and tag vs. complexity'
+				}
+			]
+		},
+		{
+			title: 'Milestones',
+			color: 'green',
+			commands: [
+				{
+					name: 'add-milestone',
+					args: '--title="<title>" --tasks=<ids> [--target-date=<date>] [--type=<milestone|epic>]',
+					desc: 'Group tasks into a milestone or epic'
+				},
+				{
+					name: 'add-to-milestone',
+					args: '--id=<id> --tasks=<ids>',
+					desc: 'Add tasks to a milestone'
+				},
+				{
+					name: 'remove-from-milestone',
+					args: '--id=<id> --tasks=<ids>',
+					desc: 'Remove tasks from a milestone, keeping the tasks'
+				},
+				{
+					name: 'delete-milestone',
+					args: '<id>',
+					desc: 'Delete a milestone, keeping its tasks'
+				},
+				{
+					name: 'list-milestones',
+					args: '',
+					desc: 'List milestones with their target date and progress'
+				},
+				{
+					name: 'show-milestone',
+					args: '<id>',
+					desc: 'Show the tasks and progress of a milestone'
+				}
+			]
+		},
 		{
 			title: 'Dependency Management',
 			color: 'blue',
 			commands: [
 				{
 					name: 'add-dependency',
-					args: '--id=<id> --depends-on=<id>',
+					args: '--id=<id> --depends-on=<id> [--type=<blocks|soft|relates>]',
 					desc: 'Add a dependency to a task'
 				},
 				{
@@ -578,13 +792,75 @@ function displayHelp() {
 				},
 				{
 					name: 'validate-dependencies',
-					args: '',
-					desc: 'Identify invalid dependencies without fixing them'
+					args: '[--explain]',
+					desc: 'Identify invalid dependencies without fixing them; --explain prints each cycle'
 				},
 				{
 					name: 'fix-dependencies',
+					args: '[--interactive] [--strategy=<auto|recent|priority>]',
+					desc: 'Fix invalid dependencies automatically, or choose how cycles are broken'
+				}
+			]
+		},
+		{
+			title: 'Tag Management',
+			color: 'green',
+			commands: [
+				{
+					name: 'list-tags',
 					args: '',
-					desc: 'Fix invalid dependencies automatically'
+					desc: 'List all tagged task lists and the active tag'
+				},
+				{
+					name: 'add-tag',
+					args: '<name> [--copy-from=<tag>] [--description="<text>"]',
+					desc: 'Create a new, independent task list'
+				},
+				{
+					name: 'use-tag',
+					args: '<name>',
+					desc: 'Switch the active tag used by other commands'
+				},
+				{
+					name: 'copy-tag',
+					args: '<source> <target>',
+					desc: 'Copy the tasks of one tag into a new tag'
+				},
+				{
+					name: 'delete-tag',
+					args: '<name> [-y]',
+					desc: 'Delete a tag and all of its tasks'
+				},
+				{
+					name: '--tag',
+					args: '<name>',
+					desc: 'Run any task command against a specific tag'
+				}
+			]
+		},
+		{
+			title: 'Change History',
+			color: 'yellow',
+			commands: [
+				{
+					name: 'history',
+					args: '[--limit=<n>]',
+					desc: 'Show recorded changes to tasks.json'
+				},
+				{
+					name: 'undo',
+					args: '[--force]',
+					desc: 'Revert the most recent change to tasks.json'
+				},
+				{
+					name: 'redo',
+					args: '[--force]',
+					desc: 'Re-apply the most recently undone change'
+				},
+				{
+					name: 'log',
+					args: '[--id=<id>] [--limit=<n>]',
+					desc: 'Show who changed which tasks, field by field'
 				}
 			]
 		}
@@ -759,31 +1035,128 @@ function truncateString(str, maxLength) {
 	return str.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Formats who owns a task or subtask, with the state of a claim
+ * @param {Object} item - Task or subtask
+ * @returns {string|null} Colored text, or null if the item has no assignee
+ */
+function formatAssignee(item) {
+	if (!item.assignee) {
+		return null;
+	}
+	if (!item.claimExpiresAt) {
+		return chalk.white(item.assignee);
+	}
+	const expiresAt = new Date(item.claimExpiresAt);
+	return expiresAt > new Date()
+		? chalk.white(item.assignee) +
+				chalk.gray(` (claimed until ${expiresAt.toLocaleString()})`)
+		: chalk.gray(
+				`${item.assignee} (claim lapsed ${expiresAt.toLocaleString()})`
+			);
+}
+
+/**
+ * Formats the due date of a task or subtask: red when overdue, yellow when
+ * due within three days, gray once the task is closed
+ * @param {Object} item - Task or subtask
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Add how many days are left or overdue
+ * @param {string} [options.today] - Today as YYYY-MM-DD (defaults to the local date)
+ * @returns {string} Colored text ('-' without a due date)
+ */
+function formatDueDate(item, options = {}) {
+	const { verbose = false, today = formatLocalDate() } = options;
+	if (!item.dueDate) {
+		return chalk.gray('-');
+	}
+	if (CLOSED_STATUSES.includes(item.status)) {
+		return chalk.gray(item.dueDate);
+	}
+
+	const days = daysUntil(item.dueDate, today);
+	const plural = (n) => (n === 1 ? 'day' : 'days');
+	if (isOverdue(item, today)) {
+		return chalk.red.bold(
+			verbose
+				? `${item.dueDate} (${-days} ${plural(-days)} overdue)`
+				: item.dueDate
+		);
+	}
+	const note = days === 0 ? 'due today' : `due in ${days} ${plural(days)}`;
+	const color = days <= 3 ? chalk.yellow : chalk.white;
+	return color(verbose ? `${item.dueDate} (${note})` : item.dueDate);
+}
+
+/**
+ * Builds the Estimate and Tracked rows of a task detail table
+ * @param {Object} item - Task or subtask
+ * @returns {Array<Array<string>>} Rows for the fields the item has
+ */
+function formatTimeRows(item) {
+	const rows = [];
+	if (item.estimate) {
+		rows.push([chalk.cyan.bold('Estimate:'), formatEstimate(item.estimate)]);
+	}
+	if (item.timeEntries?.length) {
+		const running = item.timeEntries.find((entry) => !entry.end);
+		rows.push([
+			chalk.cyan.bold('Tracked:'),
+			formatDuration(getTrackedMinutes(item)) +
+				(running ? chalk.yellow(` (timer running for ${running.by})`) : '')
+		]);
+	}
+	return rows;
+}
+
 /**
  * Display the next task to work on
  * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} [complexityReportPath] - Optional path to the complexity report
+ * @param {Object} [context={}] - Context object (tag to select a tagged task list, assignee to skip work owned by others,
+ *   milestone to only consider the tasks of a milestone, explain to also show the scores of the best candidates,
+ *   candidates for how many)
  */
-async function displayNextTask(tasksPath, complexityReportPath = null) {
+async function displayNextTask(
+	tasksPath,
+	complexityReportPath = null,
+	context = {}
+) {
 	displayBanner();
 
-	// Read the tasks file
-	const data = readJSON(tasksPath);
-	if (!data || !data.tasks) {
+	// Dependencies and the tasks waiting on each candidate are worked out
+	// from the whole tag
+	const storage = getTaskStorage(tasksPath);
+	if (!storage.exists()) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
 	}
+	const data = storage.readTag(context.tag);
 
 	// Read complexity report once
 	const complexityReport = readComplexityReport(complexityReportPath);
 
+	const milestone = context.milestone
+		? findMilestone(data, context.milestone)
+		: null;
+	const rankOptions = {
+		assignee: context.assignee,
+		...(milestone ? { taskIds: milestone.taskIds } : {})
+	};
+
 	// Find the next task
-	const nextTask = findNextTask(data.tasks, complexityReport);
+	const nextTask = findNextTask(data.tasks, complexityReport, rankOptions);
 
 	if (!nextTask) {
 		console.log(
 			boxen(
 				chalk.yellow('No eligible tasks found!\n\n') +
-					'All pending tasks have unsatisfied dependencies, or all tasks are completed.',
+					(milestone
+						? `In milestone ${milestone.id} (${milestone.title}): `
+						: '') +
+					(context.assignee
+						? `All pending tasks have unsatisfied dependencies, are completed, or are held by someone other than ${context.assignee}.`
+						: 'All pending tasks have unsatisfied dependencies, or all tasks are completed.'),
 				{
 					padding: { top: 0, bottom: 0, left: 1, right: 1 },
 					borderColor: 'yellow',
@@ -836,6 +1209,12 @@ async function displayNextTask(tasksPath, complexityReportPath = null) {
 			chalk.cyan.bold('Priority:'),
 			priorityColor(nextTask.priority || 'medium')
 		],
+		...(nextTask.assignee
+			? [[chalk.cyan.bold('Assignee:'), formatAssignee(nextTask)]]
+			: []),
+		...(nextTask.dueDate
+			? [[chalk.cyan.bold('Due:'), formatDueDate(nextTask, { verbose: true })]]
+			: []),
 		[
 			chalk.cyan.bold('Dependencies:'),
 			formatDependenciesWithStatus(
@@ -930,41 +1309,12 @@ async function displayNextTask(tasksPath, complexityReportPath = null) {
 					'in-progress': chalk.blue
 				}[st.status || 'pending'] || chalk.white;
 
-			// Format subtask dependencies
-			let subtaskDeps = 'None';
-			if (st.dependencies && st.dependencies.length > 0) {
-				// Format dependencies with correct notation
-				const formattedDeps = st.dependencies.map((depId) => {
-					if (typeof depId === 'number' && depId < 100) {
-						const foundSubtask = nextTask.subtasks.find(
-							(st) => st.id === depId
-						);
-						if (foundSubtask) {
-							const isDone =
-								foundSubtask.status === 'done' ||
-								foundSubtask.status === 'completed';
-							const isInProgress = foundSubtask.status === 'in-progress';
-
-							// Use consistent color formatting instead of emojis
-							if (isDone) {
-								return chalk.green.bold(`${nextTask.id}.${depId}`);
-							} else if (isInProgress) {
-								return chalk.hex('#FFA500').bold(`${nextTask.id}.${depId}`);
-							} else {
-								return chalk.red.bold(`${nextTask.id}.${depId}`);
-							}
-						}
-						return chalk.red(`${nextTask.id}.${depId} (Not found)`);
-					}
-					return depId;
-				});
-
-				// Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-				subtaskDeps =
-					formattedDeps.length === 1
-						? formattedDeps[0]
-						: formattedDeps.join(chalk.white(', '));
-			}
+			const subtaskDeps = formatSubtaskDependencies(
+				st,
+				nextTask.id,
+				data.tasks,
+				true
+			);
 
 			subtaskTable.push([
 				`${nextTask.id}.${st.id}`,
@@ -1022,6 +1372,92 @@ async function displayNextTask(tasksPath, complexityReportPath = null) {
 			margin: { top: 1 }
 		})
 	);
+
+	if (context.explain) {
+		displayNextTaskExplanation(
+			explainNextTask(data.tasks, complexityReport, {
+				...rankOptions,
+				candidates: context.candidates
+			})
+		);
+	}
+}
+
+/**
+ * Display the subtasks of a task or subtask as a table, with their own
+ * subtasks at any depth
+ * @param {Array} subtasks - Subtasks to show
+ * @param {number|string} parentId - Full ID of their parent
+ * @param {Array} allTasks - All tasks, to resolve dependencies
+ */
+function displaySubtaskTable(subtasks, parentId, allTasks) {
+	console.log(
+		boxen(chalk.white.bold('Subtasks'), {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			margin: { top: 1, bottom: 0 },
+			borderColor: 'magenta',
+			borderStyle: 'round'
+		})
+	);
+
+	const availableWidth = process.stdout.columns - 10 || 100;
+	const idWidthPct = 10;
+	const statusWidthPct = 15;
+	const depsWidthPct = 25;
+	const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
+	const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
+	const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
+	const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
+	const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
+
+	const subtaskTable = new Table({
+		head: [
+			chalk.magenta.bold('ID'),
+			chalk.magenta.bold('Status'),
+			chalk.magenta.bold('Title'),
+			chalk.magenta.bold('Deps')
+		],
+		colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
+		style: {
+			head: [],
+			border: [],
+			'padding-top': 0,
+			'padding-bottom': 0,
+			compact: true
+		},
+		chars: { mid: '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
+		wordWrap: true
+	});
+
+	const statusColorMap = {
+		done: chalk.green,
+		completed: chalk.green,
+		pending: chalk.yellow,
+		'in-progress': chalk.blue
+	};
+	// Subtasks of subtasks follow their parent, indented
+	const addRows = (items, itemsParentId, depth) => {
+		items.forEach((st) => {
+			const statusColor = statusColorMap[st.status || 'pending'] || chalk.white;
+			const subtaskDeps = formatSubtaskDependencies(
+				st,
+				itemsParentId,
+				allTasks,
+				true
+			);
+			subtaskTable.push([
+				`${itemsParentId}.${st.id}`,
+				statusColor(st.status || 'pending'),
+				`${'  '.repeat(depth)}${st.title}`,
+				subtaskDeps
+			]);
+			if (st.subtasks && st.subtasks.length > 0) {
+				addRows(st.subtasks, `${itemsParentId}.${st.id}`, depth + 1);
+			}
+		});
+	};
+	addRows(subtasks, parentId, 0);
+	console.log(subtaskTable.toString());
 }
 
 /**
@@ -1029,21 +1465,19 @@ async function displayNextTask(tasksPath, complexityReportPath = null) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string|number} taskId - The ID of the task to display
  * @param {string} [statusFilter] - Optional status to filter subtasks by
+ * @param {Object} [context={}] - Context object (tag to select a tagged task list)
  */
 async function displayTaskById(
 	tasksPath,
 	taskId,
 	complexityReportPath = null,
-	statusFilter = null
+	statusFilter = null,
+	context = {}
 ) {
 	displayBanner();
 
-	// Read the tasks file
-	const data = readJSON(tasksPath);
-	if (!data || !data.tasks) {
-		log('error', 'No valid tasks found.');
-		process.exit(1);
-	}
+	// Only the task and the tasks its dependencies point at are read
+	const tasks = readTaskWithDependencies(tasksPath, taskId, context.tag);
 
 	// Read complexity report once
 	const complexityReport = readComplexityReport(complexityReportPath);
@@ -1051,7 +1485,7 @@ async function displayTaskById(
 	// Find the task by ID, applying the status filter if provided
 	// Returns { task, originalSubtaskCount, originalSubtasks }
 	const { task, originalSubtaskCount, originalSubtasks } = findTaskById(
-		data.tasks,
+		tasks,
 		taskId,
 		complexityReport,
 		statusFilter
@@ -1108,6 +1542,18 @@ async function displayTaskById(
 				chalk.cyan.bold('Status:'),
 				getStatusWithColor(task.status || 'pending', true)
 			],
+			...(task.assignee
+				? [[chalk.cyan.bold('Assignee:'), formatAssignee(task)]]
+				: []),
+			...(task.startDate ? [[chalk.cyan.bold('Start:'), task.startDate]] : []),
+			...(task.dueDate
+				? [[chalk.cyan.bold('Due:'), formatDueDate(task, { verbose: true })]]
+				: []),
+			...formatTimeRows(task),
+			[
+				chalk.cyan.bold('Dependencies:'),
+				formatSubtaskDependencies(task, task.parentTask.id, tasks, true)
+			],
 			[
 				chalk.cyan.bold('Complexity:'),
 				task.complexityScore
@@ -1135,6 +1581,14 @@ async function displayTaskById(
 			);
 		}
 
+		if (task.subtasks && task.subtasks.length > 0) {
+			displaySubtaskTable(
+				task.subtasks,
+				`${task.parentTask.id}.${task.id}`,
+				tasks
+			);
+		}
+
 		console.log(
 			boxen(
 				chalk.white.bold('Suggested Actions:') +
@@ -1190,11 +1644,19 @@ async function displayTaskById(
 			getStatusWithColor(task.status || 'pending', true)
 		],
 		[chalk.cyan.bold('Priority:'), priorityColor(task.priority || 'medium')],
+		...(task.assignee
+			? [[chalk.cyan.bold('Assignee:'), formatAssignee(task)]]
+			: []),
+		...(task.startDate ? [[chalk.cyan.bold('Start:'), task.startDate]] : []),
+		...(task.dueDate
+			? [[chalk.cyan.bold('Due:'), formatDueDate(task, { verbose: true })]]
+			: []),
+		...formatTimeRows(task),
 		[
 			chalk.cyan.bold('Dependencies:'),
 			formatDependenciesWithStatus(
 				task.dependencies,
-				data.tasks,
+				tasks,
 				true,
 				complexityReport
 			)
@@ -1235,92 +1697,7 @@ async function displayTaskById(
 
 	// --- Subtask Table Display (uses filtered list: task.subtasks) ---
 	if (task.subtasks && task.subtasks.length > 0) {
-		console.log(
-			boxen(chalk.white.bold('Subtasks'), {
-				padding: { top: 0, bottom: 0, left: 1, right: 1 },
-				margin: { top: 1, bottom: 0 },
-				borderColor: 'magenta',
-				borderStyle: 'round'
-			})
-		);
-
-		const availableWidth = process.stdout.columns - 10 || 100;
-		const idWidthPct = 10;
-		const statusWidthPct = 15;
-		const depsWidthPct = 25;
-		const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
-		const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
-		const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
-		const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
-		const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
-
-		const subtaskTable = new Table({
-			head: [
-				chalk.magenta.bold('ID'),
-				chalk.magenta.bold('Status'),
-				chalk.magenta.bold('Title'),
-				chalk.magenta.bold('Deps')
-			],
-			colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
-			style: {
-				head: [],
-				border: [],
-				'padding-top': 0,
-				'padding-bottom': 0,
-				compact: true
-			},
-			chars: { mid: '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
-			wordWrap: true
-		});
-
-		// Populate table with the potentially filtered subtasks
-		task.subtasks.forEach((st) => {
-			const statusColorMap = {
-				done: chalk.green,
-				completed: chalk.green,
-				pending: chalk.yellow,
-				'in-progress': chalk.blue
-			};
-			const statusColor = statusColorMap[st.status || 'pending'] || chalk.white;
-			let subtaskDeps = 'None';
-			if (st.dependencies && st.dependencies.length > 0) {
-				const formattedDeps = st.dependencies.map((depId) => {
-					// Use the original, unfiltered list for dependency status lookup
-					const sourceListForDeps = originalSubtasks || task.subtasks;
-					const foundDepSubtask =
-						typeof depId === 'number' && depId < 100
-							? sourceListForDeps.find((sub) => sub.id === depId)
-							: null;
-
-					if (foundDepSubtask) {
-						const isDone =
-							foundDepSubtask.status === 'done' ||
-							foundDepSubtask.status === 'completed';
-						const isInProgress = foundDepSubtask.status === 'in-progress';
-						const color = isDone
-							? chalk.green.bold
-							: isInProgress
-								? chalk.hex('#FFA500').bold
-								: chalk.red.bold;
-						return color(`${task.id}.${depId}`);
-					} else if (typeof depId === 'number' && depId < 100) {
-						return chalk.red(`${task.id}.${depId} (Not found)`);
-					}
-					return depId; // Assume it's a top-level task ID if not a number < 100
-				});
-				subtaskDeps =
-					formattedDeps.length === 1
-						? formattedDeps[0]
-						: formattedDeps.join(chalk.white(', '));
-			}
-			subtaskTable.push([
-				`${task.id}.${st.id}`,
-				statusColor(st.status || 'pending'),
-				st.title,
-				subtaskDeps
-			]);
-		});
-		console.log(subtaskTable.toString());
+		displaySubtaskTable(task.subtasks, task.id, tasks);
 
 		// Display filter summary line *immediately after the table* if a filter was applied
 		if (statusFilter && originalSubtaskCount !== null) {
@@ -1843,7 +2220,7 @@ function displayApiKeyStatus(statusReport) {
 	console.log(table.toString());
 	console.log(
 		chalk.gray(
-			'  Note: Some providers (e.g., Azure, Ollama) may require additional endpoint configuration in .taskmasterconfig.'
+			'  Note: Azure also needs its endpoint (AZURE_OPENAI_ENDPOINT, or a baseUrl for the role in .taskmasterconfig). Ollama needs no key but a running server (global.ollamaBaseUrl).'
 		)
 	);
 }
@@ -2055,6 +2432,677 @@ function displayAiUsageSummary(telemetryData, outputType = 'cli') {
 	);
 }
 
+/**
+ * Displays the tagged task lists of a tasks file.
+ * @param {{currentTag: string, tags: Array<Object>}} tagList - The result of listTags.
+ */
+function displayTagList(tagList) {
+	if (!tagList || !tagList.tags || tagList.tags.length === 0) {
+		console.log(chalk.yellow('No tags found.'));
+		return;
+	}
+
+	const table = new Table({
+		head: ['', 'Tag', 'Tasks', 'Done', 'Description'].map((h) =>
+			chalk.cyan.bold(h)
+		),
+		colWidths: [4, 25, 8, 8, 45],
+		wordWrap: true
+	});
+
+	tagList.tags.forEach((tag) => {
+		table.push([
+			tag.isCurrent ? chalk.green('●') : '',
+			tag.isCurrent ? chalk.green.bold(tag.name) : tag.name,
+			tag.taskCount,
+			tag.completedCount,
+			chalk.gray(tag.description || '')
+		]);
+	});
+
+	console.log(table.toString());
+	console.log(chalk.gray(`Active tag: ${chalk.white(tagList.currentTag)}`));
+}
+
+/**
+ * Displays what is overdue, due soon and blocked
+ * @param {Object} agenda - Result of getAgenda
+ */
+function displayAgenda(agenda) {
+	const section = (title, color, items, note) => {
+		console.log(
+			boxen(chalk[color].bold(`${title} (${items.length})`), {
+				padding: { left: 2, right: 2, top: 0, bottom: 0 },
+				margin: { top: 1, bottom: 0 },
+				borderColor: color,
+				borderStyle: 'round'
+			})
+		);
+		if (items.length === 0) {
+			console.log(chalk.gray(`  ${note}`));
+			return;
+		}
+
+		const table = new Table({
+			head: ['ID', 'Title', 'Due', 'Status', 'Priority', 'Assignee'].map((h) =>
+				chalk.cyan.bold(h)
+			),
+			colWidths: [8, 40, 28, 14, 10, 14],
+			wordWrap: true
+		});
+		items.forEach((item) => {
+			table.push([
+				item.id,
+				item.title,
+				formatDueDate(item, { verbose: true, today: agenda.today }),
+				getStatusWithColor(item.status, true),
+				item.priority || 'medium',
+				item.assignee || chalk.gray('-')
+			]);
+		});
+		console.log(table.toString());
+	};
+
+	section('Overdue', 'red', agenda.overdue, 'Nothing is overdue.');
+	section(
+		`Due by ${agenda.until}`,
+		'yellow',
+		agenda.dueSoon,
+		'Nothing else is due in this period.'
+	);
+
+	console.log(
+		boxen(chalk.magenta.bold(`Blocked (${agenda.blocked.length})`), {
+			padding: { left: 2, right: 2, top: 0, bottom: 0 },
+			margin: { top: 1, bottom: 0 },
+			borderColor: 'magenta',
+			borderStyle: 'round'
+		})
+	);
+	if (agenda.blocked.length === 0) {
+		console.log(
+			chalk.gray(
+				'  No deadline in this period waits on unfinished dependencies.'
+			)
+		);
+	}
+	agenda.blocked.forEach((item) => {
+		console.log(
+			`  ${chalk.white(item.id)} ${item.title} ${chalk.gray(`(due ${item.dueDate})`)} ${chalk.magenta('waits on')} ${item.blockedBy.join(', ')}`
+		);
+	});
+}
+
+/**
+ * Displays tracked time by task, status and tag
+ * @param {Object} report - Result of getTimeReport
+ */
+function displayTimeReport(report) {
+	if (report.tasks.length === 0) {
+		console.log(
+			chalk.yellow(
+				'No time tracked or estimated yet. Run task-master start --id=<id> to start a timer.'
+			)
+		);
+		return;
+	}
+
+	const showTags = Object.keys(report.byTag).length > 1;
+	const table = new Table({
+		head: [
+			...(showTags ? ['Tag'] : []),
+			'ID',
+			'Title',
+			'Status',
+			'Estimate',
+			'Tracked',
+			'Complexity',
+			'Hrs/Point'
+		].map((h) => chalk.cyan.bold(h)),
+		colWidths: [...(showTags ? [12] : []), 8, 34, 14, 10, 12, 12, 11],
+		wordWrap: true
+	});
+	report.tasks.forEach((row) => {
+		table.push([
+			...(showTags ? [row.tag] : []),
+			row.id,
+			row.title,
+			getStatusWithColor(row.status, true),
+			formatEstimate(row.estimate) || chalk.gray('-'),
+			row.trackedMinutes || row.running
+				? formatDuration(row.trackedMinutes) +
+					(row.running ? chalk.yellow(' (running)') : '')
+				: chalk.gray('-'),
+			row.complexityScore !== null
+				? getComplexityWithColor(row.complexityScore)
+				: chalk.gray('N/A'),
+			row.hoursPerPoint !== null
+				? row.hoursPerPoint.toFixed(2)
+				: chalk.gray('-')
+		]);
+	});
+	console.log(table.toString());
+
+	const totals = (title, entries) =>
+		`${chalk.cyan.bold(title)} ${
+			entries.length === 0
+				? chalk.gray('-')
+				: entries
+						.map(
+							([key, minutes]) =>
+								`${key}: ${chalk.white(formatDuration(minutes))}`
+						)
+						.join(chalk.gray(' | '))
+		}`;
+	const lines = [
+		`${chalk.cyan.bold('Total:')} ${chalk.white(formatDuration(report.totalMinutes))}`,
+		totals('By status:', Object.entries(report.byStatus)),
+		totals('By tag:', Object.entries(report.byTag))
+	];
+	if (!report.complexity) {
+		lines.push(
+			chalk.gray(
+				'No complexity report found. Run task-master analyze-complexity to compare time with complexity.'
+			)
+		);
+	} else if (report.complexity.hoursPerPoint === null) {
+		lines.push(
+			chalk.gray('No time tracked yet on tasks with a complexity score.')
+		);
+	} else {
+		lines.push(
+			`${chalk.cyan.bold('Complexity:')} ${chalk.white(report.complexity.hoursPerPoint.toFixed(2))} hours per point over ${report.complexity.scoredTasks} scored task(s)`
+		);
+	}
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: 1,
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Displays an execution plan: its waves, the critical path and slack
+ * @param {Object} plan - Result of getExecutionPlan
+ */
+function displayExecutionPlan(plan) {
+	if (plan.items.length === 0) {
+		console.log(chalk.green('Nothing left to plan: every task is closed.'));
+		return;
+	}
+
+	const round = (n) => String(Math.round(n * 100) / 100);
+	const table = new Table({
+		head: ['Wave', 'ID', 'Title', 'Weight', 'Start', 'Slack', 'Depends On'].map(
+			(h) => chalk.cyan.bold(h)
+		),
+		colWidths: [6, 8, 40, 8, 8, 8, 18],
+		wordWrap: true
+	});
+	plan.items.forEach((item) => {
+		table.push([
+			item.wave,
+			item.critical ? chalk.red.bold(item.id) : item.id,
+			item.title,
+			round(item.weight),
+			round(item.earliestStart),
+			item.critical ? chalk.red('0') : chalk.green(round(item.slack)),
+			item.dependsOn.length > 0 ? item.dependsOn.join(', ') : chalk.gray('None')
+		]);
+	});
+	console.log(table.toString());
+
+	console.log(
+		boxen(
+			[
+				`${chalk.cyan.bold('Weights:')} ${plan.weightBy} (${plan.unit})`,
+				`${chalk.cyan.bold('Waves:')} ${plan.waves.length}, up to ${plan.maxParallel} task(s) in parallel`,
+				`${chalk.cyan.bold('Critical path:')} ${chalk.red(plan.criticalPath.join(' → '))}`,
+				`${chalk.cyan.bold('Length:')} ${round(plan.length)} ${plan.unit}`,
+				'',
+				chalk.gray('Tasks in a wave only depend on earlier waves.'),
+				chalk.gray(
+					'Critical tasks (red) have no slack: delaying them delays the whole plan.'
+				)
+			].join('\n'),
+			{
+				padding: 1,
+				borderColor: 'blue',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Displays how the best candidates for the next task were scored
+ * @param {Object} explanation - Result of explainNextTask
+ */
+function displayNextTaskExplanation(explanation) {
+	const labels = {
+		priority: 'Priority',
+		dueDate: 'Due',
+		complexity: 'Complexity',
+		age: 'Age',
+		unblocks: 'Unblocks',
+		parentAffinity: 'Parent'
+	};
+	// Factors without weight add nothing and get no column
+	const factors = Object.keys(labels).filter(
+		(factor) => explanation.weights[factor]
+	);
+	const round = (n) => String(Math.round(n * 100) / 100);
+
+	const table = new Table({
+		head: ['#', 'ID', 'Title', 'Score', ...factors.map((f) => labels[f])].map(
+			(h) => chalk.cyan.bold(h)
+		),
+		colWidths: [4, 8, 32, 8, ...factors.map(() => 11)],
+		wordWrap: true
+	});
+	explanation.candidates.forEach((candidate, index) => {
+		table.push([
+			index + 1,
+			index === 0 ? chalk.green.bold(candidate.id) : candidate.id,
+			candidate.title,
+			chalk.bold(round(candidate.score)),
+			...factors.map((factor) => {
+				const { value, points } = candidate.breakdown[factor];
+				return points
+					? `${round(points)} ${chalk.gray(`(${round(value)})`)}`
+					: chalk.gray('0');
+			})
+		]);
+	});
+	console.log(table.toString());
+
+	console.log(
+		boxen(
+			[
+				`${chalk.cyan.bold('Candidates:')} ${explanation.candidates.length} of ${explanation.total} shown`,
+				`${chalk.cyan.bold('Weights:')} ${Object.entries(explanation.weights)
+					.map(([factor, weight]) => `${factor} ${weight}`)
+					.join(', ')}`,
+				'',
+				chalk.gray(
+					'Each column shows the points a factor adds (its value times its weight) and, in brackets, the value.'
+				),
+				chalk.gray(
+					'Set nextTask.weights in .taskmasterconfig to change the weights.'
+				)
+			].join('\n'),
+			{
+				padding: 1,
+				borderColor: 'blue',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Displays the items handed out for parallel work
+ * @param {Object} result - Result of getReadyTasks
+ */
+function displayReadyTasks(result) {
+	if (result.tasks.length === 0) {
+		console.log(
+			chalk.yellow(
+				'No eligible tasks found: pending tasks have unsatisfied dependencies, are held by someone else, or all tasks are completed.'
+			)
+		);
+		return;
+	}
+
+	const claimed = !!result.claimedBy;
+	const priorityColors = {
+		high: chalk.red.bold,
+		medium: chalk.yellow,
+		low: chalk.gray
+	};
+	const table = new Table({
+		head: [
+			'ID',
+			'Title',
+			'Priority',
+			'Score',
+			...(claimed ? ['Claimed Until'] : [])
+		].map((h) => chalk.cyan.bold(h)),
+		colWidths: [8, 44, 10, 8, ...(claimed ? [24] : [])],
+		wordWrap: true
+	});
+	result.tasks.forEach((item) => {
+		table.push([
+			item.id,
+			item.title,
+			(priorityColors[item.priority || 'medium'] || chalk.white)(
+				item.priority || 'medium'
+			),
+			item.score,
+			...(claimed
+				? [
+						item.claimExpiresAt
+							? new Date(item.claimExpiresAt).toLocaleString()
+							: chalk.gray('assigned')
+					]
+				: [])
+		]);
+	});
+	console.log(table.toString());
+
+	const lines = [
+		`${chalk.cyan.bold('Ready:')} ${result.tasks.length} item(s) that can be worked on at the same time`
+	];
+	if (claimed) {
+		lines.push(`${chalk.cyan.bold('Claimed by:')} ${result.claimedBy}`);
+	}
+	if (result.skipped.length > 0) {
+		lines.push('', chalk.yellow.bold('Skipped to avoid conflicts:'));
+		result.skipped.forEach((item) =>
+			lines.push(
+				`  ${item.id} ${item.title} ${chalk.gray(`(${item.reason}, like ${item.conflictsWith})`)}`
+			)
+		);
+	}
+	lines.push(
+		'',
+		chalk.gray(
+			'Items conflict when they are subtasks of the same task or share a value of the files or component custom fields.'
+		)
+	);
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: 1,
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+// Target date of a milestone, colored like a due date until it is finished
+const formatTargetDate = (milestone, options = {}) =>
+	formatDueDate(
+		{
+			dueDate: milestone.targetDate,
+			status:
+				milestone.progress.total > 0 &&
+				milestone.progress.done === milestone.progress.total
+					? 'done'
+					: 'pending'
+		},
+		options
+	);
+
+/**
+ * Displays the milestones of a task list with their progress
+ * @param {Object} result - Result of listMilestones
+ */
+function displayMilestones(result) {
+	if (result.milestones.length === 0) {
+		console.log(
+			chalk.yellow(
+				`No milestones in tag ${result.tag}. Create one with: task-master add-milestone --title="<title>" --tasks=<ids>`
+			)
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: ['ID', 'Type', 'Title', 'Target', 'Progress', 'Tasks'].map((h) =>
+			chalk.cyan.bold(h)
+		),
+		colWidths: [6, 11, 30, 14, 30, 9],
+		wordWrap: true
+	});
+	result.milestones.forEach((milestone) => {
+		const { progress } = milestone;
+		table.push([
+			milestone.id,
+			milestone.type,
+			milestone.title,
+			formatTargetDate(milestone),
+			createProgressBar(progress.percent, 20, progress.statusBreakdown),
+			`${progress.done}/${progress.total}`
+		]);
+	});
+	console.log(table.toString());
+
+	const overdue = result.milestones.filter((milestone) => milestone.overdue);
+	if (overdue.length > 0) {
+		console.log(
+			chalk.red(
+				`\nPast their target date: ${overdue.map((milestone) => `${milestone.id} (${milestone.title})`).join(', ')}`
+			)
+		);
+	}
+}
+
+/**
+ * Displays a milestone with its tasks and progress
+ * @param {Object} milestone - Result of getMilestone
+ */
+function displayMilestone(milestone) {
+	const { progress } = milestone;
+	const lines = [
+		`${chalk.white.bold(`${milestone.type === 'epic' ? 'Epic' : 'Milestone'} ${milestone.id}: ${milestone.title}`)} ${chalk.gray(`(tag: ${milestone.tag})`)}`
+	];
+	if (milestone.description) {
+		lines.push(milestone.description);
+	}
+	lines.push(
+		'',
+		`${chalk.cyan.bold('Target date:')} ${formatTargetDate(milestone, { verbose: true })}`,
+		`${chalk.cyan.bold('Tasks:')}    ${createProgressBar(progress.percent, 30, progress.statusBreakdown)} (${progress.done}/${progress.total})`
+	);
+	if (progress.subtasks.total > 0) {
+		lines.push(
+			`${chalk.cyan.bold('Subtasks:')} ${createProgressBar(progress.subtasks.percent, 30, progress.subtasks.statusBreakdown)} (${progress.subtasks.done}/${progress.subtasks.total})`
+		);
+	}
+	if (progress.missingTaskIds.length > 0) {
+		lines.push(
+			'',
+			chalk.yellow(
+				`Tasks no longer in this tag: ${progress.missingTaskIds.join(', ')}`
+			)
+		);
+	}
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: 1,
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+
+	if (milestone.tasks.length === 0) {
+		return;
+	}
+	const table = new Table({
+		head: ['ID', 'Title', 'Status', 'Priority', 'Due'].map((h) =>
+			chalk.cyan.bold(h)
+		),
+		colWidths: [6, 42, 16, 10, 14],
+		wordWrap: true
+	});
+	milestone.tasks.forEach((task) => {
+		table.push([
+			task.id,
+			task.title,
+			getStatusWithColor(task.status, true),
+			task.priority,
+			formatDueDate(task)
+		]);
+	});
+	console.log(table.toString());
+	console.log(
+		chalk.gray(
+			`\nNext task in this ${milestone.type}: task-master next --milestone=${milestone.id}`
+		)
+	);
+}
+
+/**
+ * Displays what depends on tasks, for the impact command or as a warning
+ * before removing, deferring or cancelling them
+ * @param {Object} impact - Result of getTaskImpact
+ * @param {Object} [options] - Options
+ * @param {string} [options.action] - 'remove', 'defer' or 'cancel' to show the
+ *   consequences of that action only (and nothing if no task is affected)
+ */
+function displayTaskImpact(impact, options = {}) {
+	const { action } = options;
+	const subject = impact.taskIds.join(', ');
+	if (impact.dependents.length === 0) {
+		if (!action) {
+			console.log(chalk.green(`Nothing depends on ${subject}.`));
+		}
+		return;
+	}
+
+	if (!action) {
+		const table = new Table({
+			head: ['ID', 'Title', 'Status', 'Depends'].map((h) => chalk.cyan.bold(h)),
+			colWidths: [8, 50, 16, 14],
+			wordWrap: true
+		});
+		impact.dependents.forEach((item) => {
+			table.push([
+				item.id,
+				item.title,
+				getStatusWithColor(item.status, true),
+				item.depth === 1 ? 'directly' : chalk.gray(`${item.depth} levels`)
+			]);
+		});
+		console.log(table.toString());
+	}
+
+	const list = (ids) => (ids.length > 0 ? ids.join(', ') : chalk.gray('none'));
+	const lines = [
+		chalk.yellow.bold(
+			`${impact.dependents.length} task(s) depend on ${subject} (${impact.direct.length} directly: ${impact.direct.join(', ')})`
+		)
+	];
+	if (!action || action === 'remove') {
+		lines.push(
+			`${chalk.cyan.bold('Unblocked by removing:')} ${list(impact.unblockedOnRemoval)}`
+		);
+	}
+	if (action !== 'remove') {
+		lines.push(
+			`${chalk.cyan.bold('Blocked for good if deferred or cancelled:')} ${list(impact.blockedIfAbandoned)}`
+		);
+	}
+	lines.push(
+		`${chalk.cyan.bold('Completion at risk:')} ${impact.atRisk.percent}% (${impact.atRisk.items} of ${impact.atRisk.total} tasks and subtasks)`
+	);
+
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: 1,
+			borderColor: 'yellow',
+			borderStyle: 'round',
+			margin: { top: 1, bottom: action ? 1 : 0 }
+		})
+	);
+}
+
+/**
+ * Display the undo/redo history of a tasks file
+ * @param {Object} history - Result of getHistory ({ file, entries, canUndo, canRedo })
+ */
+function displayHistory(history) {
+	if (!history || history.entries.length === 0) {
+		console.log(chalk.yellow('No recorded changes yet.'));
+		return;
+	}
+
+	const table = new Table({
+		head: ['#', 'When', 'Command', 'Arguments', 'State'].map((h) =>
+			chalk.cyan.bold(h)
+		),
+		colWidths: [6, 25, 18, 40, 10],
+		wordWrap: true
+	});
+
+	history.entries.forEach((entry) => {
+		table.push([
+			entry.id,
+			new Date(entry.timestamp).toLocaleString(),
+			entry.operation,
+			chalk.gray(entry.details || ''),
+			entry.undone ? chalk.yellow('undone') : chalk.green('applied')
+		]);
+	});
+
+	console.log(chalk.white.bold(`History of ${history.file}`));
+	console.log(table.toString());
+	console.log(
+		chalk.gray(
+			`${history.canUndo ? 'task-master undo' : 'Nothing to undo'} | ${history.canRedo ? 'task-master redo' : 'Nothing to redo'}`
+		)
+	);
+}
+
+/**
+ * Formats a task field value for the audit log
+ * @param {*} value - Field value
+ * @returns {string} Short printable value
+ */
+function formatAuditValue(value) {
+	if (value === null || value === undefined) {
+		return chalk.gray('none');
+	}
+	const text = typeof value === 'string' ? value : JSON.stringify(value);
+	return truncate(text.replace(/\s+/g, ' '), 60);
+}
+
+/**
+ * Display the audit log of task changes
+ * @param {Object} auditLog - Result of getAuditLog ({ file, entries })
+ * @param {Object} [options] - Display options
+ * @param {string} [options.id] - Task ID the log was filtered by
+ */
+function displayAuditLog(auditLog, options = {}) {
+	const subject = options.id ? `task ${options.id}` : auditLog.file;
+	if (auditLog.entries.length === 0) {
+		console.log(chalk.yellow(`No recorded changes for ${subject}.`));
+		return;
+	}
+
+	console.log(chalk.white.bold(`Audit log of ${subject}`));
+	auditLog.entries.forEach((entry) => {
+		const actor = `${entry.actor.type}:${entry.actor.name}`;
+		console.log(
+			`\n${chalk.gray(new Date(entry.timestamp).toLocaleString())} ${chalk.cyan(actor)} ${chalk.white.bold(entry.command)} ${chalk.gray(entry.details || '')}`
+		);
+
+		entry.changes.forEach((change) => {
+			const label = chalk.magenta(`  [${change.tag}] #${change.taskId}`);
+			if (change.action !== 'updated') {
+				const created = change.action === 'created';
+				const title = change.fields.title?.[created ? 'after' : 'before'];
+				console.log(
+					`${label} ${created ? chalk.green('created') : chalk.red('deleted')} ${formatAuditValue(title)}`
+				);
+				return;
+			}
+			Object.entries(change.fields).forEach(([field, diff]) => {
+				console.log(
+					`${label} ${field}: ${formatAuditValue(diff.before)} ${chalk.gray('->')} ${formatAuditValue(diff.after)}`
+				);
+			});
+		});
+	});
+}
+
 // Export UI functions
 export {
 	displayBanner,
@@ -2063,6 +3111,7 @@ export {
 	createProgressBar,
 	getStatusWithColor,
 	formatDependenciesWithStatus,
+	formatSubtaskDependencies,
 	displayHelp,
 	getComplexityWithColor,
 	displayNextTask,
@@ -2073,5 +3122,18 @@ export {
 	displayApiKeyStatus,
 	displayModelConfiguration,
 	displayAvailableModels,
-	displayAiUsageSummary
+	displayAiUsageSummary,
+	displayTagList,
+	displayAgenda,
+	displayTimeReport,
+	displayTaskImpact,
+	STATUS_COLORS,
+	displayExecutionPlan,
+	displayNextTaskExplanation,
+	displayReadyTasks,
+	displayMilestones,
+	displayMilestone,
+	formatDueDate,
+	displayHistory,
+	displayAuditLog
 };
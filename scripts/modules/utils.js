@@ -9,6 +9,9 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 // Import specific config getters needed here
 import { getLogLevel, getDebugFlag } from './config-manager.js';
+import { writeFileAtomic } from './file-lock.js';
+import { getTaskStorage, isStorageManifest } from './storage/index.js';
+import { findTaskByPath } from './storage/task-storage.js';
 
 // Global silent mode flag
 let silentMode = false;
@@ -19,7 +22,7 @@ const LOG_FILE_PATH = path.join(LOG_FILE_DIR, 'taskmaster.log');
 
 // Ensure log directory exists
 if (!fs.existsSync(LOG_FILE_DIR)) {
-    fs.mkdirSync(LOG_FILE_DIR, { recursive: true });
+	fs.mkdirSync(LOG_FILE_DIR, { recursive: true });
 }
 
 // --- Environment Variable Resolution Utility ---
@@ -175,9 +178,11 @@ function log(level, ...args) {
 		// Use console.log for all levels, let chalk handle coloring
 		// Construct the message properly
 		const message = args
-			.map((arg) => (typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg))
+			.map((arg) =>
+				typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
+			)
 			.join(' ');
-		
+
 		const timestamp = new Date().toISOString();
 		const logEntry = `${timestamp} ${prefix} ${message}\n`;
 
@@ -187,24 +192,137 @@ function log(level, ...args) {
 		try {
 			fs.appendFileSync(LOG_FILE_PATH, logEntry);
 		} catch (fileError) {
-			console.error(chalk.red(`Error writing to log file ${LOG_FILE_PATH}: ${fileError.message}`));
+			console.error(
+				chalk.red(
+					`Error writing to log file ${LOG_FILE_PATH}: ${fileError.message}`
+				)
+			);
 		}
+	}
+}
+
+// --- Tagged Task Lists ---
+// A tasks file can hold several independent task lists ("tags"). The tagged
+// layout is { currentTag, tags: { <name>: { tasks, metadata } } }; legacy
+// files with a top-level `tasks` array are treated as the default tag.
+const DEFAULT_TAG = 'master';
+const TAG_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+
+/**
+ * Checks whether raw file data uses the tagged tasks layout
+ * @param {Object} rawData - Parsed JSON content
+ * @returns {boolean} True if the data is in tagged format
+ */
+function isTaggedTasksData(rawData) {
+	return (
+		!!rawData &&
+		typeof rawData.tags === 'object' &&
+		rawData.tags !== null &&
+		!Array.isArray(rawData.tags) &&
+		!Array.isArray(rawData.tasks)
+	);
+}
 
-	
+/**
+ * Validates a tag name
+ * @param {string} tagName - The tag name to check
+ * @returns {boolean} True if the name is usable as a tag
+ */
+function isValidTagName(tagName) {
+	return typeof tagName === 'string' && TAG_NAME_PATTERN.test(tagName);
 }
+
+/**
+ * Wraps legacy tasks data ({ tasks, metadata }) in the default tag.
+ * Data that is already tagged is returned unchanged.
+ * @param {Object} rawData - Parsed JSON content of a tasks file
+ * @returns {Object} Data in tagged format
+ */
+function migrateToTaggedFormat(rawData) {
+	if (isTaggedTasksData(rawData)) {
+		return rawData;
+	}
+	const { tasks = [], metadata, ...rest } = rawData || {};
+	const tagData = { tasks };
+	if (metadata) {
+		tagData.metadata = metadata;
+	}
+	return {
+		...rest,
+		currentTag: DEFAULT_TAG,
+		tags: { [DEFAULT_TAG]: tagData }
+	};
 }
 
 /**
- * Reads and parses a JSON file
+ * Checks whether parsed JSON is the content of a tasks file (any version)
+ * @param {Object} rawData - Parsed JSON content
+ * @returns {boolean} True for tasks files
+ */
+function isTasksFileData(rawData) {
+	return isTaggedTasksData(rawData) || Array.isArray(rawData?.tasks);
+}
+
+/**
+ * Reads a tasks file and returns its full tagged structure, upgrading files
+ * written by older versions in memory. A missing file yields an empty
+ * tagged structure.
+ * @param {string} filepath - Path to the tasks file
+ * @returns {Object} Tagged tasks data ({ meta, currentTag, tags })
+ * @throws {TasksSchemaError} If the file is invalid or cannot be upgraded
+ */
+function readTaggedTasksFile(filepath) {
+	return getTaskStorage(filepath).readData();
+}
+
+/**
+ * Resolves which tag an operation should use
+ * @param {Object} rawData - Parsed JSON content of a tasks file
+ * @param {string|null} [tag=null] - Explicitly requested tag
+ * @returns {string} The tag to use
+ */
+function resolveTag(rawData, tag = null) {
+	if (tag) {
+		return tag;
+	}
+	if (isTaggedTasksData(rawData) && rawData.currentTag) {
+		return rawData.currentTag;
+	}
+	return DEFAULT_TAG;
+}
+
+/**
+ * Builds the file name of a generated task file. Tasks of non-default tags
+ * get a tag suffix so task lists don't overwrite each other's files.
+ * @param {number|string} taskId - The task ID
+ * @param {string|null} [tag=null] - The tag the task belongs to
+ * @returns {string} The task file name (e.g. task_001.txt or task_001_feature.txt)
+ */
+function getTaskFileName(taskId, tag = null) {
+	const suffix = tag && tag !== DEFAULT_TAG ? `_${tag}` : '';
+	return `task_${taskId.toString().padStart(3, '0')}${suffix}.txt`;
+}
+
+/**
+ * Reads and parses a JSON file. For tasks files, the task list of the
+ * requested (or currently active) tag is returned with a `tag` property
+ * identifying it, so that writeJSON can store it back in the same place.
+ * Tasks are read from the file's storage backend (see storage/index.js).
  * @param {string} filepath - Path to the JSON file
+ * @param {string|null} [tag=null] - Tag to read from a tasks file (defaults to the active tag)
  * @returns {Object|null} Parsed JSON data or null if error occurs
  */
-function readJSON(filepath) {
+function readJSON(filepath, tag = null) {
 	// Get debug flag dynamically from config-manager
 	const isDebug = getDebugFlag();
 	try {
-		const rawData = fs.readFileSync(filepath, 'utf8');
-		return JSON.parse(rawData);
+		const rawData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+		if (isTasksFileData(rawData) || isStorageManifest(rawData)) {
+			return getTaskStorage(filepath).readTag(tag, { rawData });
+		}
+
+		return rawData;
 	} catch (error) {
 		log('error', `Error reading JSON file ${filepath}:`, error.message);
 		if (isDebug) {
@@ -217,11 +335,90 @@ function readJSON(filepath) {
 }
 
 /**
- * Writes data to a JSON file
+ * Reads the tasks needed to show one task: the top-level task holding it and
+ * the tasks its dependencies, and those of its subtasks, point at. Tasks are
+ * fetched one by one from the storage, so SQLite storage doesn't load the
+ * rest of the tag.
+ * @param {string} filepath - Path to the tasks.json file
+ * @param {string|number} taskId - Task or dotted subtask ID
+ * @param {string|null} [tag=null] - Tag to read (defaults to the active tag)
+ * @returns {Array<Object>} Top-level tasks, the one holding taskId first, or
+ *   an empty array if there is no such task
+ */
+function readTaskWithDependencies(filepath, taskId, tag = null) {
+	const storage = getTaskStorage(filepath);
+	if (!storage.exists()) {
+		throw new Error(`Tasks file not found at path: ${filepath}`);
+	}
+	const topLevelId = (id) => parseInt(String(id).split('.')[0], 10);
+	const root = storage.getTask(topLevelId(taskId), { tag });
+	if (!root) {
+		return [];
+	}
+
+	const tasks = new Map([[root.id, root]]);
+	const addDependencies = (task, parentId) =>
+		(task.dependencies || []).forEach((dep) => {
+			const id = topLevelId(resolveDependencyId(dep, parentId));
+			const dependency = tasks.has(id) ? null : storage.getTask(id, { tag });
+			if (dependency) {
+				tasks.set(id, dependency);
+			}
+		});
+	addDependencies(root, null);
+	forEachSubtask([root], addDependencies);
+	return [...tasks.values()];
+}
+
+/**
+ * Changes single tasks: reads the top-level tasks holding the given task or
+ * subtask IDs, lets fn change them and stores the ones that changed with
+ * upsertTask, all in one storage transaction. With SQLite storage the other
+ * tasks of the tag are neither read nor rewritten.
+ * @param {string} filepath - Path to the tasks.json file
+ * @param {Array<string|number>} taskIds - Task or dotted subtask IDs
+ * @param {string|null} tag - Tag of the tasks (defaults to the active tag)
+ * @param {(tasks: Array<Object>, storage: Object) => *} fn - Gets the top-level
+ *   tasks that exist, in the order first named, and the storage of the
+ *   transaction; it changes the tasks in place, replaces them in the array
+ *   or adds more tasks to it
+ * @returns {*} Result of fn
+ */
+function updateStoredTasks(filepath, taskIds, tag, fn) {
+	const storage = getTaskStorage(filepath);
+	if (!storage.exists()) {
+		throw new Error(`Tasks file not found at path: ${filepath}`);
+	}
+	const topLevelIds = new Set(
+		taskIds.map((id) => parseInt(String(id).split('.')[0], 10))
+	);
+	return storage.transaction((tx) => {
+		const tasks = [...topLevelIds]
+			.map((id) => tx.getTask(id, { tag }))
+			.filter(Boolean);
+		const original = tasks.map((task) => JSON.stringify(task));
+		const result = fn(tasks, tx);
+		tasks.forEach((task, index) => {
+			if (JSON.stringify(task) !== original[index]) {
+				tx.upsertTask(task, { tag });
+			}
+		});
+		return result;
+	});
+}
+
+/**
+ * Writes data to a JSON file. Task data ({ tasks, ... }) is stored under
+ * its tag (explicit `tag`, then `data.tag`, then the file's active tag),
+ * leaving other tags untouched; files of older schema versions are upgraded
+ * on write. Tasks data is validated against the schema before it is written
+ * and goes to the file's storage backend, which replaces JSON files
+ * atomically under the file's lock (re-entered if the caller already holds it).
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write
+ * @param {string|null} [tag=null] - Tag to store task data under
  */
-function writeJSON(filepath, data) {
+function writeJSON(filepath, data, tag = null) {
 	// Get debug flag dynamically from config-manager
 	const isDebug = getDebugFlag();
 	try {
@@ -229,7 +426,15 @@ function writeJSON(filepath, data) {
 		if (!fs.existsSync(dir)) {
 			fs.mkdirSync(dir, { recursive: true });
 		}
-		fs.writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf8');
+
+		if (Array.isArray(data?.tasks)) {
+			const { tag: dataTag, ...tagData } = data;
+			getTaskStorage(filepath).writeTag(tagData, tag || dataTag);
+		} else if (isTaggedTasksData(data)) {
+			getTaskStorage(filepath).writeData(data);
+		} else {
+			writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+		}
 	} catch (error) {
 		log('error', `Error writing JSON file ${filepath}:`, error.message);
 		if (isDebug) {
@@ -237,8 +442,8 @@ function writeJSON(filepath, data) {
 			// Use log utility for debug output too
 			log('error', 'Full error details:', error);
 		}
-	
-throw error;
+
+		throw error;
 	}
 }
 
@@ -304,8 +509,8 @@ function readComplexityReport(customPath = null) {
 			log('error', 'Full error details:', error);
 		}
 		return null;
-}
 	}
+}
 
 /**
  * Finds a task analysis in the complexity report
@@ -334,6 +539,10 @@ function addComplexityToTask(task, complexityReport) {
 	} else {
 		taskId = task.id;
 	}
+	// The report covers top-level tasks; nested subtasks use their task's entry
+	if (typeof taskId === 'string') {
+		taskId = parseInt(taskId.split('.')[0], 10);
+	}
 
 	const taskAnalysis = findTaskInComplexityReport(complexityReport, taskId);
 	if (taskAnalysis) {
@@ -344,30 +553,73 @@ function addComplexityToTask(task, complexityReport) {
 /**
  * Checks if a task exists in the tasks array
  * @param {Array} tasks - The tasks array
- * @param {string|number} taskId - The task ID to check
+ * @param {string|number} taskId - The task ID to check, dotted at any depth for subtasks (e.g. "1.2.1")
  * @returns {boolean} True if the task exists, false otherwise
  */
 function taskExists(tasks, taskId) {
 	if (!taskId || !tasks || !Array.isArray(tasks)) {
 		return false;
 	}
+	const id = String(taskId).trim();
+	if (!/^\d+(\.\d+)*$/.test(id)) {
+		return false;
+	}
+	return findTaskByPath(tasks, id) !== null;
+}
 
-	// Handle both regular task IDs and subtask IDs (e.g., "1.2")
-	if (typeof taskId === 'string' && taskId.includes('.')) {
-		const [parentId, subtaskId] = taskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = tasks.find((t) => t.id === parentId);
+/**
+ * Splits a task ID into the ID of its parent and its own number
+ * @param {string|number} taskId - Task ID, e.g. 5, "5.2" or "5.2.1"
+ * @returns {{ parentId: number|string|null, id: number }} parentId is null for
+ *   a top-level task, the task number for a subtask of a task, and the dotted
+ *   ID for deeper subtasks (e.g. { parentId: '5.2', id: 1 } for "5.2.1")
+ */
+function parseTaskId(taskId) {
+	const parts = String(taskId).trim().split('.');
+	const id = parseInt(parts.pop(), 10);
+	if (parts.length === 0) {
+		return { parentId: null, id };
+	}
+	return {
+		parentId: parts.length === 1 ? parseInt(parts[0], 10) : parts.join('.'),
+		id
+	};
+}
 
-		if (!parentTask || !parentTask.subtasks) {
-			return false;
+/**
+ * Orders task IDs numerically, level by level, so "2.10" follows "2.9" and a
+ * subtask follows its parent
+ * @param {string|number} a - Task ID
+ * @param {string|number} b - Task ID
+ * @returns {number} Negative, zero or positive as for Array.prototype.sort
+ */
+function compareTaskIds(a, b) {
+	const aParts = String(a).split('.').map(Number);
+	const bParts = String(b).split('.').map(Number);
+	for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+		if (aParts[i] !== bParts[i]) {
+			return aParts[i] - bParts[i];
 		}
-
-		return parentTask.subtasks.some((st) => st.id === subtaskId);
 	}
+	return aParts.length - bParts.length;
+}
 
-	const id = parseInt(taskId, 10);
-	return tasks.some((t) => t.id === id);
+/**
+ * Calls a function for every subtask of the given tasks at any depth,
+ * parents before their own subtasks
+ * @param {Array} tasks - Top-level tasks
+ * @param {Function} callback - Called as (subtask, parentId, parent), where
+ *   parentId is the full ID of the parent as parseTaskId gives it (so the
+ *   subtask's own full ID is `${parentId}.${subtask.id}`)
+ */
+function forEachSubtask(tasks, callback) {
+	const visit = (parent, parentId) => {
+		(parent.subtasks || []).forEach((subtask) => {
+			callback(subtask, parentId, parent);
+			visit(subtask, `${parentId}.${subtask.id}`);
+		});
+	};
+	(tasks || []).forEach((task) => visit(task, task.id));
 }
 
 /**
@@ -377,7 +629,7 @@ function taskExists(tasks, taskId) {
  */
 function formatTaskId(id) {
 	if (typeof id === 'string' && id.includes('.')) {
-		return id; // Already formatted as a string with a dot (e.g., "1.2")
+		return id; // Already formatted as a dotted string (e.g., "1.2" or "1.2.1")
 	}
 
 	if (typeof id === 'number') {
@@ -387,6 +639,55 @@ function formatTaskId(id) {
 	return id;
 }
 
+/**
+ * Resolves a dependency to the full ID of the task or subtask it points to.
+ * A dotted ID ("5.1") names a subtask anywhere in the tree. A plain number
+ * names a task, except in the dependencies of a subtask, where it names a
+ * sibling subtask.
+ * @param {string|number|Object} depId - The dependency as stored, a plain ID or { id, type }
+ * @param {string|number|null} [parentId=null] - Parent task ID when the dependency belongs to a subtask
+ * @returns {string} The full ID (e.g., "3" or "5.1")
+ */
+function resolveDependencyId(depId, parentId = null) {
+	const id = String(
+		depId !== null && typeof depId === 'object' ? depId.id : depId
+	).trim();
+	if (id.includes('.') || parentId === null || parentId === undefined) {
+		return id;
+	}
+	return `${parentId}.${id}`;
+}
+
+/**
+ * Returns the type of a dependency. Dependencies are stored as plain IDs,
+ * which block their task, or as { id, type } for the other types.
+ * @param {string|number|Object} dep - The dependency as stored
+ * @returns {string} One of DEPENDENCY_TYPES
+ */
+function getDependencyType(dep) {
+	return (dep !== null && typeof dep === 'object' && dep.type) || 'blocks';
+}
+
+/**
+ * Checks whether a dependency has to be done before its task can start
+ * @param {string|number|Object} dep - The dependency as stored
+ * @returns {boolean} True for 'blocks' dependencies
+ */
+function isBlockingDependency(dep) {
+	return getDependencyType(dep) === 'blocks';
+}
+
+/**
+ * Creates a dependency in its stored form: the plain ID for 'blocks', so
+ * that files without other types keep their numeric arrays
+ * @param {string|number} id - ID of the task or subtask depended on
+ * @param {string} [type='blocks'] - One of DEPENDENCY_TYPES
+ * @returns {string|number|Object} The dependency to store
+ */
+function createDependency(id, type = 'blocks') {
+	return type === 'blocks' ? id : { id, type };
+}
+
 /**
  * Finds a task by ID in the tasks array. Optionally filters subtasks by status.
  * @param {Array} tasks - The tasks array
@@ -406,23 +707,17 @@ function findTaskById(
 		return { task: null, originalSubtaskCount: null };
 	}
 
-	// Check if it's a subtask ID (e.g., "1.2")
+	// Check if it's a subtask ID (e.g., "1.2" or "1.2.1")
 	if (typeof taskId === 'string' && taskId.includes('.')) {
 		// If looking for a subtask, statusFilter doesn't apply directly here.
-		const [parentId, subtaskId] = taskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = tasks.find((t) => t.id === parentId);
-
-		if (!parentTask || !parentTask.subtasks) {
-			return { task: null, originalSubtaskCount: null };
-		}
+		const { parentId } = parseTaskId(taskId);
+		const parentTask = findTaskByPath(tasks, parentId);
+		const subtask = parentTask ? findTaskByPath(tasks, taskId.trim()) : null;
 
-		const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
 		if (subtask) {
 			// Add reference to parent task for context
 			subtask.parentTask = {
-				id: parentTask.id,
+				id: parentId,
 				title: parentTask.title,
 				status: parentTask.status
 			};
@@ -475,6 +770,35 @@ function findTaskById(
 	return { task: taskResult, originalSubtaskCount };
 }
 
+// Task fields set through commands rather than written by the AI. AI
+// responses are parsed into a fixed shape, so updates carry these over.
+const COMMAND_MANAGED_TASK_FIELDS = [
+	'assignee',
+	'claimExpiresAt',
+	'startDate',
+	'dueDate',
+	'estimate',
+	'timeEntries',
+	'customFields'
+];
+
+/**
+ * Copies the command-managed fields of a task onto its AI-updated version
+ * @param {Object} updatedTask - Task as returned by the AI
+ * @param {Object} originalTask - Task before the update
+ * @returns {Object} The updated task with the original's managed fields
+ */
+function keepCommandManagedFields(updatedTask, originalTask) {
+	const kept = { ...updatedTask };
+	COMMAND_MANAGED_TASK_FIELDS.forEach((field) => {
+		delete kept[field];
+		if (originalTask[field] !== undefined) {
+			kept[field] = originalTask[field];
+		}
+	});
+	return kept;
+}
+
 /**
  * Truncates text to a specified length
  * @param {string} text - The text to truncate
@@ -489,6 +813,104 @@ function truncate(text, maxLength) {
 	return text.slice(0, maxLength - 3) + '...';
 }
 
+/**
+ * Parses the JSON at the start of a response that is still being streamed.
+ * Text before the first `{` or `[` (e.g. a code fence) is skipped. Open
+ * objects and arrays are closed, and values that are not complete yet (a
+ * string without its closing quote, a number that may still grow) are left
+ * out, so every string in the result is final.
+ * @param {string} text - The response text received so far
+ * @returns {*} The parsed value, or undefined if nothing can be parsed yet
+ */
+function parsePartialJson(text) {
+	const start = text.search(/[[{]/);
+	if (start === -1) {
+		return undefined;
+	}
+
+	// Open objects/arrays; objects track whether a key or a value comes next
+	const stack = [];
+	let checkpoint = null;
+	let inString = false;
+	let stringIsKey = false;
+	let escaped = false;
+	let inScalar = false;
+
+	// Remembers the longest prefix that can be closed into valid JSON
+	const mark = (end) => {
+		checkpoint = {
+			end,
+			closers: stack
+				.map((frame) => frame.closer)
+				.reverse()
+				.join('')
+		};
+	};
+
+	for (let i = start; i < text.length; i++) {
+		const char = text[i];
+		const frame = stack[stack.length - 1];
+
+		if (inString) {
+			if (escaped) {
+				escaped = false;
+			} else if (char === '\\') {
+				escaped = true;
+			} else if (char === '"') {
+				inString = false;
+				if (!stringIsKey) mark(i + 1);
+			}
+			continue;
+		}
+
+		if (inScalar && /[\s,:\]}]/.test(char)) {
+			inScalar = false;
+			mark(i);
+		}
+
+		switch (char) {
+			case '"':
+				inString = true;
+				stringIsKey = frame?.closer === '}' && frame.expectsKey;
+				break;
+			case '{':
+				stack.push({ closer: '}', expectsKey: true });
+				mark(i + 1);
+				break;
+			case '[':
+				stack.push({ closer: ']' });
+				mark(i + 1);
+				break;
+			case '}':
+			case ']':
+				stack.pop();
+				if (stack.length === 0) {
+					try {
+						return JSON.parse(text.slice(start, i + 1));
+					} catch (error) {
+						return undefined;
+					}
+				}
+				mark(i + 1);
+				break;
+			case ':':
+				if (frame) frame.expectsKey = false;
+				break;
+			case ',':
+				if (frame?.closer === '}') frame.expectsKey = true;
+				break;
+			default:
+				if (!/\s/.test(char)) inScalar = true;
+		}
+	}
+
+	try {
+		return JSON.parse(text.slice(start, checkpoint.end) + checkpoint.closers);
+	} catch (error) {
+		return undefined;
+	}
+}
+
 /**
  * Find cycles in a dependency graph using DFS
  * @param {string} subtaskId - Current subtask ID
@@ -654,16 +1076,35 @@ function aggregateTelemetry(telemetryArray, overallCommandName) {
 // Export all utility functions and configuration
 export {
 	LOG_LEVELS,
+	DEFAULT_TAG,
 	log,
 	readJSON,
+	readTaskWithDependencies,
+	updateStoredTasks,
 	writeJSON,
+	isTaggedTasksData,
+	isTasksFileData,
+	isValidTagName,
+	migrateToTaggedFormat,
+	readTaggedTasksFile,
+	resolveTag,
+	getTaskFileName,
 	sanitizePrompt,
 	readComplexityReport,
 	findTaskInComplexityReport,
 	taskExists,
+	parseTaskId,
+	compareTaskIds,
+	forEachSubtask,
 	formatTaskId,
+	resolveDependencyId,
+	getDependencyType,
+	isBlockingDependency,
+	createDependency,
 	findTaskById,
 	truncate,
+	parsePartialJson,
+	keepCommandManagedFields,
 	findCycles,
 	toKebabCase,
 	detectCamelCaseFlags,
@@ -0,0 +1,196 @@
+/**
+ * azure.js
+ * Azure OpenAI provider for the unified AI service. The model ID of a role is
+ * the name of an Azure deployment; requests go to the resource endpoint from
+ * AZURE_OPENAI_ENDPOINT or the role's baseUrl.
+ */
+
+import { createAzure } from '@ai-sdk/azure';
+import { generateObject, generateText, jsonSchema, streamText } from 'ai';
+import { log } from '../../scripts/modules/utils.js';
+
+function getClient(apiKey, baseUrl) {
+	if (!apiKey) {
+		throw new Error('Azure OpenAI API key is required.');
+	}
+	if (!baseUrl) {
+		throw new Error(
+			'Azure OpenAI endpoint is required. Set AZURE_OPENAI_ENDPOINT or a baseUrl for the role in .taskmasterconfig.'
+		);
+	}
+	// Accept the resource endpoint as shown in the Azure portal as well as
+	// the full deployments URL
+	const endpoint = baseUrl.replace(/\/+$/, '');
+	return createAzure({
+		apiKey,
+		baseURL: /\/openai\/deployments$/.test(endpoint)
+			? endpoint
+			: `${endpoint}/openai/deployments`
+	});
+}
+
+function validateParams(modelId, messages) {
+	if (!modelId) {
+		throw new Error('Azure OpenAI deployment (model ID) is required.');
+	}
+	if (!messages || !Array.isArray(messages) || messages.length === 0) {
+		throw new Error(
+			'Invalid or empty messages array provided for Azure OpenAI.'
+		);
+	}
+}
+
+function toUsage(usage) {
+	return {
+		inputTokens: usage?.promptTokens || 0,
+		outputTokens: usage?.completionTokens || 0
+	};
+}
+
+/**
+ * Generates text using an Azure OpenAI deployment.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated text content and usage.
+ * @throws {Error} If API call fails.
+ */
+export async function generateAzureText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `generateAzureText called with deployment: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		if (!result || !result.text) {
+			log(
+				'warn',
+				'Azure OpenAI generateText response did not contain expected content.',
+				{ result }
+			);
+			throw new Error('Failed to extract content from Azure OpenAI response.');
+		}
+		log(
+			'debug',
+			`Azure OpenAI generateText completed successfully for deployment: ${modelId}`
+		);
+		return { text: result.text.trim(), usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateAzureText (Deployment: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Azure OpenAI API error during text generation: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Streams text using an Azure OpenAI deployment.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The Vercel AI SDK stream result; read the text deltas from its textStream.
+ * @throws {Error} If the stream cannot be started.
+ */
+export async function streamAzureText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `streamAzureText called with deployment: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const stream = streamText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`Azure OpenAI streamText initiated successfully for deployment: ${modelId}`
+		);
+		return stream;
+	} catch (error) {
+		log(
+			'error',
+			`Error initiating Azure OpenAI stream (Deployment: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Azure OpenAI API error during streaming initiation: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Generates structured objects using an Azure OpenAI deployment, through a
+ * forced tool call.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, schema (Zod or JSON schema), objectName, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated object matching the schema and usage.
+ * @throws {Error} If API call fails or object generation fails.
+ */
+export async function generateAzureObject(params) {
+	const {
+		apiKey,
+		modelId,
+		messages,
+		schema,
+		objectName,
+		maxTokens,
+		temperature,
+		baseUrl
+	} = params;
+	log(
+		'debug',
+		`generateAzureObject called with deployment: ${modelId}, object: ${objectName}`
+	);
+	validateParams(modelId, messages);
+	if (!schema)
+		throw new Error('Schema is required for Azure OpenAI object generation.');
+	if (!objectName)
+		throw new Error(
+			'Object name is required for Azure OpenAI object generation.'
+		);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateObject({
+			model: client(modelId),
+			mode: 'tool',
+			schema:
+				typeof schema.safeParse === 'function' ? schema : jsonSchema(schema),
+			schemaName: objectName,
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`Azure OpenAI generateObject completed successfully for deployment: ${modelId}`
+		);
+		return { object: result.object, usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateAzureObject (Deployment: ${modelId}, Object: ${objectName}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Azure OpenAI API error during object generation: ${error.message}`
+		);
+	}
+}
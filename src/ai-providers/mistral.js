@@ -0,0 +1,178 @@
+/**
+ * mistral.js
+ * Mistral provider for the unified AI service, through the Vercel AI SDK.
+ */
+
+import { createMistral } from '@ai-sdk/mistral';
+import { generateObject, generateText, jsonSchema, streamText } from 'ai';
+import { log } from '../../scripts/modules/utils.js';
+
+function getClient(apiKey, baseUrl) {
+	if (!apiKey) {
+		throw new Error('Mistral API key is required.');
+	}
+	// The SDK falls back to https://api.mistral.ai/v1 without a baseURL
+	return createMistral({ apiKey, baseURL: baseUrl || undefined });
+}
+
+function validateParams(modelId, messages) {
+	if (!modelId) {
+		throw new Error('Mistral Model ID is required.');
+	}
+	if (!messages || !Array.isArray(messages) || messages.length === 0) {
+		throw new Error('Invalid or empty messages array provided for Mistral.');
+	}
+}
+
+function toUsage(usage) {
+	return {
+		inputTokens: usage?.promptTokens || 0,
+		outputTokens: usage?.completionTokens || 0
+	};
+}
+
+/**
+ * Generates text using Mistral models.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated text content and usage.
+ * @throws {Error} If API call fails.
+ */
+export async function generateMistralText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `generateMistralText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		if (!result || !result.text) {
+			log(
+				'warn',
+				'Mistral generateText response did not contain expected content.',
+				{ result }
+			);
+			throw new Error('Failed to extract content from Mistral response.');
+		}
+		log(
+			'debug',
+			`Mistral generateText completed successfully for model: ${modelId}`
+		);
+		return { text: result.text.trim(), usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateMistralText (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Mistral API error during text generation: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Streams text using Mistral models.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The Vercel AI SDK stream result; read the text deltas from its textStream.
+ * @throws {Error} If the stream cannot be started.
+ */
+export async function streamMistralText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `streamMistralText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const stream = streamText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`Mistral streamText initiated successfully for model: ${modelId}`
+		);
+		return stream;
+	} catch (error) {
+		log(
+			'error',
+			`Error initiating Mistral stream (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Mistral API error during streaming initiation: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Generates structured objects using Mistral models, through a forced tool
+ * call.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, schema (Zod or JSON schema), objectName, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated object matching the schema and usage.
+ * @throws {Error} If API call fails or object generation fails.
+ */
+export async function generateMistralObject(params) {
+	const {
+		apiKey,
+		modelId,
+		messages,
+		schema,
+		objectName,
+		maxTokens,
+		temperature,
+		baseUrl
+	} = params;
+	log(
+		'debug',
+		`generateMistralObject called with model: ${modelId}, object: ${objectName}`
+	);
+	validateParams(modelId, messages);
+	if (!schema)
+		throw new Error('Schema is required for Mistral object generation.');
+	if (!objectName)
+		throw new Error('Object name is required for Mistral object generation.');
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateObject({
+			model: client(modelId),
+			mode: 'tool',
+			schema:
+				typeof schema.safeParse === 'function' ? schema : jsonSchema(schema),
+			schemaName: objectName,
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`Mistral generateObject completed successfully for model: ${modelId}`
+		);
+		return { object: result.object, usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateMistralObject (Model: ${modelId}, Object: ${objectName}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Mistral API error during object generation: ${error.message}`
+		);
+	}
+}
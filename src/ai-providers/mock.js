@@ -0,0 +1,223 @@
+/**
+ * mock.js
+ * Deterministic mock provider for the unified AI service. It never touches
+ * the network: responses come from a fixture file when one is configured
+ * (the role's baseUrl or TASKMASTER_MOCK_FIXTURES) and are otherwise canned,
+ * with objects built from the requested schema.
+ *
+ * A fixture file is a JSON array of responses. The first entry whose filters
+ * all apply to the call is used:
+ *   [
+ *     { "match": "Product Requirements Document", "object": { "tasks": [] } },
+ *     { "objectName": "newTaskData", "object": { "title": "..." } },
+ *     { "text": "Fallback text for every other call" }
+ *   ]
+ * `match` is looked up in the last user message, `objectName` only matches
+ * object generation, and `error` makes the call fail with that message.
+ * `streamError` next to a `text` makes streaming that text break off halfway
+ * with that message.
+ */
+
+import fs from 'fs';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { log } from '../../scripts/modules/utils.js';
+
+const CANNED_TEXT =
+	'This is a mock response from the Task Master mock provider.';
+
+function validateParams(modelId, messages) {
+	if (!modelId) {
+		throw new Error('Mock Model ID is required.');
+	}
+	if (!messages || !Array.isArray(messages) || messages.length === 0) {
+		throw new Error('Invalid or empty messages array provided for Mock.');
+	}
+}
+
+function loadFixtures(fixturesPath) {
+	if (!fixturesPath) {
+		return [];
+	}
+	let fixtures;
+	try {
+		fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+	} catch (error) {
+		throw new Error(
+			`Could not read mock fixtures from ${fixturesPath}: ${error.message}`
+		);
+	}
+	if (!Array.isArray(fixtures)) {
+		throw new Error(
+			`Mock fixtures in ${fixturesPath} must be an array of responses.`
+		);
+	}
+	return fixtures;
+}
+
+function findFixture(fixturesPath, messages, objectName) {
+	const prompt =
+		[...messages].reverse().find((message) => message.role === 'user')
+			?.content || '';
+	const fixture = loadFixtures(fixturesPath).find(
+		(entry) =>
+			(entry.match === undefined || prompt.includes(entry.match)) &&
+			(entry.objectName === undefined || entry.objectName === objectName) &&
+			('error' in entry || (objectName ? 'object' in entry : 'text' in entry))
+	);
+	if (fixture?.error) {
+		throw new Error(fixture.error);
+	}
+	return fixture;
+}
+
+/**
+ * Builds the smallest value that satisfies a JSON schema: the first enum
+ * value, one item per array and every property of an object.
+ */
+function sampleFromSchema(schema, name = 'value') {
+	if (!schema || typeof schema !== 'object') {
+		return null;
+	}
+	if (schema.default !== undefined) {
+		return schema.default;
+	}
+	if (schema.const !== undefined) {
+		return schema.const;
+	}
+	if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+		return schema.enum[0];
+	}
+	const variants = schema.anyOf || schema.oneOf;
+	if (Array.isArray(variants) && variants.length > 0) {
+		return sampleFromSchema(variants[0], name);
+	}
+
+	const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+	switch (type) {
+		case 'object':
+			return Object.fromEntries(
+				Object.entries(schema.properties || {}).map(([key, property]) => [
+					key,
+					sampleFromSchema(property, key)
+				])
+			);
+		case 'array':
+			return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () =>
+				sampleFromSchema(schema.items, name)
+			);
+		case 'string':
+			return `Mock ${name}`.padEnd(schema.minLength || 0, '.');
+		case 'integer':
+		case 'number': {
+			if (typeof schema.exclusiveMinimum === 'number') {
+				return schema.exclusiveMinimum + 1;
+			}
+			const minimum = schema.minimum ?? 1;
+			return schema.exclusiveMinimum === true ? minimum + 1 : minimum;
+		}
+		case 'boolean':
+			return false;
+		default:
+			return schema.properties
+				? sampleFromSchema({ ...schema, type: 'object' }, name)
+				: null;
+	}
+}
+
+// Roughly four characters per token, so telemetry sees stable numbers
+function countTokens(content) {
+	return Math.ceil(content.length / 4);
+}
+
+function toUsage(messages, output) {
+	return {
+		inputTokens: countTokens(
+			messages.map((message) => message.content).join('\n')
+		),
+		outputTokens: countTokens(output)
+	};
+}
+
+function getTextResponse({ modelId, messages, baseUrl }) {
+	validateParams(modelId, messages);
+	const fixture = findFixture(baseUrl, messages);
+	const text = fixture ? String(fixture.text) : CANNED_TEXT;
+	return {
+		text,
+		usage: toUsage(messages, text),
+		streamError: fixture?.streamError
+	};
+}
+
+/**
+ * Generates text with the mock provider.
+ *
+ * @param {object} params - Parameters including modelId, messages and baseUrl (the fixture file).
+ * @returns {Promise<object>} The fixture or canned text and usage.
+ * @throws {Error} If the fixture file is invalid or the matching fixture is an error.
+ */
+export async function generateMockText(params) {
+	log('debug', `generateMockText called with model: ${params.modelId}`);
+	const { text, usage } = getTextResponse(params);
+	return { text, usage };
+}
+
+/**
+ * Streams text with the mock provider, one word per chunk.
+ *
+ * @param {object} params - Parameters including modelId, messages and baseUrl (the fixture file).
+ * @returns {Promise<object>} An object shaped like the Vercel AI SDK stream result: textStream, text and usage.
+ * @throws {Error} If the fixture file is invalid or the matching fixture is an error.
+ */
+export async function streamMockText(params) {
+	log('debug', `streamMockText called with model: ${params.modelId}`);
+	const { text, usage, streamError } = getTextResponse(params);
+	const chunks = text.match(/\S+\s*/g) || [];
+
+	return {
+		textStream: (async function* () {
+			for (const [index, chunk] of chunks.entries()) {
+				if (streamError && index === Math.floor(chunks.length / 2)) {
+					throw new Error(streamError);
+				}
+				yield chunk;
+			}
+		})(),
+		text: Promise.resolve(text),
+		usage: Promise.resolve({
+			promptTokens: usage.inputTokens,
+			completionTokens: usage.outputTokens
+		})
+	};
+}
+
+/**
+ * Generates a structured object with the mock provider.
+ *
+ * @param {object} params - Parameters including modelId, messages, schema (Zod or JSON schema), objectName and baseUrl (the fixture file).
+ * @returns {Promise<object>} The fixture object, or one built from the schema, and usage.
+ * @throws {Error} If the fixture file is invalid or the matching fixture is an error.
+ */
+export async function generateMockObject(params) {
+	const { modelId, messages, schema, objectName, baseUrl } = params;
+	log(
+		'debug',
+		`generateMockObject called with model: ${modelId}, object: ${objectName}`
+	);
+	validateParams(modelId, messages);
+	if (!schema)
+		throw new Error('Schema is required for Mock object generation.');
+	if (!objectName)
+		throw new Error('Object name is required for Mock object generation.');
+
+	const fixture = findFixture(baseUrl, messages, objectName);
+	const object = fixture
+		? fixture.object
+		: sampleFromSchema(
+				typeof schema.safeParse === 'function'
+					? zodToJsonSchema(schema, { $refStrategy: 'none' })
+					: schema,
+				objectName
+			);
+	return { object, usage: toUsage(messages, JSON.stringify(object)) };
+}
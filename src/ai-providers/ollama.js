@@ -0,0 +1,219 @@
+/**
+ * ollama.js
+ * Ollama provider for the unified AI service: runs models on a local Ollama
+ * server through the Vercel AI SDK, so no API key or network access is needed.
+ */
+
+import { createOllama } from 'ollama-ai-provider';
+import {
+	APICallError,
+	RetryError,
+	generateObject,
+	generateText,
+	jsonSchema,
+	streamText
+} from 'ai';
+import { log } from '../../scripts/modules/utils.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/api';
+
+function getClient(baseUrl) {
+	return createOllama({
+		baseURL: baseUrl || process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL
+	});
+}
+
+function validateParams(modelId, messages) {
+	if (!modelId) {
+		throw new Error('Ollama Model ID is required.');
+	}
+	if (!messages || !Array.isArray(messages) || messages.length === 0) {
+		throw new Error('Invalid or empty messages array provided for Ollama.');
+	}
+}
+
+// Callers pass either a Zod schema or a plain JSON schema
+function toSdkSchema(schema) {
+	return typeof schema.safeParse === 'function' ? schema : jsonSchema(schema);
+}
+
+// The server could not be reached at all, as opposed to rejecting the request
+function isUnreachable(error) {
+	const cause = RetryError.isInstance(error) ? error.lastError : error;
+	return APICallError.isInstance(cause) && !cause.statusCode;
+}
+
+function describeError(error, baseUrl) {
+	return isUnreachable(error)
+		? `${error.message}. Is the Ollama server running at ${baseUrl || process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL}?`
+		: error.message;
+}
+
+function toUsage(usage) {
+	return {
+		inputTokens: usage?.promptTokens || 0,
+		outputTokens: usage?.completionTokens || 0
+	};
+}
+
+/**
+ * Generates text using a local Ollama model.
+ *
+ * @param {object} params - Parameters including modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated text content and usage.
+ * @throws {Error} If API call fails.
+ */
+export async function generateOllamaText(params) {
+	const { modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `generateOllamaText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(baseUrl);
+
+	try {
+		const result = await generateText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		if (!result || !result.text) {
+			log(
+				'warn',
+				'Ollama generateText response did not contain expected content.',
+				{ result }
+			);
+			throw new Error('Failed to extract content from Ollama response.');
+		}
+		log(
+			'debug',
+			`Ollama generateText completed successfully for model: ${modelId}`
+		);
+		return { text: result.text.trim(), usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateOllamaText (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Ollama API error during text generation: ${describeError(error, baseUrl)}`
+		);
+	}
+}
+
+/**
+ * Streams text using a local Ollama model.
+ *
+ * @param {object} params - Parameters including modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The Vercel AI SDK stream result; read the text deltas from its textStream.
+ * @throws {Error} If the stream cannot be started.
+ */
+export async function streamOllamaText(params) {
+	const { modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `streamOllamaText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(baseUrl);
+
+	try {
+		const stream = streamText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`Ollama streamText initiated successfully for model: ${modelId}`
+		);
+		return stream;
+	} catch (error) {
+		log(
+			'error',
+			`Error initiating Ollama stream (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Ollama API error during streaming initiation: ${describeError(error, baseUrl)}`
+		);
+	}
+}
+
+/**
+ * Generates structured objects using a local Ollama model.
+ *
+ * The schema is first sent as Ollama's structured output format. Older
+ * servers and some models do not support that, so on failure the request is
+ * repeated in plain JSON mode, with the schema given in the prompt and the
+ * answer validated against it.
+ *
+ * @param {object} params - Parameters including modelId, messages, schema (Zod or JSON schema), objectName, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated object matching the schema and usage.
+ * @throws {Error} If both attempts fail.
+ */
+export async function generateOllamaObject(params) {
+	const {
+		modelId,
+		messages,
+		schema,
+		objectName,
+		maxTokens,
+		temperature,
+		baseUrl
+	} = params;
+	log(
+		'debug',
+		`generateOllamaObject called with model: ${modelId}, object: ${objectName}`
+	);
+	validateParams(modelId, messages);
+	if (!schema)
+		throw new Error('Schema is required for Ollama object generation.');
+	if (!objectName)
+		throw new Error('Object name is required for Ollama object generation.');
+
+	const client = getClient(baseUrl);
+	const request = (structuredOutputs) =>
+		generateObject({
+			model: client(modelId, { structuredOutputs }),
+			mode: 'json',
+			schema: toSdkSchema(schema),
+			schemaName: objectName,
+			messages,
+			maxTokens,
+			temperature
+		});
+
+	let result;
+	try {
+		try {
+			result = await request(true);
+		} catch (error) {
+			if (isUnreachable(error)) {
+				throw error;
+			}
+			log(
+				'warn',
+				`Ollama structured output failed for model ${modelId} (${error.message}). Retrying in JSON mode.`
+			);
+			result = await request(false);
+		}
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateOllamaObject (Model: ${modelId}, Object: ${objectName}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`Ollama API error during object generation: ${describeError(error, baseUrl)}`
+		);
+	}
+
+	log(
+		'debug',
+		`Ollama generateObject completed successfully for model: ${modelId}`
+	);
+	return { object: result.object, usage: toUsage(result.usage) };
+}
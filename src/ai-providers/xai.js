@@ -0,0 +1,170 @@
+/**
+ * xai.js
+ * xAI (Grok) provider for the unified AI service, through the Vercel AI SDK.
+ */
+
+import { createXai } from '@ai-sdk/xai';
+import { generateObject, generateText, jsonSchema, streamText } from 'ai';
+import { log } from '../../scripts/modules/utils.js';
+
+function getClient(apiKey, baseUrl) {
+	if (!apiKey) {
+		throw new Error('xAI API key is required.');
+	}
+	// The SDK falls back to https://api.x.ai/v1 without a baseURL
+	return createXai({ apiKey, baseURL: baseUrl || undefined });
+}
+
+function validateParams(modelId, messages) {
+	if (!modelId) {
+		throw new Error('xAI Model ID is required.');
+	}
+	if (!messages || !Array.isArray(messages) || messages.length === 0) {
+		throw new Error('Invalid or empty messages array provided for xAI.');
+	}
+}
+
+function toUsage(usage) {
+	return {
+		inputTokens: usage?.promptTokens || 0,
+		outputTokens: usage?.completionTokens || 0
+	};
+}
+
+/**
+ * Generates text using xAI models.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated text content and usage.
+ * @throws {Error} If API call fails.
+ */
+export async function generateXaiText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `generateXaiText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		if (!result || !result.text) {
+			log(
+				'warn',
+				'xAI generateText response did not contain expected content.',
+				{ result }
+			);
+			throw new Error('Failed to extract content from xAI response.');
+		}
+		log(
+			'debug',
+			`xAI generateText completed successfully for model: ${modelId}`
+		);
+		return { text: result.text.trim(), usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateXaiText (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(`xAI API error during text generation: ${error.message}`);
+	}
+}
+
+/**
+ * Streams text using xAI models.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The Vercel AI SDK stream result; read the text deltas from its textStream.
+ * @throws {Error} If the stream cannot be started.
+ */
+export async function streamXaiText(params) {
+	const { apiKey, modelId, messages, maxTokens, temperature, baseUrl } = params;
+	log('debug', `streamXaiText called with model: ${modelId}`);
+	validateParams(modelId, messages);
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const stream = streamText({
+			model: client(modelId),
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log('debug', `xAI streamText initiated successfully for model: ${modelId}`);
+		return stream;
+	} catch (error) {
+		log(
+			'error',
+			`Error initiating xAI stream (Model: ${modelId}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(
+			`xAI API error during streaming initiation: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Generates structured objects using xAI models, through a forced tool
+ * call.
+ *
+ * @param {object} params - Parameters including apiKey, modelId, messages, schema (Zod or JSON schema), objectName, maxTokens, temperature, baseUrl.
+ * @returns {Promise<object>} The generated object matching the schema and usage.
+ * @throws {Error} If API call fails or object generation fails.
+ */
+export async function generateXaiObject(params) {
+	const {
+		apiKey,
+		modelId,
+		messages,
+		schema,
+		objectName,
+		maxTokens,
+		temperature,
+		baseUrl
+	} = params;
+	log(
+		'debug',
+		`generateXaiObject called with model: ${modelId}, object: ${objectName}`
+	);
+	validateParams(modelId, messages);
+	if (!schema) throw new Error('Schema is required for xAI object generation.');
+	if (!objectName)
+		throw new Error('Object name is required for xAI object generation.');
+
+	const client = getClient(apiKey, baseUrl);
+
+	try {
+		const result = await generateObject({
+			model: client(modelId),
+			mode: 'tool',
+			schema:
+				typeof schema.safeParse === 'function' ? schema : jsonSchema(schema),
+			schemaName: objectName,
+			messages,
+			maxTokens,
+			temperature
+		});
+
+		log(
+			'debug',
+			`xAI generateObject completed successfully for model: ${modelId}`
+		);
+		return { object: result.object, usage: toUsage(result.usage) };
+	} catch (error) {
+		log(
+			'error',
+			`Error in generateXaiObject (Model: ${modelId}, Object: ${objectName}): ${error.message}`,
+			{ error }
+		);
+		throw new Error(`xAI API error during object generation: ${error.message}`);
+	}
+}
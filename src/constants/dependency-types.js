@@ -0,0 +1,22 @@
+/**
+ * @typedef {'blocks' | 'soft' | 'relates'} DependencyType
+ */
+
+/**
+ * Dependency type options list
+ * @type {DependencyType[]}
+ * @description Defines how a task depends on another:
+ * - blocks: The task cannot start before the dependency is done (default)
+ * - soft: The dependency should preferably be done first, but does not block
+ * - relates: The tasks are related, without any ordering
+ */
+export const DEPENDENCY_TYPES = ['blocks', 'soft', 'relates'];
+
+/**
+ * Check if a given type is a valid dependency type
+ * @param {string} type - The type to check
+ * @returns {boolean} True if the type is valid, false otherwise
+ */
+export function isValidDependencyType(type) {
+	return DEPENDENCY_TYPES.includes(type);
+}
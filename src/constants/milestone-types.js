@@ -0,0 +1,21 @@
+/**
+ * @typedef {'milestone' | 'epic'} MilestoneType
+ */
+
+/**
+ * Milestone type options list
+ * @type {MilestoneType[]}
+ * @description Defines the kinds of task groups above the task level:
+ * - milestone: A release or checkpoint the tasks have to be done by (default)
+ * - epic: A large piece of work made of several tasks
+ */
+export const MILESTONE_TYPES = ['milestone', 'epic'];
+
+/**
+ * Check if a given type is a valid milestone type
+ * @param {string} type - The type to check
+ * @returns {boolean} True if the type is valid, false otherwise
+ */
+export function isValidMilestoneType(type) {
+	return MILESTONE_TYPES.includes(type);
+}
@@ -88,3 +88,364 @@ export const emptySampleTasks = {
 	},
 	tasks: []
 };
+
+// Small task lists for the unit tests of single features. Each call returns
+// a fresh copy the test may change.
+
+// Tasks with subtasks to assign and claim
+export const assignmentTasks = () => ({
+	tasks: [
+		{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+		{
+			id: 2,
+			title: 'API',
+			status: 'in-progress',
+			priority: 'high',
+			dependencies: [1],
+			subtasks: [
+				{ id: 1, title: 'Routes', status: 'pending', dependencies: [] },
+				{ id: 2, title: 'Auth', status: 'pending', dependencies: [] }
+			]
+		},
+		{
+			id: 3,
+			title: 'Docs',
+			status: 'pending',
+			priority: 'high',
+			dependencies: [1]
+		},
+		{
+			id: 4,
+			title: 'CLI',
+			status: 'pending',
+			priority: 'medium',
+			dependencies: [1]
+		}
+	]
+});
+
+// Tasks with due and start dates (relative to 2025-06-16)
+export const datedTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1]
+	},
+	{
+		id: 3,
+		title: 'Release notes',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [1],
+		dueDate: '2025-06-13'
+	},
+	{
+		id: 4,
+		title: 'Launch',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [2],
+		dueDate: '2025-06-18',
+		subtasks: [
+			{
+				id: 1,
+				title: 'Announcement',
+				status: 'pending',
+				dependencies: [],
+				dueDate: '2025-06-30'
+			}
+		]
+	},
+	{
+		id: 5,
+		title: 'Retrospective',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [],
+		startDate: '2025-07-01'
+	}
+];
+
+const hours = (value) => ({ value, unit: 'hours' });
+
+// Estimated tasks forming a dependency chain for execution plans
+export const estimatedTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'Schema',
+		status: 'pending',
+		dependencies: [1],
+		estimate: hours(3)
+	},
+	{
+		id: 3,
+		title: 'API',
+		status: 'in-progress',
+		dependencies: [2],
+		subtasks: [
+			{ id: 1, title: 'Routes', status: 'done', dependencies: [] },
+			{
+				id: 2,
+				title: 'Handlers',
+				status: 'pending',
+				dependencies: [1],
+				estimate: hours(2)
+			},
+			{
+				id: 3,
+				title: 'Auth',
+				status: 'pending',
+				dependencies: [2],
+				estimate: hours(4)
+			}
+		]
+	},
+	{
+		id: 4,
+		title: 'Docs',
+		status: 'pending',
+		dependencies: [1],
+		estimate: hours(1)
+	},
+	{
+		id: 5,
+		title: 'Release',
+		status: 'pending',
+		dependencies: [3, 4],
+		estimate: hours(1)
+	}
+];
+
+// Tasks for dependency graphs, including a missing dependency
+export const dependencyGraphTasks = () => [
+	{ id: 1, title: 'Setup "repo"', status: 'done', dependencies: [] },
+	{ id: 2, title: 'Schema', status: 'pending', dependencies: [1] },
+	{
+		id: 3,
+		title: 'API',
+		status: 'in-progress',
+		dependencies: [2],
+		subtasks: [
+			{ id: 1, title: 'Routes', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Auth', status: 'pending', dependencies: [1] }
+		]
+	},
+	{ id: 4, title: 'Docs', status: 'pending', dependencies: [1, 9] },
+	{ id: 5, title: 'Release', status: 'pending', dependencies: [3, 4] }
+];
+
+// Tasks with dependents at several levels, for impact analysis
+export const impactTasks = () => [
+	{ id: 1, title: 'Schema', status: 'pending', dependencies: [] },
+	{ id: 2, title: 'Config', status: 'done', dependencies: [] },
+	{ id: 3, title: 'API', status: 'pending', dependencies: [1] },
+	{ id: 4, title: 'Client', status: 'pending', dependencies: [1, 2] },
+	{
+		id: 5,
+		title: 'UI',
+		status: 'pending',
+		dependencies: [3],
+		subtasks: [
+			{ id: 1, title: 'Forms', status: 'pending', dependencies: [] },
+			{ id: 2, title: 'Tables', status: 'done', dependencies: [1] }
+		]
+	},
+	{ id: 6, title: 'Docs', status: 'pending', dependencies: [] }
+];
+
+// Tasks with priorities, complexity and a soft dependency for next-task scoring
+export const scoringTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'Schema',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [1],
+		complexityScore: 8
+	},
+	{
+		id: 3,
+		title: 'Logging',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [],
+		complexityScore: 3
+	},
+	{
+		id: 4,
+		title: 'API',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [2]
+	},
+	{
+		id: 5,
+		title: 'Docs',
+		status: 'pending',
+		priority: 'low',
+		dependencies: [2, { id: 3, type: 'soft' }]
+	}
+];
+
+// Tasks that can be worked on side by side, some sharing a component or files
+export const readyWorkTasks = () => ({
+	tasks: [
+		{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+		{
+			id: 2,
+			title: 'API',
+			status: 'in-progress',
+			priority: 'high',
+			dependencies: [1],
+			subtasks: [
+				{ id: 1, title: 'Routes', status: 'pending', dependencies: [] },
+				{ id: 2, title: 'Auth', status: 'pending', dependencies: [] }
+			]
+		},
+		{
+			id: 3,
+			title: 'Docs',
+			status: 'pending',
+			priority: 'high',
+			dependencies: [1],
+			customFields: { component: 'web' }
+		},
+		{
+			id: 4,
+			title: 'Landing page',
+			status: 'pending',
+			priority: 'medium',
+			dependencies: [1],
+			customFields: { component: 'web' }
+		},
+		{
+			id: 5,
+			title: 'CLI',
+			status: 'pending',
+			priority: 'low',
+			dependencies: [1],
+			customFields: { files: ['bin/cli.js'] }
+		},
+		{
+			id: 6,
+			title: 'Blocked',
+			status: 'pending',
+			priority: 'high',
+			dependencies: [5]
+		}
+	]
+});
+
+// Tasks to group into milestones
+export const milestoneTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'in-progress',
+		priority: 'medium',
+		dependencies: [1],
+		subtasks: [
+			{ id: 1, title: 'Routes', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Auth', status: 'pending', dependencies: [] }
+		]
+	},
+	{
+		id: 3,
+		title: 'Docs',
+		status: 'pending',
+		priority: 'high',
+		dependencies: []
+	},
+	{
+		id: 4,
+		title: 'Release',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [3]
+	}
+];
+
+// Tasks with subtasks of subtasks
+export const nestedSubtaskTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'in-progress',
+		priority: 'high',
+		dependencies: [1],
+		subtasks: [
+			{
+				id: 1,
+				title: 'Routes',
+				status: 'in-progress',
+				dependencies: [],
+				subtasks: [
+					{ id: 1, title: 'List route', status: 'done', dependencies: [] },
+					{
+						id: 2,
+						title: 'Detail route',
+						status: 'pending',
+						dependencies: [1]
+					},
+					{
+						id: 3,
+						title: 'Route tests',
+						status: 'pending',
+						dependencies: [2, '3.1']
+					}
+				]
+			},
+			{ id: 2, title: 'Auth', status: 'pending', dependencies: ['2.1.2'] }
+		]
+	},
+	{
+		id: 3,
+		title: 'Docs',
+		status: 'pending',
+		dependencies: [],
+		subtasks: [{ id: 1, title: 'Guide', status: 'pending', dependencies: [] }]
+	}
+];
+
+// Tasks with estimates and recorded work sessions
+const session = (start, minutes, by = 'alice') => ({
+	start,
+	end: new Date(Date.parse(start) + minutes * 60000).toISOString(),
+	by
+});
+
+export const trackedTasks = () => ({
+	tasks: [
+		{
+			id: 1,
+			title: 'Setup',
+			status: 'done',
+			dependencies: [],
+			estimate: hours(2),
+			timeEntries: [session('2025-06-16T09:00:00.000Z', 90)]
+		},
+		{
+			id: 2,
+			title: 'API',
+			status: 'in-progress',
+			dependencies: [1],
+			subtasks: [
+				{
+					id: 1,
+					title: 'Routes',
+					status: 'done',
+					dependencies: [],
+					timeEntries: [session('2025-06-17T09:00:00.000Z', 150)]
+				}
+			]
+		},
+		{ id: 3, title: 'Docs', status: 'pending', dependencies: [] }
+	]
+});
@@ -0,0 +1,37 @@
+/**
+ * Temporary project directories for tests that work on a real tasks file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Gives every test of the calling describe block a fresh project directory
+ * with a tasks/tasks.json, and removes it after the test
+ * @param {() => Object} createData - Returns the contents of tasks.json
+ * @returns {{ root: string, tasksPath: string, writeTasks: (data: Object) => void }}
+ *   The project of the running test; writeTasks replaces its tasks.json
+ */
+export function useTempProject(createData) {
+	const project = {
+		root: null,
+		tasksPath: null,
+		writeTasks(data) {
+			fs.writeFileSync(project.tasksPath, JSON.stringify(data));
+		}
+	};
+
+	beforeEach(() => {
+		project.root = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-test-'));
+		fs.mkdirSync(path.join(project.root, 'tasks'));
+		project.tasksPath = path.join(project.root, 'tasks', 'tasks.json');
+		project.writeTasks(createData());
+	});
+
+	afterEach(() => {
+		fs.rmSync(project.root, { recursive: true, force: true });
+	});
+
+	return project;
+}
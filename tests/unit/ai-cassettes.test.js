@@ -0,0 +1,222 @@
+/**
+ * AI cassette record/replay tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+import {
+	getCassetteKey,
+	getCassetteSettings
+} from '../../scripts/modules/ai-cassettes.js';
+import {
+	generateObjectService,
+	generateTextService,
+	streamJsonService
+} from '../../scripts/modules/ai-services-unified.js';
+
+const messages = [
+	{ role: 'system', content: 'You are a planner.' },
+	{ role: 'user', content: 'Plan the release.' }
+];
+
+function writeConfig(projectRoot, provider, modelId) {
+	fs.writeFileSync(
+		path.join(projectRoot, '.taskmasterconfig'),
+		JSON.stringify({
+			models: {
+				main: { provider, modelId },
+				fallback: { provider, modelId }
+			},
+			global: { userId: 'cassette-test' }
+		})
+	);
+}
+
+describe('getCassetteSettings', () => {
+	test('is off unless a valid mode is set', () => {
+		expect(getCassetteSettings({ env: {} }, '/project')).toBeNull();
+		expect(
+			getCassetteSettings({ env: { TASKMASTER_AI_CASSETTES: 'off' } })
+		).toBeNull();
+
+		const warnSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+		expect(
+			getCassetteSettings({ env: { TASKMASTER_AI_CASSETTES: 'rewind' } })
+		).toBeNull();
+		warnSpy.mockRestore();
+	});
+
+	test('resolves the cassette directory against the project root', () => {
+		expect(
+			getCassetteSettings(
+				{ env: { TASKMASTER_AI_CASSETTES: 'Replay' } },
+				'/project'
+			)
+		).toEqual({
+			mode: 'replay',
+			dir: path.join('/project', '.taskmaster', 'cassettes')
+		});
+		expect(
+			getCassetteSettings(
+				{
+					env: {
+						TASKMASTER_AI_CASSETTES: 'record',
+						TASKMASTER_CASSETTE_DIR: 'tests/cassettes'
+					}
+				},
+				'/project'
+			).dir
+		).toBe(path.join('/project', 'tests', 'cassettes'));
+	});
+});
+
+describe('getCassetteKey', () => {
+	test('hashes what the model sees', () => {
+		const key = getCassetteKey('generateText', messages);
+		expect(key).toMatch(/^[0-9a-f]{64}$/);
+		expect(getCassetteKey('generateText', messages, 'ignored')).toBe(key);
+		expect(getCassetteKey('generateObject', messages, 'plan')).not.toBe(key);
+		expect(
+			getCassetteKey('generateText', [
+				messages[0],
+				{ role: 'user', content: 'Plan the next release.' }
+			])
+		).not.toBe(key);
+	});
+});
+
+describe('record and replay through the AI service', () => {
+	let projectRoot;
+	let logSpy;
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-cassettes-'));
+		logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		logSpy.mockRestore();
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	const callParams = (mode) => ({
+		role: 'main',
+		session: { env: { TASKMASTER_AI_CASSETTES: mode } },
+		projectRoot,
+		systemPrompt: messages[0].content,
+		prompt: messages[1].content,
+		commandName: 'plan-release'
+	});
+
+	test('records responses and replays them without calling the provider', async () => {
+		writeConfig(projectRoot, 'mock', 'mock-model');
+		const recorded = await generateObjectService({
+			...callParams('record'),
+			schema: {
+				type: 'object',
+				properties: { steps: { type: 'array', items: { type: 'string' } } }
+			},
+			objectName: 'release_plan'
+		});
+		expect(recorded.mainResult).toEqual({ steps: ['Mock steps'] });
+
+		const cassetteDir = path.join(projectRoot, '.taskmaster', 'cassettes');
+		const key = getCassetteKey('generateObject', messages, 'release_plan');
+		const cassette = JSON.parse(
+			fs.readFileSync(path.join(cassetteDir, `${key}.json`), 'utf8')
+		);
+		expect(cassette).toMatchObject({
+			key,
+			commandName: 'plan-release',
+			serviceType: 'generateObject',
+			providerName: 'mock',
+			objectName: 'release_plan',
+			messages,
+			response: { object: { steps: ['Mock steps'] } }
+		});
+
+		// Replay needs neither a reachable provider nor its API key
+		const replayRoot = path.join(projectRoot, 'replay');
+		fs.mkdirSync(replayRoot);
+		writeConfig(replayRoot, 'openai', 'gpt-4o');
+		cassette.response.object = { steps: ['Tag', 'Publish'] };
+		fs.writeFileSync(
+			path.join(cassetteDir, `${key}.json`),
+			JSON.stringify(cassette)
+		);
+		const replayed = await generateObjectService({
+			...callParams('replay'),
+			session: {
+				env: {
+					TASKMASTER_AI_CASSETTES: 'replay',
+					TASKMASTER_CASSETTE_DIR: cassetteDir
+				}
+			},
+			projectRoot: replayRoot,
+			schema: { type: 'object' },
+			objectName: 'release_plan'
+		});
+		expect(replayed.mainResult).toEqual({ steps: ['Tag', 'Publish'] });
+		expect(replayed.telemetryData).toMatchObject({
+			providerName: 'openai',
+			inputTokens: cassette.response.usage.inputTokens
+		});
+	});
+
+	test('records streamed text and replays it as a stream', async () => {
+		writeConfig(projectRoot, 'mock', 'mock-model');
+		const recorded = await streamJsonService(callParams('record'));
+
+		const cassetteDir = path.join(projectRoot, '.taskmaster', 'cassettes');
+		const key = getCassetteKey('streamText', messages);
+		const cassette = JSON.parse(
+			fs.readFileSync(path.join(cassetteDir, `${key}.json`), 'utf8')
+		);
+		expect(cassette).toMatchObject({
+			serviceType: 'streamText',
+			response: {
+				text: recorded.mainResult,
+				usage: { inputTokens: expect.any(Number) }
+			}
+		});
+
+		writeConfig(projectRoot, 'openai', 'gpt-4o');
+		cassette.response.text = '{"steps": ["Tag", "Publish"]}';
+		fs.writeFileSync(
+			path.join(cassetteDir, `${key}.json`),
+			JSON.stringify(cassette)
+		);
+		const partials = [];
+		const replayed = await streamJsonService({
+			...callParams('replay'),
+			onPartial: (partial) => partials.push(partial)
+		});
+		expect(replayed.mainResult).toBe(cassette.response.text);
+		expect(partials[partials.length - 1]).toEqual({
+			steps: ['Tag', 'Publish']
+		});
+		expect(replayed.telemetryData).toMatchObject({
+			providerName: 'openai',
+			inputTokens: cassette.response.usage.inputTokens
+		});
+	});
+
+	test('replays text recorded without streaming for a streamed call', async () => {
+		writeConfig(projectRoot, 'mock', 'mock-model');
+		const recorded = await generateTextService(callParams('record'));
+
+		writeConfig(projectRoot, 'openai', 'gpt-4o');
+		const replayed = await streamJsonService(callParams('replay'));
+		expect(replayed.mainResult).toBe(recorded.mainResult);
+	});
+
+	test('fails replay when no cassette was recorded', async () => {
+		writeConfig(projectRoot, 'mock', 'mock-model');
+		await expect(generateTextService(callParams('replay'))).rejects.toThrow(
+			'No cassette recorded for this plan-release call'
+		);
+	});
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests that AI commands only lock the tasks file while saving their result
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const generateTextService = jest.fn();
+
+jest.unstable_mockModule(
+	'../../scripts/modules/ai-services-unified.js',
+	() => ({
+		generateTextService,
+		streamTextService: jest.fn(),
+		streamJsonService: jest.fn(),
+		generateObjectService: jest.fn(),
+		logAiUsage: jest.fn()
+	})
+);
+
+const { default: updateTaskById } =
+	await import('../../scripts/modules/task-manager/update-task-by-id.js');
+const { default: expandTask } =
+	await import('../../scripts/modules/task-manager/expand-task.js');
+const { default: setTaskStatus } =
+	await import('../../scripts/modules/task-manager/set-task-status.js');
+const { default: addSubtask } =
+	await import('../../scripts/modules/task-manager/add-subtask.js');
+const { createTag } =
+	await import('../../scripts/modules/task-manager/tag-management.js');
+const { getHistory } = await import('../../scripts/modules/history.js');
+
+const mcpLog = {
+	info: jest.fn(),
+	warn: jest.fn(),
+	error: jest.fn(),
+	debug: jest.fn(),
+	success: jest.fn()
+};
+
+describe('AI commands and the tasks file lock', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-ai-lock-'));
+		fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+		fs.mkdirSync(path.join(tempDir, 'tasks'));
+		tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				tasks: [
+					{
+						id: 1,
+						title: 'Build the API',
+						description: 'REST endpoints',
+						status: 'pending',
+						dependencies: [],
+						subtasks: []
+					},
+					{
+						id: 2,
+						title: 'Write the docs',
+						description: 'User guide',
+						status: 'pending',
+						dependencies: []
+					}
+				]
+			})
+		);
+		generateTextService.mockReset();
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	const readTasks = () =>
+		JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tags.master.tasks;
+
+	test('other commands can change the tasks during an update-task AI call', async () => {
+		generateTextService.mockImplementation(async () => {
+			// Both the async and the sync lock must be free while the AI works
+			await setTaskStatus(tasksPath, '2', 'done', { mcpLog });
+			createTag(tasksPath, 'feature-a');
+			await setTaskStatus(tasksPath, '1', 'in-progress', { mcpLog });
+			return {
+				mainResult: JSON.stringify({
+					id: 1,
+					title: 'Build the API',
+					description: 'REST and GraphQL endpoints',
+					status: 'pending',
+					dependencies: []
+				}),
+				telemetryData: null
+			};
+		});
+
+		await updateTaskById(
+			tasksPath,
+			1,
+			'Add GraphQL',
+			false,
+			{ mcpLog, projectRoot: tempDir },
+			'json'
+		);
+
+		const [task1, task2] = readTasks();
+		expect(task1.description).toBe('REST and GraphQL endpoints');
+		// The status set during the call wins over the one the AI saw
+		expect(task1.status).toBe('in-progress');
+		expect(task2.status).toBe('done');
+		expect(
+			getHistory(tasksPath).entries.map((entry) => entry.operation)
+		).toEqual(['update-task', 'set-status', 'add-tag', 'set-status']);
+	});
+
+	test('expand numbers its subtasks after the ones added during the AI call', async () => {
+		generateTextService.mockImplementation(async () => {
+			await addSubtask(tasksPath, 1, null, {
+				title: 'Pick a framework',
+				description: 'Compare the options'
+			});
+			return {
+				mainResult: JSON.stringify({
+					subtasks: [
+						{
+							id: 1,
+							title: 'Define the routes',
+							description: 'List every endpoint',
+							dependencies: [],
+							details: 'Write down paths and verbs'
+						},
+						{
+							id: 2,
+							title: 'Implement the handlers',
+							description: 'Code each endpoint',
+							dependencies: [1],
+							details: 'One handler per route, with tests'
+						}
+					]
+				}),
+				telemetryData: null
+			};
+		});
+
+		await expandTask(
+			tasksPath,
+			1,
+			2,
+			false,
+			'',
+			{ mcpLog, projectRoot: tempDir },
+			false
+		);
+
+		const subtasks = readTasks()[0].subtasks;
+		expect(subtasks.map((subtask) => [subtask.id, subtask.title])).toEqual([
+			[1, 'Pick a framework'],
+			[2, 'Define the routes'],
+			[3, 'Implement the handlers']
+		]);
+		expect(subtasks[2].dependencies).toEqual([2]);
+	});
+});
@@ -0,0 +1,113 @@
+/**
+ * Azure OpenAI provider tests
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGenerateText = jest.fn();
+const mockGenerateObject = jest.fn();
+const mockJsonSchema = jest.fn((schema) => ({ jsonSchema: schema }));
+
+jest.unstable_mockModule('ai', () => ({
+	generateText: mockGenerateText,
+	streamText: jest.fn(),
+	generateObject: mockGenerateObject,
+	jsonSchema: mockJsonSchema
+}));
+
+const mockModel = jest.fn((modelId) => ({ modelId }));
+const mockCreateAzure = jest.fn(() => mockModel);
+jest.unstable_mockModule('@ai-sdk/azure', () => ({
+	createAzure: mockCreateAzure
+}));
+
+jest.unstable_mockModule('../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+const { generateAzureText, generateAzureObject } =
+	await import('../../../src/ai-providers/azure.js');
+
+const messages = [{ role: 'user', content: 'Test' }];
+
+describe('Azure OpenAI provider', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		mockGenerateText.mockResolvedValue({
+			text: 'Hello',
+			usage: { promptTokens: 1, completionTokens: 2 }
+		});
+	});
+
+	test.each([
+		'https://acme.openai.azure.com',
+		'https://acme.openai.azure.com/',
+		'https://acme.openai.azure.com/openai/deployments'
+	])('calls the deployments of the endpoint %s', async (baseUrl) => {
+		const result = await generateAzureText({
+			apiKey: 'key',
+			modelId: 'gpt-4o',
+			messages,
+			baseUrl
+		});
+		expect(result).toEqual({
+			text: 'Hello',
+			usage: { inputTokens: 1, outputTokens: 2 }
+		});
+		expect(mockCreateAzure).toHaveBeenCalledWith({
+			apiKey: 'key',
+			baseURL: 'https://acme.openai.azure.com/openai/deployments'
+		});
+		expect(mockModel).toHaveBeenCalledWith('gpt-4o');
+	});
+
+	test('requires an endpoint', async () => {
+		await expect(
+			generateAzureText({ apiKey: 'key', modelId: 'gpt-4o', messages })
+		).rejects.toThrow('Azure OpenAI endpoint is required');
+		expect(mockGenerateText).not.toHaveBeenCalled();
+	});
+
+	test('generates objects through a tool call', async () => {
+		mockGenerateObject.mockResolvedValue({
+			object: { title: 'Task' },
+			usage: { promptTokens: 3, completionTokens: 4 }
+		});
+		const schema = { type: 'object' };
+
+		const result = await generateAzureObject({
+			apiKey: 'key',
+			modelId: 'gpt-4o',
+			messages,
+			schema,
+			objectName: 'newTaskData',
+			baseUrl: 'https://acme.openai.azure.com'
+		});
+
+		expect(result).toEqual({
+			object: { title: 'Task' },
+			usage: { inputTokens: 3, outputTokens: 4 }
+		});
+		expect(mockGenerateObject).toHaveBeenCalledWith(
+			expect.objectContaining({
+				mode: 'tool',
+				schema: { jsonSchema: schema },
+				schemaName: 'newTaskData'
+			})
+		);
+	});
+
+	test('wraps API errors', async () => {
+		mockGenerateText.mockRejectedValue(new Error('DeploymentNotFound'));
+		await expect(
+			generateAzureText({
+				apiKey: 'key',
+				modelId: 'missing',
+				messages,
+				baseUrl: 'https://acme.openai.azure.com'
+			})
+		).rejects.toThrow(
+			'Azure OpenAI API error during text generation: DeploymentNotFound'
+		);
+	});
+});
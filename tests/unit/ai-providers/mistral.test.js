@@ -0,0 +1,107 @@
+/**
+ * Mistral provider tests
+ */
+
+import { jest } from '@jest/globals';
+import { z } from 'zod';
+
+const mockGenerateText = jest.fn();
+const mockStreamText = jest.fn();
+const mockGenerateObject = jest.fn();
+
+jest.unstable_mockModule('ai', () => ({
+	generateText: mockGenerateText,
+	streamText: mockStreamText,
+	generateObject: mockGenerateObject,
+	jsonSchema: jest.fn()
+}));
+
+const mockModel = jest.fn((modelId) => ({ modelId }));
+const mockCreateMistral = jest.fn(() => mockModel);
+jest.unstable_mockModule('@ai-sdk/mistral', () => ({
+	createMistral: mockCreateMistral
+}));
+
+jest.unstable_mockModule('../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+const { generateMistralText, streamMistralText, generateMistralObject } =
+	await import('../../../src/ai-providers/mistral.js');
+
+const messages = [{ role: 'user', content: 'Test' }];
+
+describe('Mistral provider', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+	});
+
+	test('generates text with the default endpoint', async () => {
+		mockGenerateText.mockResolvedValue({
+			text: 'Hello ',
+			usage: { promptTokens: 1, completionTokens: 2 }
+		});
+
+		const result = await generateMistralText({
+			apiKey: 'key',
+			modelId: 'mistral-large-latest',
+			messages,
+			maxTokens: 10,
+			temperature: 0.1
+		});
+
+		expect(result.text).toBe('Hello');
+		expect(mockCreateMistral).toHaveBeenCalledWith({
+			apiKey: 'key',
+			baseURL: undefined
+		});
+		expect(mockGenerateText).toHaveBeenCalledWith({
+			model: { modelId: 'mistral-large-latest' },
+			messages,
+			maxTokens: 10,
+			temperature: 0.1
+		});
+	});
+
+	test('streams from a custom endpoint', async () => {
+		mockStreamText.mockReturnValue({ textStream: 'stream' });
+		await streamMistralText({
+			apiKey: 'key',
+			modelId: 'codestral-latest',
+			messages,
+			baseUrl: 'https://codestral.mistral.ai/v1'
+		});
+		expect(mockCreateMistral).toHaveBeenCalledWith({
+			apiKey: 'key',
+			baseURL: 'https://codestral.mistral.ai/v1'
+		});
+	});
+
+	test('passes Zod schemas through for object generation', async () => {
+		const schema = z.object({ title: z.string() });
+		mockGenerateObject.mockResolvedValue({
+			object: { title: 'Task' },
+			usage: { promptTokens: 3, completionTokens: 4 }
+		});
+
+		const result = await generateMistralObject({
+			apiKey: 'key',
+			modelId: 'mistral-large-latest',
+			messages,
+			schema,
+			objectName: 'newTaskData'
+		});
+
+		expect(result.object).toEqual({ title: 'Task' });
+		expect(mockGenerateObject.mock.calls[0][0]).toMatchObject({
+			mode: 'tool',
+			schema
+		});
+	});
+
+	test('requires an API key', async () => {
+		await expect(
+			generateMistralText({ modelId: 'mistral-large-latest', messages })
+		).rejects.toThrow('Mistral API key is required.');
+	});
+});
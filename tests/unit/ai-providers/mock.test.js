@@ -0,0 +1,139 @@
+/**
+ * Mock provider tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { z } from 'zod';
+
+jest.unstable_mockModule('../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+const { generateMockText, streamMockText, generateMockObject } =
+	await import('../../../src/ai-providers/mock.js');
+
+const messages = [
+	{ role: 'system', content: 'You are a planner.' },
+	{ role: 'user', content: 'Break down the login task into subtasks.' }
+];
+
+describe('Mock provider', () => {
+	let tempDir;
+	let fixturesPath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-mock-'));
+		fixturesPath = path.join(tempDir, 'fixtures.json');
+		fs.writeFileSync(
+			fixturesPath,
+			JSON.stringify([
+				{ match: 'signup', text: 'Not this one' },
+				{ match: 'login', text: '{"subtasks":[]}' },
+				{ objectName: 'newTaskData', object: { title: 'From fixture' } },
+				{ match: 'quota', error: 'Rate limit exceeded' }
+			])
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('returns canned text without fixtures', async () => {
+		const first = await generateMockText({ modelId: 'mock-model', messages });
+		const second = await generateMockText({ modelId: 'mock-model', messages });
+		expect(first.text).toBe(
+			'This is a mock response from the Task Master mock provider.'
+		);
+		expect(second).toEqual(first);
+		expect(first.usage).toEqual({ inputTokens: 15, outputTokens: 15 });
+	});
+
+	test('serves the first fixture matching the prompt', async () => {
+		const result = await generateMockText({
+			modelId: 'mock-model',
+			messages,
+			baseUrl: fixturesPath
+		});
+		expect(result.text).toBe('{"subtasks":[]}');
+
+		await expect(
+			generateMockText({
+				modelId: 'mock-model',
+				messages: [{ role: 'user', content: 'Over quota' }],
+				baseUrl: fixturesPath
+			})
+		).rejects.toThrow('Rate limit exceeded');
+	});
+
+	test('streams the text word by word', async () => {
+		const stream = await streamMockText({
+			modelId: 'mock-model',
+			messages,
+			baseUrl: fixturesPath
+		});
+		const chunks = [];
+		for await (const chunk of stream.textStream) {
+			chunks.push(chunk);
+		}
+		expect(chunks).toEqual(['{"subtasks":[]}']);
+		expect(await stream.text).toBe('{"subtasks":[]}');
+	});
+
+	test('matches object fixtures by object name', async () => {
+		const result = await generateMockObject({
+			modelId: 'mock-model',
+			messages,
+			schema: { type: 'object' },
+			objectName: 'newTaskData',
+			baseUrl: fixturesPath
+		});
+		expect(result.object).toEqual({ title: 'From fixture' });
+	});
+
+	test('builds objects that satisfy the schema without fixtures', async () => {
+		const schema = z.object({
+			tasks: z.array(
+				z.object({
+					id: z.number().int().positive(),
+					title: z.string().min(12),
+					priority: z.enum(['high', 'medium', 'low']),
+					done: z.boolean(),
+					notes: z.string().optional()
+				})
+			)
+		});
+
+		const result = await generateMockObject({
+			modelId: 'mock-model',
+			messages,
+			schema,
+			objectName: 'tasks_data'
+		});
+
+		expect(schema.safeParse(result.object).success).toBe(true);
+		expect(result.object.tasks).toEqual([
+			{
+				id: 1,
+				title: 'Mock title..',
+				priority: 'high',
+				done: false,
+				notes: 'Mock notes'
+			}
+		]);
+	});
+
+	test('rejects an invalid fixture file', async () => {
+		fs.writeFileSync(fixturesPath, '{"text":"not a list"}');
+		await expect(
+			generateMockText({
+				modelId: 'mock-model',
+				messages,
+				baseUrl: fixturesPath
+			})
+		).rejects.toThrow('must be an array of responses');
+	});
+});
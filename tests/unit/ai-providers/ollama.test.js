@@ -0,0 +1,196 @@
+/**
+ * Ollama provider tests
+ */
+
+import { jest } from '@jest/globals';
+import { z } from 'zod';
+
+const mockGenerateText = jest.fn();
+const mockStreamText = jest.fn();
+const mockGenerateObject = jest.fn();
+const mockJsonSchema = jest.fn((schema) => ({ jsonSchema: schema }));
+
+class MockAPICallError extends Error {
+	constructor(message, statusCode) {
+		super(message);
+		this.statusCode = statusCode;
+	}
+
+	static isInstance(error) {
+		return error instanceof MockAPICallError;
+	}
+}
+
+class MockRetryError extends Error {
+	constructor(lastError) {
+		super(`Failed after 3 attempts. Last error: ${lastError.message}`);
+		this.lastError = lastError;
+	}
+
+	static isInstance(error) {
+		return error instanceof MockRetryError;
+	}
+}
+
+jest.unstable_mockModule('ai', () => ({
+	APICallError: MockAPICallError,
+	RetryError: MockRetryError,
+	generateText: mockGenerateText,
+	streamText: mockStreamText,
+	generateObject: mockGenerateObject,
+	jsonSchema: mockJsonSchema
+}));
+
+const mockModel = jest.fn((modelId, settings) => ({ modelId, settings }));
+const mockCreateOllama = jest.fn(() => mockModel);
+jest.unstable_mockModule('ollama-ai-provider', () => ({
+	createOllama: mockCreateOllama
+}));
+
+jest.unstable_mockModule('../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+const { generateOllamaText, streamOllamaText, generateOllamaObject } =
+	await import('../../../src/ai-providers/ollama.js');
+
+const messages = [
+	{ role: 'system', content: 'System' },
+	{ role: 'user', content: 'Test' }
+];
+
+describe('Ollama provider', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		delete process.env.OLLAMA_BASE_URL;
+	});
+
+	test('generates text from the configured server', async () => {
+		mockGenerateText.mockResolvedValue({
+			text: ' Hello ',
+			usage: { promptTokens: 3, completionTokens: 5 }
+		});
+
+		const result = await generateOllamaText({
+			apiKey: 'ollama-no-key-required',
+			modelId: 'llama3.3',
+			messages,
+			maxTokens: 100,
+			temperature: 0.2,
+			baseUrl: 'http://gpu-box:11434/api'
+		});
+
+		expect(result).toEqual({
+			text: 'Hello',
+			usage: { inputTokens: 3, outputTokens: 5 }
+		});
+		expect(mockCreateOllama).toHaveBeenCalledWith({
+			baseURL: 'http://gpu-box:11434/api'
+		});
+		expect(mockGenerateText).toHaveBeenCalledWith({
+			model: { modelId: 'llama3.3', settings: undefined },
+			messages,
+			maxTokens: 100,
+			temperature: 0.2
+		});
+	});
+
+	test('defaults to the local server', async () => {
+		mockStreamText.mockReturnValue({ textStream: 'stream' });
+		const stream = await streamOllamaText({ modelId: 'phi4', messages });
+		expect(stream).toEqual({ textStream: 'stream' });
+		expect(mockCreateOllama).toHaveBeenCalledWith({
+			baseURL: 'http://localhost:11434/api'
+		});
+	});
+
+	test('points out an unreachable server', async () => {
+		mockGenerateText.mockRejectedValue(
+			new MockAPICallError('Cannot connect to API')
+		);
+		await expect(
+			generateOllamaText({ modelId: 'phi4', messages })
+		).rejects.toThrow(
+			'Cannot connect to API. Is the Ollama server running at http://localhost:11434/api?'
+		);
+	});
+
+	test('generates objects with structured outputs', async () => {
+		mockGenerateObject.mockResolvedValue({
+			object: { tasks: [] },
+			usage: { promptTokens: 7, completionTokens: 9 }
+		});
+		const schema = { type: 'object', properties: { tasks: { type: 'array' } } };
+
+		const result = await generateOllamaObject({
+			modelId: 'qwq',
+			messages,
+			schema,
+			objectName: 'tasks_data'
+		});
+
+		expect(result).toEqual({
+			object: { tasks: [] },
+			usage: { inputTokens: 7, outputTokens: 9 }
+		});
+		expect(mockGenerateObject).toHaveBeenCalledTimes(1);
+		expect(mockGenerateObject).toHaveBeenCalledWith(
+			expect.objectContaining({
+				model: { modelId: 'qwq', settings: { structuredOutputs: true } },
+				mode: 'json',
+				schema: { jsonSchema: schema },
+				schemaName: 'tasks_data'
+			})
+		);
+	});
+
+	test('falls back to JSON mode when structured output fails', async () => {
+		const schema = z.object({ title: z.string() });
+		mockGenerateObject
+			.mockRejectedValueOnce(new MockAPICallError('invalid format', 400))
+			.mockResolvedValueOnce({
+				object: { title: 'Task' },
+				usage: { promptTokens: 1, completionTokens: 2 }
+			});
+
+		const result = await generateOllamaObject({
+			modelId: 'gemma3:12b',
+			messages,
+			schema,
+			objectName: 'newTaskData'
+		});
+
+		expect(result.object).toEqual({ title: 'Task' });
+		expect(mockGenerateObject).toHaveBeenCalledTimes(2);
+		expect(mockGenerateObject.mock.calls[1][0]).toMatchObject({
+			model: { settings: { structuredOutputs: false } },
+			mode: 'json',
+			schema
+		});
+		expect(mockJsonSchema).not.toHaveBeenCalled();
+	});
+
+	test('does not retry when the server is unreachable', async () => {
+		mockGenerateObject.mockRejectedValue(
+			new MockRetryError(new MockAPICallError('fetch failed'))
+		);
+		await expect(
+			generateOllamaObject({
+				modelId: 'qwq',
+				messages,
+				schema: { type: 'object' },
+				objectName: 'tasks_data'
+			})
+		).rejects.toThrow('Ollama API error during object generation');
+		expect(mockGenerateObject).toHaveBeenCalledTimes(1);
+	});
+
+	test('validates its parameters', async () => {
+		await expect(generateOllamaText({ messages })).rejects.toThrow(
+			'Ollama Model ID is required.'
+		);
+		await expect(
+			generateOllamaObject({ modelId: 'qwq', messages, objectName: 'x' })
+		).rejects.toThrow('Schema is required');
+	});
+});
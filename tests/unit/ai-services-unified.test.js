@@ -24,6 +24,7 @@ const mockModelMap = {
 	// Add other providers/models if needed for specific tests
 };
 const mockGetBaseUrlForRole = jest.fn();
+const mockGetOllamaBaseUrl = jest.fn();
 
 jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
 	getMainProvider: mockGetMainProvider,
@@ -36,7 +37,10 @@ jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
 	getUserId: mockGetUserId,
 	getDebugFlag: mockGetDebugFlag,
 	MODEL_MAP: mockModelMap,
-	getBaseUrlForRole: mockGetBaseUrlForRole
+	getBaseUrlForRole: mockGetBaseUrlForRole,
+	getOllamaBaseUrl: mockGetOllamaBaseUrl,
+	loadProviderPlugins: jest.fn().mockResolvedValue({ loaded: [], errors: [] }),
+	getProviderPlugin: jest.fn().mockReturnValue(null)
 }));
 
 // Mock AI Provider Modules
@@ -60,6 +64,48 @@ jest.unstable_mockModule('../../src/ai-providers/openai.js', () => ({
 	generateOpenAIObject: mockGenerateOpenAIObject
 }));
 
+const mockGenerateOllamaText = jest.fn();
+const mockStreamOllamaText = jest.fn();
+const mockGenerateOllamaObject = jest.fn();
+jest.unstable_mockModule('../../src/ai-providers/ollama.js', () => ({
+	generateOllamaText: mockGenerateOllamaText,
+	streamOllamaText: mockStreamOllamaText,
+	generateOllamaObject: mockGenerateOllamaObject
+}));
+
+const mockGenerateAzureText = jest.fn();
+const mockStreamAzureText = jest.fn();
+const mockGenerateAzureObject = jest.fn();
+jest.unstable_mockModule('../../src/ai-providers/azure.js', () => ({
+	generateAzureText: mockGenerateAzureText,
+	streamAzureText: mockStreamAzureText,
+	generateAzureObject: mockGenerateAzureObject
+}));
+
+const mockGenerateMistralText = jest.fn();
+const mockStreamMistralText = jest.fn();
+const mockGenerateMistralObject = jest.fn();
+jest.unstable_mockModule('../../src/ai-providers/mistral.js', () => ({
+	generateMistralText: mockGenerateMistralText,
+	streamMistralText: mockStreamMistralText,
+	generateMistralObject: mockGenerateMistralObject
+}));
+
+const mockGenerateXaiText = jest.fn();
+const mockStreamXaiText = jest.fn();
+const mockGenerateXaiObject = jest.fn();
+jest.unstable_mockModule('../../src/ai-providers/xai.js', () => ({
+	generateXaiText: mockGenerateXaiText,
+	streamXaiText: mockStreamXaiText,
+	generateXaiObject: mockGenerateXaiObject
+}));
+
+jest.unstable_mockModule('../../src/ai-providers/mock.js', () => ({
+	generateMockText: jest.fn(),
+	streamMockText: jest.fn(),
+	generateMockObject: jest.fn()
+}));
+
 // ... Mock other providers (google, openai, etc.) similarly ...
 
 // Mock utils logger, API key resolver, AND findProjectRoot
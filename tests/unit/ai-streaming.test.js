@@ -0,0 +1,299 @@
+/**
+ * Streaming AI output tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { z } from 'zod';
+
+import { parsePartialJson } from '../../scripts/modules/utils.js';
+import { streamJsonService } from '../../scripts/modules/ai-services-unified.js';
+import { createStreamProgress } from '../../scripts/modules/stream-progress.js';
+import parsePRD from '../../scripts/modules/task-manager/parse-prd.js';
+
+const prdResponse = {
+	tasks: [
+		{
+			id: 1,
+			title: 'Set up the repository',
+			description: 'Initialize the project',
+			details: 'npm init',
+			testStrategy: 'CI passes',
+			priority: 'high',
+			dependencies: [],
+			status: 'pending'
+		},
+		{
+			id: 2,
+			title: 'Build the REST API',
+			description: 'CRUD endpoints for todos',
+			details: 'express',
+			testStrategy: 'supertest',
+			priority: 'medium',
+			dependencies: [1],
+			status: 'pending'
+		}
+	],
+	metadata: {
+		projectName: 'Todo',
+		totalTasks: 2,
+		sourceFile: 'prd.txt',
+		generatedAt: '2025-01-01'
+	}
+};
+
+const mcpLog = () => ({
+	info: jest.fn(),
+	warn: jest.fn(),
+	error: jest.fn(),
+	debug: jest.fn(),
+	success: jest.fn()
+});
+
+describe('parsePartialJson', () => {
+	test('closes open objects and arrays, leaving out incomplete values', () => {
+		expect(parsePartialJson('')).toBeUndefined();
+		expect(parsePartialJson('```json\n{"tasks": [')).toEqual({ tasks: [] });
+		expect(parsePartialJson('{"tasks": [{"id": 1, "title": "Set u')).toEqual({
+			tasks: [{ id: 1 }]
+		});
+		expect(parsePartialJson('{"tasks": [{"id": 12')).toEqual({
+			tasks: [{}]
+		});
+		expect(
+			parsePartialJson('{"tasks": [{"title": "Say \\"hi\\"", "tags": ["a", "b')
+		).toEqual({ tasks: [{ title: 'Say "hi"', tags: ['a'] }] });
+		expect(parsePartialJson('{"done": true, "next"')).toEqual({ done: true });
+	});
+
+	test('parses a complete value and ignores trailing text', () => {
+		expect(parsePartialJson('{"a": [1, {"b": null}]}\n```')).toEqual({
+			a: [1, { b: null }]
+		});
+	});
+});
+
+describe('createStreamProgress', () => {
+	test('reports each item once, when its title is complete', async () => {
+		const log = mcpLog();
+		const reportProgress = jest.fn().mockResolvedValue();
+		const onPartial = createStreamProgress({
+			getItems: (partial) => partial.tasks,
+			describe: (task, index) => `Task ${index + 1}: ${task.title}`,
+			total: 3,
+			mcpLog: log,
+			reportProgress
+		});
+
+		await onPartial({ tasks: [{ id: 1 }] });
+		await onPartial({ tasks: [{ id: 1, title: 'First' }] });
+		await onPartial({ tasks: [{ id: 1, title: 'First' }, { id: 2 }] });
+		await onPartial({
+			tasks: [
+				{ id: 1, title: 'First' },
+				{ id: 2, title: 'Second' },
+				{ id: 3, title: 'Third' },
+				{ id: 4, title: 'Fourth' }
+			]
+		});
+
+		expect(log.info.mock.calls.map(([message]) => message)).toEqual([
+			'Task 1: First',
+			'Task 2: Second',
+			'Task 3: Third',
+			'Task 4: Fourth'
+		]);
+		expect(reportProgress.mock.calls.map(([progress]) => progress)).toEqual([
+			{ progress: 1, total: 3 },
+			{ progress: 2, total: 3 },
+			{ progress: 3, total: 3 },
+			{ progress: 4, total: 4 }
+		]);
+	});
+
+	test('keeps going when progress cannot be sent', async () => {
+		const log = mcpLog();
+		const onPartial = createStreamProgress({
+			getItems: (partial) => partial.tasks,
+			describe: (task) => task.title,
+			mcpLog: log,
+			reportProgress: jest.fn().mockRejectedValue(new Error('closed'))
+		});
+
+		await onPartial({ tasks: [{ title: 'First' }] });
+		expect(log.debug).toHaveBeenCalledWith('Could not report progress: closed');
+	});
+});
+
+describe('streaming with the mock provider', () => {
+	let projectRoot;
+	let logSpy;
+
+	const writeFixtures = (fixtures) =>
+		fs.writeFileSync(
+			path.join(projectRoot, 'fixtures.json'),
+			JSON.stringify(fixtures)
+		);
+	const streamPrd = (params) =>
+		streamJsonService({
+			role: 'main',
+			projectRoot,
+			prompt: 'Break down this Product Requirements Document',
+			commandName: 'parse-prd',
+			...params
+		});
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-stream-'));
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmasterconfig'),
+			JSON.stringify({
+				models: {
+					main: {
+						provider: 'mock',
+						modelId: 'mock-model',
+						baseUrl: 'fixtures.json'
+					}
+				},
+				global: { userId: 'stream-test' }
+			})
+		);
+		writeFixtures([
+			{
+				match: 'Product Requirements Document',
+				text: '```json\n' + JSON.stringify(prdResponse, null, 2) + '\n```'
+			}
+		]);
+		fs.writeFileSync(path.join(projectRoot, 'prd.txt'), 'A todo app.');
+		logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		logSpy.mockRestore();
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('streamJsonService passes partial values and returns the text', async () => {
+		const partials = [];
+		const result = await streamPrd({
+			onPartial: (partial) => partials.push(partial)
+		});
+
+		expect(result.mainResult).toContain('"Build the REST API"');
+		expect(partials[partials.length - 1]).toEqual(prdResponse);
+		expect(partials.some((partial) => partial.tasks?.length === 1)).toBe(true);
+		expect(result.telemetryData).toMatchObject({
+			commandName: 'parse-prd',
+			providerName: 'mock',
+			outputTokens: expect.any(Number)
+		});
+		expect(result.telemetryData.outputTokens).toBeGreaterThan(0);
+	});
+
+	test('logs the usage of a stream once, with its token counts', async () => {
+		const configPath = path.join(projectRoot, '.taskmasterconfig');
+		const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+		config.global.debug = true;
+		fs.writeFileSync(configPath, JSON.stringify(config));
+
+		const result = await streamPrd({});
+
+		const telemetryLogs = logSpy.mock.calls.filter((args) =>
+			args.some((arg) => String(arg).includes('AI Usage Telemetry'))
+		);
+		expect(telemetryLogs).toHaveLength(1);
+		expect(result.telemetryData.inputTokens).toBeGreaterThan(0);
+		expect(result.telemetryData.totalTokens).toBe(
+			result.telemetryData.inputTokens + result.telemetryData.outputTokens
+		);
+	});
+
+	test('parses partial values only where an object or array ends', async () => {
+		// Without new lines, and with the clock standing still, only the
+		// closing brackets trigger a parse
+		writeFixtures([
+			{
+				match: 'Product Requirements Document',
+				text: JSON.stringify(prdResponse)
+			}
+		]);
+		const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+		const partials = [];
+		try {
+			await streamPrd({ onPartial: (partial) => partials.push(partial) });
+		} finally {
+			nowSpy.mockRestore();
+		}
+
+		expect(partials.length).toBeGreaterThan(1);
+		// Each parse happened after a task was closed, so the first task is
+		// always complete
+		partials.forEach((partial) =>
+			expect(partial.tasks[0]).toEqual(prdResponse.tasks[0])
+		);
+		expect(partials[partials.length - 1]).toEqual(prdResponse);
+	});
+
+	test('generates the object without streaming when the stream breaks off', async () => {
+		writeFixtures([
+			{
+				match: 'Product Requirements Document',
+				text: JSON.stringify(prdResponse, null, 2),
+				streamError: 'Connection reset'
+			},
+			{ match: 'Product Requirements Document', object: prdResponse }
+		]);
+		const schema = z.object({ tasks: z.array(z.any()) });
+
+		await expect(streamPrd({})).rejects.toThrow('Connection reset');
+
+		const partials = [];
+		const result = await streamPrd({
+			schema,
+			objectName: 'tasks_data',
+			onPartial: (partial) => partials.push(partial)
+		});
+		expect(JSON.parse(result.mainResult)).toEqual(prdResponse);
+		expect(partials[partials.length - 1]).toEqual(prdResponse);
+		expect(result.telemetryData).toMatchObject({ commandName: 'parse-prd' });
+
+		// A failing onPartial is not a failing stream
+		await expect(
+			streamPrd({
+				schema,
+				onPartial: () => {
+					throw new Error('Display closed');
+				}
+			})
+		).rejects.toThrow('Display closed');
+	});
+
+	test('parse-prd streams tasks to MCP progress notifications', async () => {
+		const log = mcpLog();
+		const reportProgress = jest.fn().mockResolvedValue();
+		const tasksPath = path.join(projectRoot, 'tasks', 'tasks.json');
+
+		const result = await parsePRD(
+			path.join(projectRoot, 'prd.txt'),
+			tasksPath,
+			2,
+			{ mcpLog: log, projectRoot, stream: true, reportProgress }
+		);
+
+		expect(result.success).toBe(true);
+		expect(reportProgress.mock.calls.map(([progress]) => progress)).toEqual([
+			{ progress: 1, total: 2 },
+			{ progress: 2, total: 2 }
+		]);
+		expect(log.info).toHaveBeenCalledWith('Task 2: Build the REST API');
+
+		const saved = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+		expect(saved.tags.master.tasks.map((task) => task.title)).toEqual([
+			'Set up the repository',
+			'Build the REST API'
+		]);
+		expect(saved.tags.master.tasks[1].dependencies).toEqual([1]);
+	});
+});
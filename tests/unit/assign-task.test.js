@@ -0,0 +1,102 @@
+/**
+ * Task assignment and claim tests
+ */
+
+import { readJSON } from '../../scripts/modules/utils.js';
+import {
+	assignTask,
+	claimTask,
+	getActiveAssignee,
+	unassignTask
+} from '../../scripts/modules/task-manager/assign-task.js';
+import findNextTask from '../../scripts/modules/task-manager/find-next-task.js';
+import { assignmentTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+describe('Task assignment', () => {
+	const project = useTempProject(assignmentTasks);
+
+	test('assigns and unassigns tasks and subtasks', () => {
+		expect(assignTask(project.tasksPath, '3, 2.1', 'alice')).toEqual({
+			assignee: 'alice',
+			taskIds: ['3', '2.1']
+		});
+		let { tasks } = readJSON(project.tasksPath);
+		expect(tasks[2].assignee).toBe('alice');
+		expect(tasks[1].subtasks[0].assignee).toBe('alice');
+
+		unassignTask(project.tasksPath, '2.1');
+		({ tasks } = readJSON(project.tasksPath));
+		expect(tasks[1].subtasks[0].assignee).toBeUndefined();
+		expect(() => assignTask(project.tasksPath, '9', 'alice')).toThrow(
+			/Task 9 not found/
+		);
+	});
+
+	test('claims fail while someone else holds the task', () => {
+		const claim = claimTask(project.tasksPath, 3, 'agent-1', {
+			leaseMinutes: 30
+		});
+		expect(claim.assignee).toBe('agent-1');
+		expect(new Date(claim.claimExpiresAt) - Date.now()).toBeGreaterThanOrEqual(
+			29 * 60 * 1000
+		);
+
+		expect(() => claimTask(project.tasksPath, 3, 'agent-2')).toThrow(
+			/already claimed by agent-1/
+		);
+		expect(claimTask(project.tasksPath, 3, 'agent-1').assignee).toBe('agent-1');
+		expect(() => claimTask(project.tasksPath, 1, 'agent-2')).toThrow(
+			/already done/
+		);
+
+		// Claiming a task reserves its subtasks
+		claimTask(project.tasksPath, 2, 'agent-1');
+		expect(() => claimTask(project.tasksPath, '2.1', 'agent-2')).toThrow(
+			/already claimed by agent-1/
+		);
+	});
+
+	test('lapsed claims can be taken over', () => {
+		const data = assignmentTasks();
+		data.tasks[2].assignee = 'agent-1';
+		data.tasks[2].claimExpiresAt = new Date(Date.now() - 1000).toISOString();
+		project.writeTasks(data);
+
+		expect(getActiveAssignee(data.tasks[2])).toBeNull();
+		expect(claimTask(project.tasksPath, 3, 'agent-2').assignee).toBe('agent-2');
+	});
+
+	test('next task skips work held by others', () => {
+		const { tasks } = assignmentTasks();
+		tasks[1].subtasks[0].assignee = 'agent-1';
+
+		expect(findNextTask(tasks).id).toBe('2.1');
+		expect(findNextTask(tasks, null, { assignee: 'agent-2' }).id).toBe('2.2');
+		expect(findNextTask(tasks, null, { assignee: 'agent-1' })).toMatchObject({
+			id: '2.1',
+			assignee: 'agent-1'
+		});
+
+		// Without eligible subtasks, tasks held by others are skipped and own tasks come first
+		tasks[1].assignee = 'agent-1';
+		tasks[3].assignee = 'agent-2';
+		expect(findNextTask(tasks, null, { assignee: 'agent-2' }).id).toBe(4);
+		expect(findNextTask(tasks, null, { assignee: 'agent-3' }).id).toBe(3);
+	});
+
+	test('next task skips tasks whose open subtasks are all held by others', () => {
+		const { tasks } = assignmentTasks();
+		tasks[1].status = 'pending';
+		tasks[1].subtasks[0].status = 'done';
+		tasks[1].subtasks[1].assignee = 'agent-1';
+
+		expect(findNextTask(tasks, null, { assignee: 'agent-2' }).id).toBe(3);
+		expect(findNextTask(tasks, null, { assignee: 'agent-1' }).id).toBe(2);
+
+		// The same holds for a task in progress, whose subtasks are its work
+		tasks[1].status = 'in-progress';
+		expect(findNextTask(tasks, null, { assignee: 'agent-2' }).id).toBe(3);
+		expect(findNextTask(tasks, null, { assignee: 'agent-1' }).id).toBe('2.2');
+	});
+});
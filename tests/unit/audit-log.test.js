@@ -0,0 +1,176 @@
+/**
+ * Audit log tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	diffTasks,
+	getAuditLog,
+	runAsActor
+} from '../../scripts/modules/audit-log.js';
+import { undoChange } from '../../scripts/modules/history.js';
+import {
+	identifyClient,
+	withNormalizedProjectRoot
+} from '../../mcp-server/src/tools/utils.js';
+import {
+	copyTag,
+	deleteTag
+} from '../../scripts/modules/task-manager/tag-management.js';
+
+const sampleTasks = {
+	tasks: [
+		{
+			id: 1,
+			title: 'Setup',
+			status: 'pending',
+			subtasks: [{ id: 1, title: 'Install', status: 'pending' }]
+		},
+		{ id: 2, title: 'Build', status: 'pending' }
+	]
+};
+
+const withChanges = (fn) => {
+	const data = JSON.parse(JSON.stringify(sampleTasks));
+	fn(data.tasks);
+	return JSON.stringify(data);
+};
+
+describe('Audit log', () => {
+	describe('diffTasks', () => {
+		const before = JSON.stringify(sampleTasks);
+
+		test('reports changed fields with before and after values', () => {
+			const after = withChanges((tasks) => {
+				tasks[1].status = 'done';
+				tasks[1].details = 'Shipped';
+			});
+			expect(diffTasks(before, after)).toEqual([
+				{
+					tag: 'master',
+					taskId: '2',
+					action: 'updated',
+					fields: {
+						status: { before: 'pending', after: 'done' },
+						details: { before: null, after: 'Shipped' }
+					}
+				}
+			]);
+		});
+
+		test('diffs subtasks separately under their dotted ID', () => {
+			const after = withChanges((tasks) => {
+				tasks[0].subtasks[0].status = 'done';
+				tasks[0].subtasks.push({ id: 2, title: 'Configure' });
+			});
+			const changes = diffTasks(before, after);
+			expect(changes.map((c) => [c.taskId, c.action])).toEqual([
+				['1.1', 'updated'],
+				['1.2', 'created']
+			]);
+		});
+
+		test('reports deleted tasks', () => {
+			const after = withChanges((tasks) => tasks.pop());
+			const [change] = diffTasks(before, after);
+			expect(change).toMatchObject({ taskId: '2', action: 'deleted' });
+			expect(change.fields.title).toEqual({ before: 'Build', after: null });
+		});
+	});
+
+	describe('recording', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-audit-'));
+			fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+			fs.mkdirSync(path.join(tempDir, 'tasks'));
+			tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+			fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks, null, 2));
+		});
+
+		afterEach(() => {
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		test('attributes changes to the current actor', () => {
+			copyTag(tasksPath, 'master', 'feature-a');
+			runAsActor({ type: 'mcp', name: 'test-client' }, () =>
+				deleteTag(tasksPath, 'feature-a')
+			);
+
+			const { entries } = getAuditLog(tasksPath);
+			expect(entries.map((e) => [e.command, e.actor])).toEqual([
+				['delete-tag', { type: 'mcp', name: 'test-client' }],
+				['copy-tag', { type: 'cli', name: expect.any(String) }]
+			]);
+			expect(entries[0].taskIds).toEqual(['1', '1.1', '2']);
+			expect(
+				fs.existsSync(path.join(tempDir, '.taskmaster', 'audit.jsonl'))
+			).toBe(true);
+		});
+
+		test('attributes concurrent MCP tool calls to their own client', async () => {
+			const log = { info() {}, warn() {}, error() {}, debug() {} };
+			const deleteTagTool = withNormalizedProjectRoot(async (args) => {
+				// Let the other call start before this one makes its change
+				await new Promise((resolve) => setTimeout(resolve, 10));
+				deleteTag(tasksPath, args.name);
+			});
+			copyTag(tasksPath, 'master', 'feature-a');
+			copyTag(tasksPath, 'master', 'feature-b');
+
+			const cursor = await identifyClient({
+				headers: { 'x-taskmaster-client': 'cursor', 'user-agent': 'node' }
+			});
+			const agent = await identifyClient({
+				headers: { 'user-agent': 'review-agent/1.0' }
+			});
+			await Promise.all([
+				deleteTagTool(
+					{ name: 'feature-a', projectRoot: tempDir },
+					{ log, session: cursor }
+				),
+				deleteTagTool(
+					{ name: 'feature-b', projectRoot: tempDir },
+					{ log, session: agent }
+				)
+			]);
+
+			const actors = Object.fromEntries(
+				getAuditLog(tasksPath)
+					.entries.filter((e) => e.command === 'delete-tag')
+					.map((e) => [e.details, e.actor.name])
+			);
+			expect(actors).toEqual({
+				'feature-a': 'cursor',
+				'feature-b': 'review-agent/1.0'
+			});
+		});
+
+		test('filters by task ID within the active tag', async () => {
+			copyTag(tasksPath, 'master', 'feature-a');
+			await undoChange(tasksPath);
+
+			const forTask = getAuditLog(tasksPath, { id: 1 });
+			expect(forTask.tag).toBe('master');
+			expect(forTask.entries).toHaveLength(0);
+
+			const inFeature = getAuditLog(tasksPath, { id: 1, tag: 'feature-a' });
+			expect(inFeature.entries.map((e) => e.command)).toEqual([
+				'undo',
+				'copy-tag'
+			]);
+			expect(inFeature.entries[0].taskIds).toEqual(['1', '1.1']);
+			expect(inFeature.entries[0].changes[0].action).toBe('deleted');
+
+			expect(
+				getAuditLog(tasksPath, { tag: 'feature-a', limit: 1 }).entries
+			).toHaveLength(1);
+		});
+	});
+});
@@ -79,8 +79,17 @@ const DEFAULT_CONFIG = {
 		defaultSubtasks: 5,
 		defaultPriority: 'medium',
 		projectName: 'Task Master',
-		ollamaBaseUrl: 'http://localhost:11434/api'
-	}
+		ollamaBaseUrl: 'http://localhost:11434/api',
+		lockTimeoutMs: 30000,
+		historyLimit: 50,
+		autoMigrate: true,
+		claimLeaseMinutes: 60
+	},
+	storage: {
+		type: 'json',
+		sqlitePath: '.taskmaster/tasks.db'
+	},
+	customFields: []
 };
 
 // Other test data (VALID_CUSTOM_CONFIG, PARTIAL_CONFIG, INVALID_PROVIDER_CONFIG)
@@ -0,0 +1,172 @@
+/**
+ * Custom task field tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { getConfig } from '../../scripts/modules/config-manager.js';
+import {
+	coerceFieldValue,
+	getCustomFieldDefinitions,
+	matchesFieldFilters,
+	parseFieldFilters,
+	resolveCustomFields
+} from '../../scripts/modules/custom-fields.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import addTask from '../../scripts/modules/task-manager/add-task.js';
+import updateTaskById from '../../scripts/modules/task-manager/update-task-by-id.js';
+import listTasks from '../../scripts/modules/task-manager/list-tasks.js';
+
+const customFields = [
+	{ name: 'sprint', type: 'number' },
+	{ name: 'component', type: 'enum', values: ['api', 'cli'] },
+	{ name: 'reviewers', type: 'list' },
+	{ name: 'release', type: 'date', default: '2025-09-01' }
+];
+
+const mcpLog = {
+	info: () => {},
+	warn: () => {},
+	error: () => {},
+	debug: () => {},
+	success: () => {}
+};
+
+describe('Custom fields', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-fields-'));
+		fs.writeFileSync(
+			path.join(tempDir, '.taskmasterconfig'),
+			JSON.stringify({ customFields })
+		);
+		getConfig(tempDir, true);
+		fs.mkdirSync(path.join(tempDir, 'tasks'));
+		tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				tasks: [
+					{
+						id: 1,
+						title: 'Setup',
+						description: 'Set up the project',
+						status: 'done',
+						dependencies: [],
+						customFields: { sprint: 1, component: 'cli' }
+					}
+				]
+			})
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('coerces values to the declared type', () => {
+		const [sprint, component, reviewers, release] =
+			getCustomFieldDefinitions(tempDir);
+
+		expect(coerceFieldValue(sprint, '12')).toBe(12);
+		expect(() => coerceFieldValue(sprint, 'soon')).toThrow(/expected a number/);
+		expect(coerceFieldValue(component, 'api')).toBe('api');
+		expect(() => coerceFieldValue(component, 'web')).toThrow(/one of api, cli/);
+		expect(coerceFieldValue(reviewers, 'ann, bo,')).toEqual(['ann', 'bo']);
+		expect(coerceFieldValue(release, '2025-02-28')).toBe('2025-02-28');
+		expect(() => coerceFieldValue(release, '2025-02-30')).toThrow(
+			/expected a date/
+		);
+		expect(coerceFieldValue(sprint, '')).toBeNull();
+	});
+
+	test('rejects invalid declarations', () => {
+		fs.writeFileSync(
+			path.join(tempDir, '.taskmasterconfig'),
+			JSON.stringify({ customFields: [{ name: 'size', type: 'enum' }] })
+		);
+		getConfig(tempDir, true);
+
+		expect(() => getCustomFieldDefinitions(tempDir)).toThrow(
+			/enum fields need a non-empty "values" list/
+		);
+	});
+
+	test('applies defaults, updates and clears values', () => {
+		const fields = resolveCustomFields(['sprint=3'], {
+			applyDefaults: true,
+			projectRoot: tempDir
+		});
+		expect(fields).toEqual({ sprint: 3, release: '2025-09-01' });
+
+		expect(
+			resolveCustomFields(
+				{ release: null, reviewers: 'ann' },
+				{ existing: fields, projectRoot: tempDir }
+			)
+		).toEqual({ sprint: 3, reviewers: ['ann'] });
+		expect(() =>
+			resolveCustomFields(['owner=ann'], { projectRoot: tempDir })
+		).toThrow(/Unknown custom field "owner". Declared fields: sprint/);
+		expect(() =>
+			resolveCustomFields(['sprint'], { projectRoot: tempDir })
+		).toThrow(/Use the form key=value/);
+	});
+
+	test('filters tasks by field values', () => {
+		const task = { customFields: { sprint: 3, reviewers: ['ann', 'bo'] } };
+		const match = (filters) =>
+			matchesFieldFilters(task, parseFieldFilters(filters, tempDir));
+
+		expect(match(['sprint=3', 'reviewers=bo'])).toBe(true);
+		expect(match(['sprint=4'])).toBe(false);
+		expect(match(['component='])).toBe(true);
+		expect(match(['sprint='])).toBe(false);
+	});
+
+	test('tasks are added, updated and listed with custom fields', async () => {
+		const { newTaskId } = await addTask(
+			tasksPath,
+			null,
+			[],
+			'high',
+			{ projectRoot: tempDir, mcpLog, customFields: ['component=api'] },
+			'json',
+			{
+				title: 'Rate limit',
+				description: 'Rate limit the API',
+				details: '',
+				testStrategy: ''
+			}
+		);
+		expect(readJSON(tasksPath).tasks[1].customFields).toEqual({
+			component: 'api',
+			release: '2025-09-01'
+		});
+
+		const { updatedTask, telemetryData } = await updateTaskById(
+			tasksPath,
+			newTaskId,
+			'',
+			false,
+			{ projectRoot: tempDir, mcpLog, customFields: ['release=', 'sprint=2'] },
+			'json'
+		);
+		expect(telemetryData).toBeNull();
+		expect(updatedTask.customFields).toEqual({ component: 'api', sprint: 2 });
+		expect(
+			fs.readFileSync(path.join(tempDir, 'tasks', 'task_002.txt'), 'utf8')
+		).toContain('# sprint: 2');
+
+		const result = listTasks(tasksPath, null, null, false, 'json', {
+			projectRoot: tempDir,
+			fields: ['component=api']
+		});
+		expect(result.tasks.map((t) => t.id)).toEqual([newTaskId]);
+		expect(result.tasks[0].customFields.sprint).toBe(2);
+	});
+});
@@ -0,0 +1,140 @@
+/**
+ * Dependency graph export tests
+ */
+
+import {
+	buildDependencyGraph,
+	renderDependencyGraph
+} from '../../scripts/modules/task-manager/dependency-graph.js';
+import { dependencyGraphTasks } from '../fixtures/sample-tasks.js';
+
+const ids = (graph) => graph.nodes.map((node) => node.id);
+
+describe('Dependency graph', () => {
+	test('builds nodes and edges, with sibling subtask dependencies', () => {
+		const graph = buildDependencyGraph(dependencyGraphTasks());
+
+		expect(ids(graph)).toEqual(['1', '2', '3', '3.1', '3.2', '4', '5']);
+		expect(graph.edges).toContainEqual({
+			from: '3.1',
+			to: '3.2',
+			type: 'blocks'
+		});
+		expect(graph.edges).toContainEqual({ from: '4', to: '5', type: 'blocks' });
+		expect(graph.missing).toEqual([{ from: '9', to: '4', type: 'blocks' }]);
+	});
+
+	test('filters by status and by reachability', () => {
+		const tasks = dependencyGraphTasks();
+
+		const pending = buildDependencyGraph(tasks, { statuses: ['pending'] });
+		expect(ids(pending)).toEqual(['2', '3.2', '4', '5']);
+		expect(pending.edges).toEqual([{ from: '4', to: '5', type: 'blocks' }]);
+
+		expect(ids(buildDependencyGraph(tasks, { from: '4' }))).toEqual(['1', '4']);
+		expect(
+			ids(buildDependencyGraph(tasks, { from: 2, direction: 'dependents' }))
+		).toEqual(['2', '3', '5']);
+		// Starting from a task includes its subtasks
+		expect(
+			ids(buildDependencyGraph(tasks, { from: '3', direction: 'dependents' }))
+		).toEqual(['3', '3.1', '3.2', '5']);
+		expect(() => buildDependencyGraph(tasks, { from: '8' })).toThrow(
+			/Task 8 not found/
+		);
+	});
+
+	test('includes subtasks of subtasks in the cluster of their task', () => {
+		const tasks = dependencyGraphTasks();
+		tasks[2].subtasks[1].subtasks = [
+			{ id: 1, title: 'Tokens', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Sessions', status: 'pending', dependencies: [1] }
+		];
+		tasks[4].dependencies = [3, '3.2.2'];
+		const graph = buildDependencyGraph(tasks);
+
+		expect(ids(graph)).toEqual(
+			expect.arrayContaining(['3.2', '3.2.1', '3.2.2'])
+		);
+		expect(graph.nodes.find((node) => node.id === '3.2.2')).toMatchObject({
+			parent: '3.2',
+			parentTitle: 'Auth'
+		});
+		expect(graph.edges).toContainEqual({
+			from: '3.2.1',
+			to: '3.2.2',
+			type: 'blocks'
+		});
+		expect(graph.edges).toContainEqual({
+			from: '3.2.2',
+			to: '5',
+			type: 'blocks'
+		});
+		expect(
+			ids(buildDependencyGraph(tasks, { from: '3.2', direction: 'dependents' }))
+		).toEqual(['3.2', '3.2.1', '3.2.2', '5']);
+
+		const mermaid = renderDependencyGraph(graph, 'mermaid');
+		expect(mermaid.match(/subgraph/g)).toHaveLength(1);
+		expect(mermaid).toContain('        t3_2_2["3.2.2: Sessions"]');
+	});
+
+	test('renders Mermaid with status classes and subtask clusters', () => {
+		const output = renderDependencyGraph(
+			buildDependencyGraph(dependencyGraphTasks()),
+			'mermaid'
+		);
+
+		expect(output).toMatch(/^flowchart TD\n/);
+		expect(output).toContain('t1["1: Setup #quot;repo#quot;"]');
+		expect(output).toContain('subgraph t3_group["3: API"]');
+		expect(output).toContain('        t3_2["3.2: Auth"]');
+		expect(output).toContain('    t3_1 --> t3_2');
+		expect(output).toContain(
+			'classDef status_in_progress fill:#FFA500,stroke:#333,color:#000'
+		);
+		expect(output).toContain('class t2,t3_2,t4,t5 status_pending');
+	});
+
+	test('renders DOT and JSON', () => {
+		const graph = buildDependencyGraph(dependencyGraphTasks(), { from: '3.2' });
+
+		const dot = renderDependencyGraph(graph, 'dot');
+		expect(dot).toMatch(/^digraph tasks \{/);
+		expect(dot).toContain('subgraph cluster_t3 {');
+		expect(dot).toContain('t3_2 [label="3.2: Auth", fillcolor="yellow"];');
+		expect(dot).toContain('t3_1 -> t3_2;');
+
+		const json = JSON.parse(renderDependencyGraph(graph, 'json'));
+		expect(json.nodes).toEqual([
+			expect.objectContaining({ id: '3.1', color: 'green' }),
+			expect.objectContaining({ id: '3.2', color: 'yellow' })
+		]);
+		expect(() => renderDependencyGraph(graph, 'svg')).toThrow(
+			/Invalid format "svg"/
+		);
+	});
+
+	test('draws soft and relates dependencies distinctly', () => {
+		const tasks = dependencyGraphTasks();
+		tasks[3].dependencies = [1, { id: 2, type: 'soft' }];
+		tasks[4].dependencies = [3, { id: '3.1', type: 'relates' }];
+		const graph = buildDependencyGraph(tasks);
+
+		expect(graph.edges).toContainEqual({ from: '2', to: '4', type: 'soft' });
+		expect(graph.edges).toContainEqual({
+			from: '3.1',
+			to: '5',
+			type: 'relates'
+		});
+
+		const mermaid = renderDependencyGraph(graph, 'mermaid');
+		expect(mermaid).toContain('    t1 --> t4');
+		expect(mermaid).toContain('    t2 -.-> t4');
+		expect(mermaid).toContain('    t3_1 -.- t5');
+
+		const dot = renderDependencyGraph(graph, 'dot');
+		expect(dot).toContain('t2 -> t4 [style=dashed];');
+		expect(dot).toContain('t3_1 -> t5 [style=dotted, dir=none];');
+	});
+});
@@ -2,6 +2,9 @@
  * Dependency Manager module tests
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { jest } from '@jest/globals';
 import {
 	validateTaskDependencies,
@@ -9,9 +12,15 @@ import {
 	removeDuplicateDependencies,
 	cleanupSubtaskDependencies,
 	ensureAtLeastOneIndependentSubtask,
-	validateAndFixDependencies
+	validateAndFixDependencies,
+	fixDependenciesCommand,
+	addDependency,
+	findDependencyCycles,
+	describeDependencyCycle,
+	chooseCycleEdge
 } from '../../scripts/modules/dependency-manager.js';
 import * as utils from '../../scripts/modules/utils.js';
+import findNextTask from '../../scripts/modules/task-manager/find-next-task.js';
 import { sampleTasks } from '../fixtures/sample-tasks.js';
 
 // Mock dependencies
@@ -808,4 +817,330 @@ describe('Dependency Manager Module', () => {
 			);
 		});
 	});
+
+	describe('dependencies between subtasks of different tasks', () => {
+		// 3.2 waits on its sibling 3.1 and on 5.1
+		const crossTasks = () => [
+			{
+				id: 3,
+				title: 'API',
+				status: 'in-progress',
+				dependencies: [],
+				subtasks: [
+					{ id: 1, title: 'Routes', status: 'done', dependencies: [] },
+					{ id: 2, title: 'Auth', status: 'pending', dependencies: [1, '5.1'] }
+				]
+			},
+			{
+				id: 5,
+				title: 'Users',
+				status: 'in-progress',
+				dependencies: [],
+				subtasks: [
+					{ id: 1, title: 'Model', status: 'pending', dependencies: [] }
+				]
+			}
+		];
+
+		test('validates dotted dependencies into other tasks', () => {
+			expect(validateTaskDependencies(crossTasks()).valid).toBe(true);
+
+			const tasks = crossTasks();
+			tasks[0].subtasks[1].dependencies.push('5.4');
+			const result = validateTaskDependencies(tasks);
+			expect(result.issues).toEqual([
+				expect.objectContaining({
+					type: 'missing',
+					taskId: '3.2',
+					dependencyId: '5.4'
+				})
+			]);
+		});
+
+		test('detects cycles that run through a parent task', () => {
+			// 5.1 cannot start before task 3, which waits for 3.2, which waits on 5.1
+			const tasks = crossTasks();
+			tasks[1].dependencies = [3];
+
+			expect(isCircularDependency(tasks, '5.1', ['3.2'])).toBe(true);
+			expect(isCircularDependency(tasks, '3', ['3.1'])).toBe(true);
+			expect(isCircularDependency(crossTasks(), '5.1', ['3.2'])).toBe(false);
+			expect(
+				validateTaskDependencies(tasks).issues.some(
+					(issue) => issue.type === 'circular' && issue.taskId === '3.2'
+				)
+			).toBe(true);
+		});
+
+		test('keeps valid dotted dependencies when cleaning up', () => {
+			const tasks = crossTasks();
+			tasks[0].subtasks[1].dependencies.push('5.4', 4);
+
+			const result = cleanupSubtaskDependencies({ tasks });
+			expect(result.tasks[0].subtasks[1].dependencies).toEqual([1, '5.1']);
+		});
+
+		test('findNextTask waits for subtasks of other tasks', () => {
+			const tasks = crossTasks();
+			expect(findNextTask(tasks).id).toBe('5.1');
+
+			tasks[1].subtasks[0].status = 'done';
+			expect(findNextTask(tasks)).toMatchObject({
+				id: '3.2',
+				dependencies: ['3.1', '5.1']
+			});
+		});
+
+		test('fix-dependencies breaks a cycle across levels', async () => {
+			const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-deps-'));
+			const tasksPath = path.join(tempDir, 'tasks.json');
+			const tasks = crossTasks();
+			tasks[1].dependencies = [3];
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					meta: { schemaVersion: 3 },
+					currentTag: 'master',
+					tags: { master: { tasks, metadata: {} } }
+				})
+			);
+
+			utils.enableSilentMode();
+			try {
+				await fixDependenciesCommand(tasksPath);
+			} finally {
+				utils.disableSilentMode();
+			}
+
+			const fixed = utils.readJSON(tasksPath).tasks;
+			// The dependency task 5.1 inherits from task 5 is removed from task 5
+			expect(fixed[1].dependencies).toEqual([]);
+			expect(fixed[0].subtasks[1].dependencies).toEqual([1, '5.1']);
+			expect(validateTaskDependencies(fixed).valid).toBe(true);
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+	});
+
+	describe('dependency types', () => {
+		// Task 2 blocks on 1; soft and relates dependencies point back to 2
+		const typedTasks = () => [
+			{
+				id: 1,
+				title: 'Setup',
+				status: 'pending',
+				dependencies: [{ id: 2, type: 'soft' }]
+			},
+			{ id: 2, title: 'Schema', status: 'pending', dependencies: [1] },
+			{
+				id: 3,
+				title: 'API',
+				status: 'pending',
+				dependencies: [{ id: 2, type: 'relates' }]
+			}
+		];
+
+		test('reads plain IDs as blocking dependencies', () => {
+			expect(utils.getDependencyType(4)).toBe('blocks');
+			expect(utils.getDependencyType('3.1')).toBe('blocks');
+			expect(utils.getDependencyType({ id: 4, type: 'soft' })).toBe('soft');
+			expect(utils.resolveDependencyId({ id: 2, type: 'soft' }, 3)).toBe(
+				'3.2'
+			);
+			expect(utils.createDependency(4)).toBe(4);
+			expect(utils.createDependency(4, 'relates')).toEqual({
+				id: 4,
+				type: 'relates'
+			});
+		});
+
+		test('only blocking dependencies form cycles', () => {
+			const tasks = typedTasks();
+			expect(validateTaskDependencies(tasks).valid).toBe(true);
+			expect(isCircularDependency(tasks, '1', ['2'])).toBe(false);
+
+			tasks[0].dependencies = [2];
+			expect(validateTaskDependencies(tasks).valid).toBe(false);
+		});
+
+		test('findNextTask is not held back by soft or relates dependencies', () => {
+			const tasks = typedTasks();
+			tasks[0].status = 'done';
+			tasks[1].priority = 'low';
+			tasks[2].priority = 'high';
+			// Task 3 only relates to the pending task 2
+			expect(findNextTask(tasks).id).toBe(3);
+
+			tasks[2].dependencies = [2];
+			expect(findNextTask(tasks).id).toBe(2);
+		});
+
+		test('adds typed dependencies and changes the type of existing ones', async () => {
+			const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-deps-'));
+			const tasksPath = path.join(tempDir, 'tasks.json');
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					meta: { schemaVersion: 3 },
+					currentTag: 'master',
+					tags: { master: { tasks: typedTasks(), metadata: {} } }
+				})
+			);
+
+			utils.enableSilentMode();
+			try {
+				// A soft dependency may point back along a blocking one
+				await addDependency(tasksPath, '1', '3', { type: 'soft' });
+				await addDependency(tasksPath, '3', '2');
+				await addDependency(tasksPath, '3', '1', { type: 'relates' });
+			} finally {
+				utils.disableSilentMode();
+			}
+
+			const { tasks } = utils.readJSON(tasksPath);
+			expect(tasks[0].dependencies).toEqual([
+				{ id: 2, type: 'soft' },
+				{ id: 3, type: 'soft' }
+			]);
+			expect(tasks[2].dependencies).toEqual([{ id: 1, type: 'relates' }, 2]);
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+	});
+
+	describe('dependency cycles', () => {
+		// 1 -> 2 -> 3 -> 1, and 4 -> 5.1 -> 4 which 5.1 inherits from task 5
+		const cyclicTasks = () => [
+			{
+				id: 1,
+				title: 'Setup',
+				status: 'pending',
+				priority: 'high',
+				dependencies: [2]
+			},
+			{
+				id: 2,
+				title: 'Schema',
+				status: 'pending',
+				priority: 'low',
+				dependencies: [3]
+			},
+			{
+				id: 3,
+				title: 'API',
+				status: 'pending',
+				priority: 'medium',
+				dependencies: [1]
+			},
+			{
+				id: 4,
+				title: 'CLI',
+				status: 'pending',
+				dependencies: ['5.1']
+			},
+			{
+				id: 5,
+				title: 'Docs',
+				status: 'pending',
+				dependencies: [4],
+				subtasks: [
+					{ id: 1, title: 'Guide', status: 'pending', dependencies: [] }
+				]
+			}
+		];
+
+		const writeTasks = (tasks) => {
+			const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-deps-'));
+			const tasksPath = path.join(tempDir, 'tasks.json');
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					meta: { schemaVersion: 3 },
+					currentTag: 'master',
+					tags: { master: { tasks, metadata: {} } }
+				})
+			);
+			return { tempDir, tasksPath };
+		};
+
+		test('finds every cycle and who holds each dependency', () => {
+			const tasks = cyclicTasks();
+			const cycles = findDependencyCycles(tasks);
+			expect(cycles).toEqual([
+				['1', '2', '3'],
+				['4', '5.1']
+			]);
+
+			const edges = describeDependencyCycle(tasks, cycles[1]);
+			expect(edges).toEqual([
+				expect.objectContaining({
+					from: '4',
+					to: '5.1',
+					fromTitle: 'CLI',
+					toTitle: 'Guide',
+					heldBy: '4'
+				}),
+				expect.objectContaining({ from: '5.1', to: '4', heldBy: '5' })
+			]);
+		});
+
+		test('chooses the dependency to remove by strategy', () => {
+			const tasks = cyclicTasks();
+			const [cycle] = findDependencyCycles(tasks);
+			const edges = describeDependencyCycle(
+				tasks,
+				cycle,
+				new Map([['2->3', '2025-06-01T10:00:00.000Z']])
+			);
+
+			expect(chooseCycleEdge(edges).from).toBe('3');
+			expect(chooseCycleEdge(edges, 'recent').from).toBe('2');
+			// The dependency on task 2, the lowest priority one
+			expect(chooseCycleEdge(edges, 'priority').to).toBe('2');
+			// Without audit records the newest ID wins
+			expect(
+				chooseCycleEdge(describeDependencyCycle(tasks, cycle), 'recent').from
+			).toBe('3');
+		});
+
+		test('fix-dependencies follows the strategy', async () => {
+			const { tempDir, tasksPath } = writeTasks(cyclicTasks());
+
+			utils.enableSilentMode();
+			try {
+				await fixDependenciesCommand(tasksPath, { strategy: 'priority' });
+			} finally {
+				utils.disableSilentMode();
+			}
+
+			const fixed = utils.readJSON(tasksPath).tasks;
+			expect(fixed[0].dependencies).toEqual([]);
+			expect(fixed[1].dependencies).toEqual([3]);
+			expect(validateTaskDependencies(fixed).valid).toBe(true);
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		test('fix-dependencies lets the user choose or leave cycles', async () => {
+			const { tempDir, tasksPath } = writeTasks(cyclicTasks());
+			const chooseEdge = jest.fn(async (edges) =>
+				edges[0].from === '1' ? edges[1] : null
+			);
+
+			utils.enableSilentMode();
+			try {
+				await fixDependenciesCommand(tasksPath, { chooseEdge });
+				await expect(
+					fixDependenciesCommand(tasksPath, { strategy: 'oldest' })
+				).rejects.toThrow('Invalid strategy');
+			} finally {
+				utils.disableSilentMode();
+			}
+
+			expect(chooseEdge).toHaveBeenCalledTimes(2);
+			const fixed = utils.readJSON(tasksPath).tasks;
+			expect(fixed[1].dependencies).toEqual([]);
+			// The second cycle was left in place
+			expect(fixed[3].dependencies).toEqual(['5.1']);
+			expect(fixed[4].dependencies).toEqual([4]);
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+	});
 });
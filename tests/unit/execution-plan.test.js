@@ -0,0 +1,79 @@
+/**
+ * Execution plan tests
+ */
+
+import path from 'path';
+
+import getExecutionPlan from '../../scripts/modules/task-manager/execution-plan.js';
+import { estimatedTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+describe('Execution plan', () => {
+	const project = useTempProject(() => ({ tasks: estimatedTasks() }));
+
+	test('sorts open work into waves through subtasks', () => {
+		const plan = getExecutionPlan(project.tasksPath);
+
+		expect(plan.weightBy).toBe('estimate');
+		expect(plan.unit).toBe('hours');
+		expect(plan.waves).toEqual([['2', '4'], ['3.2'], ['3.3'], ['5']]);
+		expect(plan.maxParallel).toBe(2);
+		// Depending on task 3 means waiting for its open subtasks
+		expect(plan.items.find((item) => item.id === '5').dependsOn).toEqual([
+			'3.2',
+			'3.3',
+			'4'
+		]);
+	});
+
+	test('computes the critical path and slack', () => {
+		const plan = getExecutionPlan(project.tasksPath);
+		const item = (id) => plan.items.find((i) => i.id === id);
+
+		expect(plan.criticalPath).toEqual(['2', '3.2', '3.3', '5']);
+		expect(plan.length).toBe(10);
+		expect(item('4')).toMatchObject({
+			earliestStart: 0,
+			latestStart: 8,
+			slack: 8,
+			critical: false
+		});
+		expect(item('3.3')).toMatchObject({ earliestStart: 5, slack: 0 });
+
+		// Counting tasks instead of hours changes the weights, not the order
+		const counted = getExecutionPlan(project.tasksPath, { weight: 'count' });
+		expect(counted.length).toBe(4);
+		expect(counted.items.find((i) => i.id === '4').slack).toBe(2);
+	});
+
+	test('weighs by complexity scores shared among open subtasks', () => {
+		const tasks = estimatedTasks().map(({ estimate, subtasks, ...task }) => ({
+			...task,
+			...(subtasks
+				? { subtasks: subtasks.map(({ estimate: e, ...st }) => st) }
+				: {})
+		}));
+		tasks[2].complexityScore = 8;
+		project.writeTasks({ tasks });
+
+		const plan = getExecutionPlan(project.tasksPath, {
+			complexityReportPath: path.join(project.root, 'missing.json')
+		});
+		expect(plan.weightBy).toBe('complexity');
+		expect(plan.items.find((i) => i.id === '3.2').weight).toBe(4);
+		expect(plan.items.find((i) => i.id === '2').weight).toBe(1);
+	});
+
+	test('rejects cycles and unknown weights', () => {
+		const tasks = estimatedTasks();
+		tasks[1].dependencies = [5];
+		project.writeTasks({ tasks });
+
+		expect(() => getExecutionPlan(project.tasksPath)).toThrow(
+			/Circular dependency among tasks 2, 3.2, 3.3, 5/
+		);
+		expect(() =>
+			getExecutionPlan(project.tasksPath, { weight: 'size' })
+		).toThrow(/Invalid weight "size"/);
+	});
+});
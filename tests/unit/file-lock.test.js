@@ -0,0 +1,132 @@
+/**
+ * File lock tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	FileLockError,
+	getLockPath,
+	withFileLock,
+	withFileLockSync,
+	writeFileAtomic
+} from '../../scripts/modules/file-lock.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { claimTaskDirect } from '../../mcp-server/src/core/direct-functions/claim-task.js';
+import { startTimerDirect } from '../../mcp-server/src/core/direct-functions/start-timer.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('File lock', () => {
+	let tempDir;
+	let filePath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-lock-'));
+		filePath = path.join(tempDir, 'tasks.json');
+		fs.writeFileSync(filePath, JSON.stringify({ count: 0 }));
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	const readCount = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).count;
+
+	test('serializes concurrent read-modify-write operations', async () => {
+		const increment = () =>
+			withFileLock(filePath, async () => {
+				const count = readCount();
+				await delay(5);
+				writeFileAtomic(filePath, JSON.stringify({ count: count + 1 }));
+			});
+
+		await Promise.all(Array.from({ length: 5 }, increment));
+
+		expect(readCount()).toBe(5);
+		expect(fs.existsSync(getLockPath(filePath))).toBe(false);
+	});
+
+	test('re-enters a lock already held by the same call chain', async () => {
+		const result = await withFileLock(filePath, () =>
+			withFileLock(filePath, () => withFileLockSync(filePath, () => 'inner'))
+		);
+		expect(result).toBe('inner');
+	});
+
+	test('releases the lock when the operation throws', async () => {
+		await expect(
+			withFileLock(filePath, async () => {
+				throw new Error('boom');
+			})
+		).rejects.toThrow('boom');
+		expect(fs.existsSync(getLockPath(filePath))).toBe(false);
+	});
+
+	test('fails with a FileLockError when the timeout expires', async () => {
+		const holder = withFileLock(filePath, () => delay(200));
+
+		await expect(
+			withFileLock(filePath, async () => {}, { timeout: 50 })
+		).rejects.toThrow(FileLockError);
+		expect(() => withFileLockSync(filePath, () => {})).toThrow(
+			/being modified by another operation in this process/
+		);
+
+		await holder;
+	});
+
+	test('MCP direct functions wait for operations in flight in this process', async () => {
+		const tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+		fs.mkdirSync(path.dirname(tasksPath));
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				tasks: [
+					{ id: 1, title: 'API', status: 'pending', dependencies: [] },
+					{ id: 2, title: 'Docs', status: 'pending', dependencies: [] }
+				]
+			})
+		);
+		const log = { info() {}, warn() {}, error() {}, debug() {} };
+
+		// An async operation of this process holds the lock for a while
+		const holder = withFileLock(tasksPath, () => delay(100));
+		const [claimed, started] = await Promise.all([
+			claimTaskDirect(
+				{ tasksJsonPath: tasksPath, id: '1', assignee: 'alice' },
+				log
+			),
+			startTimerDirect({ tasksJsonPath: tasksPath, id: '2', by: 'bob' }, log),
+			holder
+		]);
+
+		expect(claimed.success).toBe(true);
+		expect(started.success).toBe(true);
+		const { tasks } = readJSON(tasksPath);
+		expect(tasks[0].assignee).toBe('alice');
+		expect(tasks[1].timeEntries).toEqual([
+			expect.objectContaining({ by: 'bob' })
+		]);
+	});
+
+	test('breaks a lock left behind by a process that no longer runs', async () => {
+		fs.writeFileSync(
+			getLockPath(filePath),
+			JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: 'x' })
+		);
+
+		await expect(
+			withFileLock(filePath, async () => 'acquired', { timeout: 50 })
+		).resolves.toBe('acquired');
+	});
+
+	test('writeFileAtomic replaces the file without leaving temp files', () => {
+		writeFileAtomic(filePath, JSON.stringify({ count: 42 }));
+
+		expect(readCount()).toBe(42);
+		expect(fs.readdirSync(tempDir)).toEqual(['tasks.json']);
+	});
+});
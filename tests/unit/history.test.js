@@ -0,0 +1,106 @@
+/**
+ * Undo/redo history tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	getHistory,
+	undoChange,
+	redoChange
+} from '../../scripts/modules/history.js';
+import {
+	createTag,
+	useTag
+} from '../../scripts/modules/task-manager/tag-management.js';
+
+const sampleTasks = {
+	tasks: [{ id: 1, title: 'Setup', status: 'pending', dependencies: [] }]
+};
+
+describe('Change history', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-history-'));
+		fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+		fs.mkdirSync(path.join(tempDir, 'tasks'));
+		tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+		fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks, null, 2));
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	const readTags = () =>
+		Object.keys(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tags || {});
+
+	test('records changes in the project history directory', () => {
+		createTag(tasksPath, 'feature-a');
+		useTag(tasksPath, 'feature-a');
+
+		const history = getHistory(tasksPath);
+		expect(history.file).toBe(path.join('tasks', 'tasks.json'));
+		expect(history.entries.map((e) => e.operation)).toEqual([
+			'use-tag',
+			'add-tag'
+		]);
+		expect(history.entries[1].details).toBe('feature-a');
+		expect(history.canUndo).toBe(true);
+		expect(history.canRedo).toBe(false);
+		expect(
+			fs.existsSync(
+				path.join(tempDir, '.taskmaster', 'history', 'journal.json')
+			)
+		).toBe(true);
+	});
+
+	test('does not record operations that leave the file unchanged', () => {
+		expect(() => createTag(tasksPath, 'bad name')).toThrow();
+		expect(getHistory(tasksPath).entries).toHaveLength(0);
+	});
+
+	test('undo and redo walk the recorded changes', async () => {
+		const original = fs.readFileSync(tasksPath, 'utf8');
+		createTag(tasksPath, 'feature-a');
+		createTag(tasksPath, 'feature-b');
+
+		await undoChange(tasksPath);
+		expect(readTags()).toEqual(['master', 'feature-a']);
+
+		await undoChange(tasksPath);
+		expect(fs.readFileSync(tasksPath, 'utf8')).toBe(original);
+		await expect(undoChange(tasksPath)).rejects.toThrow(/Nothing to undo/);
+
+		const redone = await redoChange(tasksPath);
+		expect(redone.operation).toBe('add-tag');
+		expect(readTags()).toEqual(['master', 'feature-a']);
+		expect(getHistory(tasksPath)).toMatchObject({
+			canUndo: true,
+			canRedo: true
+		});
+	});
+
+	test('a new change discards the undone changes', async () => {
+		createTag(tasksPath, 'feature-a');
+		await undoChange(tasksPath);
+		createTag(tasksPath, 'feature-b');
+
+		const history = getHistory(tasksPath);
+		expect(history.entries.map((e) => e.details)).toEqual(['feature-b']);
+		await expect(redoChange(tasksPath)).rejects.toThrow(/Nothing to redo/);
+	});
+
+	test('refuses to undo over outside modifications unless forced', async () => {
+		createTag(tasksPath, 'feature-a');
+		fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks));
+
+		await expect(undoChange(tasksPath)).rejects.toThrow(/--force/);
+		await undoChange(tasksPath, { force: true });
+		expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8'))).toEqual(sampleTasks);
+	});
+});
@@ -0,0 +1,190 @@
+/**
+ * Milestones tests
+ */
+
+import fs from 'fs';
+
+import { readJSON } from '../../scripts/modules/utils.js';
+import { getHistory, undoChange } from '../../scripts/modules/history.js';
+import {
+	addMilestone,
+	addTasksToMilestone,
+	removeTasksFromMilestone,
+	deleteMilestone,
+	listMilestones,
+	getMilestone,
+	getMilestoneProgress
+} from '../../scripts/modules/task-manager/milestones.js';
+import findNextTask from '../../scripts/modules/task-manager/find-next-task.js';
+import getReadyTasks from '../../scripts/modules/task-manager/ready-tasks.js';
+import { validateTasksData } from '../../scripts/modules/tasks-schema.js';
+import { milestoneTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+const today = '2025-06-01';
+
+describe('getMilestoneProgress', () => {
+	test('counts the member tasks and their subtasks', () => {
+		const progress = getMilestoneProgress(milestoneTasks(), {
+			taskIds: [1, 2, 4, 9]
+		});
+		expect(progress).toMatchObject({
+			total: 3,
+			done: 1,
+			counts: { done: 1, 'in-progress': 1, pending: 1 },
+			missingTaskIds: [9]
+		});
+		expect(progress.percent).toBeCloseTo(33.33, 1);
+		expect(progress.statusBreakdown.pending).toBeCloseTo(33.33, 1);
+		expect(progress.subtasks).toMatchObject({ total: 2, done: 1, percent: 50 });
+	});
+
+	test('counts subtasks at any depth', () => {
+		const tasks = milestoneTasks();
+		tasks[1].subtasks[1].subtasks = [
+			{ id: 1, title: 'Login', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Logout', status: 'pending', dependencies: [] }
+		];
+		expect(
+			getMilestoneProgress(tasks, { taskIds: [2] }).subtasks
+		).toMatchObject({
+			total: 4,
+			done: 2,
+			counts: { done: 2, pending: 2 }
+		});
+	});
+});
+
+describe('next task focus', () => {
+	test('only considers the given tasks and their subtasks', () => {
+		expect(findNextTask(milestoneTasks(), null, { today }).id).toBe('2.2');
+		expect(
+			findNextTask(milestoneTasks(), null, { today, taskIds: [3, 4] }).id
+		).toBe(3);
+	});
+
+	test('dependencies outside the focus still hold tasks back', () => {
+		expect(findNextTask(milestoneTasks(), null, { today, taskIds: [4] })).toBe(
+			null
+		);
+	});
+});
+
+describe('milestones in the tasks file', () => {
+	const project = useTempProject(() => ({ tasks: milestoneTasks() }));
+
+	test('adds milestones to the tag metadata', () => {
+		const first = addMilestone(project.tasksPath, {
+			title: ' v1 ',
+			taskIds: '1,2, 2',
+			targetDate: '2025-05-30'
+		});
+		const second = addMilestone(project.tasksPath, {
+			title: 'Docs',
+			type: 'epic',
+			taskIds: [3]
+		});
+		expect(first).toEqual({
+			id: 1,
+			title: 'v1',
+			type: 'milestone',
+			targetDate: '2025-05-30',
+			taskIds: [1, 2]
+		});
+		expect(second.id).toBe(2);
+
+		const data = readJSON(project.tasksPath);
+		expect(data.metadata.milestones).toEqual([first, second]);
+		expect(
+			validateTasksData(JSON.parse(fs.readFileSync(project.tasksPath, 'utf8')))
+				.success
+		).toBe(true);
+	});
+
+	test('rejects unknown tasks, types and dates', () => {
+		expect(() =>
+			addMilestone(project.tasksPath, { title: 'x', taskIds: [9] })
+		).toThrow('Task 9 not found');
+		expect(() =>
+			addMilestone(project.tasksPath, { title: 'x', type: 'sprint' })
+		).toThrow('Invalid milestone type');
+		expect(() =>
+			addMilestone(project.tasksPath, { title: 'x', targetDate: 'soon' })
+		).toThrow('Invalid target date');
+		expect(() => addMilestone(project.tasksPath, { title: ' ' })).toThrow(
+			'title is required'
+		);
+	});
+
+	test('lists and shows milestones with their progress', () => {
+		addMilestone(project.tasksPath, {
+			title: 'v1',
+			taskIds: [1, 2],
+			targetDate: '2025-05-30'
+		});
+		addMilestone(project.tasksPath, {
+			title: 'Docs',
+			type: 'epic',
+			taskIds: [3]
+		});
+
+		const { milestones } = listMilestones(project.tasksPath, { today });
+		expect(milestones.map((m) => [m.id, m.daysLeft, m.overdue])).toEqual([
+			[1, -2, true],
+			[2, null, false]
+		]);
+		expect(milestones[0].progress.percent).toBe(50);
+
+		const milestone = getMilestone(project.tasksPath, '1', { today });
+		expect(milestone.tasks.map((task) => task.id)).toEqual([1, 2]);
+		expect(() => getMilestone(project.tasksPath, 5)).toThrow(
+			'Milestone 5 not found'
+		);
+	});
+
+	test('adds and removes tasks and deletes milestones', async () => {
+		addMilestone(project.tasksPath, { title: 'v1', taskIds: [1, 2] });
+
+		expect(addTasksToMilestone(project.tasksPath, 1, '3, 2')).toMatchObject({
+			milestone: { id: 1, taskIds: [1, 2, 3] },
+			added: [3]
+		});
+		expect(addTasksToMilestone(project.tasksPath, 1, [3]).added).toEqual([]);
+		expect(() => addTasksToMilestone(project.tasksPath, 1, [9])).toThrow(
+			'Task 9 not found'
+		);
+		expect(() => addTasksToMilestone(project.tasksPath, 2, [3])).toThrow(
+			'Milestone 2 not found'
+		);
+
+		expect(removeTasksFromMilestone(project.tasksPath, 1, '1').taskIds).toEqual(
+			[2, 3]
+		);
+		expect(() => removeTasksFromMilestone(project.tasksPath, 1, [4])).toThrow(
+			'Task 4 is not in milestone 1'
+		);
+		// The tasks themselves stay
+		expect(readJSON(project.tasksPath).tasks).toHaveLength(4);
+
+		expect(deleteMilestone(project.tasksPath, 1).title).toBe('v1');
+		expect(readJSON(project.tasksPath).metadata.milestones).toEqual([]);
+		expect(readJSON(project.tasksPath).tasks).toHaveLength(4);
+
+		expect(
+			getHistory(project.tasksPath).entries.map((entry) => entry.operation)
+		).toEqual([
+			'delete-milestone',
+			'remove-from-milestone',
+			'add-to-milestone',
+			'add-milestone'
+		]);
+		await undoChange(project.tasksPath);
+		expect(getMilestone(project.tasksPath, 1).taskIds).toEqual([2, 3]);
+	});
+
+	test('ready tasks can be limited to a milestone', () => {
+		addMilestone(project.tasksPath, { title: 'Docs', taskIds: [3, 4] });
+		const result = getReadyTasks(project.tasksPath, { count: 3, milestone: 1 });
+		expect(result.tasks.map((item) => item.id)).toEqual([3]);
+	});
+});
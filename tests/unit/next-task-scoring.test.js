@@ -0,0 +1,125 @@
+/**
+ * Next task scoring tests
+ */
+
+import findNextTask, {
+	rankNextTasks,
+	explainNextTask
+} from '../../scripts/modules/task-manager/find-next-task.js';
+import { getNextTaskWeights } from '../../scripts/modules/config-manager.js';
+import { scoringTasks } from '../fixtures/sample-tasks.js';
+
+const today = '2025-06-01';
+
+const weightsWith = (overrides) => ({
+	priority: 0,
+	dueDate: 0,
+	complexity: 0,
+	age: 0,
+	unblocks: 0,
+	parentAffinity: 0,
+	...overrides
+});
+
+describe('next task scoring', () => {
+	test('default weights keep priority order', () => {
+		const ranked = rankNextTasks(scoringTasks(), null, {
+			today,
+			weights: getNextTaskWeights()
+		});
+		expect(ranked.map(({ item }) => item.id)).toEqual([3, 2]);
+		expect(ranked[0].breakdown.priority).toEqual({
+			value: 3,
+			weight: 1,
+			points: 3
+		});
+	});
+
+	test('prefers a subtask of a task in progress by default', () => {
+		const tasks = scoringTasks();
+		tasks[1].status = 'in-progress';
+		tasks[1].subtasks = [
+			{ id: 1, title: 'Tables', status: 'pending', dependencies: [] }
+		];
+		const next = findNextTask(tasks, null, {
+			today,
+			weights: getNextTaskWeights()
+		});
+		expect(next.id).toBe('2.1');
+	});
+
+	test('counts the blocking dependents a task unblocks', () => {
+		const ranked = rankNextTasks(scoringTasks(), null, {
+			today,
+			weights: weightsWith({ priority: 1, unblocks: 2 })
+		});
+		// Task 2 unblocks 4 and 5; the soft dependency of 5 on 3 does not count
+		expect(ranked[0].item.id).toBe(2);
+		expect(ranked[0].score).toBe(6);
+		expect(ranked[1].breakdown.unblocks.value).toBe(0);
+	});
+
+	test('a negative complexity weight prefers simpler tasks', () => {
+		const tasks = scoringTasks();
+		tasks[2].priority = 'medium';
+		const ranked = rankNextTasks(tasks, null, {
+			today,
+			weights: weightsWith({ complexity: -1 })
+		});
+		expect(ranked.map(({ item }) => item.id)).toEqual([3, 2]);
+	});
+
+	test('reads complexity from the report when the task has no score', () => {
+		const tasks = scoringTasks();
+		delete tasks[1].complexityScore;
+		const report = { complexityAnalysis: [{ taskId: 2, complexityScore: 9 }] };
+		const ranked = rankNextTasks(tasks, report, {
+			today,
+			weights: weightsWith({ complexity: 1 })
+		});
+		expect(ranked[0].item.id).toBe(2);
+		expect(ranked[0].breakdown.complexity.value).toBe(9);
+	});
+
+	test('age favors older IDs', () => {
+		const ranked = rankNextTasks(scoringTasks(), null, {
+			today,
+			weights: weightsWith({ age: 1 })
+		});
+		expect(ranked.map(({ item }) => item.id)).toEqual([2, 3]);
+		expect(ranked[0].breakdown.age.value).toBe(1);
+		expect(ranked[1].breakdown.age.value).toBe(0);
+	});
+
+	test('explains the best candidates', () => {
+		const tasks = scoringTasks();
+		tasks.push({
+			id: 6,
+			title: 'Cleanup',
+			status: 'pending',
+			dependencies: []
+		});
+		const explanation = explainNextTask(tasks, null, {
+			today,
+			candidates: 2,
+			weights: getNextTaskWeights()
+		});
+		expect(explanation.total).toBe(3);
+		expect(explanation.candidates).toHaveLength(2);
+		expect(explanation.candidates[0]).toMatchObject({
+			id: 3,
+			title: 'Logging',
+			priority: 'high',
+			score: 3
+		});
+		expect(Object.keys(explanation.candidates[0].breakdown)).toEqual([
+			'priority',
+			'dueDate',
+			'complexity',
+			'age',
+			'unblocks',
+			'parentAffinity'
+		]);
+		expect(explanation.weights.parentAffinity).toBe(10);
+	});
+});
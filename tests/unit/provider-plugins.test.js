@@ -0,0 +1,165 @@
+/**
+ * Provider plugin tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+import {
+	MODEL_MAP,
+	getConfig,
+	getMainProvider,
+	getModelMap,
+	getProviderPlugin,
+	isApiKeySet,
+	loadProviderPlugins,
+	validateProvider,
+	validateProviderPlugin
+} from '../../scripts/modules/config-manager.js';
+
+const pluginSource = `
+export const models = [
+	{ id: 'house-large', allowed_roles: ['main', 'research'] },
+	{ id: 'house-small' }
+];
+export const apiKeyEnvVar = 'HOUSE_GATEWAY_KEY';
+export async function generateText() {
+	return { text: 'ok', usage: { inputTokens: 1, outputTokens: 1 } };
+}
+export async function streamText() {}
+export async function generateObject() {}
+`;
+
+const validPlugin = () => ({
+	models: [{ id: 'm' }],
+	generateText: () => {},
+	streamText: () => {},
+	generateObject: () => {}
+});
+
+describe('validateProviderPlugin', () => {
+	test('fills in model defaults', () => {
+		const plugin = validateProviderPlugin('gateway', {
+			default: { ...validPlugin(), baseUrlEnvVar: 'GATEWAY_URL' }
+		});
+		expect(plugin.models).toEqual([
+			{
+				id: 'm',
+				swe_score: null,
+				cost_per_1m_tokens: { input: 0, output: 0 },
+				allowed_roles: ['main', 'fallback']
+			}
+		]);
+		expect(plugin.apiKeyEnvVar).toBeNull();
+		expect(plugin.baseUrlEnvVar).toBe('GATEWAY_URL');
+	});
+
+	test('rejects modules that do not implement the plugin API', () => {
+		const { streamText, ...withoutStream } = validPlugin();
+		expect(() => validateProviderPlugin('gateway', withoutStream)).toThrow(
+			'Provider plugin "gateway" must export a streamText function.'
+		);
+		expect(() =>
+			validateProviderPlugin('gateway', { ...validPlugin(), models: [] })
+		).toThrow('must export a non-empty models array');
+		expect(() =>
+			validateProviderPlugin('gateway', { ...validPlugin(), models: [{}] })
+		).toThrow('has a model without an id');
+		expect(() => validateProviderPlugin('openai', validPlugin())).toThrow(
+			'cannot replace a built-in provider'
+		);
+		expect(() => validateProviderPlugin('My Gateway', validPlugin())).toThrow(
+			'needs a lowercase name'
+		);
+	});
+});
+
+describe('loadProviderPlugins', () => {
+	let tempDir;
+	let warnSpy;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-plugins-'));
+		fs.mkdirSync(path.join(tempDir, 'providers'));
+		fs.writeFileSync(
+			path.join(tempDir, 'providers', 'gateway.mjs'),
+			pluginSource
+		);
+		fs.writeFileSync(
+			path.join(tempDir, '.taskmasterconfig'),
+			JSON.stringify({
+				providers: {
+					gateway: './providers/gateway.mjs',
+					missing: './providers/missing.mjs'
+				},
+				models: { main: { provider: 'gateway', modelId: 'house-large' } }
+			})
+		);
+		warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		warnSpy.mockRestore();
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('registers the plugins of the project and merges their models', async () => {
+		// Declared plugin providers are accepted before the plugins are loaded
+		expect(getMainProvider(tempDir)).toBe('gateway');
+
+		const result = await loadProviderPlugins(tempDir);
+		expect(result.loaded).toEqual(['gateway']);
+		expect(result.errors).toEqual([
+			expect.objectContaining({ provider: 'missing' })
+		]);
+		expect(warnSpy).toHaveBeenCalledWith(
+			expect.stringContaining('Could not load provider plugin "missing"')
+		);
+
+		expect(validateProvider('gateway', tempDir)).toBe(true);
+		expect(getModelMap(tempDir).gateway.map((model) => model.id)).toEqual([
+			'house-large',
+			'house-small'
+		]);
+		expect(getProviderPlugin('gateway', tempDir).generateText).toEqual(
+			expect.any(Function)
+		);
+		expect(getProviderPlugin('missing', tempDir)).toBeNull();
+
+		// Other projects and the built-in model map do not see the plugin
+		expect(MODEL_MAP.gateway).toBeUndefined();
+		expect(getProviderPlugin('gateway', os.tmpdir())).toBeNull();
+		expect(validateProvider('gateway', os.tmpdir())).toBe(false);
+
+		expect(isApiKeySet('gateway', { env: {} }, tempDir)).toBeFalsy();
+		expect(
+			isApiKeySet('gateway', { env: { HOUSE_GATEWAY_KEY: 'k' } }, tempDir)
+		).toBe(true);
+
+		// Loading again reuses the first load
+		expect(await loadProviderPlugins(tempDir)).toBe(result);
+		expect(getConfig(tempDir, true).providers.gateway).toBe(
+			'./providers/gateway.mjs'
+		);
+	});
+
+	test('loads the plugins again when the config file changes', async () => {
+		await loadProviderPlugins(tempDir);
+		expect(getProviderPlugin('gateway', tempDir)).not.toBeNull();
+
+		const configPath = path.join(tempDir, '.taskmasterconfig');
+		fs.writeFileSync(
+			configPath,
+			JSON.stringify({ providers: { relay: './providers/gateway.mjs' } })
+		);
+		const later = new Date(Date.now() + 5000);
+		fs.utimesSync(configPath, later, later);
+
+		expect((await loadProviderPlugins(tempDir)).loaded).toEqual(['relay']);
+		expect(getProviderPlugin('gateway', tempDir)).toBeNull();
+		expect(getProviderPlugin('relay', tempDir)).not.toBeNull();
+		expect(Object.keys(getModelMap(tempDir))).not.toContain('gateway');
+	});
+});
@@ -0,0 +1,124 @@
+/**
+ * Ready tasks tests
+ */
+
+import fs from 'fs';
+
+import { readJSON } from '../../scripts/modules/utils.js';
+import getReadyTasks, {
+	selectReadyTasks
+} from '../../scripts/modules/task-manager/ready-tasks.js';
+import { readyWorkTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+const today = '2025-06-01';
+
+describe('selectReadyTasks', () => {
+	test('leaves out subtasks of the same task and shared components', () => {
+		const { tasks, skipped } = selectReadyTasks(readyWorkTasks().tasks, null, {
+			count: 5,
+			today
+		});
+		expect(tasks.map((item) => item.id)).toEqual(['2.1', 3, 5]);
+		expect(skipped).toEqual([
+			{
+				id: '2.2',
+				title: 'Auth',
+				conflictsWith: '2.1',
+				reason: 'subtask of task 2'
+			},
+			{
+				id: 4,
+				title: 'Landing page',
+				conflictsWith: 3,
+				reason: 'component web'
+			}
+		]);
+	});
+
+	test('stops at the requested count', () => {
+		const { tasks, skipped } = selectReadyTasks(readyWorkTasks().tasks, null, {
+			count: 2,
+			today
+		});
+		expect(tasks.map((item) => item.id)).toEqual(['2.1', 3]);
+		expect(skipped.map((item) => item.id)).toEqual(['2.2']);
+	});
+
+	test('files conflict when any of them is shared', () => {
+		const data = readyWorkTasks();
+		data.tasks[3].customFields = { files: ['src/a.js', 'bin/cli.js'] };
+		const { tasks } = selectReadyTasks(data.tasks, null, { count: 5, today });
+		expect(tasks.map((item) => item.id)).toEqual(['2.1', 3, 4]);
+	});
+
+	test('rejects an invalid count', () => {
+		expect(() =>
+			selectReadyTasks(readyWorkTasks().tasks, null, { count: 0 })
+		).toThrow('Invalid count');
+	});
+});
+
+describe('getReadyTasks', () => {
+	const project = useTempProject(readyWorkTasks);
+
+	test('does not write the tasks file without claim', () => {
+		const before = fs.readFileSync(project.tasksPath, 'utf8');
+		const result = getReadyTasks(project.tasksPath, { count: 2 });
+		expect(result.claimedBy).toBeNull();
+		expect(result.tasks).toHaveLength(2);
+		expect(fs.readFileSync(project.tasksPath, 'utf8')).toBe(before);
+	});
+
+	test('claims the items so the next agent gets other work', () => {
+		const first = getReadyTasks(project.tasksPath, {
+			count: 2,
+			assignee: 'agent-1',
+			claim: true,
+			leaseMinutes: 30
+		});
+		expect(first.claimedBy).toBe('agent-1');
+		expect(first.tasks.map((item) => item.id)).toEqual(['2.1', 3]);
+		expect(first.tasks[0].claimExpiresAt).toEqual(expect.any(String));
+
+		const data = readJSON(project.tasksPath);
+		expect(data.tasks[1].subtasks[0].assignee).toBe('agent-1');
+		expect(data.tasks[2].assignee).toBe('agent-1');
+
+		const second = getReadyTasks(project.tasksPath, {
+			count: 2,
+			assignee: 'agent-2',
+			claim: true
+		});
+		expect(second.tasks.map((item) => item.id)).toEqual(['2.2', 4]);
+	});
+
+	test('does not claim a task whose open subtask someone else holds', () => {
+		const data = readyWorkTasks();
+		data.tasks[1].status = 'pending';
+		data.tasks[1].subtasks[0].assignee = 'alice';
+		project.writeTasks(data);
+
+		// Working on task 2 leaves 2.2 to do
+		expect(
+			getReadyTasks(project.tasksPath, {
+				count: 3,
+				assignee: 'carol'
+			}).tasks.map((item) => item.id)
+		).toContain(2);
+
+		const result = getReadyTasks(project.tasksPath, {
+			count: 3,
+			assignee: 'carol',
+			claim: true
+		});
+		expect(result.tasks.map((item) => item.id)).toEqual([3, 5]);
+		expect(readJSON(project.tasksPath).tasks[1].assignee).toBeUndefined();
+	});
+
+	test('requires an assignee to claim', () => {
+		expect(() =>
+			getReadyTasks(project.tasksPath, { count: 1, claim: true })
+		).toThrow('An assignee is required');
+	});
+});
@@ -0,0 +1,194 @@
+/**
+ * Nested subtask tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	readJSON,
+	findTaskById,
+	taskExists,
+	parseTaskId,
+	compareTaskIds,
+	forEachSubtask
+} from '../../scripts/modules/utils.js';
+import updateSingleTaskStatus from '../../scripts/modules/task-manager/update-single-task-status.js';
+import removeSubtask from '../../scripts/modules/task-manager/remove-subtask.js';
+import generateTaskFiles from '../../scripts/modules/task-manager/generate-task-files.js';
+import findNextTask from '../../scripts/modules/task-manager/find-next-task.js';
+import {
+	isCircularDependency,
+	findDependencyCycles,
+	validateTaskDependencies,
+	validateAndFixDependencies
+} from '../../scripts/modules/dependency-manager.js';
+import { nestedSubtaskTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+const today = '2025-06-01';
+
+describe('nested subtask IDs', () => {
+	test('finds subtasks at any depth', () => {
+		const tasks = nestedSubtaskTasks();
+		const { task } = findTaskById(tasks, '2.1.2');
+		expect(task.title).toBe('Detail route');
+		expect(task.parentTask).toEqual({
+			id: '2.1',
+			title: 'Routes',
+			status: 'in-progress'
+		});
+		expect(findTaskById(tasks, '2.1').task.parentTask.id).toBe(2);
+		expect(findTaskById(tasks, '2.1.9').task).toBeNull();
+
+		expect(taskExists(tasks, '2.1.3')).toBe(true);
+		expect(taskExists(tasks, '2.2.1')).toBe(false);
+		expect(taskExists(tasks, '2.x')).toBe(false);
+	});
+
+	test('parses and orders dotted IDs', () => {
+		expect(parseTaskId('5')).toEqual({ parentId: null, id: 5 });
+		expect(parseTaskId('5.2')).toEqual({ parentId: 5, id: 2 });
+		expect(parseTaskId('5.2.1')).toEqual({ parentId: '5.2', id: 1 });
+		expect(['2.10', '2.1.1', 2, '2.9', '2.1'].sort(compareTaskIds)).toEqual([
+			2,
+			'2.1',
+			'2.1.1',
+			'2.9',
+			'2.10'
+		]);
+	});
+
+	test('walks subtasks parents first', () => {
+		const ids = [];
+		forEachSubtask(nestedSubtaskTasks(), (subtask, parentId) =>
+			ids.push(`${parentId}.${subtask.id}`)
+		);
+		expect(ids).toEqual(['2.1', '2.1.1', '2.1.2', '2.1.3', '2.2', '3.1']);
+	});
+});
+
+describe('status of nested subtasks', () => {
+	test('finishing a subtask finishes its own subtasks', async () => {
+		const data = { tasks: nestedSubtaskTasks() };
+		await updateSingleTaskStatus('unused', '2.1', 'done', data, false);
+		expect(data.tasks[1].subtasks[0].subtasks.map((st) => st.status)).toEqual([
+			'done',
+			'done',
+			'done'
+		]);
+		expect(data.tasks[1].subtasks[1].status).toBe('pending');
+	});
+
+	test('finishing a task finishes subtasks at every depth', async () => {
+		const data = { tasks: nestedSubtaskTasks() };
+		await updateSingleTaskStatus('unused', '2', 'done', data, false);
+		const statuses = [];
+		forEachSubtask(data.tasks.slice(1, 2), (st) => statuses.push(st.status));
+		expect(statuses.every((status) => status === 'done')).toBe(true);
+	});
+
+	test('updates a nested subtask', async () => {
+		const data = { tasks: nestedSubtaskTasks() };
+		await updateSingleTaskStatus('unused', '2.1.3', 'in-progress', data, false);
+		expect(data.tasks[1].subtasks[0].subtasks[2].status).toBe('in-progress');
+		await expect(
+			updateSingleTaskStatus('unused', '2.1.7', 'done', data, false)
+		).rejects.toThrow('Subtask 7 not found in parent task 2.1');
+	});
+});
+
+describe('dependencies of nested subtasks', () => {
+	test('sibling numbers resolve within the parent subtask', () => {
+		expect(validateTaskDependencies(nestedSubtaskTasks())).toEqual({
+			valid: true,
+			issues: []
+		});
+
+		const tasks = nestedSubtaskTasks();
+		tasks[1].subtasks[0].subtasks[1].dependencies = [5];
+		const { issues } = validateTaskDependencies(tasks);
+		expect(issues).toEqual([
+			expect.objectContaining({
+				type: 'missing',
+				taskId: '2.1.2',
+				dependencyId: 5
+			})
+		]);
+	});
+
+	test('nested subtasks wait on the dependencies of all their parents', () => {
+		const tasks = nestedSubtaskTasks();
+		// 3.1 -> 2.1.3 is circular: 2.1.3 waits on 3.1 itself
+		expect(isCircularDependency(tasks, '2.1.3', ['3.1'])).toBe(true);
+		// 3.1 waits on 2.1.2 through task 3, and 2.1.2 on 3.1 through 2.1
+		tasks[2].dependencies = ['2.1.2'];
+		tasks[1].subtasks[0].dependencies = ['3.1'];
+		expect(findDependencyCycles(tasks)).toContainEqual(['3.1', '2.1.2']);
+	});
+
+	test('fixing dependencies keeps valid nested ones', () => {
+		const data = { tasks: nestedSubtaskTasks() };
+		data.tasks[1].subtasks[0].subtasks[2].dependencies.push(9, 2);
+		validateAndFixDependencies(data);
+		expect(data.tasks[1].subtasks[0].subtasks[2].dependencies).toEqual([
+			2,
+			'3.1'
+		]);
+		expect(data.tasks[1].subtasks[1].dependencies).toEqual(['2.1.2']);
+	});
+});
+
+describe('next task with nested subtasks', () => {
+	test('an in-progress subtask hands its work to its subtasks', () => {
+		const next = findNextTask(nestedSubtaskTasks(), null, { today });
+		expect(next).toMatchObject({
+			id: '2.1.2',
+			parentId: '2.1',
+			priority: 'high',
+			dependencies: ['2.1.1']
+		});
+	});
+});
+
+describe('nested subtasks in the tasks file', () => {
+	const project = useTempProject(() => ({ tasks: nestedSubtaskTasks() }));
+
+	test('removes a nested subtask', async () => {
+		await removeSubtask(project.tasksPath, '2.1.1', false, false);
+		const routes = readJSON(project.tasksPath).tasks[1].subtasks[0];
+		expect(routes.subtasks.map((st) => st.id)).toEqual([2, 3]);
+	});
+
+	test('converts a nested subtask to a task', async () => {
+		const converted = await removeSubtask(
+			project.tasksPath,
+			'2.1.3',
+			true,
+			false
+		);
+		expect(converted).toMatchObject({
+			id: 4,
+			title: 'Route tests',
+			priority: 'high',
+			dependencies: ['2.1.2', '3.1', '2.1']
+		});
+	});
+
+	test('writes nested subtasks into the task file', () => {
+		generateTaskFiles(project.tasksPath, path.dirname(project.tasksPath));
+		const content = fs.readFileSync(
+			path.join(path.dirname(project.tasksPath), 'task_002.txt'),
+			'utf8'
+		);
+		expect(content).toContain('## 1. Routes [in-progress]');
+		expect(content).toContain('## 1.2. Detail route [pending]');
+		expect(content).toContain('## 1.3. Route tests [pending]');
+		expect(content).toMatch(/## 1\.3\.[^#]*### Dependencies: 2\.1\.2.*3\.1/);
+		expect(content).toMatch(/## 2\. Auth[^#]*### Dependencies: 2\.1\.2/);
+		// Nested dependencies survive the validation done while generating
+		expect(
+			readJSON(project.tasksPath).tasks[1].subtasks[1].dependencies
+		).toEqual(['2.1.2']);
+	});
+});
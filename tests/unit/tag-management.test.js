@@ -0,0 +1,159 @@
+/**
+ * Tag management tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	readJSON,
+	writeJSON,
+	getTaskFileName
+} from '../../scripts/modules/utils.js';
+import {
+	createTag,
+	copyTag,
+	deleteTag,
+	useTag,
+	listTags
+} from '../../scripts/modules/task-manager/tag-management.js';
+import generateTaskFiles from '../../scripts/modules/task-manager/generate-task-files.js';
+
+const legacyTasks = {
+	tasks: [
+		{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+		{ id: 2, title: 'Build', status: 'pending', dependencies: [1] }
+	],
+	metadata: { projectName: 'Test Project' }
+};
+
+describe('Tagged task lists', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-tags-'));
+		tasksPath = path.join(tempDir, 'tasks.json');
+		fs.writeFileSync(tasksPath, JSON.stringify(legacyTasks, null, 2));
+	});
+
+	afterEach(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	const readRaw = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+
+	test('reads a legacy file as the master tag', () => {
+		const data = readJSON(tasksPath);
+		expect(data.tag).toBe('master');
+		expect(data.tasks).toHaveLength(2);
+	});
+
+	test('migrates a legacy file to the tagged layout on write', () => {
+		const data = readJSON(tasksPath);
+		data.tasks[1].status = 'done';
+		writeJSON(tasksPath, data);
+
+		const raw = readRaw();
+		expect(raw.tasks).toBeUndefined();
+		expect(raw.currentTag).toBe('master');
+		expect(raw.tags.master.tasks[1].status).toBe('done');
+		expect(raw.tags.master.metadata.projectName).toBe('Test Project');
+	});
+
+	test('createTag adds an empty tag without touching others', () => {
+		const result = createTag(tasksPath, 'feature-a', {
+			description: 'Feature A'
+		});
+		expect(result).toEqual({ name: 'feature-a', taskCount: 0 });
+
+		const raw = readRaw();
+		expect(raw.tags['feature-a'].tasks).toEqual([]);
+		expect(raw.tags['feature-a'].metadata.description).toBe('Feature A');
+		expect(raw.tags.master.tasks).toHaveLength(2);
+	});
+
+	test('createTag rejects duplicate and invalid names', () => {
+		createTag(tasksPath, 'feature-a');
+		expect(() => createTag(tasksPath, 'feature-a')).toThrow(/already exists/);
+		expect(() => createTag(tasksPath, 'bad name')).toThrow(/Invalid tag name/);
+	});
+
+	test('copyTag deep copies tasks', () => {
+		copyTag(tasksPath, 'master', 'experiment');
+
+		const copy = readJSON(tasksPath, 'experiment');
+		copy.tasks[0].title = 'Changed';
+		writeJSON(tasksPath, copy);
+
+		expect(readJSON(tasksPath, 'master').tasks[0].title).toBe('Setup');
+		expect(readJSON(tasksPath, 'experiment').tasks[0].title).toBe('Changed');
+	});
+
+	test('writes go to the tag the data was read from', () => {
+		createTag(tasksPath, 'feature-a');
+		useTag(tasksPath, 'feature-a');
+
+		const master = readJSON(tasksPath, 'master');
+		master.tasks.push({ id: 3, title: 'Docs', status: 'pending' });
+		writeJSON(tasksPath, master);
+
+		const raw = readRaw();
+		expect(raw.currentTag).toBe('feature-a');
+		expect(raw.tags.master.tasks).toHaveLength(3);
+		expect(raw.tags['feature-a'].tasks).toHaveLength(0);
+	});
+
+	test('readJSON defaults to the active tag and rejects unknown tags', () => {
+		createTag(tasksPath, 'feature-a', { copyFrom: 'master' });
+		useTag(tasksPath, 'feature-a');
+
+		expect(readJSON(tasksPath).tag).toBe('feature-a');
+		expect(() => readJSON(tasksPath, 'missing')).toThrow(/does not exist/);
+	});
+
+	test('deleteTag removes the tag and falls back to master', () => {
+		createTag(tasksPath, 'feature-a');
+		useTag(tasksPath, 'feature-a');
+
+		const result = deleteTag(tasksPath, 'feature-a');
+		expect(result.currentTag).toBe('master');
+		expect(readRaw().tags['feature-a']).toBeUndefined();
+		expect(() => deleteTag(tasksPath, 'master')).toThrow(/cannot be deleted/);
+	});
+
+	test('deleteTag removes the generated task files of the tag', () => {
+		copyTag(tasksPath, 'master', 'feature-a');
+		generateTaskFiles(tasksPath, tempDir, { tag: 'master' });
+		generateTaskFiles(tasksPath, tempDir, { tag: 'feature-a' });
+		expect(fs.existsSync(path.join(tempDir, 'task_002_feature-a.txt'))).toBe(
+			true
+		);
+
+		deleteTag(tasksPath, 'feature-a');
+		expect(fs.readdirSync(tempDir).filter((f) => f.endsWith('.txt'))).toEqual([
+			'task_001.txt',
+			'task_002.txt'
+		]);
+	});
+
+	test('listTags reports counts and the active tag', () => {
+		createTag(tasksPath, 'feature-a');
+		const { currentTag, tags } = listTags(tasksPath);
+
+		expect(currentTag).toBe('master');
+		expect(tags.find((t) => t.name === 'master')).toMatchObject({
+			isCurrent: true,
+			taskCount: 2,
+			completedCount: 1
+		});
+		expect(tags.find((t) => t.name === 'feature-a').taskCount).toBe(0);
+	});
+
+	test('getTaskFileName suffixes non-default tags', () => {
+		expect(getTaskFileName(3)).toBe('task_003.txt');
+		expect(getTaskFileName(3, 'master')).toBe('task_003.txt');
+		expect(getTaskFileName(3, 'feature-a')).toBe('task_003_feature-a.txt');
+	});
+});
@@ -0,0 +1,157 @@
+/**
+ * Task start and due date tests
+ */
+
+import {
+	getDueUrgency,
+	isOverdue,
+	parseTaskDate,
+	resolveTaskDates
+} from '../../scripts/modules/task-dates.js';
+import {
+	keepCommandManagedFields,
+	readJSON
+} from '../../scripts/modules/utils.js';
+import findNextTask from '../../scripts/modules/task-manager/find-next-task.js';
+import getAgenda from '../../scripts/modules/task-manager/agenda.js';
+import updateTaskById from '../../scripts/modules/task-manager/update-task-by-id.js';
+import { datedTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+
+const today = '2025-06-16';
+
+describe('Task dates', () => {
+	test('parses ISO dates and date-times', () => {
+		expect(parseTaskDate('2025-06-30')).toBe('2025-06-30');
+		expect(parseTaskDate('2025-06-30T17:00:00Z')).toBe('2025-06-30');
+		expect(parseTaskDate('')).toBeNull();
+		expect(() => parseTaskDate('2025-02-30', 'due date')).toThrow(
+			/Invalid due date "2025-02-30"/
+		);
+		expect(() => parseTaskDate('next friday')).toThrow(/ISO date/);
+	});
+
+	test('merges date changes and checks their order', () => {
+		const existing = { dueDate: '2025-06-30', startDate: '2025-06-01' };
+		expect(resolveTaskDates({ dueDate: '2025-07-04' }, existing)).toEqual({
+			dueDate: '2025-07-04',
+			startDate: '2025-06-01'
+		});
+		expect(resolveTaskDates({ startDate: null }, existing)).toEqual({
+			dueDate: '2025-06-30',
+			startDate: null
+		});
+		expect(() =>
+			resolveTaskDates({ startDate: '2025-07-01' }, existing)
+		).toThrow(/Start date 2025-07-01 is after the due date 2025-06-30/);
+	});
+
+	test('overdue and urgency follow the due date', () => {
+		expect(isOverdue({ status: 'pending', dueDate: '2025-06-15' }, today)).toBe(
+			true
+		);
+		expect(isOverdue({ status: 'done', dueDate: '2025-06-15' }, today)).toBe(
+			false
+		);
+		expect(isOverdue({ status: 'pending', dueDate: today }, today)).toBe(false);
+		expect(getDueUrgency('2025-06-15', today)).toBe(2);
+		expect(getDueUrgency('2025-06-19', today)).toBe(1);
+		expect(getDueUrgency('2025-07-30', today)).toBe(0);
+		expect(getDueUrgency(undefined, today)).toBe(0);
+	});
+
+	test('next task weighs urgency and skips tasks not started', () => {
+		const tasks = datedTasks();
+		// Overdue medium priority beats high priority without a deadline
+		expect(findNextTask(tasks, null, { today }).id).toBe(3);
+
+		tasks[2].status = 'done';
+		// Task 5 has the fewest dependencies but starts in July
+		expect(findNextTask(tasks, null, { today }).id).toBe(2);
+		expect(findNextTask(tasks, null, { today: '2025-07-01' }).id).toBe(5);
+	});
+
+	test('AI updates keep fields set through commands', () => {
+		const original = {
+			id: 3,
+			title: 'Old',
+			dueDate: '2025-06-13',
+			assignee: 'alice',
+			customFields: { sprint: 2 }
+		};
+		expect(
+			keepCommandManagedFields({ id: 3, title: 'New', dueDate: 'x' }, original)
+		).toEqual({
+			id: 3,
+			title: 'New',
+			dueDate: '2025-06-13',
+			assignee: 'alice',
+			customFields: { sprint: 2 }
+		});
+	});
+
+	describe('with a tasks file', () => {
+		const project = useTempProject(() => ({ tasks: datedTasks() }));
+
+		test('agenda lists overdue, due soon and blocked items', () => {
+			const agenda = getAgenda(project.tasksPath, { today });
+
+			expect(agenda.until).toBe('2025-06-23');
+			expect(agenda.overdue.map((item) => item.id)).toEqual(['3']);
+			expect(agenda.overdue[0].daysUntilDue).toBe(-3);
+			expect(agenda.dueSoon.map((item) => item.id)).toEqual(['4']);
+			expect(agenda.blocked).toEqual([
+				expect.objectContaining({ id: '4', blockedBy: ['2'] })
+			]);
+
+			expect(
+				getAgenda(project.tasksPath, { today, days: 30 }).dueSoon.map(
+					(i) => i.id
+				)
+			).toEqual(['4', '4.1']);
+		});
+
+		test('agenda includes nested subtasks with their full IDs', () => {
+			const tasks = datedTasks();
+			tasks[3].subtasks[0].subtasks = [
+				{
+					id: 1,
+					title: 'Draft',
+					status: 'pending',
+					dependencies: [2],
+					dueDate: '2025-06-14'
+				},
+				{ id: 2, title: 'Review', status: 'pending', dependencies: [] }
+			];
+			project.writeTasks({ tasks });
+
+			const agenda = getAgenda(project.tasksPath, { today });
+			expect(agenda.overdue.map((item) => item.id)).toEqual(['3', '4.1.1']);
+			expect(agenda.blocked).toContainEqual(
+				expect.objectContaining({ id: '4.1.1', blockedBy: ['4.1.2'] })
+			);
+		});
+
+		test('update-task sets and clears dates without the AI', async () => {
+			const mcpLog = {
+				info: () => {},
+				warn: () => {},
+				error: () => {},
+				debug: () => {},
+				success: () => {}
+			};
+			await updateTaskById(
+				project.tasksPath,
+				3,
+				'',
+				false,
+				{ mcpLog, dueDate: '', startDate: '2025-06-20' },
+				'json'
+			);
+
+			const task = readJSON(project.tasksPath).tasks[2];
+			expect(task.dueDate).toBeUndefined();
+			expect(task.startDate).toBe('2025-06-20');
+		});
+	});
+});
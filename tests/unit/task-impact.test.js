@@ -0,0 +1,62 @@
+/**
+ * Impact analysis tests
+ */
+
+import { analyzeTaskImpact } from '../../scripts/modules/task-manager/task-impact.js';
+import { impactTasks } from '../fixtures/sample-tasks.js';
+
+describe('analyzeTaskImpact', () => {
+	test('lists direct and transitive dependents with their subtasks', () => {
+		const impact = analyzeTaskImpact(impactTasks(), '1');
+
+		expect(impact.direct).toEqual(['3', '4']);
+		expect(impact.dependents).toEqual([
+			{ id: '3', title: 'API', status: 'pending', depth: 1 },
+			{ id: '4', title: 'Client', status: 'pending', depth: 1 },
+			{ id: '5', title: 'UI', status: 'pending', depth: 2 },
+			{ id: '5.1', title: 'Forms', status: 'pending', depth: 2 },
+			{ id: '5.2', title: 'Tables', status: 'done', depth: 2 }
+		]);
+	});
+
+	test('tells what removing or abandoning the task would do', () => {
+		const impact = analyzeTaskImpact(impactTasks(), 1);
+
+		// Task 4 also waited on task 2, which is done
+		expect(impact.unblockedOnRemoval).toEqual(['3', '4']);
+		expect(impact.blockedIfAbandoned).toEqual(['3', '4', '5', '5.1']);
+		// Task 1 and its four open dependents out of 8 tasks and subtasks
+		expect(impact.atRisk).toEqual({ items: 5, total: 8, percent: 62.5 });
+	});
+
+	test('analyzes several tasks and subtasks together', () => {
+		const impact = analyzeTaskImpact(impactTasks(), '3,5.1');
+
+		expect(impact.taskIds).toEqual(['3', '5.1']);
+		expect(impact.dependents.map((item) => item.id)).toEqual(['5', '5.2']);
+		expect(analyzeTaskImpact(impactTasks(), '6').dependents).toEqual([]);
+	});
+
+	test('follows subtasks of subtasks', () => {
+		const tasks = impactTasks();
+		tasks[4].subtasks[0].subtasks = [
+			{ id: 1, title: 'Validation', status: 'pending', dependencies: [] },
+			{ id: 2, title: 'Errors', status: 'pending', dependencies: [1] }
+		];
+		tasks[5].dependencies = ['5.1.2'];
+
+		const impact = analyzeTaskImpact(tasks, '5.1.1');
+		expect(impact.direct).toEqual(['5.1.2']);
+		expect(impact.dependents.map((item) => item.id)).toEqual(['5.1.2', '6']);
+		// Task 5 counts its subtasks at any depth
+		expect(
+			analyzeTaskImpact(tasks, '3').dependents.map((item) => item.id)
+		).toEqual(['5', '5.1', '5.1.1', '5.1.2', '5.2', '6']);
+	});
+
+	test('throws for unknown tasks', () => {
+		expect(() => analyzeTaskImpact(impactTasks(), '9')).toThrow(
+			'Task 9 not found'
+		);
+	});
+});
@@ -0,0 +1,254 @@
+/**
+ * Task storage backend tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+import {
+	closeTaskStorages,
+	getTaskStorage
+} from '../../scripts/modules/storage/index.js';
+import { getConfig } from '../../scripts/modules/config-manager.js';
+import {
+	readJSON,
+	readTaskWithDependencies,
+	writeJSON
+} from '../../scripts/modules/utils.js';
+import { getHistory, undoChange } from '../../scripts/modules/history.js';
+import { assignTask } from '../../scripts/modules/task-manager/assign-task.js';
+import { copyTag } from '../../scripts/modules/task-manager/tag-management.js';
+import {
+	exportTasks,
+	importTasks
+} from '../../scripts/modules/task-manager/transfer-tasks.js';
+
+const hasSqliteDriver = (() => {
+	try {
+		createRequire(import.meta.url)('better-sqlite3');
+		return true;
+	} catch (error) {
+		return false;
+	}
+})();
+
+const sampleTasks = {
+	tasks: [
+		{
+			id: 1,
+			title: 'Setup',
+			status: 'done',
+			subtasks: [{ id: 1, title: 'Install', status: 'done' }]
+		},
+		{ id: 2, title: 'Build', status: 'pending', priority: 'high' },
+		{ id: 3, title: 'Ship', status: 'pending', dependencies: [2] }
+	]
+};
+
+describe('Task storage', () => {
+	let tempDir;
+	let tasksPath;
+
+	const useStorage = (type) => {
+		fs.writeFileSync(
+			path.join(tempDir, '.taskmasterconfig'),
+			JSON.stringify({ storage: { type } })
+		);
+		getConfig(tempDir, true);
+	};
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-storage-'));
+		fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+		fs.mkdirSync(path.join(tempDir, 'tasks'));
+		tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+		fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks, null, 2));
+	});
+
+	afterEach(() => {
+		closeTaskStorages();
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	describe('JSON', () => {
+		test('gets, lists, upserts and deletes tasks', () => {
+			const storage = getTaskStorage(tasksPath);
+			expect(storage.type).toBe('json');
+
+			expect(storage.getTask('1.1').title).toBe('Install');
+			expect(storage.getTask(9)).toBeNull();
+			expect(storage.listTasks({ status: 'pending' }).map((t) => t.id)).toEqual(
+				[2, 3]
+			);
+			expect(storage.listTasks({ priority: 'high' })).toHaveLength(1);
+
+			storage.upsertTask({ id: 4, title: 'Docs', status: 'pending' });
+			storage.upsertTask({ id: 2, title: 'Build', status: 'done' });
+			expect(storage.deleteTask(1)).toBe(true);
+			expect(storage.deleteTask(1)).toBe(false);
+
+			const { tasks } = readJSON(tasksPath);
+			expect(tasks.map((t) => [t.id, t.status])).toEqual([
+				[2, 'done'],
+				[3, 'pending'],
+				[4, 'pending']
+			]);
+		});
+
+		test('reads a task with the tasks its dependencies point at', () => {
+			expect(readTaskWithDependencies(tasksPath, 3).map((t) => t.id)).toEqual([
+				3, 2
+			]);
+			expect(
+				readTaskWithDependencies(tasksPath, '1.1').map((t) => t.id)
+			).toEqual([1]);
+			expect(readTaskWithDependencies(tasksPath, 9)).toEqual([]);
+		});
+
+		test('transactions write nothing when they fail', () => {
+			const storage = getTaskStorage(tasksPath);
+			const before = fs.readFileSync(tasksPath, 'utf8');
+
+			expect(() =>
+				storage.transaction((tx) => {
+					tx.deleteTask(3);
+					tx.upsertTask({ id: 2, title: 'Build', status: 'unknown' });
+				})
+			).toThrow(/Invalid tasks file/);
+			expect(fs.readFileSync(tasksPath, 'utf8')).toBe(before);
+
+			storage.transaction((tx) => {
+				tx.deleteTask(3);
+				tx.upsertTask({ id: 2, title: 'Build', status: 'done' });
+			});
+			expect(readJSON(tasksPath).tasks.map((t) => t.id)).toEqual([1, 2]);
+		});
+	});
+
+	(hasSqliteDriver ? describe : describe.skip)('SQLite', () => {
+		beforeEach(() => useStorage('sqlite'));
+
+		test('import moves the tasks into the configured database', () => {
+			const result = importTasks(tasksPath);
+			expect(result).toMatchObject({
+				storage: 'sqlite',
+				tagCount: 1,
+				taskCount: 3
+			});
+			expect(fs.existsSync(path.join(tempDir, '.taskmaster', 'tasks.db'))).toBe(
+				true
+			);
+
+			const manifest = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+			expect(manifest.meta.storage).toEqual({
+				type: 'sqlite',
+				path: path.join('..', '.taskmaster', 'tasks.db')
+			});
+
+			const storage = getTaskStorage(tasksPath);
+			expect(storage.type).toBe('sqlite');
+			expect(storage.getTask('1.1').title).toBe('Install');
+			expect(
+				storage.listTasks({ status: ['pending', 'done'] }).map((t) => t.id)
+			).toEqual([1, 2, 3]);
+			expect(storage.listTasks({ priority: 'high' })).toHaveLength(1);
+		});
+
+		test('readJSON and writeJSON work through the database', () => {
+			importTasks(tasksPath);
+
+			const data = readJSON(tasksPath);
+			expect(data.tag).toBe('master');
+			data.tasks[1].status = 'in-progress';
+			data.tasks.push({ id: 4, title: 'Docs', status: 'pending' });
+			writeJSON(tasksPath, data);
+			writeJSON(tasksPath, { tasks: [] }, 'feature');
+
+			const storage = getTaskStorage(tasksPath);
+			expect(storage.getTask(2).status).toBe('in-progress');
+			expect(storage.readTag('feature').tasks).toEqual([]);
+			expect(() => storage.readTag('missing')).toThrow(
+				/Tag "missing" does not exist/
+			);
+			expect(() =>
+				storage.upsertTask({ id: 5, title: 'Bad', status: 'blocked' })
+			).toThrow(/Invalid tasks file/);
+		});
+
+		test('new tasks files are created in the configured database', () => {
+			fs.rmSync(tasksPath);
+			writeJSON(tasksPath, sampleTasks);
+
+			expect(getTaskStorage(tasksPath).type).toBe('sqlite');
+			expect(readJSON(tasksPath).tasks).toHaveLength(3);
+		});
+
+		test('export and import convert back to JSON', () => {
+			importTasks(tasksPath);
+			getTaskStorage(tasksPath).upsertTask({
+				id: 4,
+				title: 'Docs',
+				status: 'pending'
+			});
+
+			const exportPath = path.join(tempDir, 'export.json');
+			expect(exportTasks(tasksPath, exportPath)).toMatchObject({
+				storage: 'sqlite',
+				taskCount: 4
+			});
+
+			useStorage('json');
+			importTasks(tasksPath, { input: exportPath });
+			expect(getTaskStorage(tasksPath).type).toBe('json');
+			expect(readJSON(tasksPath).tasks.map((t) => t.id)).toEqual([1, 2, 3, 4]);
+		});
+
+		test('undo restores changes made in the database', async () => {
+			importTasks(tasksPath);
+			copyTag(tasksPath, 'master', 'feature');
+			expect(getTaskStorage(tasksPath).readTag('feature').tasks).toHaveLength(
+				3
+			);
+
+			await undoChange(tasksPath);
+			expect(() => getTaskStorage(tasksPath).readTag('feature')).toThrow(
+				/does not exist/
+			);
+			expect(getTaskStorage(tasksPath).type).toBe('sqlite');
+		});
+
+		test('history records only the tasks a change touched', async () => {
+			importTasks(tasksPath);
+			assignTask(tasksPath, '2', 'alice');
+
+			const [entry] = getHistory(tasksPath).entries;
+			const snapshot = JSON.parse(
+				fs.readFileSync(
+					path.join(
+						tempDir,
+						'.taskmaster',
+						'history',
+						'snapshots',
+						`${entry.id}.json`
+					),
+					'utf8'
+				)
+			);
+			expect(JSON.parse(snapshot.after).tags.master.tasks).toEqual([
+				expect.objectContaining({ id: 2, assignee: 'alice' })
+			]);
+			expect(JSON.parse(snapshot.before).tags.master.tasks).toEqual([
+				expect.not.objectContaining({ assignee: 'alice' })
+			]);
+
+			// Changes to other tasks don't stand in the way of undoing it
+			const storage = getTaskStorage(tasksPath);
+			storage.upsertTask({ ...storage.getTask(3), status: 'in-progress' });
+			await undoChange(tasksPath);
+			expect(storage.getTask(2).assignee).toBeUndefined();
+			expect(storage.getTask(3).status).toBe('in-progress');
+		});
+	});
+});
@@ -0,0 +1,148 @@
+/**
+ * Tasks file schema and migration tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	CURRENT_SCHEMA_VERSION,
+	getSchemaVersion,
+	upgradeTasksData,
+	validateTasksData
+} from '../../scripts/modules/tasks-schema.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+import migrateTasks from '../../scripts/modules/task-manager/migrate-tasks.js';
+
+const legacyTasks = {
+	tasks: [
+		{
+			id: '1',
+			title: 'Setup',
+			status: 'done',
+			details: null,
+			subtasks: [{ id: 1, title: 'Install', status: 'done' }]
+		},
+		{ id: 2, title: 'Build', dependencies: ['1'] }
+	],
+	metadata: { projectName: 'Test Project' }
+};
+
+const currentTasks = () => upgradeTasksData(legacyTasks).data;
+
+describe('Tasks file schema', () => {
+	test('detects the schema version of each layout', () => {
+		expect(getSchemaVersion(legacyTasks)).toBe(1);
+		expect(getSchemaVersion({ currentTag: 'master', tags: {} })).toBe(2);
+		expect(getSchemaVersion(currentTasks())).toBe(CURRENT_SCHEMA_VERSION);
+	});
+
+	test('upgrades legacy data step by step', () => {
+		const { data, fromVersion, applied } = upgradeTasksData(legacyTasks);
+
+		expect(fromVersion).toBe(1);
+		expect(applied.map((step) => step.version)).toEqual([2, 3]);
+		expect(Object.keys(data)[0]).toBe('meta');
+		expect(data.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+
+		const [setup, build] = data.tags.master.tasks;
+		expect(setup.id).toBe(1);
+		expect(setup).not.toHaveProperty('details');
+		expect(setup.subtasks[0].dependencies).toEqual([]);
+		expect(build).toMatchObject({ status: 'pending', dependencies: [1] });
+		expect(data.tags.master.metadata.projectName).toBe('Test Project');
+		expect(validateTasksData(data).success).toBe(true);
+	});
+
+	test('refuses data written by a newer version', () => {
+		expect(() =>
+			upgradeTasksData({ meta: { schemaVersion: 99 }, tags: {} })
+		).toThrow(/schema version 99/);
+	});
+
+	test('reports invalid and unknown fields with their location', () => {
+		const data = currentTasks();
+		data.tags.master.tasks[1].status = 'blocked';
+		data.tags.master.tasks[0].subtasks[0].owner = 'sam';
+		data.tags.master.tasks.push({ id: 2, title: 'Duplicate', status: 'done' });
+
+		const { success, issues } = validateTasksData(data);
+		expect(success).toBe(false);
+		expect(issues.map((issue) => issue.path)).toEqual(
+			expect.arrayContaining([
+				'tags.master.tasks[1].status (task 2)',
+				'tags.master.tasks[0].subtasks[0] (task 1.1)',
+				'tags.master.tasks[2].id (task 2)'
+			])
+		);
+		expect(issues.find((i) => i.message.includes('owner'))).toBeDefined();
+		expect(issues.find((i) => i.message === 'Duplicate ID 2')).toBeDefined();
+	});
+
+	describe('tasks files', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-schema-'));
+			fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+			tasksPath = path.join(tempDir, 'tasks.json');
+			fs.writeFileSync(tasksPath, JSON.stringify(legacyTasks, null, 2));
+		});
+
+		afterEach(() => {
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		const readRaw = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+
+		test('readJSON upgrades old files in memory', () => {
+			const data = readJSON(tasksPath);
+			expect(data.tasks[0].id).toBe(1);
+			expect(readRaw().meta).toBeUndefined();
+		});
+
+		test('readJSON rejects invalid files with a precise error', () => {
+			const raw = currentTasks();
+			raw.tags.master.tasks[0].priority = 'urgent';
+			fs.writeFileSync(tasksPath, JSON.stringify(raw));
+
+			expect(() => readJSON(tasksPath)).toThrow(
+				/tags\.master\.tasks\[0\]\.priority \(task 1\)/
+			);
+		});
+
+		test('writeJSON stamps the schema version and refuses invalid data', () => {
+			const data = readJSON(tasksPath);
+			writeJSON(tasksPath, data);
+			expect(readRaw().meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+
+			const before = fs.readFileSync(tasksPath, 'utf8');
+			data.tasks[0].status = 'finished';
+			expect(() => writeJSON(tasksPath, data)).toThrow(/Invalid tasks file/);
+			expect(fs.readFileSync(tasksPath, 'utf8')).toBe(before);
+		});
+
+		test('migrateTasks reports pending steps in dry-run mode', async () => {
+			const result = await migrateTasks(tasksPath, { dryRun: true });
+			expect(result).toMatchObject({
+				fromVersion: 1,
+				toVersion: CURRENT_SCHEMA_VERSION,
+				written: false,
+				issues: []
+			});
+			expect(readRaw().meta).toBeUndefined();
+		});
+
+		test('migrateTasks writes the upgraded file', async () => {
+			const result = await migrateTasks(tasksPath);
+			expect(result.written).toBe(true);
+			expect(readRaw()).toEqual(currentTasks());
+
+			const again = await migrateTasks(tasksPath);
+			expect(again.applied).toHaveLength(0);
+			expect(again.written).toBe(false);
+		});
+	});
+});
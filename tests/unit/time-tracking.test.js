@@ -0,0 +1,184 @@
+/**
+ * Estimate and time tracking tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { trackedTasks } from '../fixtures/sample-tasks.js';
+import { useTempProject } from '../fixtures/temp-project.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import {
+	formatDuration,
+	getTrackedMinutes,
+	parseEstimate
+} from '../../scripts/modules/task-time.js';
+import {
+	setEstimate,
+	startTimer,
+	stopTimer
+} from '../../scripts/modules/task-manager/time-tracking.js';
+import getTimeReport from '../../scripts/modules/task-manager/time-report.js';
+
+describe('Time tracking', () => {
+	const project = useTempProject(trackedTasks);
+
+	test('parses estimates in hours and points', () => {
+		expect(parseEstimate('3h')).toEqual({ value: 3, unit: 'hours' });
+		expect(parseEstimate('2.5 hours')).toEqual({ value: 2.5, unit: 'hours' });
+		expect(parseEstimate('4')).toEqual({ value: 4, unit: 'hours' });
+		expect(parseEstimate('8 Points')).toEqual({ value: 8, unit: 'points' });
+		expect(parseEstimate('')).toBeNull();
+		expect(() => parseEstimate('0h')).toThrow(/Invalid estimate/);
+		expect(() => parseEstimate('3 days')).toThrow(/Invalid estimate/);
+		expect(formatDuration(125)).toBe('2h 05m');
+		expect(formatDuration(40)).toBe('40m');
+	});
+
+	test('sets and clears estimates of tasks and subtasks', () => {
+		setEstimate(project.tasksPath, '3,2.1', '5pt');
+		let { tasks } = readJSON(project.tasksPath);
+		expect(tasks[2].estimate).toEqual({ value: 5, unit: 'points' });
+		expect(tasks[1].subtasks[0].estimate).toEqual({ value: 5, unit: 'points' });
+
+		setEstimate(project.tasksPath, '3', null);
+		({ tasks } = readJSON(project.tasksPath));
+		expect(tasks[2].estimate).toBeUndefined();
+	});
+
+	test('runs one timer per person and records sessions', () => {
+		const started = startTimer(project.tasksPath, '3', { by: 'alice' });
+		expect(started).toMatchObject({ taskId: '3', by: 'alice' });
+		expect(() => startTimer(project.tasksPath, '2', { by: 'alice' })).toThrow(
+			/already has a timer running on task 3/
+		);
+		// Someone else can work at the same time
+		startTimer(project.tasksPath, '2', { by: 'bob' });
+
+		const stopped = stopTimer(project.tasksPath, null, { by: 'alice' });
+		expect(stopped.taskId).toBe('3');
+		expect(stopped.end).toBeDefined();
+		expect(() => stopTimer(project.tasksPath, '3', { by: 'alice' })).toThrow(
+			/alice has no timer running on task 3/
+		);
+		expect(() => startTimer(project.tasksPath, '1', { by: 'alice' })).toThrow(
+			/already done/
+		);
+
+		const { tasks } = readJSON(project.tasksPath);
+		expect(tasks[2].timeEntries).toEqual([
+			{ start: started.start, end: stopped.end, by: 'alice' }
+		]);
+		expect(tasks[1].timeEntries[0]).toEqual(
+			expect.not.objectContaining({ end: expect.anything() })
+		);
+	});
+
+	test('reports time by task, status and tag against complexity', () => {
+		const reportPath = path.join(project.root, 'complexity.json');
+		fs.writeFileSync(
+			reportPath,
+			JSON.stringify({
+				complexityAnalysis: [
+					{ taskId: 1, complexityScore: 3 },
+					{ taskId: 2, complexityScore: 5 }
+				]
+			})
+		);
+
+		const report = getTimeReport(project.tasksPath, {
+			complexityReportPath: reportPath
+		});
+
+		expect(report.totalMinutes).toBe(240);
+		expect(report.byStatus).toEqual({ done: 240 });
+		expect(report.byTag).toEqual({ master: 240 });
+		expect(report.tasks).toEqual([
+			expect.objectContaining({
+				id: 1,
+				trackedMinutes: 90,
+				estimate: { value: 2, unit: 'hours' },
+				complexityScore: 3,
+				hoursPerPoint: 0.5
+			}),
+			// Time on subtasks counts toward their task
+			expect.objectContaining({
+				id: 2,
+				trackedMinutes: 150,
+				complexityScore: 5,
+				hoursPerPoint: 0.5
+			})
+		]);
+		expect(report.complexity).toMatchObject({
+			scoredTasks: 2,
+			hoursPerPoint: 0.5
+		});
+	});
+
+	test('tracks and reports time on subtasks of subtasks', () => {
+		const data = trackedTasks();
+		data.tasks[1].subtasks[0].status = 'in-progress';
+		data.tasks[1].subtasks[0].subtasks = [
+			{
+				id: 1,
+				title: 'List route',
+				status: 'done',
+				dependencies: [],
+				timeEntries: [
+					{
+						start: '2025-06-17T12:00:00.000Z',
+						end: '2025-06-17T12:30:00.000Z',
+						by: 'alice'
+					}
+				]
+			},
+			{ id: 2, title: 'Detail route', status: 'pending', dependencies: [] }
+		];
+		project.writeTasks(data);
+
+		expect(
+			startTimer(project.tasksPath, '2.1.2', { by: 'alice' })
+		).toMatchObject({ taskId: '2.1.2' });
+		expect(() => startTimer(project.tasksPath, '3', { by: 'alice' })).toThrow(
+			/already has a timer running on task 2.1.2/
+		);
+		expect(stopTimer(project.tasksPath, null, { by: 'alice' }).taskId).toBe(
+			'2.1.2'
+		);
+		expect(
+			readJSON(project.tasksPath).tasks[1].subtasks[0].subtasks[1].timeEntries
+		).toHaveLength(1);
+
+		const report = getTimeReport(project.tasksPath);
+		expect(report.tasks.find((row) => row.id === 2).trackedMinutes).toBe(180);
+	});
+
+	test('lists estimated subtasks after their task', () => {
+		setEstimate(project.tasksPath, '2.1', '1h');
+		setEstimate(project.tasksPath, '3', '2pt');
+
+		const { tasks } = getTimeReport(project.tasksPath);
+		expect(tasks.map((row) => row.id)).toEqual([1, 2, '2.1', 3]);
+		expect(tasks[1]).toMatchObject({ estimate: null, trackedMinutes: 150 });
+		expect(tasks[2]).toEqual({
+			tag: 'master',
+			id: '2.1',
+			title: 'Routes',
+			status: 'done',
+			estimate: { value: 1, unit: 'hours' },
+			trackedMinutes: 150,
+			running: false,
+			complexityScore: null,
+			hoursPerPoint: null
+		});
+	});
+
+	test('counts running sessions up to now', () => {
+		const item = {
+			timeEntries: [{ start: '2025-06-16T09:00:00.000Z', by: 'alice' }]
+		};
+		expect(getTrackedMinutes(item, new Date('2025-06-16T09:45:00.000Z'))).toBe(
+			45
+		);
+	});
+});